@@ -4,7 +4,8 @@ import JSZip from 'jszip';
 import { getAudioEngine } from './services/AudioSyncEngine';
 import { AlignedSegment } from './services/gemini';
 import { API_BASE_URL } from './services/config';
-import { alignScriptDeterministic } from './services/matcher';
+import { alignScriptDeterministic, alignScriptForced, getAlignmentMode } from './services/matcher';
+import { getNarrationText } from './services/script/scriptGrammar.js';
 import { transcribeWithAssembly } from './services/assemblyBackend';
 import { sliceAudioBuffer, decodeAudio } from './services/audioProcessor';
 import React, { useState, useRef, useEffect, useCallback, memo } from 'react';
@@ -17,8 +18,10 @@ import { ToastContainer, ToastMessage, ToastType } from './components/Toast';
 import { UpdateNotification } from './components/UpdateNotification';
 import { StartScreen } from './components/StartScreen';
 import { SettingsModal } from './components/SettingsModal';
+import { JobsPanel } from './components/JobsPanel';
 import { projectService, ProjectData } from './services/projectService';
-import { EditorView } from './components/Editor/EditorView';
+import { EditorView, EditHistoryStatus } from './components/Editor/EditorView';
+import { TimelineModel, ClipPlacement, SegmentDetailsChange } from './components/Editor/TimelineCanvas';
 // Backend services moved to Electron Main Process (IPC)
 // import timelineManager from './services/timeline/timelineManager.js';
 // import videoEditor from './services/videoEditor.js';
@@ -759,34 +762,15 @@ function App() {
 
     // UI State
     const [showSettings, setShowSettings] = useState(false);
-    const [apiKeyInput, setApiKeyInput] = useState('');
-    const [isUsingCustomKey, setIsUsingCustomKey] = useState(false);
-
+    const [showJobs, setShowJobs] = useState(false);
     // Viory Login State
     const [vioryLoginRequired, setVioryLoginRequired] = useState(false);
     const [vioryLoginMessage, setVioryLoginMessage] = useState('');
 
-    // Load Gemini API key from Electron config when settings modal opens
+    // Older versions kept a plaintext copy of the Gemini key here; keys now live in the credential store
     useEffect(() => {
-        if (showSettings && (window as any).electron?.config) {
-            (window as any).electron.config.getGeminiKey().then((result: any) => {
-                if (result.success && result.key) {
-                    setApiKeyInput(result.key);
-                    setIsUsingCustomKey(result.isCustom);
-                } else {
-                    // Fallback to localStorage if Electron config fails
-                    const localKey = localStorage.getItem('gemini_api_key') || '';
-                    setApiKeyInput(localKey);
-                    setIsUsingCustomKey(false);
-                }
-            }).catch(() => {
-                // Fallback to localStorage
-                const localKey = localStorage.getItem('gemini_api_key') || '';
-                setApiKeyInput(localKey);
-                setIsUsingCustomKey(false);
-            });
-        }
-    }, [showSettings]);
+        localStorage.removeItem('gemini_api_key');
+    }, []);
 
     // --- PROJECT MANAGEMENT STATE ---
     const [currentView, setCurrentView] = useState<'start' | 'editor' | 'smart_editor'>('start');
@@ -803,6 +787,12 @@ function App() {
 
     // AUDIO FILE PATH STATE (Critical for Export)
     const [audioFilePath, setAudioFilePath] = useState<string>('');
+    // Multi-track model (V1 from the segments, B-roll overlay tracks), kept in main
+    const [timelineModel, setTimelineModel] = useState<TimelineModel | null>(null);
+    // Transition at the cuts without one of their own, null = hard cuts
+    const [defaultTransition, setDefaultTransition] = useState<{ type: string; duration: number } | null>(null);
+    // Undo/redo of editor operations, kept in the main process with the project state
+    const [editHistory, setEditHistory] = useState<EditHistoryStatus>({ canUndo: false, canRedo: false, undoLabel: null, redoLabel: null });
 
     // --- RECOVERY LOGIC ---
     useEffect(() => {
@@ -880,9 +870,50 @@ function App() {
                 // Forward to toast or console for now
                 if (data.type === 'error') addToast('Smart Fetch Error', data.message, 'error');
             });
+
+            (window as any).electron.receive('timeline-model-update', (data: any) => {
+                setTimelineModel(data.model || null);
+            });
+
+            (window as any).electron.receive('editor-history-update', (status: EditHistoryStatus) => {
+                setEditHistory(status);
+            });
+
+            // Undo/redo of a narration clip drag
+            (window as any).electron.receive('editor-audio-clip-update', ({ id, changes }: { id: string; changes: ClipPlacement }) => {
+                setAudioClips(prev => {
+                    const next = prev.map(clip => clip.id === id ? { ...clip, ...changes } : clip);
+                    getAudioEngine().setClips(next);
+                    return next;
+                });
+            });
         }
     }, []);
 
+    // The history is loaded with the project state
+    useEffect(() => {
+        if (!(window as any).electron) return;
+        (window as any).electron.invoke('editor-history-status').then((result: any) => {
+            if (result?.success) {
+                setEditHistory({ canUndo: result.canUndo, canRedo: result.canRedo, undoLabel: result.undoLabel, redoLabel: result.redoLabel });
+            }
+        });
+    }, [currentProject?.id]);
+
+    // V1 and the audio tracks follow the segments and the narration
+    useEffect(() => {
+        if (!(window as any).electron || smartTimeline.length === 0) {
+            setTimelineModel(null);
+            return;
+        }
+        (window as any).electron.invoke('timeline-get-model', { audioPath: audioFilePath || undefined }).then((result: any) => {
+            if (result?.success) {
+                setTimelineModel(result.model);
+                setDefaultTransition(result.defaultTransition || null);
+            }
+        });
+    }, [smartTimeline, audioFilePath]);
+
     // Track if "all videos ready" notification has been shown for current session
     const allVideosReadyNotifiedRef = useRef(false);
 
@@ -994,6 +1025,8 @@ function App() {
                     storyBlocks,
                     smartTimeline, // CRITICAL: Save the timeline with video data
                     procState: safeState, // Only save safe states
+                    language: currentProject.language,
+                    brandPresetId: currentProject.brandPresetId,
                     audioName: audioFile?.name,
                     audioPath: audioFilePath || currentProject.audioPath || '' // Use the saved audio path
                 });
@@ -1166,9 +1199,11 @@ function App() {
                 console.log("[Restore] Some segments need processing, triggering Smart Fetch...");
                 if ((window as any).electron) {
                     const scriptForBackend = typeof proj.scriptText === 'string' ? proj.scriptText : '';
-                    (window as any).electron.invoke('smart-fetch-timeline', {
+                    invokeEditor('smart-fetch-timeline', {
                         blocks: validatedTimeline,
-                        scriptText: scriptForBackend
+                        scriptText: scriptForBackend,
+                        language: proj.language,
+                        brandPresetId: proj.brandPresetId
                     }).catch((err: any) => console.error('[Restore] Smart Fetch Error:', err));
                 }
             }
@@ -1180,9 +1215,12 @@ function App() {
                 index: idx,
                 headline: block.title || `Segment ${idx + 1}`,
                 text: block.text || '',
+                directives: block.directives,
+                words: block.words,
                 duration: block.duration || 5,
                 start_time: block.start_time,
                 end_time: block.end_time,
+                startConfidence: block.startConfidence,
                 startTime: restoredBlocks.slice(0, idx).reduce((acc, b) => acc + (b.duration || 5), 0),
                 status: block.videoStatus === 'complete' || block.videoMatches?.length > 0 ? 'found' : 'pending',
                 video: block.videoMatches && block.videoMatches.length > 0 ? {
@@ -1206,9 +1244,11 @@ function App() {
                 console.log("[Restore] Needs processing. Triggering Smart Fetch with scriptText...");
                 if ((window as any).electron) {
                     const scriptForBackend = typeof proj.scriptText === 'string' ? proj.scriptText : '';
-                    (window as any).electron.invoke('smart-fetch-timeline', {
+                    invokeEditor('smart-fetch-timeline', {
                         blocks: restoredBlocks,
-                        scriptText: scriptForBackend
+                        scriptText: scriptForBackend,
+                        language: proj.language,
+                        brandPresetId: proj.brandPresetId
                     }).catch((err: any) => console.error('[Restore] Smart Fetch Error:', err));
                 }
             }
@@ -1227,9 +1267,11 @@ function App() {
 
 
 
-    const handleNewProject = async (name: string, audioFile: File, scriptText: string) => {
+    const handleNewProject = async (name: string, audioFile: File, scriptText: string, language: string, brandPresetId: string) => {
         const newProj = projectService.createNew();
         newProj.name = name; // Override with user input
+        newProj.language = language;
+        newProj.brandPresetId = brandPresetId;
 
         // Clear cache for this new project ID just in case
         if (projectCache.current.has(newProj.id)) {
@@ -1311,17 +1353,19 @@ function App() {
         setCurrentView('editor');
 
         // Start Processing in background - use the file with actual data
-        processFullPipeline(audioFileForProcessing, scriptText);
+        processFullPipeline(audioFileForProcessing, scriptText, language, brandPresetId);
     };
 
-    const processFullPipeline = async (audio: File, script: string) => {
+    const processFullPipeline = async (audio: File, script: string, language: string, brandPresetId: string) => {
         try {
             // ========== STEP 1: TRANSCRIBE ==========
             setProcState({ status: 'transcribing', progress: 10, message: 'Analyzing audio...' });
             // addToast('Procesando', 'Iniciando análisis de audio...', 'info'); // Removed to reduce noise
 
-            const assemblyData = await transcribeWithAssembly(audio);
-            console.log('[Pipeline] Transcription complete:', assemblyData.words?.length, 'words');
+            // Forced alignment works from the waveform alone, no transcript needed
+            const forced = (await getAlignmentMode()) === 'forced';
+            const assemblyData = forced ? null : await transcribeWithAssembly(audio, language);
+            if (assemblyData) console.log('[Pipeline] Transcription complete:', assemblyData.words?.length, 'words');
 
             // ========== STEP 2: DECODE ==========
             setProcState({ status: 'aligning', progress: 30, message: 'Processing audio...' });
@@ -1338,7 +1382,9 @@ function App() {
 
             // ========== STEP 3: ALIGN ==========
             setProcState({ status: 'aligning', progress: 40, message: 'Syncing script...' });
-            const aligned = await alignScriptDeterministic(script, assemblyData.words);
+            const aligned = assemblyData
+                ? await alignScriptDeterministic(script, assemblyData.words, language)
+                : await alignScriptForced(script, decodedBuffer, language);
 
             if (!aligned || aligned.length === 0) {
                 throw new Error("Error de Alineación: Asegúrate de que el guión tenga marcadores [ON SCREEN: ...].");
@@ -1397,14 +1443,19 @@ function App() {
                     title: block.title,
                     headline: block.title, // Critical: Scraper expects 'headline' for query
                     text: block.text,
+                    directives: block.directives,
+                    words: block.words, // Word timings for captions
                     duration: block.duration,
                     start_time: block.start_time,
-                    end_time: block.end_time
+                    end_time: block.end_time,
+                    startConfidence: block.startConfidence // Uncertain cuts are flagged in the editor
                 }));
 
-                const result = await (window as any).electron.invoke('smart-fetch-timeline', {
+                const result = await invokeEditor('smart-fetch-timeline', {
                     blocks: blocksForFetch,
-                    scriptText: script
+                    scriptText: script,
+                    language,
+                    brandPresetId
                 });
 
                 if (result && Array.isArray(result)) {
@@ -1470,6 +1521,8 @@ function App() {
                 storyBlocks,
                 smartTimeline, // CRITICAL: Save the timeline with video data
                 procState: { status: 'idle', progress: 0, message: '' },
+                language: currentProject.language,
+                brandPresetId: currentProject.brandPresetId,
                 audioName: audioFile?.name,
                 audioPath: audioFilePath || currentProject.audioPath || ''
             });
@@ -1477,6 +1530,16 @@ function App() {
 
         setResumeableProject(null);
 
+        // Background jobs wait while a project is open; an unfinished Smart Fetch
+        // carries on as a queued job (not awaited, the segment in flight may take a while)
+        if (currentProject && window.electron?.jobs) {
+            window.electron.jobs.releaseEditor(currentProject.id, currentProject.name).then((res) => {
+                if (res.success && res.jobs.some(j => j.projectId === currentProject.id && j.type === 'fetch' && (j.state === 'queued' || j.state === 'running'))) {
+                    addToast('Fetch continues in background', `"${currentProject.name}" will keep fetching footage. See Jobs for progress.`, 'info');
+                }
+            });
+        }
+
         // DON'T clear the session - we want to preserve it for reopening
         // await projectService.clearSession(); // REMOVED
 
@@ -1493,6 +1556,25 @@ function App() {
         setCurrentView('start');
     };
 
+    // A background fetch rewrites the stored project, so the in-memory copy is stale
+    useEffect(() => {
+        if (!window.electron?.jobs) return;
+        return window.electron.jobs.onUpdated(({ job }) => {
+            if (!job || job.type !== 'fetch' || currentView !== 'start') return;
+            if (job.state !== 'running' && job.state !== 'completed') return;
+            projectCache.current.delete(job.projectId);
+            if (currentProject?.id === job.projectId) setCurrentProject(null);
+            if (job.state === 'completed') projectService.getRecentProjects().then(setRecentProjects);
+        });
+    }, [currentView, currentProject]);
+
+    const handleQueueJob = async (proj: ProjectData, type: 'fetch' | 'prerender') => {
+        if (!window.electron?.jobs) return;
+        const res = await window.electron.jobs.add({ type, projectId: proj.id, projectName: proj.name });
+        if (res.success) addToast('Job queued', `${type === 'fetch' ? 'Footage fetch' : 'Pre-render'} for "${proj.name}" added to Jobs.`, 'success');
+        else addToast('Could not queue job', res.error || 'Unknown error', 'error');
+    };
+
     const handleDeleteProject = async (id: string) => {
         await projectService.deleteProject(id);
         const list = await projectService.getRecentProjects();
@@ -1581,7 +1663,7 @@ function App() {
         }
 
         // Fallback: Use first 40 chars of script
-        const cleanScript = script.replace(/\[ON SCREEN:.*?\]/g, '').trim();
+        const cleanScript = getNarrationText(script).trim();
         const preview = cleanScript.substring(0, 40).trim();
         return preview || `Project ${new Date().toLocaleDateString()}`;
     };
@@ -1598,50 +1680,6 @@ function App() {
         });
     }, []);
 
-    // --- API Key Management ---
-
-    const updateApiKey = async (): Promise<{ success: boolean; message: string }> => {
-        if (!apiKeyInput || apiKeyInput.length < 10) {
-            return { success: false, message: 'Please enter a valid Gemini API Key (at least 10 characters)' };
-        }
-
-        try {
-            // Try Electron IPC first (preferred method for packaged app)
-            if ((window as any).electron?.config) {
-                const result = await (window as any).electron.config.saveGeminiKey(apiKeyInput);
-                if (result.success) {
-                    setIsUsingCustomKey(true);
-                    // Also save to localStorage as backup
-                    localStorage.setItem('gemini_api_key', apiKeyInput);
-                    addToast('Key Updated', 'API Key saved successfully. Changes take effect immediately.', 'success');
-                    return { success: true, message: 'API Key saved successfully!' };
-                } else {
-                    return { success: false, message: result.error || 'Failed to save API key' };
-                }
-            }
-
-            // Fallback to HTTP API (for dev mode or web version)
-            const res = await fetch(`${API_BASE_URL}/api/config/key`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ key: apiKeyInput })
-            });
-
-            const data = await res.json();
-            if (data.success) {
-                setIsUsingCustomKey(true);
-                localStorage.setItem('gemini_api_key', apiKeyInput);
-                addToast('Key Updated', 'API Key saved successfully. Changes take effect immediately.', 'success');
-                return { success: true, message: 'API Key saved successfully!' };
-            } else {
-                return { success: false, message: data.error || 'Failed to save API key' };
-            }
-        } catch (e: any) {
-            console.error('[App] Failed to save API key:', e);
-            return { success: false, message: e.message || 'Failed to save API key' };
-        }
-    };
-
     const [viewMode, setViewMode] = useState<'dashboard' | 'editor'>('dashboard');
     const [projectLogs, setProjectLogs] = useState<string[]>([]);
     const [currentTimeline, setCurrentTimeline] = useState<any>(null); // Ideally should have a proper Timeline type
@@ -1812,6 +1850,26 @@ function App() {
         setToasts(prev => [...prev, { id, title, message, type }]);
     };
 
+    // Editor calls that take the shared project state answer { waiting: true, jobId }
+    // while a background export runs (it can't stop halfway); wait for that job and
+    // call again
+    const invokeEditor = async (channel: string, ...args: any[]): Promise<any> => {
+        const result = await (window as any).electron.invoke(channel, ...args);
+        const jobs = window.electron?.jobs;
+        if (!result?.waiting || !jobs) return result;
+
+        addToast('Export Running', result.message, 'info');
+        await new Promise<void>(resolve => {
+            const isDone = (list: Job[]) => list.find(job => job.id === result.jobId)?.state !== 'running';
+            const stop = jobs.onUpdated(({ jobs: list }) => {
+                if (isDone(list)) { stop(); resolve(); }
+            });
+            // The job may have finished before the subscription
+            jobs.list().then(res => { if (isDone(res.jobs || [])) { stop(); resolve(); } });
+        });
+        return invokeEditor(channel, ...args);
+    };
+
     const removeToast = (id: string) => {
         setToasts(prev => prev.filter(t => t.id !== id));
     };
@@ -1869,14 +1927,28 @@ function App() {
             if ((window as any).electron?.tray) {
                 (window as any).electron.tray.updateProgress({ status: 'processing', progress: 10, message: 'Transcribing audio...' });
             }
-            const assemblyData = await transcribeWithAssembly(audioFile);
+            // Forced alignment works from the waveform alone, no transcript needed
+            const forced = (await getAlignmentMode()) === 'forced';
+            const assemblyData = forced ? null : await transcribeWithAssembly(audioFile, currentProject?.language);
 
             if (isCancelledRef.current) return;
 
+            // UNIFIED: Use AudioSyncEngine
+            const engine = getAudioEngine();
+            // Reload from file to ensure engine has the correct buffer for this new process
+            await engine.loadFromFile(audioFile);
+            const decodedBuffer = engine.getAudioBuffer();
+
+            if (!decodedBuffer) {
+                throw new Error("Could not decode audio buffer");
+            }
+
             // 2. Align (Voiceover Pipeline)
             setProcState({ status: 'aligning', progress: 30, message: 'Synchronizing Temporal Nodes...' });
             // await new Promise(r => setTimeout(r, 600)); // Dramatic pause REMOVED for speed
-            const aligned = await alignScriptDeterministic(scriptText, assemblyData.words);
+            const aligned = assemblyData
+                ? await alignScriptDeterministic(scriptText, assemblyData.words, currentProject?.language)
+                : await alignScriptForced(scriptText, decodedBuffer, currentProject?.language);
 
             if (isCancelledRef.current) return;
 
@@ -1887,15 +1959,6 @@ function App() {
             // 3. Slice (Voiceover Pipeline)
             setProcState({ status: 'slicing', progress: 50, message: 'Rendering Precision Audio Cuts...' });
 
-            // UNIFIED: Use AudioSyncEngine
-            const engine = getAudioEngine();
-            // Reload from file to ensure engine has the correct buffer for this new process
-            await engine.loadFromFile(audioFile);
-            const decodedBuffer = engine.getAudioBuffer();
-
-            if (!decodedBuffer) {
-                throw new Error("Could not decode audio buffer");
-            }
             const processedBlocks: StoryBlock[] = [];
 
             if (isCancelledRef.current) return;
@@ -2024,7 +2087,7 @@ function App() {
             const response = await fetch(`${API_BASE_URL}/api/video-matching/stream`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ script: scriptToUse })
+                body: JSON.stringify({ script: scriptToUse, language: currentProject?.language })
             });
 
             if (!response.ok || !response.body) {
@@ -2139,7 +2202,8 @@ function App() {
                     block: {
                         index: blockIndex,
                         headline: block.title,
-                        text: block.text
+                        text: block.text,
+                        language: currentProject?.language
                     }
                 })
             });
@@ -2161,7 +2225,7 @@ function App() {
         } catch (err) {
             setStoryBlocks(prev => prev.map((b, idx) => idx === blockIndex ? { ...b, videoStatus: 'error', currentQueryMessage: 'Retry failed' } : b));
         }
-    }, []);
+    }, [currentProject?.language]);
 
     const playPreview = useCallback((url: string) => {
         // STOP duplicate audio creation. 
@@ -2233,9 +2297,11 @@ function App() {
         console.log('[App] Triggering smart-fetch-timeline with', storyBlocks.length, 'blocks');
         if ((window as any).electron) {
             console.log('[App] Calling electron.invoke smart-fetch-timeline...');
-            (window as any).electron.invoke('smart-fetch-timeline', {
+            invokeEditor('smart-fetch-timeline', {
                 blocks: storyBlocks,
-                scriptText: scriptText  // Pass script for fallback parsing
+                scriptText: scriptText,  // Pass script for fallback parsing
+                language: currentProject?.language,
+                brandPresetId: currentProject?.brandPresetId
             })
                 .then((result: any) => {
                     console.log('[App] smart-fetch-timeline completed:', result);
@@ -2258,7 +2324,7 @@ function App() {
         console.log("Replacing clip for segment", segmentIndex);
         if ((window as any).electron) {
             try {
-                const result = await (window as any).electron.invoke('smart-replace-clip', segmentIndex);
+                const result = await invokeEditor('smart-replace-clip', segmentIndex);
                 if (result && !result.success && result.message) {
                     addToast('Replace Failed', result.message, 'error');
                 }
@@ -2272,6 +2338,128 @@ function App() {
         return { success: false, message: 'Electron not available' };
     };
 
+    const handlePickShot = async (segmentIndex: number, shotIndex: number) => {
+        if ((window as any).electron) {
+            const result = await invokeEditor('smart-pick-shot', { segmentIndex, shotIndex });
+            if (result && !result.success && result.message) {
+                addToast('Shot Change Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
+    const handleStillImage = async (segmentIndex: number, imagePath: string, motion?: string, zoom?: number) => {
+        if ((window as any).electron) {
+            const result = await invokeEditor('smart-still-image', { segmentIndex, imagePath, motion, zoom });
+            if (result && !result.success && result.message) {
+                addToast('Still Image Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
+    const handleNatSound = async (segmentIndex: number, changes: { level?: number | null; sot?: boolean }) => {
+        if ((window as any).electron) {
+            const result = await (window as any).electron.invoke('smart-set-nat-sound', { segmentIndex, ...changes });
+            if (result && !result.success && result.message) {
+                addToast('Nat Sound Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
+    // Transitions at the cuts (services/timeline/transitions.js); type null = follow the default
+    const handleTransition = async (segmentIndex: number, type: string | null, duration?: number) => {
+        if ((window as any).electron) {
+            const result = await (window as any).electron.invoke('smart-set-transition', { segmentIndex, type, duration });
+            if (result && !result.success && result.message) {
+                addToast('Transition Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
+    const handleDefaultTransition = async (type: string | null, duration?: number) => {
+        if ((window as any).electron) {
+            const result = await (window as any).electron.invoke('smart-set-default-transition', { type, duration });
+            if (result && !result.success && result.message) {
+                addToast('Transition Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
+    // Cut points, headline and text of segments; one undoable edit per call
+    const handleSegmentDetails = async (changes: SegmentDetailsChange[], label: string) => {
+        if ((window as any).electron) {
+            const result = await (window as any).electron.invoke('smart-update-segment-details', { changes, label });
+            if (result && !result.success && result.message) {
+                addToast('Segment Update Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
+    // Undo/redo (services/timeline/editHistory.js)
+    const handleHistoryStep = async (direction: 'undo' | 'redo') => {
+        if (!(window as any).electron) return { success: false, message: 'Electron not available' };
+        if (direction === 'undo' ? !editHistory.canUndo : !editHistory.canRedo) return { success: false };
+        const result = await (window as any).electron.invoke(direction === 'undo' ? 'editor-undo' : 'editor-redo');
+        if (result?.success) {
+            addToast(direction === 'undo' ? 'Undone' : 'Redone', result.label, 'info');
+        } else if (result?.message) {
+            addToast(direction === 'undo' ? 'Undo Failed' : 'Redo Failed', result.message, 'error');
+        }
+        return result;
+    };
+
+    const handleAudioClipEdit = (id: string, mode: 'move' | 'trim-left' | 'trim-right', before: ClipPlacement, after: ClipPlacement) => {
+        if ((window as any).electron) {
+            const label = mode === 'move' ? 'Move narration clip' : 'Trim narration clip';
+            (window as any).electron.invoke('editor-record-audio-clip', { id, label, before, after });
+        }
+    };
+
+    // B-roll on the overlay tracks (services/timeline/trackModel.js)
+    const handleAddOverlayItem = async (source: string, start: number) => {
+        if ((window as any).electron) {
+            const result = await (window as any).electron.invoke('timeline-add-item', { source, start });
+            if (result && !result.success && result.message) {
+                addToast('B-roll Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
+    const handleUpdateOverlayItem = async (trackId: string, itemId: string, changes: { start?: number; duration?: number; inPoint?: number }) => {
+        if ((window as any).electron) {
+            const result = await (window as any).electron.invoke('timeline-update-item', { trackId, itemId, changes });
+            if (result && !result.success && result.message) {
+                addToast('B-roll Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
+    const handleRemoveOverlayItem = async (trackId: string, itemId: string) => {
+        if ((window as any).electron) {
+            const result = await (window as any).electron.invoke('timeline-remove-item', { trackId, itemId });
+            if (result && !result.success && result.message) {
+                addToast('B-roll Failed', result.message, 'error');
+            }
+            return result;
+        }
+        return { success: false, message: 'Electron not available' };
+    };
+
     const handleSkipSearch = async (segmentIndex: number) => {
         if ((window as any).electron) {
             await (window as any).electron.invoke('smart-skip-search', segmentIndex);
@@ -2304,17 +2492,37 @@ function App() {
                 // Show notification when export completes (only once)
                 if (data.stage === 'complete' && !exportCompleteNotifiedRef.current) {
                     exportCompleteNotifiedRef.current = true;
+                    const count = data.outputPaths?.length || 1;
+                    const what = count > 1 ? `Your ${count} videos have` : 'Your video has';
                     showNotification(
                         'ClickSync - Export Complete',
-                        'Your video has been exported successfully.'
+                        `${what} been exported successfully.`
                     );
-                    addToast('Export Complete', 'Your video has been exported successfully!', 'success');
+                    addToast('Export Complete', `${what} been exported successfully!`, 'success');
                 }
             });
-            return await (window as any).electron.invoke('smart-export-final', options);
+            // Project look travels with the export so overlays match after a reopen
+            return await invokeEditor('smart-export-final', {
+                ...options,
+                language: currentProject?.language,
+                brandPresetId: currentProject?.brandPresetId
+            });
         }
     };
 
+    // Export later from the queue (runs once the editor is closed)
+    const handleQueueExport = async (options: any) => {
+        if (!currentProject || !window.electron?.jobs) return;
+        const res = await window.electron.jobs.add({
+            type: 'export',
+            projectId: currentProject.id,
+            projectName: currentProject.name,
+            payload: { options: { ...options, audioFilePath: audioFilePath || currentProject.audioPath } }
+        });
+        if (res.success) addToast('Export queued', 'It starts when you go back to the start screen. See Jobs for progress.', 'success');
+        else addToast('Could not queue export', res.error || 'Unknown error', 'error');
+    };
+
     if (currentView === 'start') {
         return (
             <>
@@ -2336,6 +2544,8 @@ function App() {
                     resumeProject={resumeableProject}
                     onRename={projectService.renameProject}
                     onOpenSettings={() => setShowSettings(true)}
+                    onOpenJobs={() => setShowJobs(true)}
+                    onQueueJob={handleQueueJob}
                 />
 
                 {/* Viory Login Required Modal */}
@@ -2364,12 +2574,10 @@ function App() {
                 <SettingsModal
                     isOpen={showSettings}
                     onClose={() => setShowSettings(false)}
-                    apiKey={apiKeyInput}
-                    onApiKeyChange={setApiKeyInput}
-                    onSaveKey={updateApiKey}
                     version="v2.0.8"
-                    isUsingCustomKey={isUsingCustomKey}
                 />
+
+                <JobsPanel isOpen={showJobs} onClose={() => setShowJobs(false)} />
             </>
         );
     }
@@ -2423,20 +2631,37 @@ function App() {
                 audioClips={audioClips}
                 storyBlocks={storyBlocks}
                 onUpdateAudioClip={handleUpdateAudioClip}
+                onAudioClipEdit={handleAudioClipEdit}
+                editHistory={editHistory}
+                onUndo={() => handleHistoryStep('undo')}
+                onRedo={() => handleHistoryStep('redo')}
                 isProcessing={procState.status !== 'idle' && procState.status !== 'completed' && procState.status !== 'error'}
 
                 onReplaceClip={handleSmartReplace}
                 onSkipSearch={handleSkipSearch}
                 onManualVideoUrl={handleManualVideoUrl}
+                onPickShot={handlePickShot}
+                onStillImage={handleStillImage}
+                onNatSound={handleNatSound}
+                onTransition={handleTransition}
+                defaultTransition={defaultTransition}
+                onDefaultTransition={handleDefaultTransition}
+                onUpdateSegmentDetails={handleSegmentDetails}
+                timelineModel={timelineModel}
+                onAddOverlayItem={handleAddOverlayItem}
+                onUpdateOverlayItem={handleUpdateOverlayItem}
+                onRemoveOverlayItem={handleRemoveOverlayItem}
                 onApproveSegment={(idx) => {
                     setSmartTimeline(prev => prev.map((seg, i) =>
                         i === idx ? { ...seg, status: 'approved' } : seg
                     ));
                 }}
                 onExportFinal={handleSmartExport}
-                onUpdateClipProperty={(idx, prop, val) => {
+                onQueueExport={handleQueueExport}
+                onUpdateClipProperty={async (idx, prop, val) => {
                     if ((window as any).electron) {
-                        (window as any).electron.invoke('smart-update-clip-option', { index: idx, prop, value: val });
+                        const updated = await (window as any).electron.invoke('smart-update-clip-option', { index: idx, prop, value: val });
+                        if (!updated) addToast('Clip Option Failed', `Segment ${idx + 1} has no clip to change`, 'error');
                     }
                 }}
                 onBack={handleBackToStart}
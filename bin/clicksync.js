@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// clicksync - headless script-to-video rendering
+//
+//   clicksync render --script story.txt --audio vo.mp3 --out final.mp4
+//
+// Exits with code 1 on any failure so it can be used from batch jobs.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { LANGUAGES } from '../services/language.js';
+import { ASPECT_PROFILES, REFRAME_MODES } from '../services/reframe.js';
+import { LOUDNESS_TARGETS } from '../services/audioMix.js';
+import { normalizeTransition } from '../services/timeline/transitions.js';
+
+const USAGE = `Usage: clicksync render --script <file> --audio <file> --out <file> [options]
+
+Options:
+  --script <file>       Script with [ON SCREEN: ...] markers
+  --audio <file>        Narration audio (mp3/wav/m4a)
+  --out <file>          Output video (.mp4 or .mov)
+  --manifest <file>     Clip manifest JSON, skips footage search
+                        ([{ "path": "clip.mp4", "credit": "", "startOffset": 0 }, ...])
+  --transcript <file>   Word-level transcript JSON ({ "words": [...] }), skips transcription
+  --transcriber <id>    assemblyai | whisper (default: the app's setting)
+  --align <mode>        transcript | forced (forced aligns the script to the
+                        audio without transcribing; default: the app's setting)
+  --language <code>     es | pt | fr | en, language of script and narration (default es)
+  --brand <id>          Brand preset from ~/.clicksync/brands (default: built-in look)
+  --resolution <res>    1080p | 720p | 480p (default: the brand's, 1080p)
+  --fps <n>             24 | 30 | 60 (default: the brand's, 60)
+  --aspect <list>       16:9 | 9:16 | 1:1, comma-separated for one video each
+                        (default 16:9; others are saved as <out>_9x16, <out>_1x1)
+  --reframe <mode>      center | tracked, how 9:16 and 1:1 are cropped (default center)
+  --bitrate <kbps>      Video bitrate (default 8000)
+  --loudness <target>   youtube (-14 LUFS) | broadcast (-23 LUFS) | off
+                        (default: the app's setting, youtube)
+  --transition <type>   cut | crossfade | dip-black | dip-white | push-left |
+                        push-right at every cut, with :<seconds> for its length
+                        (e.g. crossfade:1; default cut, 0.5s; a manifest
+                        entry's "transition" overrides it for that cut)
+  --no-overlays         Skip lower thirds and mandatory credits
+  --captions            Write SRT + VTT captions next to the video
+  --burn-captions       Burn captions into the video
+  --cookies <file>      Viory session cookies (default: the app's saved session)
+  --viory-record <dir>  Save Viory pages, downloads and AI answers to <dir>
+  --viory-replay <dir>  Run footage search offline from a --viory-record folder
+  --report <file>       Write the clip and credit picked for each segment as JSON
+  -h, --help            Show this help
+
+API keys come from the app's active key profile, or GEMINI_API_KEY and
+ASSEMBLYAI_API_KEY (keys sealed by the OS keychain only open inside the app).
+`;
+
+function printProgress({ stage, message, percent }) {
+    if (stage === 'export' && typeof percent === 'number') {
+        process.stdout.write(`[export] ${percent.toFixed(1).padStart(5)}% ${message || ''}\n`);
+        return;
+    }
+    process.stdout.write(`[${stage}] ${message}\n`);
+}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            script: { type: 'string' },
+            audio: { type: 'string' },
+            out: { type: 'string' },
+            manifest: { type: 'string' },
+            transcript: { type: 'string' },
+            transcriber: { type: 'string' },
+            align: { type: 'string' },
+            language: { type: 'string' },
+            brand: { type: 'string' },
+            resolution: { type: 'string' },
+            fps: { type: 'string' },
+            aspect: { type: 'string' },
+            reframe: { type: 'string' },
+            loudness: { type: 'string' },
+            transition: { type: 'string' },
+            bitrate: { type: 'string', default: '8000' },
+            'no-overlays': { type: 'boolean', default: false },
+            captions: { type: 'boolean', default: false },
+            'burn-captions': { type: 'boolean', default: false },
+            cookies: { type: 'string' },
+            'viory-record': { type: 'string' },
+            'viory-replay': { type: 'string' },
+            report: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const [command] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (command !== 'render') {
+        throw new Error(`Unknown command "${command}"`);
+    }
+
+    const missing = ['script', 'audio', 'out'].filter(name => !values[name]);
+    if (missing.length > 0) {
+        throw new Error(`Missing required option(s): ${missing.map(m => `--${m}`).join(', ')}`);
+    }
+
+    const bitrate = parseInt(values.bitrate, 10);
+    if (!Number.isFinite(bitrate) || bitrate <= 0) {
+        throw new Error(`Invalid --bitrate "${values.bitrate}"`);
+    }
+
+    if (values.align && !['transcript', 'forced'].includes(values.align)) {
+        throw new Error(`Invalid --align "${values.align}"`);
+    }
+
+    if (values.language && !LANGUAGES[values.language]) {
+        throw new Error(`Invalid --language "${values.language}"`);
+    }
+
+    if (values.resolution && !['1080p', '720p', '480p'].includes(values.resolution)) {
+        throw new Error(`Invalid --resolution "${values.resolution}"`);
+    }
+
+    const fps = values.fps ? parseInt(values.fps, 10) : null;
+    if (values.fps && ![24, 30, 60].includes(fps)) {
+        throw new Error(`Invalid --fps "${values.fps}"`);
+    }
+
+    const aspects = values.aspect ? values.aspect.split(',').map(a => a.trim()).filter(Boolean) : null;
+    const badAspect = aspects?.find(a => !ASPECT_PROFILES[a]);
+    if (badAspect || aspects?.length === 0) {
+        throw new Error(`Invalid --aspect "${values.aspect}"`);
+    }
+
+    if (values.reframe && !REFRAME_MODES.includes(values.reframe)) {
+        throw new Error(`Invalid --reframe "${values.reframe}"`);
+    }
+
+    if (values.loudness && values.loudness !== 'off' && !LOUDNESS_TARGETS[values.loudness]) {
+        throw new Error(`Invalid --loudness "${values.loudness}"`);
+    }
+
+    let transition = null;
+    if (values.transition) {
+        const [type, seconds] = values.transition.split(':');
+        try {
+            transition = normalizeTransition(seconds === undefined ? type : { type, duration: seconds });
+        } catch (e) {
+            throw new Error(`Invalid --transition "${values.transition}": ${e.message}`);
+        }
+    }
+
+    if (values['viory-record'] && values['viory-replay']) {
+        throw new Error('Use either --viory-record or --viory-replay, not both');
+    }
+    const vioryHarness = values['viory-record']
+        ? { mode: 'record', dir: path.resolve(values['viory-record']) }
+        : values['viory-replay'] ? { mode: 'replay', dir: path.resolve(values['viory-replay']) } : null;
+
+    // Loaded after argument checks so --help works without ffmpeg/canvas
+    const { runRenderPipeline } = await import('../services/pipeline/renderPipeline.js');
+
+    const started = Date.now();
+    const { outputPaths, segments } = await runRenderPipeline({
+        scriptPath: path.resolve(values.script),
+        audioPath: path.resolve(values.audio),
+        outputPath: path.resolve(values.out),
+        manifestPath: values.manifest ? path.resolve(values.manifest) : null,
+        transcriptPath: values.transcript ? path.resolve(values.transcript) : null,
+        transcriber: values.transcriber || null,
+        alignment: values.align || null,
+        language: values.language || null,
+        brand: values.brand || null,
+        resolution: values.resolution || null,
+        fps,
+        aspects,
+        reframe: values.reframe || null,
+        loudness: values.loudness || null,
+        transition,
+        bitrate,
+        overlays: !values['no-overlays'],
+        captions: { sidecar: values.captions, burnIn: values['burn-captions'] },
+        cookiesPath: values.cookies ? path.resolve(values.cookies) : null,
+        vioryHarness
+    }, printProgress);
+
+    if (values.report) {
+        const report = segments.map(seg => ({
+            index: seg.index,
+            headline: seg.headline,
+            clip: seg.clip || null,
+            credit: seg.mandatoryCredit || ''
+        }));
+        fs.writeFileSync(path.resolve(values.report), JSON.stringify({ outputPaths, segments: report }, null, 2));
+    }
+
+    process.stdout.write(`Done in ${((Date.now() - started) / 1000).toFixed(0)}s: ${outputPaths.join(', ')}\n`);
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+        process.stderr.write(`clicksync: ${error.message}\n`);
+        process.exit(1);
+    });
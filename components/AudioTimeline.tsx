@@ -11,7 +11,7 @@ interface AudioTimelineProps {
     segments: AlignedSegment[];
     onSegmentsUpdate: (newSegments: AlignedSegment[]) => void;
     onClose: () => void;
-    onDownloadAll: () => void;
+    onDownloadAll?: () => void;
 }
 
 export const AudioTimeline: React.FC<AudioTimelineProps> = ({
@@ -237,11 +237,16 @@ export const AudioTimeline: React.FC<AudioTimelineProps> = ({
     const syncStateAndHistory = () => {
         if (!regionsRef.current) return;
         const allRegions = regionsRef.current.getRegions().sort((a: any, b: any) => a.start - b.start);
-        const finalSegments = allRegions.map((r: any, i: number) => ({
-            ...segmentsRef.current[i],
-            start_time: r.start,
-            end_time: r.end
-        }));
+        const finalSegments = allRegions.map((r: any, i: number) => {
+            const seg = segmentsRef.current[i];
+            // Moving a flagged cut counts as reviewing it
+            const moved = seg && Math.abs(seg.start_time - r.start) > 0.01;
+            const startConfidence = moved && seg.startConfidence && !seg.startConfidence.reviewed
+                ? { ...seg.startConfidence, reviewed: true }
+                : seg?.startConfidence;
+            if (startConfidence !== seg?.startConfidence) r.setContent(buildRegionContent({ ...seg, startConfidence }, i));
+            return { ...seg, start_time: r.start, end_time: r.end, startConfidence };
+        });
         onSegmentsUpdate(finalSegments);
         setHistory(prev => {
             const last = prev[prev.length - 1];
@@ -293,27 +298,58 @@ export const AudioTimeline: React.FC<AudioTimelineProps> = ({
         }
     };
 
+    // Cuts the aligner wasn't sure about, still waiting for a manual check
+    const needsReview = (seg: AlignedSegment, idx: number) =>
+        idx > 0 && !!seg.startConfidence && seg.startConfidence.level !== 'high' && !seg.startConfidence.reviewed;
+
+    const buildRegionContent = (seg: AlignedSegment, idx: number) => {
+        // Create custom element for the label
+        const el = document.createElement('div');
+        el.className = 'flex flex-col h-full justify-between pointer-events-none overflow-hidden relative group';
+
+        // Low/medium confidence cuts get a colored left edge and a badge
+        const review = needsReview(seg, idx);
+        const reviewColor = seg.startConfidence?.level === 'low' ? '#EF4444' : '#F59E0B';
+        const leftHandle = review
+            ? `<div class="absolute left-0 top-0 bottom-0 w-[3px]" style="background: ${reviewColor}; box-shadow: 0 0 8px ${reviewColor};"></div>
+               <span class="absolute left-1 bottom-1" style="background: ${reviewColor}; padding: 1px 4px; border-radius: 3px; color: #000; font-size: 9px; font-weight: bold;">
+                   CHECK CUT ${Math.round((seg.startConfidence?.score || 0) * 100)}%
+               </span>`
+            : '<div class="absolute left-0 top-0 bottom-0 w-[1px] bg-white/20 group-hover:bg-white/50 transition-colors"></div>';
+
+        // Inner HTML with Handles
+        el.innerHTML = `
+            <div class="h-full w-full flex flex-col justify-start pt-1 pl-1">
+                 <span style="background: rgba(0,0,0,0.6); padding: 2px 4px; border-radius: 4px; color: rgba(255,255,255,0.9); font-size: 10px; font-weight: bold; text-transform: uppercase;">
+                    ${seg.title || `SEG ${idx + 1}`}
+                </span>
+            </div>
+            
+            <!-- Left Handle Indicators (Visual Only) -->
+            ${idx > 0 ? leftHandle : ''}
+            
+            <!-- Right Handle Indicators (Visual Only) -->
+            <div class="absolute right-0 top-0 bottom-0 w-[1px] bg-white/20 group-hover:bg-white/50 transition-colors"></div>
+        `;
+        return el;
+    };
+
+    // Jump the playhead to the next cut that needs review
+    const jumpToNextReview = () => {
+        if (!wavesurferRef.current) return;
+        const now = wavesurferRef.current.getCurrentTime();
+        const flagged = segments.filter(needsReview);
+        const next = flagged.find(s => s.start_time > now + 0.05) || flagged[0];
+        if (next) wavesurferRef.current.setTime(Math.max(0, next.start_time - 1));
+    };
+
+    const reviewCount = segments.filter(needsReview).length;
+
     const renderRegions = (segs: AlignedSegment[]) => {
         if (!regionsRef.current) return;
         regionsRef.current.clearRegions();
         segs.forEach((seg, idx) => {
-            // Create custom element for the label
-            const el = document.createElement('div');
-            el.className = 'flex flex-col h-full justify-between pointer-events-none overflow-hidden relative group';
-            // Inner HTML with Handles
-            el.innerHTML = `
-                <div class="h-full w-full flex flex-col justify-start pt-1 pl-1">
-                     <span style="background: rgba(0,0,0,0.6); padding: 2px 4px; border-radius: 4px; color: rgba(255,255,255,0.9); font-size: 10px; font-weight: bold; text-transform: uppercase;">
-                        ${seg.title || `SEG ${idx + 1}`}
-                    </span>
-                </div>
-                
-                <!-- Left Handle Indicators (Visual Only) -->
-                ${idx > 0 ? '<div class="absolute left-0 top-0 bottom-0 w-[1px] bg-white/20 group-hover:bg-white/50 transition-colors"></div>' : ''}
-                
-                <!-- Right Handle Indicators (Visual Only) -->
-                <div class="absolute right-0 top-0 bottom-0 w-[1px] bg-white/20 group-hover:bg-white/50 transition-colors"></div>
-            `;
+            const el = buildRegionContent(seg, idx);
 
             regionsRef.current.addRegion({
                 id: `seg-${idx}`,
@@ -368,16 +404,27 @@ export const AudioTimeline: React.FC<AudioTimelineProps> = ({
                 </div>
 
                 <div className="flex items-center gap-3">
+                    {reviewCount > 0 && (
+                        <button
+                            onClick={jumpToNextReview}
+                            className="flex items-center gap-1.5 px-2 py-1 rounded bg-amber-500/10 border border-amber-500/30 text-amber-400 text-[10px] font-bold uppercase tracking-wider hover:bg-amber-500/20 transition-all"
+                            title="Jump to the next low-confidence cut"
+                        >
+                            {reviewCount} {reviewCount === 1 ? 'Cut' : 'Cuts'} to Review
+                        </button>
+                    )}
                     <div className="text-[10px] font-mono text-gray-500 uppercase tracking-widest hidden md:block">
                         {segments.length} CLIPS / {formatTime(duration)}
                     </div>
-                    <button
-                        onClick={onDownloadAll}
-                        className="flex items-center gap-2 px-3 py-1.5 rounded bg-white/5 hover:bg-white/10 border border-white/10 text-[11px] font-bold uppercase transition-all active:scale-95"
-                    >
-                        <ArrowDownTrayIcon className="w-3.5 h-3.5" />
-                        Export
-                    </button>
+                    {onDownloadAll && (
+                        <button
+                            onClick={onDownloadAll}
+                            className="flex items-center gap-2 px-3 py-1.5 rounded bg-white/5 hover:bg-white/10 border border-white/10 text-[11px] font-bold uppercase transition-all active:scale-95"
+                        >
+                            <ArrowDownTrayIcon className="w-3.5 h-3.5" />
+                            Export
+                        </button>
+                    )}
                     <button onClick={onClose} className="p-2 hover:bg-red-500/10 hover:text-red-500 rounded transition-colors">
                         <XMarkIcon className="w-5 h-5" />
                     </button>
@@ -8,12 +8,16 @@ import {
     ArrowDownTrayIcon,
     CommandLineIcon,
     CheckCircleIcon,
-    XCircleIcon
+    XCircleIcon,
+    ArrowUturnLeftIcon,
+    ArrowUturnRightIcon
 } from '@heroicons/react/24/solid';
 import TitleBar from '../TitleBar';
-import TimelineCanvas, { TimelineSegment } from './TimelineCanvas';
+import TimelineCanvas, { TimelineSegment, VideoShot, StillMotion, NatSound, TimelineModel, TimelineItem, ClipPlacement, SegmentDetailsChange, OVERLAY_TRACK_HEIGHT, needsCutReview } from './TimelineCanvas';
+import { AudioTimeline } from '../AudioTimeline';
+import { TRANSITION_TYPES, DEFAULT_TRANSITION } from '../../services/timeline/transitions.js';
 import { useAudioSync } from '../../hooks/useAudioSync';
-import { AudioClip } from '../../types';
+import { AudioClip, AlignedSegment } from '../../types';
 import './editor.css';
 
 // Types
@@ -22,6 +26,14 @@ interface StoryBlockForExport {
     blobUrl: string;
 }
 
+// What undo and redo would do next (services/timeline/editHistory.js)
+export interface EditHistoryStatus {
+    canUndo: boolean;
+    canRedo: boolean;
+    undoLabel: string | null;
+    redoLabel: string | null;
+}
+
 interface EditorProps {
     project: any;
     timeline: any;
@@ -29,17 +41,68 @@ interface EditorProps {
     onReplaceClip: (segmentIndex: number) => void;
     onSkipSearch: (segmentIndex: number) => void;
     onManualVideoUrl: (segmentIndex: number, videoUrl: string) => Promise<any>;
+    onPickShot?: (segmentIndex: number, shotIndex: number) => Promise<any>;
+    onStillImage?: (segmentIndex: number, imagePath: string, motion?: StillMotion, zoom?: number) => Promise<any>;
+    onNatSound?: (segmentIndex: number, changes: { level?: number | null; sot?: boolean }) => Promise<any>;
+    // Transition into a segment (type null = project default) and the project default (null = hard cuts)
+    onTransition?: (segmentIndex: number, type: string | null, duration?: number) => Promise<any>;
+    defaultTransition?: { type: string; duration: number } | null;
+    onDefaultTransition?: (type: string | null, duration?: number) => Promise<any>;
+    // Cut points, headline and text; one undoable edit per call
+    onUpdateSegmentDetails?: (changes: SegmentDetailsChange[], label: string) => Promise<any>;
+    // B-roll on the overlay tracks of the multi-track model
+    timelineModel?: TimelineModel | null;
+    onAddOverlayItem?: (source: string, start: number) => Promise<any>;
+    onUpdateOverlayItem?: (trackId: string, itemId: string, changes: { start?: number; duration?: number; inPoint?: number }) => Promise<any>;
+    onRemoveOverlayItem?: (trackId: string, itemId: string) => Promise<any>;
     onApproveSegment: (segmentIndex: number) => void;
     onExportFinal: (options: ExportOptions, cb: (p: any) => void) => Promise<string>;
+    onQueueExport?: (options: ExportOptions) => void;
     onUpdateClipProperty: (index: number, prop: string, val: any) => void;
     onBack: () => void;
     audioUrl?: string | null;
     audioFilePath?: string; // New prop for export
     audioClips?: AudioClip[];
     onUpdateAudioClip?: (id: string, updates: Partial<AudioClip>) => void;
+    onAudioClipEdit?: (id: string, mode: 'move' | 'trim-left' | 'trim-right', before: ClipPlacement, after: ClipPlacement) => void;
+    // Undo/redo of clip replacements, trims and option changes
+    editHistory?: EditHistoryStatus;
+    onUndo?: () => void;
+    onRedo?: () => void;
     isProcessing?: boolean;
 }
 
+const STILL_MOTION_LABELS: Record<StillMotion, string> = {
+    'zoom-in': 'Zoom in',
+    'zoom-out': 'Zoom out',
+    'pan-left': 'Pan left',
+    'pan-right': 'Pan right',
+    'none': 'No motion'
+};
+
+const STILL_ZOOM_LEVELS = [
+    { value: 0.08, label: 'Subtle' },
+    { value: 0.15, label: 'Medium' },
+    { value: 0.3, label: 'Strong' }
+];
+
+// Nat sound under narration; 'default' follows Settings > Audio mix
+const NAT_SOUND_LEVELS = [
+    { value: 0, label: 'Muted' },
+    { value: 0.1, label: 'Low (10%)' },
+    { value: 0.25, label: 'Medium (25%)' },
+    { value: 0.5, label: 'High (50%)' }
+];
+
+const TRANSITION_DURATIONS = [0.25, 0.5, 1, 1.5];
+
+// Editable times of a B-roll item, in seconds
+const OVERLAY_ITEM_FIELDS: { key: 'start' | 'duration' | 'inPoint'; label: string; min: number }[] = [
+    { key: 'start', label: 'Start', min: 0 },
+    { key: 'duration', label: 'Length', min: 0.1 },
+    { key: 'inPoint', label: 'In', min: 0 }
+];
+
 const formatTime = (seconds: number) => {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
@@ -53,14 +116,30 @@ export const EditorView: React.FC<EditorProps> = ({
     onReplaceClip,
     onSkipSearch,
     onManualVideoUrl,
+    onPickShot,
+    onStillImage,
+    onNatSound,
+    onTransition,
+    defaultTransition = null,
+    onDefaultTransition,
+    onUpdateSegmentDetails,
+    timelineModel,
+    onAddOverlayItem,
+    onUpdateOverlayItem,
+    onRemoveOverlayItem,
     onApproveSegment,
     onExportFinal,
+    onQueueExport,
     onUpdateClipProperty,
     onBack,
     audioUrl,
     audioFilePath,
     audioClips,
     onUpdateAudioClip,
+    onAudioClipEdit,
+    editHistory,
+    onUndo,
+    onRedo,
     isProcessing
 }) => {
     const [selectedSegmentIndex, setSelectedSegmentIndex] = useState<number | null>(null);
@@ -70,6 +149,15 @@ export const EditorView: React.FC<EditorProps> = ({
     const [isResizingTimeline, setIsResizingTimeline] = useState(false);
     const [showExportModal, setShowExportModal] = useState(false);
     const [showConsole, setShowConsole] = useState(false);
+    const [exportDefaults, setExportDefaults] = useState<BrandPreset['export'] | undefined>(undefined);
+
+    // Export defaults come from the project's brand preset
+    useEffect(() => {
+        if (!window.electron?.brand) return;
+        window.electron.brand.get(project?.brandPresetId).then((res) => {
+            if (res.success) setExportDefaults(res.preset?.export);
+        });
+    }, [project?.brandPresetId]);
 
     // Manual Video URL State
     const [showManualUrlModal, setShowManualUrlModal] = useState(false);
@@ -77,6 +165,28 @@ export const EditorView: React.FC<EditorProps> = ({
     const [isSubmittingManual, setIsSubmittingManual] = useState(false);
     const [durationWarning, setDurationWarning] = useState<{ actual: number, required: number, segmentIndex: number, minimumRequired: number } | null>(null);
 
+    // Shot being trimmed to (shot picker)
+    const [pickingShot, setPickingShot] = useState<number | null>(null);
+
+    // Still images: segment under a dragged image, segment whose image is rendering
+    const [dropTarget, setDropTarget] = useState<number | null>(null);
+    const [renderingStill, setRenderingStill] = useState<number | null>(null);
+
+    // B-roll item picked on an overlay track
+    const [selectedOverlay, setSelectedOverlay] = useState<{ trackId: string; itemId: string } | null>(null);
+    // Narration open in the cut review (AudioTimeline), null while it is closed
+    const [cutReviewAudio, setCutReviewAudio] = useState<File | null>(null);
+    const selectedOverlayItem = selectedOverlay
+        ? timelineModel?.tracks.find(track => track.id === selectedOverlay.trackId)?.items.find(item => item.id === selectedOverlay.itemId) || null
+        : null;
+    const overlayTrackCount = timelineModel?.tracks.filter(track => track.role === 'overlay').length || 0;
+    const overlayItemCount = timelineModel?.tracks.filter(track => track.role === 'overlay').reduce((n, track) => n + track.items.length, 0) || 0;
+
+    // Make room for the overlay tracks
+    useEffect(() => {
+        setTimelineHeight(h => Math.max(h, Math.min(350, 180 + overlayTrackCount * OVERLAY_TRACK_HEIGHT)));
+    }, [overlayTrackCount]);
+
     // Overlay Status State
     const [overlayStatus, setOverlayStatus] = useState<{
         totalSegments: number;
@@ -117,6 +227,9 @@ export const EditorView: React.FC<EditorProps> = ({
         duration: seg.duration || ((seg.end_time ?? seg.endTime ?? 0) - (seg.start_time ?? seg.startTime ?? 0)),
         blobUrl: seg.blobUrl,
         video: seg.video,
+        startConfidence: seg.startConfidence,
+        natSound: seg.natSound,
+        transition: seg.transition,
         status: seg.status
     }));
 
@@ -125,6 +238,10 @@ export const EditorView: React.FC<EditorProps> = ({
         ? segments[segments.length - 1].end_time
         : 1);
 
+    // The review's drag handler outlives renders; it compares against the latest segments
+    const segmentsRef = useRef(segments);
+    segmentsRef.current = segments;
+
     const selectedSegment = selectedSegmentIndex !== null
         ? segments.find(seg => seg.index === selectedSegmentIndex) || null
         : null;
@@ -143,8 +260,8 @@ export const EditorView: React.FC<EditorProps> = ({
             // Prepare segments data for pre-rendering
             const segmentsForPreRender = segments.map((seg, idx) => ({
                 index: idx,
-                headline: seg.headline || seg.title || '',
-                title: seg.title || seg.headline || '',
+                headline: seg.video?.options?.lowerThird === false ? '' : (seg.headline || seg.title || ''),
+                title: seg.video?.options?.lowerThird === false ? '' : (seg.title || seg.headline || ''),
                 duration: seg.duration || 5,
                 mandatoryCredit: (seg as any).mandatoryCredit || ''
             }));
@@ -355,6 +472,118 @@ export const EditorView: React.FC<EditorProps> = ({
 
 
 
+    // Re-trim the selected segment's clip to start on another shot
+    const handlePickShot = async (segmentIndex: number, shotIndex: number) => {
+        if (!onPickShot) return;
+        setPickingShot(shotIndex);
+        try {
+            await onPickShot(segmentIndex, shotIndex);
+        } finally {
+            setPickingShot(null);
+        }
+    };
+
+    // Render an image (photo, map, screenshot) as the segment's clip
+    const applyStillImage = async (segmentIndex: number, imagePath: string, motion?: StillMotion, zoom?: number) => {
+        if (!onStillImage) return;
+        setRenderingStill(segmentIndex);
+        try {
+            await onStillImage(segmentIndex, imagePath, motion, zoom);
+        } finally {
+            setRenderingStill(null);
+        }
+    };
+
+    // Drag and drop props for anything that stands for a segment
+    const stillDropProps = (segmentIndex: number) => onStillImage ? {
+        onDragOver: (e: React.DragEvent) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            setDropTarget(segmentIndex);
+        },
+        onDragLeave: () => setDropTarget(null),
+        onDrop: (e: React.DragEvent) => {
+            e.preventDefault();
+            setDropTarget(null);
+            const image = Array.from(e.dataTransfer.files).find(file => file.type.startsWith('image/'));
+            const imagePath = image && window.electron?.getPathForFile?.(image);
+            if (imagePath) applyStillImage(segmentIndex, imagePath);
+        }
+    } : {};
+
+    // A video dropped on the timeline goes on an overlay track where it was dropped
+    const handleTimelineDrop = async (file: File, time: number) => {
+        if (!onAddOverlayItem || !file.type.startsWith('video/')) return;
+        const source = window.electron?.getPathForFile?.(file);
+        if (!source) return;
+        const result = await onAddOverlayItem(source, Math.round(time * 10) / 10);
+        if (result?.success) setSelectedOverlay({ trackId: result.trackId, itemId: result.item.id });
+    };
+
+    const handleOverlayItemChange = (item: TimelineItem, key: 'start' | 'duration' | 'inPoint', value: string) => {
+        if (!onUpdateOverlayItem || !selectedOverlay) return;
+        const seconds = Number(value);
+        if (!Number.isFinite(seconds) || seconds === item[key]) return;
+        onUpdateOverlayItem(selectedOverlay.trackId, item.id, { [key]: seconds });
+    };
+
+    const handleHeadlineChange = (segment: TimelineSegment, value: string) => {
+        const headline = value.trim();
+        if (!onUpdateSegmentDetails || !headline || headline === (segment.headline || segment.title)) return;
+        onUpdateSegmentDetails([{ index: segment.index, headline }], `Headline of segment ${segment.index + 1}`);
+    };
+
+    // ============ CUT REVIEW ============
+    // Low-confidence cuts from the aligner are flagged on the timeline; the review
+    // shows them on the narration waveform, where they can be moved
+    const cutsToReview = segments.filter(needsCutReview).length;
+    const canReviewCuts = !!audioUrl && !!onUpdateSegmentDetails && segments.length > 1 && segments.every(seg => seg.end_time > seg.start_time);
+
+    const alignedForReview: AlignedSegment[] = segments.map(seg => ({
+        title: seg.headline || seg.title || `Segment ${seg.index + 1}`,
+        text: seg.text,
+        start_time: seg.start_time,
+        end_time: seg.end_time,
+        startConfidence: seg.startConfidence
+    }));
+
+    const openCutReview = async () => {
+        if (!audioUrl) return;
+        try {
+            const blob = await (await fetch(audioUrl)).blob();
+            setCutReviewAudio(new File([blob], 'narration', { type: blob.type }));
+        } catch (e) {
+            console.error('[EditorView] Could not load the narration for the cut review:', e);
+        }
+    };
+
+    // One drag in the review moves a cut and the segments on both sides of it
+    const handleCutsUpdate = (aligned: AlignedSegment[]) => {
+        const changes: SegmentDetailsChange[] = [];
+        aligned.forEach((seg, i) => {
+            const current = segmentsRef.current[i];
+            if (!current) return;
+            const moved = Math.abs(seg.start_time - current.start_time) > 0.001 || Math.abs(seg.end_time - current.end_time) > 0.001;
+            const reviewed = !!seg.startConfidence?.reviewed && !current.startConfidence?.reviewed;
+            if (!moved && !reviewed) return;
+            changes.push({
+                index: current.index,
+                start_time: seg.start_time,
+                end_time: seg.end_time,
+                ...(reviewed ? { startConfidence: seg.startConfidence } : {})
+            });
+        });
+        if (changes.length === 0 || !onUpdateSegmentDetails) return;
+        const last = changes[changes.length - 1].index;
+        onUpdateSegmentDetails(changes, changes.length === 1 ? `Cut of segment ${last + 1}` : `Cut before segment ${last + 1}`);
+    };
+
+    const markCutReviewed = (segment: TimelineSegment) => {
+        if (!onUpdateSegmentDetails || !segment.startConfidence) return;
+        onUpdateSegmentDetails([{ index: segment.index, startConfidence: { ...segment.startConfidence, reviewed: true } }], `Cut before segment ${segment.index + 1} checked`);
+    };
+
     // Approve segment
     const handleApprove = (index: number) => {
         onApproveSegment(index);
@@ -383,6 +612,16 @@ export const EditorView: React.FC<EditorProps> = ({
                 document.activeElement?.tagName === 'TEXTAREA') {
                 return;
             }
+            // The cut review has its own shortcuts
+            if (cutReviewAudio) return;
+
+            // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+            if ((e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+                e.preventDefault();
+                if (e.code === 'KeyY' || e.shiftKey) onRedo?.();
+                else onUndo?.();
+                return;
+            }
 
             if (e.code === 'Space') {
                 e.preventDefault();
@@ -397,7 +636,7 @@ export const EditorView: React.FC<EditorProps> = ({
         };
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [playPause, selectedSegment]);
+    }, [playPause, selectedSegment, onUndo, onRedo, cutReviewAudio]);
 
     // Find current segment info
     const currentSegmentInfo = segments.find(s =>
@@ -524,8 +763,9 @@ export const EditorView: React.FC<EditorProps> = ({
                     <div className="segments-list">
                         {segments.map((seg) => (
                             <div key={seg.index} id={`segment-item-${seg.index}`}
-                                className={`segment-item ${seg.status} ${selectedSegmentIndex === seg.index ? 'selected' : ''}`}
+                                className={`segment-item ${seg.status} ${selectedSegmentIndex === seg.index ? 'selected' : ''} ${dropTarget === seg.index ? 'drop-target' : ''}`}
                                 onClick={() => handleSegmentClick(seg)}
+                                {...stillDropProps(seg.index)}
                             >
                                 {/* Mini thumbnail */}
                                 <div className="segment-thumbnail">
@@ -579,7 +819,13 @@ export const EditorView: React.FC<EditorProps> = ({
                 <main className="preview-panel">
                     {viewMode === 'timeline' && selectedSegment && (
                         <div className="segment-preview">
-                            <div className="preview-video-container">
+                            <div
+                                className={`preview-video-container ${dropTarget === selectedSegment.index ? 'drop-target' : ''}`}
+                                {...stillDropProps(selectedSegment.index)}
+                            >
+                                {renderingStill === selectedSegment.index && (
+                                    <div className="still-rendering">Rendering image...</div>
+                                )}
                                 {selectedSegment.video ? (
                                     <video
                                         ref={videoRef}
@@ -632,12 +878,13 @@ export const EditorView: React.FC<EditorProps> = ({
                                                     <XCircleIcon style={{ width: 48, height: 48, color: '#FF453A' }} />
                                                 </div>
                                                 <span className="error-text">ERROR</span>
-                                                <span className="error-subtext">Match failed. Use the buttons below to retry or add manually.</span>
+                                                <span className="error-subtext">Match failed. Use the buttons below to retry or add manually, or drop an image here.</span>
                                             </div>
                                         ) : (
                                             <>
                                                 <FilmIcon style={{ width: 40, height: 40, color: '#444' }} />
                                                 <p style={{ color: '#555' }}>No video yet</p>
+                                                {onStillImage && <p className="drop-hint">Drop a photo, map or screenshot to use a still</p>}
                                             </>
                                         )}
                                     </div>
@@ -649,10 +896,205 @@ export const EditorView: React.FC<EditorProps> = ({
                                     <span className="segment-badge">Segment {selectedSegment.index + 1}</span>
                                     <span className="segment-duration">{selectedSegment.duration?.toFixed(1)}s</span>
                                 </div>
-                                <h2 className="preview-title">{selectedSegment.headline || selectedSegment.title}</h2>
+                                {needsCutReview(selectedSegment) && (
+                                    <div className="nat-sound-controls">
+                                        <span className="shot-picker-label">
+                                            Uncertain cut ({Math.round(selectedSegment.startConfidence!.score * 100)}%)
+                                        </span>
+                                        {canReviewCuts && (
+                                            <button onClick={openCutReview} className="nat-sot-toggle" title="Move the cut on the narration waveform">
+                                                Adjust
+                                            </button>
+                                        )}
+                                        {onUpdateSegmentDetails && (
+                                            <button onClick={() => markCutReviewed(selectedSegment)} className="nat-sot-toggle" title="The cut is right where it is">
+                                                Cut OK
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                                {onUpdateSegmentDetails ? (
+                                    <input
+                                        key={`${selectedSegment.index}-${selectedSegment.headline}`}
+                                        defaultValue={selectedSegment.headline || selectedSegment.title || ''}
+                                        onBlur={(e) => handleHeadlineChange(selectedSegment, e.target.value)}
+                                        onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                                        className="preview-title preview-title-input"
+                                        title="Headline, shown as the lower third in the export"
+                                    />
+                                ) : (
+                                    <h2 className="preview-title">{selectedSegment.headline || selectedSegment.title}</h2>
+                                )}
                                 {selectedSegment.text && (
                                     <p className="preview-text">{selectedSegment.text.slice(0, 180)}{selectedSegment.text.length > 180 ? '...' : ''}</p>
                                 )}
+                                {onStillImage && selectedSegment.video?.still && (
+                                    <div className="still-controls">
+                                        <span className="shot-picker-label">Still image</span>
+                                        <select
+                                            value={selectedSegment.video.still.motion}
+                                            disabled={renderingStill !== null}
+                                            onChange={(e) => applyStillImage(selectedSegment.index, selectedSegment.video!.still!.imagePath, e.target.value as StillMotion, selectedSegment.video!.still!.zoom)}
+                                            className="still-select"
+                                        >
+                                            {(Object.keys(STILL_MOTION_LABELS) as StillMotion[]).map(motion => (
+                                                <option key={motion} value={motion}>{STILL_MOTION_LABELS[motion]}</option>
+                                            ))}
+                                        </select>
+                                        <select
+                                            value={selectedSegment.video.still.zoom}
+                                            disabled={renderingStill !== null || selectedSegment.video.still.motion === 'none'}
+                                            onChange={(e) => applyStillImage(selectedSegment.index, selectedSegment.video!.still!.imagePath, selectedSegment.video!.still!.motion, Number(e.target.value))}
+                                            className="still-select"
+                                        >
+                                            {STILL_ZOOM_LEVELS.map(level => (
+                                                <option key={level.value} value={level.value}>{level.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+                                {onNatSound && selectedSegment.video?.hasNatSound && (() => {
+                                    const natSound: NatSound = selectedSegment.natSound || {};
+                                    return (
+                                        <div className="nat-sound-controls">
+                                            <span className="shot-picker-label">Nat sound</span>
+                                            <select
+                                                value={natSound.level === undefined ? 'default' : String(natSound.level)}
+                                                disabled={natSound.sot}
+                                                onChange={(e) => onNatSound(selectedSegment.index, { level: e.target.value === 'default' ? null : Number(e.target.value) })}
+                                                className="still-select"
+                                                title="How loud the clip's own sound plays under the narration"
+                                            >
+                                                <option value="default">Default level</option>
+                                                {NAT_SOUND_LEVELS.map(level => (
+                                                    <option key={level.value} value={level.value}>{level.label}</option>
+                                                ))}
+                                                {natSound.level !== undefined && !NAT_SOUND_LEVELS.some(level => level.value === natSound.level) && (
+                                                    <option value={natSound.level}>{Math.round(natSound.level * 100)}%</option>
+                                                )}
+                                            </select>
+                                            <button
+                                                onClick={() => onNatSound(selectedSegment.index, { sot: !natSound.sot })}
+                                                className={`nat-sot-toggle ${natSound.sot ? 'active' : ''}`}
+                                                title="Sound on tape: the clip plays at full level and the narration pauses"
+                                            >
+                                                SOT
+                                            </button>
+                                        </div>
+                                    );
+                                })()}
+                                {selectedSegment.video && (selectedSegment.headline || selectedSegment.title) && (() => {
+                                    const lowerThird = selectedSegment.video.options?.lowerThird !== false;
+                                    return (
+                                        <div className="nat-sound-controls">
+                                            <span className="shot-picker-label">Overlays</span>
+                                            <button
+                                                onClick={() => onUpdateClipProperty(selectedSegment.index, 'lowerThird', !lowerThird)}
+                                                className={`nat-sot-toggle ${lowerThird ? 'active' : ''}`}
+                                                title="Show the headline as a lower third on this clip in the export"
+                                            >
+                                                Lower third
+                                            </button>
+                                        </div>
+                                    );
+                                })()}
+                                {onTransition && selectedSegment.index > 0 && (() => {
+                                    const transition = selectedSegment.transition;
+                                    const playing = transition || defaultTransition || DEFAULT_TRANSITION;
+                                    return (
+                                        <div className="nat-sound-controls">
+                                            <span className="shot-picker-label">Transition in</span>
+                                            <select
+                                                value={transition?.type ?? 'default'}
+                                                onChange={(e) => onTransition(selectedSegment.index, e.target.value === 'default' ? null : e.target.value, transition?.duration ?? defaultTransition?.duration)}
+                                                className="still-select"
+                                                title="Transition at the cut before this segment"
+                                            >
+                                                <option value="default">Project default ({TRANSITION_TYPES[(defaultTransition || DEFAULT_TRANSITION).type as keyof typeof TRANSITION_TYPES].label})</option>
+                                                {Object.entries(TRANSITION_TYPES).map(([type, { label }]) => (
+                                                    <option key={type} value={type}>{label}</option>
+                                                ))}
+                                            </select>
+                                            <select
+                                                value={playing.duration}
+                                                disabled={!transition || transition.type === 'cut'}
+                                                onChange={(e) => onTransition(selectedSegment.index, transition!.type, Number(e.target.value))}
+                                                className="still-select"
+                                                title="Length of the transition, centred on the cut"
+                                            >
+                                                {TRANSITION_DURATIONS.map(duration => (
+                                                    <option key={duration} value={duration}>{duration}s</option>
+                                                ))}
+                                                {!TRANSITION_DURATIONS.includes(playing.duration) && (
+                                                    <option value={playing.duration}>{playing.duration}s</option>
+                                                )}
+                                            </select>
+                                        </div>
+                                    );
+                                })()}
+                                {selectedOverlay && selectedOverlayItem && (
+                                    <div className="overlay-item-controls">
+                                        <span className="shot-picker-label" title={selectedOverlayItem.source || ''}>
+                                            {selectedOverlay.trackId} B-roll · {selectedOverlayItem.label || selectedOverlayItem.id}
+                                        </span>
+                                        <div className="overlay-item-fields">
+                                            {OVERLAY_ITEM_FIELDS.map(field => (
+                                                <label key={field.key} className="overlay-item-field">
+                                                    {field.label}
+                                                    <input
+                                                        key={`${selectedOverlayItem.id}-${selectedOverlayItem[field.key]}`}
+                                                        type="number"
+                                                        step={0.1}
+                                                        min={field.min}
+                                                        defaultValue={selectedOverlayItem[field.key]}
+                                                        disabled={!onUpdateOverlayItem}
+                                                        onBlur={(e) => handleOverlayItemChange(selectedOverlayItem, field.key, e.target.value)}
+                                                        onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                                                        className="still-select"
+                                                    />
+                                                </label>
+                                            ))}
+                                            {onRemoveOverlayItem && (
+                                                <button
+                                                    onClick={() => {
+                                                        onRemoveOverlayItem(selectedOverlay.trackId, selectedOverlayItem.id);
+                                                        setSelectedOverlay(null);
+                                                    }}
+                                                    className="nat-sot-toggle"
+                                                    title="Take the B-roll off the timeline"
+                                                >
+                                                    Remove
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                )}
+                                {onPickShot && selectedSegment.video?.shots && selectedSegment.video.shots.length > 0 && (selectedSegment.status === 'found' || selectedSegment.status === 'approved') && (() => {
+                                    const shots = selectedSegment.video!.shots!;
+                                    const best = shots.reduce<VideoShot | null>((top, shot) => ((shot.score ?? 0) > (top?.score ?? 0) ? shot : top), null);
+                                    return (
+                                        <div className="shot-picker">
+                                            <span className="shot-picker-label">Shot list - click a shot to start the clip there</span>
+                                            {shots.map(shot => (
+                                                <button
+                                                    key={shot.index}
+                                                    onClick={() => handlePickShot(selectedSegment.index, shot.index)}
+                                                    disabled={pickingShot !== null}
+                                                    className={`shot-option ${shot.index === selectedSegment.video!.shotIndex ? 'active' : ''}`}
+                                                    title={shot.estimated ? `${shot.text} (timing estimated)` : shot.text}
+                                                >
+                                                    <span className="shot-time">{shot.estimated ? '~' : ''}{formatTime(shot.start)}</span>
+                                                    <span className="shot-text">{shot.text}</span>
+                                                    {pickingShot === shot.index ? (
+                                                        <span className="shot-tag">Trimming...</span>
+                                                    ) : best && shot.index === best.index && (
+                                                        <span className="shot-tag">Best match</span>
+                                                    )}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    );
+                                })()}
                             </div>
 
                             <div className="preview-actions">
@@ -713,6 +1155,15 @@ export const EditorView: React.FC<EditorProps> = ({
 
 
 
+            {cutReviewAudio && (
+                <AudioTimeline
+                    audioFile={cutReviewAudio}
+                    segments={alignedForReview}
+                    onSegmentsUpdate={handleCutsUpdate}
+                    onClose={() => setCutReviewAudio(null)}
+                />
+            )}
+
             <ExportModal
                 isOpen={showExportModal}
                 onClose={() => {
@@ -732,9 +1183,15 @@ export const EditorView: React.FC<EditorProps> = ({
                         setExportProgress({ stage: 'error', percent: 0, error: String(e) });
                     }
                 }}
+                onQueue={onQueueExport ? (options) => {
+                    onQueueExport(options);
+                    setShowExportModal(false);
+                } : undefined}
                 projectDuration={computedDuration}
                 previewImage={segments[0]?.video?.previewUrl || ''}
                 segments={segments} // Pass segments for frame-by-frame preview
+                defaults={exportDefaults}
+                overlayItemCount={overlayItemCount}
                 isExporting={!!exportProgress}
                 progress={exportProgress}
                 onReset={() => {
@@ -783,6 +1240,67 @@ export const EditorView: React.FC<EditorProps> = ({
                         </span>
                     )}
 
+                    {/* Cuts to check on the narration waveform */}
+                    {canReviewCuts && (
+                        <button
+                            className={`cut-review-btn ${cutsToReview > 0 ? 'pending' : ''}`}
+                            onClick={openCutReview}
+                            title="Check and move the cuts on the narration waveform"
+                        >
+                            {cutsToReview > 0 ? `${cutsToReview} ${cutsToReview === 1 ? 'cut' : 'cuts'} to review` : 'Review cuts'}
+                        </button>
+                    )}
+
+                    {/* Project default transition at the cuts */}
+                    {onDefaultTransition && (
+                        <div className="timeline-transition-default" title="Transition at every cut without one of its own">
+                            <select
+                                value={defaultTransition?.type ?? 'cut'}
+                                onChange={(e) => onDefaultTransition(e.target.value === 'cut' ? null : e.target.value, defaultTransition?.duration)}
+                                className="still-select"
+                            >
+                                {Object.entries(TRANSITION_TYPES).map(([type, { label }]) => (
+                                    <option key={type} value={type}>{label}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={(defaultTransition || DEFAULT_TRANSITION).duration}
+                                disabled={!defaultTransition}
+                                onChange={(e) => onDefaultTransition(defaultTransition!.type, Number(e.target.value))}
+                                className="still-select"
+                            >
+                                {TRANSITION_DURATIONS.map(duration => (
+                                    <option key={duration} value={duration}>{duration}s</option>
+                                ))}
+                                {defaultTransition && !TRANSITION_DURATIONS.includes(defaultTransition.duration) && (
+                                    <option value={defaultTransition.duration}>{defaultTransition.duration}s</option>
+                                )}
+                            </select>
+                        </div>
+                    )}
+
+                    {/* Undo / Redo */}
+                    {(onUndo || onRedo) && (
+                        <div className="history-controls">
+                            <button
+                                className="history-btn"
+                                onClick={onUndo}
+                                disabled={!editHistory?.canUndo}
+                                title={editHistory?.undoLabel ? `Undo ${editHistory.undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+                            >
+                                <ArrowUturnLeftIcon />
+                            </button>
+                            <button
+                                className="history-btn"
+                                onClick={onRedo}
+                                disabled={!editHistory?.canRedo}
+                                title={editHistory?.redoLabel ? `Redo ${editHistory.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                            >
+                                <ArrowUturnRightIcon />
+                            </button>
+                        </div>
+                    )}
+
                     {/* Console Toggle Button */}
                     <button
                         className={`console-toggle-btn ${showConsole ? 'active' : ''}`}
@@ -802,6 +1320,7 @@ export const EditorView: React.FC<EditorProps> = ({
                         audioUrl={audioUrl || null}
                         audioClips={audioClips}
                         onUpdateAudioClip={onUpdateAudioClip}
+                        onAudioClipEdit={onAudioClipEdit}
                         audioBuffer={audioBuffer} // Pass buffer to avoid re-decode
                         selectedSegmentIndex={selectedSegmentIndex}
                         onSegmentClick={handleSegmentClick}
@@ -810,6 +1329,10 @@ export const EditorView: React.FC<EditorProps> = ({
                         onInteractionEnd={handleInteractionEnd}
                         isPlaying={isPlaying}
                         height={timelineHeight - 48}
+                        model={timelineModel}
+                        selectedOverlayItemId={selectedOverlay?.itemId ?? null}
+                        onOverlayItemClick={(trackId, item) => setSelectedOverlay({ trackId, itemId: item.id })}
+                        onDropFile={onAddOverlayItem ? handleTimelineDrop : undefined}
                     />
                 </div>
             </footer>
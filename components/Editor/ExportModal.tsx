@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { XMarkIcon, FolderIcon, FilmIcon, CheckBadgeIcon, ChevronDownIcon, StopIcon } from '@heroicons/react/24/solid';
+import { XMarkIcon, FolderIcon, FilmIcon, CheckBadgeIcon, ChevronDownIcon, StopIcon, ExclamationTriangleIcon } from '@heroicons/react/24/solid';
 
 export interface ExportOptions {
     fileName: string;
@@ -7,10 +7,32 @@ export interface ExportOptions {
     resolution: '1080p' | '720p' | '480p';
     bitrate: number; // In kbps
     codec: 'h264';
-    format: 'mp4';
+    format: ExportFormat;
     fps: 24 | 30 | 60;
+    captions: CaptionOptions;
+    aspects: AspectRatio[]; // One video per aspect ratio, in this order
+    reframe: ReframeMode;
+    loudnessTarget: LoudnessTargetId | 'off'; // services/audioMix.js
 }
 
+// 9:16 and 1:1 are cropped from the 16:9 edit (services/reframe.js);
+// "tracked" moves the crop to follow faces and movement instead of centring it
+export type AspectRatio = '16:9' | '9:16' | '1:1';
+export type ReframeMode = 'center' | 'tracked';
+
+// Captions are built from the transcript word timings (services/captions.js)
+export interface CaptionOptions {
+    sidecar: boolean; // SRT + VTT next to the export
+    burnIn: boolean;  // Rendered into the video (mp4 only)
+    rules: {
+        maxCharsPerLine: number;
+        maxCharsPerSecond: number;
+    };
+}
+
+// mp4 renders the video; the others write the timeline for Premiere/Resolve/FCP
+export type ExportFormat = 'mp4' | 'fcpxml' | 'edl' | 'otio';
+
 // YouTube recommended bitrates (in kbps) for H.264
 const YOUTUBE_BITRATES: Record<string, Record<number, number>> = {
     '1080p': { 24: 8000, 30: 8000, 60: 12000 },
@@ -24,12 +46,32 @@ const RESOLUTION_OPTIONS = [
     { value: '480p', label: '480p (SD)', width: 854, height: 480 },
 ] as const;
 
+const ASPECT_OPTIONS = [
+    { value: '16:9', description: 'Landscape' },
+    { value: '9:16', description: 'Shorts / Reels' },
+    { value: '1:1', description: 'Square' },
+] as const;
+
+// Output size for an aspect ratio; the resolution names the short side
+const aspectSize = (aspect: AspectRatio, shortSide: number) => {
+    if (aspect === '9:16') return { width: shortSide, height: Math.round((shortSide * 16) / 9 / 2) * 2 };
+    if (aspect === '1:1') return { width: shortSide, height: shortSide };
+    return { width: Math.round((shortSide * 16) / 9 / 2) * 2, height: shortSide };
+};
+
 const FPS_OPTIONS = [
     { value: 60, label: '60 fps', description: 'Smooth motion' },
     { value: 30, label: '30 fps', description: 'Standard' },
     { value: 24, label: '24 fps', description: 'Cinematic' },
 ] as const;
 
+const FORMAT_OPTIONS = [
+    { value: 'mp4', label: 'MP4 Video', summary: 'MP4' },
+    { value: 'fcpxml', label: 'FCPXML (Final Cut / Resolve)', summary: 'FCPXML Timeline' },
+    { value: 'edl', label: 'EDL (CMX3600)', summary: 'EDL Timeline' },
+    { value: 'otio', label: 'OpenTimelineIO', summary: 'OTIO Timeline' },
+] as const;
+
 interface TimelineSegment {
     index: number;
     headline?: string;
@@ -45,6 +87,7 @@ interface ExportModalProps {
     isOpen: boolean;
     onClose: () => void;
     onExport: (options: ExportOptions) => void;
+    onQueue?: (options: ExportOptions) => void; // Export later as a background job
     defaultFileName?: string;
     projectDuration?: number;
     previewImage?: string;
@@ -67,15 +110,19 @@ interface ExportModalProps {
         segmentIndex?: number;
         totalSegments?: number;
         renderProgress?: number; // Internal render progress (0-100)
+        variant?: { aspect: AspectRatio; index: number; total: number }; // Multi-aspect exports
     } | null;
     onReset?: () => void;
     onCancel?: () => void; // Cancel export
+    defaults?: Partial<Pick<ExportOptions, 'resolution' | 'fps' | 'format'>>; // From the project's brand preset
+    overlayItemCount?: number; // B-roll items on V2+; the export then renders every segment again
 }
 
 export const ExportModal: React.FC<ExportModalProps> = ({
     isOpen,
     onClose,
     onExport,
+    onQueue,
     defaultFileName = 'video_export',
     projectDuration = 0,
     previewImage,
@@ -83,7 +130,9 @@ export const ExportModal: React.FC<ExportModalProps> = ({
     isExporting = false,
     progress,
     onReset,
-    onCancel
+    onCancel,
+    defaults,
+    overlayItemCount = 0
 }) => {
     const [fileName, setFileName] = useState(defaultFileName);
     const [exportPath, setExportPath] = useState('');
@@ -91,10 +140,22 @@ export const ExportModal: React.FC<ExportModalProps> = ({
     // Configurable settings with optimal defaults
     const [resolution, setResolution] = useState<'1080p' | '720p' | '480p'>('1080p');
     const [fps, setFps] = useState<24 | 30 | 60>(60);
+    const [format, setFormat] = useState<ExportFormat>('mp4');
+    const [captionSidecar, setCaptionSidecar] = useState(false);
+    const [captionBurnIn, setCaptionBurnIn] = useState(false);
+    const [maxCharsPerLine, setMaxCharsPerLine] = useState(42);
+    const [maxCharsPerSecond, setMaxCharsPerSecond] = useState(17);
+    const [aspects, setAspects] = useState<AspectRatio[]>(['16:9']);
+    const [reframe, setReframe] = useState<ReframeMode>('center');
+    const [loudnessTarget, setLoudnessTarget] = useState<LoudnessTargetId | 'off'>('youtube');
+    const [loudnessTargets, setLoudnessTargets] = useState<AudioMixSettingsResponse['targets']>();
 
     // Fixed settings
     const codec = 'h264';
-    const format = 'mp4';
+
+    // Interchange formats reference the source clips, nothing is encoded
+    const isInterchange = format !== 'mp4';
+    const formatDetails = FORMAT_OPTIONS.find(f => f.value === format) || FORMAT_OPTIONS[0];
 
     // Calculate optimal bitrate based on resolution and fps (YouTube recommendations)
     const bitrate = useMemo(() => {
@@ -106,6 +167,34 @@ export const ExportModal: React.FC<ExportModalProps> = ({
         return RESOLUTION_OPTIONS.find(r => r.value === resolution) || RESOLUTION_OPTIONS[0];
     }, [resolution]);
 
+    // Keep the ratios in menu order and at least one selected
+    const toggleAspect = (aspect: AspectRatio) => {
+        setAspects(prev => {
+            const next = prev.includes(aspect) ? prev.filter(a => a !== aspect) : [...prev, aspect];
+            if (next.length === 0) return prev;
+            return ASPECT_OPTIONS.map(opt => opt.value as AspectRatio).filter(a => next.includes(a));
+        });
+    };
+    const isReframing = aspects.some(a => a !== '16:9');
+
+    // Brand preset export defaults, applied each time the modal opens
+    useEffect(() => {
+        if (!isOpen || !defaults) return;
+        if (defaults.resolution) setResolution(defaults.resolution);
+        if (defaults.fps) setFps(defaults.fps);
+        if (defaults.format) setFormat(defaults.format);
+    }, [isOpen, defaults]);
+
+    // Loudness target from Settings > Audio mix, changeable per export
+    useEffect(() => {
+        if (!isOpen || !window.electron?.audioMix) return;
+        window.electron.audioMix.getSettings().then(res => {
+            if (!res.success || !res.settings) return;
+            setLoudnessTarget(res.settings.loudnessTarget);
+            setLoudnessTargets(res.targets);
+        });
+    }, [isOpen]);
+
     // Initial Path Load
     useEffect(() => {
         if (isOpen && window.electron) {
@@ -124,16 +213,26 @@ export const ExportModal: React.FC<ExportModalProps> = ({
         }
     };
 
+    const buildOptions = (): ExportOptions => ({
+        fileName,
+        filePath: exportPath,
+        resolution,
+        bitrate,
+        codec,
+        format,
+        fps,
+        captions: {
+            sidecar: captionSidecar,
+            burnIn: captionBurnIn && !isInterchange,
+            rules: { maxCharsPerLine, maxCharsPerSecond }
+        },
+        aspects,
+        reframe,
+        loudnessTarget
+    });
+
     const handleExportClick = () => {
-        onExport({
-            fileName,
-            filePath: exportPath,
-            resolution,
-            bitrate,
-            codec,
-            format,
-            fps
-        });
+        onExport(buildOptions());
     };
 
     // Calculate current segment based on progress for frame preview
@@ -159,8 +258,8 @@ export const ExportModal: React.FC<ExportModalProps> = ({
     const estimatedSizeMB = useMemo(() => {
         const videoSizeMB = (bitrate * projectDuration) / 8 / 1024;
         const audioSizeMB = (320 * projectDuration) / 8 / 1024;
-        return Math.max(1, Math.round(videoSizeMB + audioSizeMB));
-    }, [bitrate, projectDuration]);
+        return Math.max(1, Math.round((videoSizeMB + audioSizeMB) * aspects.length));
+    }, [bitrate, projectDuration, aspects.length]);
 
     if (!isOpen) return null;
 
@@ -285,7 +384,10 @@ export const ExportModal: React.FC<ExportModalProps> = ({
                                     <div className="mt-4 flex items-center gap-2">
                                         <div className="w-2 h-2 rounded-full bg-[#FF0055] animate-pulse" />
                                         <span className="text-[#888] text-xs uppercase tracking-wider">
-                                            {progress?.stage === 'preparing' ? 'Preparing' : 'Encoding'}
+                                            {progress?.stage === 'preparing' ? 'Preparing'
+                                                : progress?.stage === 'reframing' ? 'Reframing'
+                                                    : progress?.stage === 'measuring_loudness' ? 'Measuring loudness'
+                                                        : 'Encoding'}
                                         </span>
                                         {progress?.fps && (
                                             <span className="text-[#30D158] text-xs font-mono ml-2">{progress.fps} fps</span>
@@ -295,6 +397,15 @@ export const ExportModal: React.FC<ExportModalProps> = ({
                             )}
                         </div>
 
+                        {/* Variant Indicator - Top Left */}
+                        {!isComplete && !isError && progress?.variant && progress.variant.total > 1 && (
+                            <div className="absolute top-4 left-4">
+                                <span className="text-[#555] text-xs font-mono">
+                                    {progress.variant.aspect} • {progress.variant.index}/{progress.variant.total}
+                                </span>
+                            </div>
+                        )}
+
                         {/* Time Indicator - Top Right */}
                         {!isComplete && !isError && progress?.time && (
                             <div className="absolute top-4 right-4">
@@ -381,10 +492,15 @@ export const ExportModal: React.FC<ExportModalProps> = ({
                     <div className="mt-4 text-center space-y-1">
                         <h3 className="text-[#888] font-medium text-xs uppercase tracking-wider">Output Summary</h3>
                         <p className="text-[10px] text-[#555] font-mono">
-                            {resolutionDetails.width}x{resolutionDetails.height} • {fps} FPS • H.264
+                            {isInterchange
+                                ? `${resolutionDetails.width}x${resolutionDetails.height}`
+                                : aspects.map(a => {
+                                    const size = aspectSize(a, resolutionDetails.height);
+                                    return `${size.width}x${size.height}`;
+                                }).join(' + ')} • {fps} FPS{isInterchange ? '' : ' • H.264'}
                         </p>
                         <p className="text-[9px] text-[#444] font-mono">
-                            {(bitrate / 1000).toFixed(1)} Mbps • MP4
+                            {isInterchange ? formatDetails.summary : `${(bitrate / 1000).toFixed(1)} Mbps • MP4`}
                         </p>
                     </div>
                 </div>
@@ -403,17 +519,39 @@ export const ExportModal: React.FC<ExportModalProps> = ({
 
                     <div className="flex-1 p-6 space-y-4 overflow-y-auto">
 
-                        {/* YouTube Optimized Banner */}
+                        {/* YouTube Optimized Banner / Interchange Info */}
                         <div className="bg-[#111] border border-[#222] rounded-lg p-3 flex items-start gap-3">
                             <CheckBadgeIcon className="w-5 h-5 text-[#FF0055] mt-0.5 flex-shrink-0" />
-                            <div>
-                                <h3 className="text-white text-xs font-bold mb-0.5">YouTube Optimized Bitrate</h3>
-                                <p className="text-[#666] text-[10px] leading-relaxed">
-                                    Bitrate is automatically set to <b>{(bitrate / 1000).toFixed(1)} Mbps</b> based on your resolution and frame rate settings.
-                                </p>
-                            </div>
+                            {isInterchange ? (
+                                <div>
+                                    <h3 className="text-white text-xs font-bold mb-0.5">Editable Timeline</h3>
+                                    <p className="text-[#666] text-[10px] leading-relaxed">
+                                        Writes clips, narration, lower thirds and mandatory credits as separate layers, linked to the downloaded footage. Open it in Premiere, Resolve or Final Cut to finish the cut.
+                                    </p>
+                                </div>
+                            ) : (
+                                <div>
+                                    <h3 className="text-white text-xs font-bold mb-0.5">YouTube Optimized Bitrate</h3>
+                                    <p className="text-[#666] text-[10px] leading-relaxed">
+                                        Bitrate is automatically set to <b>{(bitrate / 1000).toFixed(1)} Mbps</b> based on your resolution and frame rate settings.
+                                    </p>
+                                </div>
+                            )}
                         </div>
 
+                        {/* Pre-rendered segments have the lower thirds baked in; B-roll goes under them */}
+                        {!isInterchange && overlayItemCount > 0 && (
+                            <div className="bg-[#111] border border-[#FF9F0A]/30 rounded-lg p-3 flex items-start gap-3">
+                                <ExclamationTriangleIcon className="w-5 h-5 text-[#FF9F0A] mt-0.5 flex-shrink-0" />
+                                <div>
+                                    <h3 className="text-white text-xs font-bold mb-0.5">Slower Export With B-roll</h3>
+                                    <p className="text-[#666] text-[10px] leading-relaxed">
+                                        The timeline has {overlayItemCount} B-roll item{overlayItemCount === 1 ? '' : 's'}, so the pre-rendered segments can't be used: every segment is rendered again with the B-roll under its lower third and credit. Remove the B-roll to get the fast export back.
+                                    </p>
+                                </div>
+                            </div>
+                        )}
+
                         {/* Resolution & FPS Row */}
                         <div className="grid grid-cols-2 gap-3">
                             {/* Resolution */}
@@ -455,22 +593,143 @@ export const ExportModal: React.FC<ExportModalProps> = ({
                             </div>
                         </div>
 
-                        {/* Codec & Format Info (Read-only) */}
+                        {/* Aspect Ratios - one video each */}
+                        {!isInterchange && (
+                            <div className="space-y-1.5">
+                                <label className="text-[#666] text-[10px] font-bold uppercase tracking-wider">Aspect Ratio</label>
+                                <div className="grid grid-cols-3 gap-2">
+                                    {ASPECT_OPTIONS.map(opt => {
+                                        const selected = aspects.includes(opt.value);
+                                        return (
+                                            <button
+                                                key={opt.value}
+                                                type="button"
+                                                onClick={() => toggleAspect(opt.value)}
+                                                className={`rounded-md border px-2 py-1.5 text-left transition-all ${selected ? 'border-[#FF0055] bg-[#FF0055]/10 text-white' : 'border-[#2A2A2A] bg-[#111] text-[#777] hover:border-[#444]'}`}
+                                            >
+                                                <div className="text-xs font-bold font-mono">{opt.value}</div>
+                                                <div className="text-[9px] text-[#666]">{opt.description}</div>
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                                {isReframing && (
+                                    <div className="relative">
+                                        <select
+                                            value={reframe}
+                                            onChange={(e) => setReframe(e.target.value as ReframeMode)}
+                                            className="w-full bg-[#111] border border-[#2A2A2A] rounded-md px-3 py-2 text-gray-200 text-sm focus:border-[#FF0055] focus:ring-1 focus:ring-[#FF0055]/20 outline-none transition-all appearance-none cursor-pointer hover:border-[#444]"
+                                        >
+                                            <option value="center">Centre crop</option>
+                                            <option value="tracked">Follow faces and action</option>
+                                        </select>
+                                        <ChevronDownIcon className="w-4 h-4 text-[#666] absolute right-3 top-1/2 -translate-y-1/2 pointer-events-none" />
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Loudness */}
+                        {!isInterchange && loudnessTargets && (
+                            <div className="space-y-1.5">
+                                <label className="text-[#666] text-[10px] font-bold uppercase tracking-wider">Loudness</label>
+                                <div className="relative">
+                                    <select
+                                        value={loudnessTarget}
+                                        onChange={(e) => setLoudnessTarget(e.target.value as LoudnessTargetId | 'off')}
+                                        className="w-full bg-[#111] border border-[#2A2A2A] rounded-md px-3 py-2 text-gray-200 text-sm focus:border-[#FF0055] focus:ring-1 focus:ring-[#FF0055]/20 outline-none transition-all appearance-none cursor-pointer hover:border-[#444]"
+                                    >
+                                        {Object.entries(loudnessTargets).map(([id, target]) => (
+                                            <option key={id} value={id}>
+                                                {target.label}
+                                            </option>
+                                        ))}
+                                        <option value="off">Off (levels as mixed)</option>
+                                    </select>
+                                    <ChevronDownIcon className="w-4 h-4 text-[#666] absolute right-3 top-1/2 -translate-y-1/2 pointer-events-none" />
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Codec (Read-only) & Format */}
                         <div className="grid grid-cols-2 gap-3">
                             <div className="space-y-1.5">
                                 <label className="text-[#666] text-[10px] font-bold uppercase tracking-wider">Codec</label>
                                 <div className="bg-[#0A0A0A] border border-[#1A1A1A] rounded-md px-3 py-2 text-[#555] text-sm font-mono">
-                                    H.264 (AVC)
+                                    {isInterchange ? 'Source Media' : 'H.264 (AVC)'}
                                 </div>
                             </div>
                             <div className="space-y-1.5">
                                 <label className="text-[#666] text-[10px] font-bold uppercase tracking-wider">Format</label>
-                                <div className="bg-[#0A0A0A] border border-[#1A1A1A] rounded-md px-3 py-2 text-[#555] text-sm font-mono">
-                                    MP4
+                                <div className="relative">
+                                    <select
+                                        value={format}
+                                        onChange={(e) => setFormat(e.target.value as ExportFormat)}
+                                        className="w-full bg-[#111] border border-[#2A2A2A] rounded-md px-3 py-2 text-gray-200 text-sm focus:border-[#FF0055] focus:ring-1 focus:ring-[#FF0055]/20 outline-none transition-all appearance-none cursor-pointer hover:border-[#444]"
+                                    >
+                                        {FORMAT_OPTIONS.map(opt => (
+                                            <option key={opt.value} value={opt.value}>
+                                                {opt.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <ChevronDownIcon className="w-4 h-4 text-[#666] absolute right-3 top-1/2 -translate-y-1/2 pointer-events-none" />
                                 </div>
                             </div>
                         </div>
 
+                        {/* Captions */}
+                        <div className="space-y-1.5">
+                            <label className="text-[#666] text-[10px] font-bold uppercase tracking-wider">Captions</label>
+                            <div className="bg-[#111] border border-[#2A2A2A] rounded-md px-3 py-2 space-y-2">
+                                <label className="flex items-center gap-2 text-gray-300 text-xs cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={captionSidecar}
+                                        onChange={(e) => setCaptionSidecar(e.target.checked)}
+                                        className="accent-[#FF0055]"
+                                    />
+                                    Save SRT + VTT files
+                                </label>
+                                <label className={`flex items-center gap-2 text-xs ${isInterchange ? 'text-[#444] cursor-not-allowed' : 'text-gray-300 cursor-pointer'}`}>
+                                    <input
+                                        type="checkbox"
+                                        checked={captionBurnIn && !isInterchange}
+                                        disabled={isInterchange}
+                                        onChange={(e) => setCaptionBurnIn(e.target.checked)}
+                                        className="accent-[#FF0055]"
+                                    />
+                                    Burn captions into video
+                                </label>
+                                {(captionSidecar || (captionBurnIn && !isInterchange)) && (
+                                    <div className="grid grid-cols-2 gap-3 pt-1">
+                                        <div className="space-y-1">
+                                            <span className="text-[#555] text-[10px]">Max chars / line</span>
+                                            <input
+                                                type="number"
+                                                min={16}
+                                                max={80}
+                                                value={maxCharsPerLine}
+                                                onChange={(e) => setMaxCharsPerLine(Math.max(16, Number(e.target.value) || 42))}
+                                                className="w-full bg-[#0A0A0A] border border-[#2A2A2A] rounded-md px-2 py-1 text-gray-200 text-xs font-mono focus:border-[#FF0055] outline-none"
+                                            />
+                                        </div>
+                                        <div className="space-y-1">
+                                            <span className="text-[#555] text-[10px]">Max chars / second</span>
+                                            <input
+                                                type="number"
+                                                min={8}
+                                                max={30}
+                                                value={maxCharsPerSecond}
+                                                onChange={(e) => setMaxCharsPerSecond(Math.max(8, Number(e.target.value) || 17))}
+                                                className="w-full bg-[#0A0A0A] border border-[#2A2A2A] rounded-md px-2 py-1 text-gray-200 text-xs font-mono focus:border-[#FF0055] outline-none"
+                                            />
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+
                         {/* File Name */}
                         <div className="space-y-1.5">
                             <label className="text-[#666] text-[10px] font-bold uppercase tracking-wider">File Name</label>
@@ -509,7 +768,7 @@ export const ExportModal: React.FC<ExportModalProps> = ({
                     <div className="p-4 bg-[#0F0F0F] border-t border-[#222] flex justify-between items-center">
                         <div className="flex flex-col">
                             <span className="text-[9px] text-[#555] uppercase font-bold">Estimated Size</span>
-                            <span className="text-[11px] text-[#888] font-mono">~{estimatedSizeMB} MB</span>
+                            <span className="text-[11px] text-[#888] font-mono">{isInterchange ? '< 1 MB' : `~${estimatedSizeMB} MB`}</span>
                         </div>
                         <div className="flex gap-2">
                             <button
@@ -518,11 +777,20 @@ export const ExportModal: React.FC<ExportModalProps> = ({
                             >
                                 Cancel
                             </button>
+                            {onQueue && (
+                                <button
+                                    onClick={() => onQueue(buildOptions())}
+                                    className="px-4 py-2 rounded-md text-[11px] font-semibold text-[#aaa] border border-[#2A2A2A] hover:text-white hover:border-[#555] transition-colors"
+                                    title="Export after the editor is closed, from the Jobs queue"
+                                >
+                                    Queue in Background
+                                </button>
+                            )}
                             <button
                                 onClick={handleExportClick}
                                 className="px-6 py-2 rounded-md text-[11px] font-bold text-white bg-[#FF0055] hover:bg-[#D90049] shadow-lg shadow-[#FF0055]/20 hover:shadow-[#FF0055]/40 active:scale-95 transition-all"
                             >
-                                Export Video
+                                {isInterchange ? 'Export Timeline' : 'Export Video'}
                             </button>
                         </div>
                     </div>
@@ -1,8 +1,27 @@
-import React, { useRef, useEffect, useState, useCallback, memo } from 'react';
+import React, { useRef, useEffect, useState, useCallback, useMemo, memo } from 'react';
 import { PeakData, computePeaks, computePeaksFromUrl, drawWaveform } from '../../utils/WaveformPeaks';
-import { AudioClip } from '../../types';
+import { AudioClip, BoundaryConfidence } from '../../types';
+import { trackItems } from '../../services/timeline/trackModel.js';
 
 // Segment type matching existing data flow
+// Shot from the clip's shot list (services/providers/shotList.js)
+export interface VideoShot {
+    index: number;
+    start: number;
+    end: number | null;
+    text: string;
+    estimated?: boolean;
+    score?: number;
+}
+
+// Camera move of a still-image segment (services/videoEditor.js STILL_MOTIONS)
+export type StillMotion = 'zoom-in' | 'zoom-out' | 'pan-left' | 'pan-right' | 'none';
+
+export interface NatSound {
+    level?: number;
+    sot?: boolean;
+}
+
 export interface TimelineSegment {
     index: number;
     title?: string;
@@ -16,10 +35,74 @@ export interface TimelineSegment {
         previewUrl?: string;
         thumbnail?: string;
         title?: string;
+        shots?: VideoShot[];
+        shotIndex?: number | null;
+        inPoint?: number;
+        still?: { imagePath: string; motion: StillMotion; zoom: number };
+        hasNatSound?: boolean;
+        // Inspector options (electron/main.cjs CLIP_OPTIONS); lowerThird false = no lower third
+        options?: { lowerThird?: boolean };
     };
+    // How sure the aligner is about the cut at start_time (services/script/forcedAligner.js)
+    startConfidence?: BoundaryConfidence;
+    // Clip's own audio in the export (services/audioMix.js); level unset = Settings default
+    natSound?: NatSound;
+    // Transition at the cut before the segment (services/timeline/transitions.js); unset = project default
+    transition?: { type: string; duration: number };
     status?: 'pending' | 'searching' | 'found' | 'approved' | 'error' | 'error_handled' | 'skipped';
 }
 
+// Cuts the aligner wasn't sure about, still waiting for a manual check
+export const needsCutReview = (seg: TimelineSegment) =>
+    seg.index > 0 && !!seg.startConfidence && seg.startConfidence.level !== 'high' && !seg.startConfidence.reviewed;
+
+// Cut points and text of a segment (smart-update-segment-details); unset = unchanged
+export interface SegmentDetailsChange {
+    index: number;
+    start_time?: number;
+    end_time?: number;
+    startConfidence?: BoundaryConfidence;
+    headline?: string;
+    text?: string;
+}
+
+// Multi-track model (services/timeline/trackModel.js)
+export interface ClipPlacement {
+    startTime: number;
+    duration: number;
+    offset: number;
+}
+
+export interface TimelineItem {
+    id: string;
+    start: number;
+    duration: number;
+    source: string | null;
+    inPoint: number;
+    segmentIndex?: number;
+    transition?: { type: string; duration: number } | null;
+    label?: string;
+    level?: number; // Nat sound / music
+    sot?: boolean;
+    fadeIn?: number; // Nat sound across a transition; unset = Settings fade
+    fadeOut?: number;
+    loop?: boolean; // Music
+}
+
+export interface TimelineTrack {
+    id: string; // V1, V2..., A1-A3
+    kind: 'video' | 'audio';
+    role: 'primary' | 'overlay' | 'narration' | 'natSound' | 'music';
+    label: string;
+    items: TimelineItem[];
+}
+
+export interface TimelineModel {
+    version: number;
+    duration: number;
+    tracks: TimelineTrack[];
+}
+
 interface TimelineCanvasProps {
     segments: TimelineSegment[];
     currentTime: number;
@@ -28,6 +111,8 @@ interface TimelineCanvasProps {
     audioBuffer?: AudioBuffer | null; // Unified buffer support
     audioClips?: AudioClip[];
     onUpdateAudioClip?: (id: string, updates: Partial<AudioClip>) => void;
+    // Once per drag, with the clip's place before and after it (undo history)
+    onAudioClipEdit?: (id: string, mode: 'move' | 'trim-left' | 'trim-right', before: ClipPlacement, after: ClipPlacement) => void;
     selectedSegmentIndex: number | null;
     onSegmentClick: (segment: TimelineSegment) => void;
     onSeek: (time: number) => void;
@@ -35,6 +120,13 @@ interface TimelineCanvasProps {
     onInteractionEnd?: () => void;
     isPlaying: boolean;
     height?: number;
+    // The tracks as the export plays them: V1, the audio lanes and the overlay
+    // tracks (B-roll) above the video track, highest on top. Without a model
+    // the tracks are drawn from the segments.
+    model?: TimelineModel | null;
+    selectedOverlayItemId?: string | null;
+    onOverlayItemClick?: (trackId: string, item: TimelineItem) => void;
+    onDropFile?: (file: File, time: number) => void;
 }
 
 
@@ -42,6 +134,11 @@ interface TimelineCanvasProps {
 const RULER_HEIGHT = 24;
 const VIDEO_TRACK_HEIGHT = 50;
 const AUDIO_TRACK_HEIGHT = 55;
+export const OVERLAY_TRACK_HEIGHT = 22;
+// Nat sound lane along the bottom of the audio track
+const NAT_LANE_HEIGHT = 12;
+const NAT_FADE = 0.3; // s, drawn ramp at each cut (Settings default)
+const NAT_DEFAULT_LEVEL = 0.15; // Drawn for segments that follow Settings
 const TRACK_LABEL_WIDTH = 50;
 const MIN_PIXELS_PER_SECOND = 10;
 const MAX_PIXELS_PER_SECOND = 500;
@@ -74,6 +171,28 @@ const COLORS = {
     waveform: '#FF6B8A',
     waveformAlt: '#E85A79',
 
+    // Nat sound and SOT
+    natSound: 'rgba(48, 209, 88, 0.55)',
+    natSoundDefault: 'rgba(48, 209, 88, 0.3)',
+    sot: '#FF9F0A',
+    sotTint: 'rgba(255, 159, 10, 0.08)',
+
+    // Cuts to review (low / medium aligner confidence)
+    cutLow: '#EF4444',
+    cutMedium: '#F59E0B',
+
+    // Overlay tracks (B-roll)
+    overlayItem: 'rgba(10, 132, 255, 0.22)',
+    overlayItemSelected: 'rgba(10, 132, 255, 0.4)',
+    overlayItemBorder: 'rgba(10, 132, 255, 0.6)',
+
+    // Music bed (A3)
+    music: 'rgba(100, 210, 255, 0.45)',
+
+    // Transitions at the cuts
+    transition: 'rgba(191, 90, 242, 0.3)',
+    transitionBorder: 'rgba(191, 90, 242, 0.8)',
+
     // Playhead and accent
     playhead: '#FF0055',
     accent: '#FF0055',
@@ -105,10 +224,16 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
     isPlaying,
     audioClips,
     onUpdateAudioClip,
-    height = 180
+    onAudioClipEdit,
+    height = 180,
+    model,
+    selectedOverlayItemId,
+    onOverlayItemClick,
+    onDropFile
 }) => {
     const containerRef = useRef<HTMLDivElement>(null);
     const rulerCanvasRef = useRef<HTMLCanvasElement>(null);
+    const overlayTrackCanvasRef = useRef<HTMLCanvasElement>(null);
     const videoTrackCanvasRef = useRef<HTMLCanvasElement>(null);
     const audioTrackCanvasRef = useRef<HTMLCanvasElement>(null);
     const playheadRef = useRef<HTMLDivElement>(null);
@@ -122,6 +247,28 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
     const [draggingClipId, setDraggingClipId] = useState<string | null>(null);
     const [dragStartX, setDragStartX] = useState(0);
     const [dragStartTime, setDragStartTime] = useState(0);
+    const [isDropTarget, setIsDropTarget] = useState(false);
+
+    // Highest overlay track first, as drawn
+    const overlayTracks = useMemo(
+        () => (model?.tracks || []).filter(track => track.role === 'overlay').reverse(),
+        [model]
+    );
+    const overlayHeight = overlayTracks.length * OVERLAY_TRACK_HEIGHT;
+
+    // Where each segment's picture plays: its V1 item, or its narration time
+    // when there is no model or it has no clip yet (not on V1)
+    const pictureBlocks = useMemo(() => {
+        const placed = new Map<number, TimelineItem>(
+            (trackItems(model, 'V1') as TimelineItem[]).map(item => [item.segmentIndex!, item])
+        );
+        return segments.map(seg => {
+            const item = placed.get(seg.index);
+            return item
+                ? { seg, start: item.start, end: item.start + item.duration, transition: item.transition || null }
+                : { seg, start: seg.start_time, end: seg.end_time, transition: null };
+        });
+    }, [model, segments]);
 
     // Refs for tracking
     const rafRef = useRef<number | null>(null);
@@ -319,6 +466,50 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
         }
     }, [canvasWidth, duration, pixelsPerSecond, scrollOffset, timeToPixel]);
 
+    // Draw overlay tracks (one row each, items at their place on the timeline)
+    const drawOverlayTracks = useCallback(() => {
+        const canvas = overlayTrackCanvasRef.current;
+        if (!canvas || overlayTracks.length === 0) return;
+
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = canvasWidth * dpr;
+        canvas.height = overlayHeight * dpr;
+        ctx.scale(dpr, dpr);
+
+        overlayTracks.forEach((track, row) => {
+            const y = row * OVERLAY_TRACK_HEIGHT;
+            ctx.fillStyle = row % 2 === 0 ? COLORS.trackAltBackground : COLORS.trackBackground;
+            ctx.fillRect(0, y, canvasWidth, OVERLAY_TRACK_HEIGHT);
+
+            track.items.forEach(item => {
+                const x = timeToPixel(item.start);
+                const width = item.duration * pixelsPerSecond;
+                if (x + width < 0 || x > canvasWidth) return;
+                const isSelected = item.id === selectedOverlayItemId;
+                const padding = 2;
+
+                ctx.fillStyle = isSelected ? COLORS.overlayItemSelected : COLORS.overlayItem;
+                ctx.fillRect(x + padding, y + padding, width - padding * 2, OVERLAY_TRACK_HEIGHT - padding * 2);
+                ctx.strokeStyle = isSelected ? COLORS.accent : COLORS.overlayItemBorder;
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x + padding + 0.5, y + padding + 0.5, width - padding * 2 - 1, OVERLAY_TRACK_HEIGHT - padding * 2 - 1);
+
+                if (width > 30) {
+                    let label = item.label || item.id;
+                    ctx.fillStyle = COLORS.textPrimary;
+                    ctx.font = '9px Inter, system-ui, sans-serif';
+                    while (ctx.measureText(label).width > width - 12 && label.length > 1) label = label.slice(0, -1);
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(label, x + 6, y + OVERLAY_TRACK_HEIGHT / 2);
+                    ctx.textBaseline = 'alphabetic';
+                }
+            });
+        });
+    }, [canvasWidth, overlayTracks, overlayHeight, pixelsPerSecond, selectedOverlayItemId, timeToPixel]);
+
     // Draw video track
     const drawVideoTrack = useCallback(() => {
         const canvas = videoTrackCanvasRef.current;
@@ -341,14 +532,14 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
         const visibleEndTime = (scrollOffset + canvasWidth) / pixelsPerSecond;
 
         // Filter visible segments
-        const visibleSegments = segments.filter(seg =>
-            seg.end_time > visibleStartTime && seg.start_time < visibleEndTime
+        const visibleBlocks = pictureBlocks.filter(block =>
+            block.end > visibleStartTime && block.start < visibleEndTime
         );
 
         // Draw segments
-        visibleSegments.forEach(seg => {
-            const x = timeToPixel(seg.start_time);
-            const width = (seg.end_time - seg.start_time) * pixelsPerSecond;
+        visibleBlocks.forEach(({ seg, start, end }) => {
+            const x = timeToPixel(start);
+            const width = (end - start) * pixelsPerSecond;
             const isSelected = seg.index === selectedSegmentIndex;
             const padding = 2;
             const radius = 4;
@@ -381,6 +572,17 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
             ctx.lineTo(x + 0.5, VIDEO_TRACK_HEIGHT);
             ctx.stroke();
 
+            // Uncertain cut: colored edge and a badge until it is checked
+            if (needsCutReview(seg)) {
+                const cutColor = seg.startConfidence!.level === 'low' ? COLORS.cutLow : COLORS.cutMedium;
+                ctx.fillStyle = cutColor;
+                ctx.fillRect(x, 0, 2, VIDEO_TRACK_HEIGHT);
+                if (width > 110) {
+                    ctx.font = 'bold 8px Inter, system-ui, sans-serif';
+                    ctx.fillText(`CHECK CUT ${Math.round(seg.startConfidence!.score * 100)}%`, x + 44, VIDEO_TRACK_HEIGHT - 6);
+                }
+            }
+
             // Segment number - simple text, no badge
             ctx.fillStyle = isSelected ? COLORS.accent : COLORS.textMuted;
             ctx.font = 'bold 9px Inter, system-ui, sans-serif';
@@ -434,7 +636,28 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                 ctx.fill();
             }
         });
-    }, [canvasWidth, segments, pixelsPerSecond, scrollOffset, selectedSegmentIndex, timeToPixel]);
+
+        // Transitions: a bow tie over the window, centred on the cut
+        pictureBlocks.forEach(({ start, transition }) => {
+            if (!transition) return;
+            const x = timeToPixel(start);
+            const half = Math.max(4, (transition.duration / 2) * pixelsPerSecond);
+            if (x + half < 0 || x - half > canvasWidth) return;
+            const top = VIDEO_TRACK_HEIGHT / 2 - 8;
+            const bottom = VIDEO_TRACK_HEIGHT / 2 + 8;
+            ctx.fillStyle = COLORS.transition;
+            ctx.strokeStyle = COLORS.transitionBorder;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x - half, top);
+            ctx.lineTo(x + half, bottom);
+            ctx.lineTo(x + half, top);
+            ctx.lineTo(x - half, bottom);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        });
+    }, [canvasWidth, pictureBlocks, pixelsPerSecond, scrollOffset, selectedSegmentIndex, timeToPixel]);
 
     const drawAudioTrack = useCallback(() => {
         const canvas = audioTrackCanvasRef.current;
@@ -452,6 +675,62 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
         ctx.fillStyle = COLORS.trackAltBackground;
         ctx.fillRect(0, 0, canvasWidth, AUDIO_TRACK_HEIGHT);
 
+        // Clip sound per segment: level bar with fades at the cuts, SOT tinted
+        // over the whole track (the narration pauses there). The model's nat
+        // sound track (A2) places it and fades it where the export does.
+        const natItems = model
+            ? (trackItems(model, 'A2') as TimelineItem[]).map(item => ({
+                start: item.start,
+                end: item.start + item.duration,
+                natSound: { level: item.level, sot: item.sot } as NatSound,
+                fadeIn: item.fadeIn ?? NAT_FADE,
+                fadeOut: item.fadeOut ?? NAT_FADE
+            }))
+            : segments
+                .filter(seg => seg.video?.hasNatSound)
+                .map(seg => ({ start: seg.start_time, end: seg.end_time, natSound: seg.natSound, fadeIn: NAT_FADE, fadeOut: NAT_FADE }));
+        const drawNatSound = () => {
+            natItems.forEach(seg => {
+                const x = timeToPixel(seg.start);
+                const width = (seg.end - seg.start) * pixelsPerSecond;
+                if (x + width < 0 || x > canvasWidth) return;
+
+                const sot = !!seg.natSound?.sot;
+                if (sot) {
+                    ctx.fillStyle = COLORS.sotTint;
+                    ctx.fillRect(x, 0, width, AUDIO_TRACK_HEIGHT);
+                    ctx.font = 'bold 9px Inter, system-ui, sans-serif';
+                    ctx.fillStyle = COLORS.sot;
+                    ctx.fillText('SOT', x + 6, 11);
+                }
+
+                const level = sot ? 1 : (seg.natSound?.level ?? NAT_DEFAULT_LEVEL);
+                if (level <= 0) return;
+                const barHeight = Math.max(2, level * NAT_LANE_HEIGHT);
+                const rampIn = Math.min(seg.fadeIn * pixelsPerSecond, width / 2);
+                const rampOut = Math.min(seg.fadeOut * pixelsPerSecond, width / 2);
+                ctx.fillStyle = sot ? COLORS.sot : (seg.natSound?.level === undefined ? COLORS.natSoundDefault : COLORS.natSound);
+                ctx.beginPath();
+                ctx.moveTo(x, AUDIO_TRACK_HEIGHT);
+                ctx.lineTo(x + rampIn, AUDIO_TRACK_HEIGHT - barHeight);
+                ctx.lineTo(x + width - rampOut, AUDIO_TRACK_HEIGHT - barHeight);
+                ctx.lineTo(x + width, AUDIO_TRACK_HEIGHT);
+                ctx.closePath();
+                ctx.fill();
+            });
+        };
+
+        // Music bed (A3): a thin bar along the top, as long as the export plays it
+        const drawMusic = () => {
+            (trackItems(model, 'A3') as TimelineItem[]).forEach(item => {
+                const x = timeToPixel(item.start);
+                const width = item.duration * pixelsPerSecond;
+                if (x + width < 0 || x > canvasWidth || !(item.level! > 0)) return;
+                ctx.fillStyle = COLORS.music;
+                ctx.fillRect(x, 0, width, 3);
+            });
+        };
+
         // NLE MODE: Draw discrete clips
         if (audioClips && audioClips.length > 0 && peaks) {
             audioClips.forEach(clip => {
@@ -485,31 +764,56 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                 ctx.lineWidth = 1;
                 ctx.strokeRect(x + padding, padding, width - padding * 2, AUDIO_TRACK_HEIGHT - padding * 2);
             });
+            drawNatSound();
+            drawMusic();
             return;
         }
 
-        // LEGACY / FALLBACK MODE: Draw full waveform
+        // LEGACY / FALLBACK MODE: Draw the narration waveform, only where the
+        // model's narration track (A1) plays it
         if (peaks) {
-            drawWaveform(ctx, peaks, {
-                x: 0,
-                y: 0,
-                width: canvasWidth,
-                height: AUDIO_TRACK_HEIGHT,
-                color: COLORS.waveform,
-                pixelsPerSecond,
-                scrollOffset
-            });
+            const narration = trackItems(model, 'A1') as TimelineItem[];
+            if (model) {
+                narration.forEach(item => {
+                    // Visible part only; the narration spans the whole timeline
+                    const x = timeToPixel(item.start);
+                    const left = Math.max(0, x);
+                    const right = Math.min(canvasWidth, x + item.duration * pixelsPerSecond);
+                    if (right <= left) return;
+                    drawWaveform(ctx, peaks, {
+                        x: left,
+                        y: 0,
+                        width: right - left,
+                        height: AUDIO_TRACK_HEIGHT,
+                        color: COLORS.waveform,
+                        pixelsPerSecond,
+                        scrollOffset: item.inPoint * pixelsPerSecond + (left - x),
+                        startTime: item.inPoint,
+                        endTime: item.inPoint + item.duration
+                    });
+                });
+            } else {
+                drawWaveform(ctx, peaks, {
+                    x: 0,
+                    y: 0,
+                    width: canvasWidth,
+                    height: AUDIO_TRACK_HEIGHT,
+                    color: COLORS.waveform,
+                    pixelsPerSecond,
+                    scrollOffset
+                });
+            }
         }
 
         // Segment dividers
         const visibleStartTime = scrollOffset / pixelsPerSecond;
         const visibleEndTime = (scrollOffset + canvasWidth) / pixelsPerSecond;
 
-        segments.forEach(seg => {
-            if (seg.end_time < visibleStartTime || seg.start_time > visibleEndTime) return;
+        pictureBlocks.forEach(({ seg, start, end }) => {
+            if (end < visibleStartTime || start > visibleEndTime) return;
 
-            const x = timeToPixel(seg.start_time);
-            const width = (seg.end_time - seg.start_time) * pixelsPerSecond;
+            const x = timeToPixel(start);
+            const width = (end - start) * pixelsPerSecond;
             const isSelected = seg.index === selectedSegmentIndex;
             const padding = 2;
 
@@ -531,7 +835,9 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
             ctx.lineTo(x + 0.5, AUDIO_TRACK_HEIGHT);
             ctx.stroke();
         });
-    }, [canvasWidth, peaks, segments, audioClips, pixelsPerSecond, scrollOffset, selectedSegmentIndex, timeToPixel, draggingClipId]);
+        drawNatSound();
+        drawMusic();
+    }, [canvasWidth, peaks, segments, model, pictureBlocks, audioClips, pixelsPerSecond, scrollOffset, selectedSegmentIndex, timeToPixel, draggingClipId]);
 
     // Update playhead position
     const updatePlayhead = useCallback(() => {
@@ -545,10 +851,11 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
     // Redraw on changes
     useEffect(() => {
         drawRuler();
+        drawOverlayTracks();
         drawVideoTrack();
         drawAudioTrack();
         updatePlayhead();
-    }, [drawRuler, drawVideoTrack, drawAudioTrack, updatePlayhead]);
+    }, [drawRuler, drawOverlayTracks, drawVideoTrack, drawAudioTrack, updatePlayhead]);
 
     // Playhead animation loop when playing
     useEffect(() => {
@@ -583,10 +890,18 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
         const x = e.clientX - rect.left - TRACK_LABEL_WIDTH;
         const time = pixelToTime(x);
 
-        // Find segment at this time
-        const clickedSegment = segments.find(seg =>
-            time >= seg.start_time && time < seg.end_time
-        );
+        // Overlay item under the click (the segment under it is selected too)
+        const overlayRow = Math.floor((e.clientY - rect.top - RULER_HEIGHT) / OVERLAY_TRACK_HEIGHT);
+        if (onOverlayItemClick && overlayRow >= 0 && overlayRow < overlayTracks.length) {
+            const track = overlayTracks[overlayRow];
+            const item = track.items.find(it => time >= it.start && time < it.start + it.duration);
+            if (item) onOverlayItemClick(track.id, item);
+        }
+
+        // Find segment at this time, where its picture is drawn
+        const clickedSegment = pictureBlocks.find(block =>
+            time >= block.start && time < block.end
+        )?.seg;
 
         if (clickedSegment) {
             onSegmentClick(clickedSegment);
@@ -600,7 +915,7 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
         // DO NOT call onInteractionEnd - stay paused at clicked position
         // This is the standard behavior in video editors like Premiere
 
-    }, [isDraggingPlayhead, pixelToTime, segments, onSegmentClick, onSeek, duration, onInteractionStart]);
+    }, [isDraggingPlayhead, pixelToTime, pictureBlocks, onSegmentClick, onSeek, duration, onInteractionStart, onOverlayItemClick, overlayTracks]);
 
 
     // Handle wheel for scrolling and zooming (native function for useEffect)
@@ -700,15 +1015,32 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                 background: COLORS.background,
                 position: 'relative',
                 overflow: 'hidden',
-                userSelect: 'none'
+                userSelect: 'none',
+                boxShadow: isDropTarget ? `inset 0 0 0 1px ${COLORS.overlayItemBorder}` : undefined
             }}
             onClick={handleClick}
+            onDragOver={onDropFile ? (e) => {
+                if (!e.dataTransfer.types.includes('Files')) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+                setIsDropTarget(true);
+            } : undefined}
+            onDragLeave={() => setIsDropTarget(false)}
+            onDrop={onDropFile ? (e) => {
+                e.preventDefault();
+                setIsDropTarget(false);
+                const file = e.dataTransfer.files[0];
+                if (!file || !containerRef.current) return;
+                const rect = containerRef.current.getBoundingClientRect();
+                const time = pixelToTime(e.clientX - rect.left - TRACK_LABEL_WIDTH);
+                onDropFile(file, Math.max(0, Math.min(time, duration)));
+            } : undefined}
             onMouseMove={(e) => {
                 // Dynamic cursor for trimming
                 if (audioClips && audioClips.length > 0 && containerRef.current && !draggingClipId && !isDraggingPlayhead) {
                     const rect = containerRef.current.getBoundingClientRect();
                     const y = e.clientY - rect.top;
-                    const audioTrackY = RULER_HEIGHT + VIDEO_TRACK_HEIGHT;
+                    const audioTrackY = RULER_HEIGHT + overlayHeight + VIDEO_TRACK_HEIGHT;
 
                     if (y >= audioTrackY && y <= audioTrackY + AUDIO_TRACK_HEIGHT) {
                         const x = e.clientX - rect.left - TRACK_LABEL_WIDTH;
@@ -747,7 +1079,7 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                     const y = e.clientY - rect.top;
 
                     // Check if click is in Audio Track area
-                    const audioTrackY = RULER_HEIGHT + VIDEO_TRACK_HEIGHT;
+                    const audioTrackY = RULER_HEIGHT + overlayHeight + VIDEO_TRACK_HEIGHT;
                     if (y >= audioTrackY && y <= audioTrackY + AUDIO_TRACK_HEIGHT) {
                         const x = e.clientX - rect.left - TRACK_LABEL_WIDTH;
                         const time = (x + scrollOffset) / pixelsPerSecond;
@@ -778,6 +1110,12 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                             const initialDuration = clickedClip.duration;
                             const initialOffset = clickedClip.offset;
                             const initialStartTime = clickedClip.startTime;
+                            const before: ClipPlacement = { startTime: initialStartTime, duration: initialDuration, offset: initialOffset };
+                            let placement = before;
+                            const updateClip = (updates: Partial<ClipPlacement>) => {
+                                placement = { ...placement, ...updates };
+                                onUpdateAudioClip(clickedClip.id, updates);
+                            };
 
                             const handleClipMove = (me: MouseEvent) => {
                                 const deltaX = me.clientX - e.clientX;
@@ -785,10 +1123,10 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
 
                                 if (mode === 'move') {
                                     const newTime = Math.max(0, initialStartTime + deltaSeconds);
-                                    onUpdateAudioClip(clickedClip.id, { startTime: newTime });
+                                    updateClip({ startTime: newTime });
                                 } else if (mode === 'trim-right') {
                                     const newDuration = Math.max(0.1, initialDuration + deltaSeconds);
-                                    onUpdateAudioClip(clickedClip.id, { duration: newDuration });
+                                    updateClip({ duration: newDuration });
                                 } else if (mode === 'trim-left') {
                                     // Left trim: moves startTime + offset, reduces duration
 
@@ -816,7 +1154,7 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                                         newDuration = initialDuration - effectiveDelta;
                                     }
 
-                                    onUpdateAudioClip(clickedClip.id, {
+                                    updateClip({
                                         startTime: newStart,
                                         duration: newDuration,
                                         offset: newOffset
@@ -827,6 +1165,7 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                             const handleClipUp = () => {
                                 setDraggingClipId(null);
                                 onInteractionEnd?.();
+                                if (placement !== before) onAudioClipEdit?.(clickedClip.id, mode, before, placement);
                                 window.removeEventListener('mousemove', handleClipMove);
                                 window.removeEventListener('mouseup', handleClipUp);
                             };
@@ -913,6 +1252,20 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                 zIndex: 10,
                 background: 'rgba(10, 10, 12, 0.9)'
             }}>
+                {overlayTracks.map(track => (
+                    <div key={track.id} title={track.label} style={{
+                        height: OVERLAY_TRACK_HEIGHT,
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'flex-end',
+                        paddingRight: 8,
+                        fontSize: 9,
+                        fontWeight: 600,
+                        color: '#444',
+                        textTransform: 'uppercase',
+                        letterSpacing: '0.03em'
+                    }}>{track.id}</div>
+                ))}
                 <div style={{
                     height: VIDEO_TRACK_HEIGHT,
                     display: 'flex',
@@ -957,6 +1310,18 @@ const TimelineCanvas: React.FC<TimelineCanvasProps> = memo(({
                     }}
                 />
 
+                {/* Overlay tracks */}
+                {overlayTracks.length > 0 && (
+                    <canvas
+                        ref={overlayTrackCanvasRef}
+                        style={{
+                            width: canvasWidth,
+                            height: overlayHeight,
+                            display: 'block'
+                        }}
+                    />
+                )}
+
                 {/* Video track */}
                 <canvas
                     ref={videoTrackCanvasRef}
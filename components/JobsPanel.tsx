@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { PauseIcon, PlayIcon, XMarkIcon, TrashIcon } from '@heroicons/react/24/solid';
+
+interface JobsPanelProps {
+    isOpen: boolean;
+    onClose: () => void;
+}
+
+const TYPE_LABELS: Record<JobType, string> = {
+    fetch: 'Footage fetch',
+    prerender: 'Pre-render',
+    export: 'Export'
+};
+
+const STATE_STYLES: Record<Job['state'], string> = {
+    queued: 'bg-white/10 text-gray-300',
+    running: 'bg-[#2997FF]/20 text-[#2997FF]',
+    paused: 'bg-yellow-500/20 text-yellow-400',
+    completed: 'bg-green-500/20 text-green-400',
+    failed: 'bg-[#FF0055]/20 text-[#FF0055]',
+    cancelled: 'bg-white/5 text-gray-500'
+};
+
+const isFinished = (job: Job) => job.state === 'completed' || job.state === 'failed' || job.state === 'cancelled';
+
+export const JobsPanel: React.FC<JobsPanelProps> = ({ isOpen, onClose }) => {
+    const [jobs, setJobs] = useState<Job[]>([]);
+    const [held, setHeld] = useState(false);
+    const [error, setError] = useState('');
+
+    const applyResponse = (res: JobsResponse) => {
+        if (!res.success) {
+            setError(res.error || 'Job queue action failed');
+            return;
+        }
+        setError('');
+        setJobs(res.jobs);
+        setHeld(!!res.held);
+    };
+
+    // Load once on open, then follow the live updates from the main process
+    useEffect(() => {
+        if (!isOpen || !window.electron?.jobs) return;
+        window.electron.jobs.list().then(applyResponse);
+        return window.electron.jobs.onUpdated(({ jobs }) => setJobs(jobs));
+    }, [isOpen]);
+
+    const runAction = async (job: Job, action: 'pause' | 'resume' | 'cancel' | 'remove' | 'priority', priority?: JobPriority) => {
+        if (!window.electron?.jobs) return;
+        applyResponse(await window.electron.jobs.action(job.id, action, priority));
+    };
+
+    const clearFinished = async () => {
+        if (!window.electron?.jobs) return;
+        applyResponse(await window.electron.jobs.clearFinished());
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <div className="fixed inset-0 z-[100] flex items-center justify-center p-6">
+                    <motion.div
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        className="absolute inset-0 bg-black/80 backdrop-blur-md"
+                        onClick={onClose}
+                    />
+                    <motion.div
+                        initial={{ scale: 0.95, opacity: 0 }}
+                        animate={{ scale: 1, opacity: 1 }}
+                        exit={{ scale: 0.95, opacity: 0 }}
+                        className="relative bg-[#0A0A0A] border border-white/10 p-8 rounded-2xl w-full max-w-2xl shadow-2xl flex flex-col max-h-[80vh]"
+                    >
+                        <div className="flex items-center justify-between mb-2">
+                            <h2 className="text-xl font-bold text-white">Background Jobs</h2>
+                            <button
+                                onClick={onClose}
+                                className="w-8 h-8 flex items-center justify-center rounded-lg hover:bg-white/5 text-gray-500 hover:text-white transition-colors"
+                            >
+                                <XMarkIcon className="w-4 h-4" />
+                            </button>
+                        </div>
+                        <p className="text-[11px] text-gray-500 mb-4">
+                            Jobs run one at a time, highest priority first, and pick up where they left off after a restart.
+                            {held && ' Paused while a project is open in the editor.'}
+                        </p>
+
+                        {error && <p className="text-[11px] text-[#FF0055] mb-3">{error}</p>}
+
+                        <div className="flex-1 overflow-y-auto space-y-2 pr-1">
+                            {jobs.length === 0 ? (
+                                <p className="text-sm text-gray-500 text-center py-12">
+                                    No jobs yet. Queue a footage fetch, pre-render or export from a project.
+                                </p>
+                            ) : jobs.map(job => (
+                                <div key={job.id} className="bg-white/5 border border-white/5 rounded-lg p-3">
+                                    <div className="flex items-center gap-2">
+                                        <span className="text-[10px] uppercase font-bold tracking-widest text-gray-400 w-24 shrink-0">
+                                            {TYPE_LABELS[job.type]}
+                                        </span>
+                                        <span className="text-sm font-semibold text-white truncate flex-1" title={job.projectName}>
+                                            {job.projectName || job.projectId}
+                                        </span>
+                                        <span className={`text-[10px] px-2 py-0.5 rounded-full font-medium ${STATE_STYLES[job.state]}`}>
+                                            {job.state}
+                                        </span>
+
+                                        {!isFinished(job) && (
+                                            <select
+                                                value={job.priority}
+                                                onChange={(e) => runAction(job, 'priority', e.target.value as JobPriority)}
+                                                className="bg-black/40 border border-white/10 rounded-md px-1.5 py-1 text-[11px] text-gray-300 outline-none focus:border-[#FF0055]"
+                                                title="Priority"
+                                            >
+                                                <option value="high">High</option>
+                                                <option value="normal">Normal</option>
+                                                <option value="low">Low</option>
+                                            </select>
+                                        )}
+                                        {(job.state === 'queued' || job.state === 'running') && (
+                                            <button
+                                                onClick={() => runAction(job, 'pause')}
+                                                className="w-7 h-7 rounded-md bg-white/5 hover:bg-white/10 flex items-center justify-center text-gray-400 hover:text-white transition-colors"
+                                                title="Pause"
+                                            >
+                                                <PauseIcon className="w-3.5 h-3.5" />
+                                            </button>
+                                        )}
+                                        {(job.state === 'paused' || job.state === 'failed') && (
+                                            <button
+                                                onClick={() => runAction(job, 'resume')}
+                                                className="w-7 h-7 rounded-md bg-white/5 hover:bg-white/10 flex items-center justify-center text-gray-400 hover:text-white transition-colors"
+                                                title={job.state === 'failed' ? 'Retry' : 'Resume'}
+                                            >
+                                                <PlayIcon className="w-3.5 h-3.5" />
+                                            </button>
+                                        )}
+                                        {isFinished(job) ? (
+                                            <button
+                                                onClick={() => runAction(job, 'remove')}
+                                                className="w-7 h-7 rounded-md bg-white/5 hover:bg-white/10 flex items-center justify-center text-gray-400 hover:text-white transition-colors"
+                                                title="Remove from list"
+                                            >
+                                                <TrashIcon className="w-3.5 h-3.5" />
+                                            </button>
+                                        ) : (
+                                            <button
+                                                onClick={() => runAction(job, 'cancel')}
+                                                className="w-7 h-7 rounded-md bg-white/5 hover:bg-[#FF0055] flex items-center justify-center text-gray-400 hover:text-white transition-colors"
+                                                title="Cancel"
+                                            >
+                                                <XMarkIcon className="w-3.5 h-3.5" />
+                                            </button>
+                                        )}
+                                    </div>
+
+                                    {(job.state === 'running' || job.progress > 0) && !isFinished(job) && (
+                                        <div className="h-1 bg-white/10 rounded-full overflow-hidden mt-2">
+                                            <div className="h-full bg-[#FF0055] rounded-full transition-all" style={{ width: `${job.progress}%` }} />
+                                        </div>
+                                    )}
+                                    <p className="text-[11px] text-gray-500 mt-1.5 truncate" title={job.error || job.message}>
+                                        {job.message}
+                                        {job.type === 'export' && job.result?.outputPath && ` - ${job.result.outputPath}`}
+                                    </p>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="flex justify-end gap-3 mt-4">
+                            <button
+                                onClick={clearFinished}
+                                disabled={!jobs.some(isFinished)}
+                                className="px-4 py-2.5 bg-white/5 hover:bg-white/10 rounded-lg text-sm text-gray-300 transition-colors disabled:opacity-40"
+                            >
+                                Clear finished
+                            </button>
+                            <button
+                                onClick={onClose}
+                                className="px-4 py-2.5 bg-white/5 hover:bg-white/10 rounded-lg text-sm text-white transition-colors font-medium"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </motion.div>
+                </div>
+            )}
+        </AnimatePresence>
+    );
+};
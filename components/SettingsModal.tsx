@@ -4,55 +4,274 @@ import { motion, AnimatePresence } from 'framer-motion';
 interface SettingsModalProps {
     isOpen: boolean;
     onClose: () => void;
-    apiKey: string;
-    onApiKeyChange: (key: string) => void;
-    onSaveKey: () => Promise<{ success: boolean; message: string }>;
     version: string;
-    isUsingCustomKey?: boolean;
 }
 
+const KEY_STATUS: Record<CredentialCheck['status'], { label: string; style: string }> = {
+    valid: { label: 'Valid', style: 'bg-green-500/20 text-green-400' },
+    invalid: { label: 'Rejected', style: 'bg-red-500/20 text-red-400' },
+    unverified: { label: 'Not verified', style: 'bg-yellow-500/20 text-yellow-400' },
+    missing: { label: 'Missing', style: 'bg-white/5 text-gray-500' }
+};
+
 export const SettingsModal: React.FC<SettingsModalProps> = ({
     isOpen,
     onClose,
-    apiKey,
-    onApiKeyChange,
-    onSaveKey,
-    version,
-    isUsingCustomKey = false
+    version
 }) => {
-    const [isSaving, setIsSaving] = useState(false);
-    const [saveStatus, setSaveStatus] = useState<{ type: 'success' | 'error' | null; message: string }>({ type: null, message: '' });
+    const [credentials, setCredentials] = useState<CredentialsResponse | null>(null);
+    const [keyInputs, setKeyInputs] = useState<Partial<Record<CredentialService, string>>>({});
+    const [keyBusy, setKeyBusy] = useState<string | null>(null);
+    const [keyStatus, setKeyStatus] = useState<{ type: 'success' | 'error' | null; message: string }>({ type: null, message: '' });
+    const [newProfile, setNewProfile] = useState('');
+    const [transcription, setTranscription] = useState<TranscriptionSettingsResponse | null>(null);
+    const [whisperPaths, setWhisperPaths] = useState({ binaryPath: '', modelPath: '', language: 'auto' });
+    const [llmSettings, setLlmSettings] = useState<LlmSettingsResponse | null>(null);
+    const [openaiFields, setOpenaiFields] = useState({ baseUrl: '', model: '' });
+    const [taskFields, setTaskFields] = useState<Record<string, { model: string; temperature: string }>>({});
+    const [cacheFields, setCacheFields] = useState({ ttlHours: '', maxSizeMB: '' });
+    const [llmError, setLlmError] = useState('');
+    const [brands, setBrands] = useState<BrandPresetsResponse | null>(null);
+    const [brandError, setBrandError] = useState('');
+    const [localApi, setLocalApi] = useState<LocalApiSettingsResponse | null>(null);
+    const [apiPort, setApiPort] = useState('');
+    const [apiError, setApiError] = useState('');
+    const [assembly, setAssembly] = useState<AssemblySettings | null>(null);
+    const [assemblyFields, setAssemblyFields] = useState({ minSegmentDuration: '', minShotDuration: '', maxShotDuration: '' });
+    const [assemblyError, setAssemblyError] = useState('');
+    const [audioMix, setAudioMix] = useState<AudioMixSettingsResponse | null>(null);
+    const [audioMixFields, setAudioMixFields] = useState({ duckThreshold: '', duckRatio: '', duckRelease: '', natSoundLevel: '', natSoundFade: '' });
+    const [audioMixError, setAudioMixError] = useState('');
 
-    // Clear status when modal closes or apiKey changes
+    // API keys: health per service for the active profile (services/credentials)
     useEffect(() => {
         if (!isOpen) {
-            setSaveStatus({ type: null, message: '' });
+            setKeyInputs({});
+            setKeyStatus({ type: null, message: '' });
+            return;
         }
+        window.electron?.credentials?.describe().then((res) => {
+            if (res.success) setCredentials(res);
+        });
+    }, [isOpen]);
+
+    const runCredentials = async (busy: string, action: () => Promise<CredentialsResponse>, success = '') => {
+        setKeyBusy(busy);
+        try {
+            const res = await action();
+            if (!res.success) {
+                setKeyStatus({ type: 'error', message: res.error || 'Could not update API keys' });
+                return false;
+            }
+            setCredentials(res);
+            setKeyStatus(res.check && res.check.status !== 'valid'
+                ? { type: 'error', message: `${KEY_STATUS[res.check.status].label}: ${res.check.message}` }
+                : { type: success ? 'success' : null, message: success });
+            return true;
+        } finally {
+            setKeyBusy(null);
+        }
+    };
+
+    const saveKey = async (service: CredentialService) => {
+        const key = (keyInputs[service] || '').trim();
+        if (!window.electron?.credentials || key.length < 10) return;
+        const saved = await runCredentials(service, () => window.electron!.credentials!.save(service, key), 'Key checked and saved');
+        if (saved) setKeyInputs({ ...keyInputs, [service]: '' });
+    };
+
+    const addProfile = async () => {
+        const name = newProfile.trim();
+        if (!window.electron?.credentials || !name) return;
+        const created = await runCredentials('profile', () => window.electron!.credentials!.createProfile(name));
+        if (created) {
+            setNewProfile('');
+            await runCredentials('profile', () => window.electron!.credentials!.useProfile(name));
+        }
+    };
+
+    const deleteProfile = async (name: string) => {
+        if (!window.electron?.credentials || !confirm(`Delete key profile "${name}" and its keys?`)) return;
+        await runCredentials('profile', () => window.electron!.credentials!.deleteProfile(name));
+    };
+
+    // Load transcription backend settings each time the modal opens
+    useEffect(() => {
+        if (!isOpen || !window.electron?.transcription) return;
+        window.electron.transcription.getSettings().then((res) => {
+            if (!res.success) return;
+            setTranscription(res);
+            setWhisperPaths({
+                binaryPath: res.settings?.whisper?.binaryPath || '',
+                modelPath: res.settings?.whisper?.modelPath || '',
+                language: res.settings?.whisper?.language || 'auto'
+            });
+        });
     }, [isOpen]);
 
-    const handleSave = async () => {
-        if (!apiKey || apiKey.length < 10) {
-            setSaveStatus({ type: 'error', message: 'Please enter a valid API key (at least 10 characters)' });
+    const saveTranscription = async (settings: Record<string, any>) => {
+        if (!window.electron?.transcription) return;
+        const res = await window.electron.transcription.save(settings);
+        if (res.success) setTranscription(res);
+    };
+
+    // Load brand presets each time the modal opens (files may have been edited by hand)
+    const loadBrands = () => {
+        if (!window.electron?.brand) return;
+        window.electron.brand.list().then((res) => {
+            if (res.success) setBrands(res);
+        });
+    };
+
+    useEffect(() => {
+        if (isOpen) loadBrands();
+        setBrandError('');
+    }, [isOpen]);
+
+    const duplicateBrand = async (preset: BrandPreset) => {
+        if (!window.electron?.brand) return;
+        const { id, ...rest } = preset;
+        const res = await window.electron.brand.save({ ...rest, name: `${preset.name} copy` });
+        if (res.success) loadBrands();
+        else setBrandError(res.error || 'Could not copy preset');
+    };
+
+    const deleteBrand = async (preset: BrandPreset) => {
+        if (!window.electron?.brand || !confirm(`Delete brand preset "${preset.name}"?`)) return;
+        const res = await window.electron.brand.remove(preset.id);
+        if (res.success) loadBrands();
+        else setBrandError(res.error || 'Could not delete preset');
+    };
+
+    // Automation API: toggle, port and token (services/api/localApi.js)
+    const applyLocalApi = (res: LocalApiSettingsResponse) => {
+        if (!res.success) {
+            setApiError(res.error || 'Could not save API settings');
             return;
         }
+        setLocalApi(res);
+        setApiPort(String(res.settings?.port || ''));
+        setApiError(res.error || '');
+    };
 
-        setIsSaving(true);
-        setSaveStatus({ type: null, message: '' });
+    useEffect(() => {
+        if (!isOpen || !window.electron?.localApi) return;
+        window.electron.localApi.getSettings().then(applyLocalApi);
+    }, [isOpen]);
 
-        try {
-            const result = await onSaveKey();
-            if (result.success) {
-                setSaveStatus({ type: 'success', message: result.message || 'API key saved successfully!' });
-            } else {
-                setSaveStatus({ type: 'error', message: result.message || 'Failed to save API key' });
-            }
-        } catch (e: any) {
-            setSaveStatus({ type: 'error', message: e.message || 'An error occurred while saving' });
-        } finally {
-            setIsSaving(false);
+    const saveLocalApi = async (changes: { enabled?: boolean; port?: number }) => {
+        if (!window.electron?.localApi) return;
+        applyLocalApi(await window.electron.localApi.save(changes));
+    };
+
+    const regenerateApiToken = async () => {
+        if (!window.electron?.localApi || !confirm('Generate a new API token? Scripts using the old one will stop working.')) return;
+        applyLocalApi(await window.electron.localApi.regenerateToken());
+    };
+
+    // Multi-shot assembly of long segments (services/timeline/shotAssembly.js)
+    const applyAssembly = (res: AssemblySettingsResponse) => {
+        if (!res.success || !res.settings) {
+            setAssemblyError(res.error || 'Could not save assembly settings');
+            return;
         }
+        setAssembly(res.settings);
+        setAssemblyFields({
+            minSegmentDuration: String(res.settings.minSegmentDuration),
+            minShotDuration: String(res.settings.minShotDuration),
+            maxShotDuration: String(res.settings.maxShotDuration)
+        });
+        setAssemblyError('');
+    };
+
+    useEffect(() => {
+        if (!isOpen || !window.electron?.assembly) return;
+        window.electron.assembly.getSettings().then(applyAssembly);
+    }, [isOpen]);
+
+    const saveAssembly = async (changes: Partial<AssemblySettings>) => {
+        if (!window.electron?.assembly) return;
+        applyAssembly(await window.electron.assembly.save(changes));
+    };
+
+    // Export audio mix: ducking and loudness (services/audioMix.js)
+    const applyAudioMix = (res: AudioMixSettingsResponse) => {
+        if (!res.success || !res.settings) {
+            setAudioMixError(res.error || 'Could not save audio mix settings');
+            return;
+        }
+        setAudioMix(res);
+        setAudioMixFields({
+            duckThreshold: String(res.settings.duckThreshold),
+            duckRatio: String(res.settings.duckRatio),
+            duckRelease: String(res.settings.duckRelease),
+            natSoundLevel: String(Math.round(res.settings.natSoundLevel * 100)),
+            natSoundFade: String(res.settings.natSoundFade)
+        });
+        setAudioMixError('');
+    };
+
+    useEffect(() => {
+        if (!isOpen || !window.electron?.audioMix) return;
+        window.electron.audioMix.getSettings().then(applyAudioMix);
+    }, [isOpen]);
+
+    const saveAudioMix = async (changes: Partial<AudioMixSettings>) => {
+        if (!window.electron?.audioMix) return;
+        applyAudioMix(await window.electron.audioMix.save(changes));
+    };
+
+    // Load LLM backend settings each time the modal opens
+    const applyLlmSettings = (res: LlmSettingsResponse) => {
+        setLlmSettings(res);
+        setOpenaiFields({
+            baseUrl: res.settings?.openai?.baseUrl || '',
+            model: res.settings?.openai?.model || ''
+        });
+        setTaskFields(Object.fromEntries(res.tasks.map(t => [t.id, {
+            model: res.settings?.tasks?.[t.id]?.model || '',
+            temperature: t.temperature === null ? '' : String(t.temperature)
+        }])));
+        setCacheFields({
+            ttlHours: res.cache ? String(res.cache.ttlHours) : '',
+            maxSizeMB: res.cache ? String(res.cache.maxSizeMB) : ''
+        });
+        setLlmError('');
+    };
+
+    useEffect(() => {
+        if (!isOpen || !window.electron?.llm) return;
+        window.electron.llm.getSettings().then((res) => {
+            if (res.success) applyLlmSettings(res);
+        });
+    }, [isOpen]);
+
+    const saveLlm = async (settings: Record<string, any>) => {
+        if (!window.electron?.llm) return;
+        const res = await window.electron.llm.save(settings);
+        if (res.success) applyLlmSettings(res);
+        else setLlmError(res.error || 'Could not save AI model settings');
+    };
+
+    const saveTask = (taskId: string) => {
+        const fields = taskFields[taskId];
+        if (!fields) return;
+        const temperature = fields.temperature.trim() === '' ? null : Number(fields.temperature);
+        saveLlm({ tasks: { [taskId]: { model: fields.model.trim() || null, temperature } } });
+    };
+
+    const clearLlmCache = async () => {
+        if (!window.electron?.llm) return;
+        const res = await window.electron.llm.clearCache();
+        if (res.success) applyLlmSettings(res);
+        else setLlmError(res.error || 'Could not clear the cache');
     };
 
+    const selectedLlm = llmSettings?.settings?.provider || 'gemini';
+
+    const whisperInfo = transcription?.providers.find(p => p.id === 'whisper');
+    const selectedProvider = transcription?.settings?.provider || 'assemblyai';
+
     return (
         <AnimatePresence>
             {isOpen && (
@@ -68,81 +287,621 @@ export const SettingsModal: React.FC<SettingsModalProps> = ({
                         initial={{ scale: 0.95, opacity: 0 }}
                         animate={{ scale: 1, opacity: 1 }}
                         exit={{ scale: 0.95, opacity: 0 }}
-                        className="relative bg-[#0A0A0A] border border-white/10 p-8 rounded-2xl w-full max-w-md shadow-2xl"
+                        className="relative bg-[#0A0A0A] border border-white/10 p-8 rounded-2xl w-full max-w-md shadow-2xl max-h-[90vh] overflow-y-auto"
                     >
                         <h2 className="text-xl font-bold text-white mb-6">Application Settings</h2>
 
                         <div className="space-y-4">
+                            {/* API keys */}
                             <div>
                                 <div className="flex items-center justify-between mb-2">
                                     <label className="text-xs font-bold text-gray-500 uppercase tracking-widest">
-                                        Gemini API Key
+                                        API Keys
                                     </label>
-                                    {isUsingCustomKey && (
-                                        <span className="text-[10px] px-2 py-0.5 rounded-full bg-green-500/20 text-green-400 font-medium">
-                                            Custom Key Active
-                                        </span>
-                                    )}
+                                    <p className="text-[10px] text-gray-600 font-mono">
+                                        {version}
+                                    </p>
                                 </div>
-                                <input
-                                    type="password"
-                                    value={apiKey}
-                                    onChange={(e) => {
-                                        onApiKeyChange(e.target.value);
-                                        setSaveStatus({ type: null, message: '' });
-                                    }}
-                                    placeholder="AIzaSy..."
-                                    className="w-full bg-white/5 border border-white/10 rounded-lg p-3 text-sm text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
-                                />
-
-                                {/* Status message */}
-                                {saveStatus.type && (
-                                    <motion.p
-                                        initial={{ opacity: 0, y: -5 }}
-                                        animate={{ opacity: 1, y: 0 }}
-                                        className={`text-xs mt-2 ${saveStatus.type === 'success' ? 'text-green-400' : 'text-red-400'}`}
-                                    >
-                                        {saveStatus.message}
-                                    </motion.p>
+
+                                {credentials ? (
+                                    <>
+                                        <div className="flex items-center gap-2">
+                                            <select
+                                                value={credentials.activeProfile}
+                                                onChange={(e) => runCredentials('profile', () => window.electron!.credentials!.useProfile(e.target.value))}
+                                                disabled={keyBusy !== null}
+                                                title="Key profile"
+                                                className="flex-1 bg-white/5 border border-white/10 rounded-lg p-1.5 text-xs text-white outline-none focus:border-[#FF0055]"
+                                            >
+                                                {credentials.profiles.map(name => (
+                                                    <option key={name} value={name}>{name}</option>
+                                                ))}
+                                            </select>
+                                            <input
+                                                type="text"
+                                                value={newProfile}
+                                                onChange={(e) => setNewProfile(e.target.value)}
+                                                onKeyDown={(e) => e.key === 'Enter' && addProfile()}
+                                                placeholder="New profile"
+                                                className="w-28 bg-white/5 border border-white/10 rounded-lg p-1.5 text-xs text-white focus:border-[#FF0055] outline-none transition-colors"
+                                            />
+                                            <button
+                                                onClick={addProfile}
+                                                disabled={!newProfile.trim() || keyBusy !== null}
+                                                className="text-[10px] text-gray-400 hover:text-white transition-colors disabled:opacity-40"
+                                            >
+                                                Add
+                                            </button>
+                                            {credentials.profiles.length > 1 && (
+                                                <button
+                                                    onClick={() => deleteProfile(credentials.activeProfile)}
+                                                    disabled={keyBusy !== null}
+                                                    className="text-[10px] text-gray-400 hover:text-red-400 transition-colors"
+                                                >
+                                                    Delete
+                                                </button>
+                                            )}
+                                        </div>
+
+                                        <div className="space-y-2 mt-3">
+                                            {credentials.services.map(service => {
+                                                const status = service.check?.status || (service.source ? 'unverified' : 'missing');
+                                                return (
+                                                    <div key={service.id} className="bg-white/5 border border-white/10 rounded-lg p-2">
+                                                        <div className="flex items-center gap-2">
+                                                            <span className="text-xs text-white flex-1">{service.name}</span>
+                                                            <span className="text-[10px] text-gray-500 font-mono">
+                                                                {service.source === 'profile' && `••••${service.hint}`}
+                                                                {service.source === 'environment' && service.env}
+                                                            </span>
+                                                            <span
+                                                                className={`text-[10px] px-2 py-0.5 rounded-full font-medium ${KEY_STATUS[status].style}`}
+                                                                title={service.check?.message || ''}
+                                                            >
+                                                                {KEY_STATUS[status].label}
+                                                            </span>
+                                                        </div>
+                                                        {service.locked && (
+                                                            <p className="text-[10px] text-yellow-500 mt-1">
+                                                                The saved key could not be unlocked on this computer; enter it again.
+                                                            </p>
+                                                        )}
+                                                        <div className="flex items-center gap-2 mt-2">
+                                                            <input
+                                                                type="password"
+                                                                value={keyInputs[service.id] || ''}
+                                                                onChange={(e) => setKeyInputs({ ...keyInputs, [service.id]: e.target.value })}
+                                                                onKeyDown={(e) => e.key === 'Enter' && saveKey(service.id)}
+                                                                placeholder={service.source ? 'Replace key...' : 'Paste key...'}
+                                                                className="flex-1 bg-black/40 border border-white/10 rounded-lg p-1.5 text-[11px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                                            />
+                                                            <button
+                                                                onClick={() => saveKey(service.id)}
+                                                                disabled={(keyInputs[service.id] || '').trim().length < 10 || keyBusy !== null}
+                                                                className="text-[10px] text-gray-400 hover:text-white transition-colors disabled:opacity-40"
+                                                            >
+                                                                {keyBusy === service.id ? 'Checking...' : 'Save'}
+                                                            </button>
+                                                            {service.source && (
+                                                                <button
+                                                                    onClick={() => runCredentials(`check-${service.id}`, () => window.electron!.credentials!.check(service.id), 'Key works')}
+                                                                    disabled={keyBusy !== null}
+                                                                    className="text-[10px] text-gray-400 hover:text-white transition-colors disabled:opacity-40"
+                                                                >
+                                                                    {keyBusy === `check-${service.id}` ? 'Checking...' : 'Check'}
+                                                                </button>
+                                                            )}
+                                                            {service.source === 'profile' && (
+                                                                <button
+                                                                    onClick={() => runCredentials('remove', () => window.electron!.credentials!.remove(service.id))}
+                                                                    disabled={keyBusy !== null}
+                                                                    className="text-[10px] text-gray-400 hover:text-red-400 transition-colors disabled:opacity-40"
+                                                                >
+                                                                    Remove
+                                                                </button>
+                                                            )}
+                                                        </div>
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+
+                                        {keyStatus.type && (
+                                            <motion.p
+                                                initial={{ opacity: 0, y: -5 }}
+                                                animate={{ opacity: 1, y: 0 }}
+                                                className={`text-xs mt-2 ${keyStatus.type === 'success' ? 'text-green-400' : 'text-red-400'}`}
+                                            >
+                                                {keyStatus.message}
+                                            </motion.p>
+                                        )}
+                                        <p className="text-[10px] text-gray-500 mt-2">
+                                            {credentials.storage === 'keychain'
+                                                ? 'Keys are encrypted with the system keychain.'
+                                                : 'No system keychain available: keys are encrypted with a key file in ~/.clicksync.'}
+                                        </p>
+                                    </>
+                                ) : (
+                                    <p className="text-[10px] text-gray-500">API keys can only be managed in the desktop app.</p>
                                 )}
+                            </div>
+
+                            {/* Transcription backend */}
+                            {transcription && (
+                                <div className="pt-2 border-t border-white/5">
+                                    <label className="text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                        Transcription
+                                    </label>
+                                    <div className="grid grid-cols-2 gap-2 mt-2">
+                                        {transcription.providers.map(p => (
+                                            <button
+                                                key={p.id}
+                                                onClick={() => saveTranscription({ provider: p.id })}
+                                                className={`px-3 py-2 rounded-lg text-xs font-medium border transition-colors ${
+                                                    selectedProvider === p.id
+                                                        ? 'border-[#FF0055] bg-[#FF0055]/10 text-white'
+                                                        : 'border-white/10 bg-white/5 text-gray-400 hover:text-white'
+                                                }`}
+                                            >
+                                                {p.name}
+                                            </button>
+                                        ))}
+                                    </div>
+
+                                    {selectedProvider === 'whisper' && (
+                                        <div className="space-y-2 mt-3">
+                                            <input
+                                                type="text"
+                                                value={whisperPaths.binaryPath}
+                                                onChange={(e) => setWhisperPaths({ ...whisperPaths, binaryPath: e.target.value })}
+                                                onBlur={() => saveTranscription({ whisper: { binaryPath: whisperPaths.binaryPath } })}
+                                                placeholder="whisper-cli path (empty = search PATH)"
+                                                className="w-full bg-white/5 border border-white/10 rounded-lg p-2 text-xs text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                            />
+                                            <input
+                                                type="text"
+                                                value={whisperPaths.modelPath}
+                                                onChange={(e) => setWhisperPaths({ ...whisperPaths, modelPath: e.target.value })}
+                                                onBlur={() => saveTranscription({ whisper: { modelPath: whisperPaths.modelPath } })}
+                                                placeholder={`ggml model path (empty = ${whisperInfo?.modelsDir || '~/.clicksync/models'})`}
+                                                className="w-full bg-white/5 border border-white/10 rounded-lg p-2 text-xs text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                            />
+                                            <input
+                                                type="text"
+                                                value={whisperPaths.language}
+                                                onChange={(e) => setWhisperPaths({ ...whisperPaths, language: e.target.value })}
+                                                onBlur={() => saveTranscription({ whisper: { language: whisperPaths.language || 'auto' } })}
+                                                placeholder="Language (auto, en, es...)"
+                                                className="w-full bg-white/5 border border-white/10 rounded-lg p-2 text-xs text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                            />
+                                            <p className={`text-[10px] ${whisperInfo?.available ? 'text-green-400' : 'text-yellow-500'}`}>
+                                                {whisperInfo?.available
+                                                    ? `Ready - audio never leaves this computer (${whisperInfo.modelPath?.split(/[\\/]/).pop()})`
+                                                    : !whisperInfo?.binaryPath
+                                                        ? 'whisper.cpp not found'
+                                                        : 'No ggml model found'}
+                                            </p>
+                                        </div>
+                                    )}
 
-                                <div className="flex justify-between items-center mt-2">
-                                    <p className="text-[10px] text-gray-500">
-                                        Key is saved locally in ~/.clicksync/config.json
+                                    <div className="grid grid-cols-2 gap-2 mt-3">
+                                        {([
+                                            ['transcript', 'Match transcript'],
+                                            ['forced', 'Forced (no ASR)']
+                                        ] as const).map(([mode, label]) => (
+                                            <button
+                                                key={mode}
+                                                onClick={() => saveTranscription({ alignment: mode })}
+                                                className={`px-3 py-2 rounded-lg text-xs font-medium border transition-colors ${
+                                                    (transcription.settings?.alignment || 'transcript') === mode
+                                                        ? 'border-[#FF0055] bg-[#FF0055]/10 text-white'
+                                                        : 'border-white/10 bg-white/5 text-gray-400 hover:text-white'
+                                                }`}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <p className="text-[10px] text-gray-600 mt-1">
+                                        {transcription.settings?.alignment === 'forced'
+                                            ? 'Script is aligned straight to the audio waveform. Uncertain cuts are flagged for review.'
+                                            : 'Script is aligned to the transcript from the provider above.'}
                                     </p>
-                                    <p className="text-[10px] text-gray-600 font-mono">
-                                        {version}
+                                </div>
+                            )}
+
+                            {/* LLM backend */}
+                            {llmSettings && (
+                                <div className="pt-2 border-t border-white/5">
+                                    <label className="text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                        AI model
+                                    </label>
+                                    <div className="grid grid-cols-2 gap-2 mt-2">
+                                        {llmSettings.providers.filter(p => p.id !== 'fixture').map(p => (
+                                            <button
+                                                key={p.id}
+                                                onClick={() => saveLlm({ provider: p.id })}
+                                                className={`px-3 py-2 rounded-lg text-xs font-medium border transition-colors ${
+                                                    selectedLlm === p.id
+                                                        ? 'border-[#FF0055] bg-[#FF0055]/10 text-white'
+                                                        : 'border-white/10 bg-white/5 text-gray-400 hover:text-white'
+                                                }`}
+                                            >
+                                                {p.name}
+                                            </button>
+                                        ))}
+                                    </div>
+
+                                    {selectedLlm === 'openai' && (
+                                        <div className="space-y-2 mt-3">
+                                            <input
+                                                type="text"
+                                                value={openaiFields.baseUrl}
+                                                onChange={(e) => setOpenaiFields({ ...openaiFields, baseUrl: e.target.value })}
+                                                onBlur={() => saveLlm({ openai: { baseUrl: openaiFields.baseUrl } })}
+                                                placeholder="Base URL (empty = http://localhost:11434/v1)"
+                                                className="w-full bg-white/5 border border-white/10 rounded-lg p-2 text-xs text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                            />
+                                            <input
+                                                type="text"
+                                                value={openaiFields.model}
+                                                onChange={(e) => setOpenaiFields({ ...openaiFields, model: e.target.value })}
+                                                onBlur={() => saveLlm({ openai: { model: openaiFields.model } })}
+                                                placeholder="Default model (empty = llama3.2)"
+                                                className="w-full bg-white/5 border border-white/10 rounded-lg p-2 text-xs text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                            />
+                                        </div>
+                                    )}
+
+                                    <div className="space-y-1 mt-3">
+                                        {llmSettings.tasks.map(task => (
+                                            <div key={task.id} className="flex items-center gap-2">
+                                                <span className="text-[10px] text-gray-400 w-28 flex-shrink-0">{task.name}</span>
+                                                <input
+                                                    type="text"
+                                                    value={taskFields[task.id]?.model || ''}
+                                                    onChange={(e) => setTaskFields({ ...taskFields, [task.id]: { ...taskFields[task.id], model: e.target.value } })}
+                                                    onBlur={() => saveTask(task.id)}
+                                                    placeholder={task.model}
+                                                    className="flex-1 min-w-0 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                                />
+                                                <input
+                                                    type="number"
+                                                    min={0}
+                                                    max={2}
+                                                    step={0.1}
+                                                    value={taskFields[task.id]?.temperature || ''}
+                                                    onChange={(e) => setTaskFields({ ...taskFields, [task.id]: { ...taskFields[task.id], temperature: e.target.value } })}
+                                                    onBlur={() => saveTask(task.id)}
+                                                    placeholder="temp"
+                                                    className="w-14 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                                />
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <p className="text-[10px] text-gray-600 mt-1">
+                                        Empty model or temperature uses the provider default.
                                     </p>
+
+                                    {llmSettings.cache && (
+                                        <div className="mt-3">
+                                            <div className="flex items-center gap-2">
+                                                <button
+                                                    onClick={() => saveLlm({ cache: { enabled: !llmSettings.cache!.enabled } })}
+                                                    className={`px-3 py-1.5 rounded-lg text-[10px] font-medium border transition-colors ${
+                                                        llmSettings.cache.enabled
+                                                            ? 'border-[#FF0055] bg-[#FF0055]/10 text-white'
+                                                            : 'border-white/10 bg-white/5 text-gray-400 hover:text-white'
+                                                    }`}
+                                                >
+                                                    {llmSettings.cache.enabled ? 'Cache answers: on' : 'Cache answers: off'}
+                                                </button>
+                                                <input
+                                                    type="number"
+                                                    min={1}
+                                                    value={cacheFields.ttlHours}
+                                                    onChange={(e) => setCacheFields({ ...cacheFields, ttlHours: e.target.value })}
+                                                    onBlur={() => saveLlm({ cache: { ttlHours: Number(cacheFields.ttlHours) } })}
+                                                    title="Keep answers for (hours)"
+                                                    className="w-16 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                                />
+                                                <span className="text-[10px] text-gray-500">h</span>
+                                                <input
+                                                    type="number"
+                                                    min={1}
+                                                    value={cacheFields.maxSizeMB}
+                                                    onChange={(e) => setCacheFields({ ...cacheFields, maxSizeMB: e.target.value })}
+                                                    onBlur={() => saveLlm({ cache: { maxSizeMB: Number(cacheFields.maxSizeMB) } })}
+                                                    title="Size limit (MB)"
+                                                    className="w-16 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                                />
+                                                <span className="text-[10px] text-gray-500">MB</span>
+                                                <button
+                                                    onClick={clearLlmCache}
+                                                    className="ml-auto text-[10px] text-gray-400 hover:text-white transition-colors"
+                                                >
+                                                    Clear
+                                                </button>
+                                            </div>
+                                            <p className={`text-[10px] mt-1 ${llmError ? 'text-red-400' : 'text-gray-600'}`}>
+                                                {llmError || `${llmSettings.cache.entries} cached answer(s), ${llmSettings.cache.sizeMB} MB. "Find Different" always asks again.`}
+                                            </p>
+                                        </div>
+                                    )}
                                 </div>
-                            </div>
+                            )}
+
+                            {/* Multi-shot assembly */}
+                            {assembly && (
+                                <div className="pt-2 border-t border-white/5">
+                                    <label className="text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                        Long segments
+                                    </label>
+                                    <div className="flex items-center gap-2 mt-2">
+                                        <button
+                                            onClick={() => saveAssembly({ enabled: !assembly.enabled })}
+                                            className={`px-3 py-1.5 rounded-lg text-[10px] font-medium border transition-colors ${
+                                                assembly.enabled
+                                                    ? 'border-[#FF0055] bg-[#FF0055]/10 text-white'
+                                                    : 'border-white/10 bg-white/5 text-gray-400 hover:text-white'
+                                            }`}
+                                        >
+                                            {assembly.enabled ? 'Multi-shot: on' : 'Multi-shot: off'}
+                                        </button>
+                                        <span className="text-[10px] text-gray-500">From</span>
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            step={0.5}
+                                            value={assemblyFields.minSegmentDuration}
+                                            onChange={(e) => setAssemblyFields({ ...assemblyFields, minSegmentDuration: e.target.value })}
+                                            onBlur={() => saveAssembly({ minSegmentDuration: Number(assemblyFields.minSegmentDuration) })}
+                                            title="Segments at least this long are assembled"
+                                            className="w-16 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className="text-[10px] text-gray-500">s, shots</span>
+                                        <input
+                                            type="number"
+                                            min={0.5}
+                                            step={0.5}
+                                            value={assemblyFields.minShotDuration}
+                                            onChange={(e) => setAssemblyFields({ ...assemblyFields, minShotDuration: e.target.value })}
+                                            onBlur={() => saveAssembly({ minShotDuration: Number(assemblyFields.minShotDuration) })}
+                                            title="Shortest shot"
+                                            className="w-14 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className="text-[10px] text-gray-500">to</span>
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            step={0.5}
+                                            value={assemblyFields.maxShotDuration}
+                                            onChange={(e) => setAssemblyFields({ ...assemblyFields, maxShotDuration: e.target.value })}
+                                            onBlur={() => saveAssembly({ maxShotDuration: Number(assemblyFields.maxShotDuration) })}
+                                            title="Longest shot"
+                                            className="w-14 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className="text-[10px] text-gray-500">s</span>
+                                    </div>
+                                    <p className={`text-[10px] mt-1 ${assemblyError ? 'text-red-400' : 'text-gray-600'}`}>
+                                        {assemblyError || 'Long segments are cut into several shots (scene cuts of the clip and runner-ups) on sentence ends instead of looping one clip.'}
+                                    </p>
+                                </div>
+                            )}
+
+                            {/* Export audio mix */}
+                            {audioMix?.settings && (
+                                <div className="pt-2 border-t border-white/5">
+                                    <label className="text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                        Audio mix
+                                    </label>
+                                    <div className="flex items-center gap-2 mt-2">
+                                        <button
+                                            onClick={() => saveAudioMix({ ducking: !audioMix.settings!.ducking })}
+                                            className={`px-3 py-1.5 rounded-lg text-[10px] font-medium border transition-colors ${
+                                                audioMix.settings.ducking
+                                                    ? 'border-[#FF0055] bg-[#FF0055]/10 text-white'
+                                                    : 'border-white/10 bg-white/5 text-gray-400 hover:text-white'
+                                            }`}
+                                        >
+                                            {audioMix.settings.ducking ? 'Ducking: on' : 'Ducking: off'}
+                                        </button>
+                                        <input
+                                            type="number"
+                                            min={-60}
+                                            max={0}
+                                            step={1}
+                                            value={audioMixFields.duckThreshold}
+                                            onChange={(e) => setAudioMixFields({ ...audioMixFields, duckThreshold: e.target.value })}
+                                            onBlur={() => saveAudioMix({ duckThreshold: Number(audioMixFields.duckThreshold) })}
+                                            title="Narration level (dB) where the music starts to dip"
+                                            className="w-14 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className="text-[10px] text-gray-500">dB,</span>
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            max={20}
+                                            step={0.5}
+                                            value={audioMixFields.duckRatio}
+                                            onChange={(e) => setAudioMixFields({ ...audioMixFields, duckRatio: e.target.value })}
+                                            onBlur={() => saveAudioMix({ duckRatio: Number(audioMixFields.duckRatio) })}
+                                            title="Ratio: how hard the music is pushed down"
+                                            className="w-12 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className="text-[10px] text-gray-500">:1, release</span>
+                                        <input
+                                            type="number"
+                                            min={10}
+                                            max={9000}
+                                            step={50}
+                                            value={audioMixFields.duckRelease}
+                                            onChange={(e) => setAudioMixFields({ ...audioMixFields, duckRelease: e.target.value })}
+                                            onBlur={() => saveAudioMix({ duckRelease: Number(audioMixFields.duckRelease) })}
+                                            title="How long the music takes to come back after speech (ms)"
+                                            className="w-16 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className="text-[10px] text-gray-500">ms</span>
+                                    </div>
+                                    <div className="flex items-center gap-2 mt-2">
+                                        <span className="text-[10px] text-gray-500">Nat sound</span>
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            max={100}
+                                            step={5}
+                                            value={audioMixFields.natSoundLevel}
+                                            onChange={(e) => setAudioMixFields({ ...audioMixFields, natSoundLevel: e.target.value })}
+                                            onBlur={() => saveAudioMix({ natSoundLevel: Number(audioMixFields.natSoundLevel) / 100 })}
+                                            title="How loud each clip's own sound plays under the narration (0 = muted)"
+                                            className="w-12 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className="text-[10px] text-gray-500">%, fades</span>
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            max={2}
+                                            step={0.1}
+                                            value={audioMixFields.natSoundFade}
+                                            onChange={(e) => setAudioMixFields({ ...audioMixFields, natSoundFade: e.target.value })}
+                                            onBlur={() => saveAudioMix({ natSoundFade: Number(audioMixFields.natSoundFade) })}
+                                            title="Fade in and out at each cut (s)"
+                                            className="w-12 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className="text-[10px] text-gray-500">s</span>
+                                    </div>
+                                    <div className="flex items-center gap-2 mt-2">
+                                        <span className="text-[10px] text-gray-500">Loudness</span>
+                                        <select
+                                            value={audioMix.settings.loudnessTarget}
+                                            onChange={(e) => saveAudioMix({ loudnessTarget: e.target.value as AudioMixSettings['loudnessTarget'] })}
+                                            className="flex-1 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors"
+                                        >
+                                            {Object.entries(audioMix.targets || {}).map(([id, target]) => (
+                                                <option key={id} value={id}>{target.label}</option>
+                                            ))}
+                                            <option value="off">Off (levels as mixed)</option>
+                                        </select>
+                                    </div>
+                                    <p className={`text-[10px] mt-1 ${audioMixError ? 'text-red-400' : 'text-gray-600'}`}>
+                                        {audioMixError || 'Music dips under the narration. Clips keep their own sound at the nat sound level (per segment in the clip inspector, SOT plays it in full). Exports are measured and normalised to the loudness target in two passes; the result is in the export log.'}
+                                    </p>
+                                </div>
+                            )}
+
+                            {/* Automation API */}
+                            {localApi?.settings && (
+                                <div className="pt-2 border-t border-white/5">
+                                    <label className="text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                        Automation API
+                                    </label>
+                                    <div className="flex items-center gap-2 mt-2">
+                                        <button
+                                            onClick={() => saveLocalApi({ enabled: !localApi.settings!.enabled })}
+                                            className={`px-3 py-1.5 rounded-lg text-[10px] font-medium border transition-colors ${
+                                                localApi.settings.enabled
+                                                    ? 'border-[#FF0055] bg-[#FF0055]/10 text-white'
+                                                    : 'border-white/10 bg-white/5 text-gray-400 hover:text-white'
+                                            }`}
+                                        >
+                                            {localApi.settings.enabled ? 'Local API: on' : 'Local API: off'}
+                                        </button>
+                                        <span className="text-[10px] text-gray-500">Port</span>
+                                        <input
+                                            type="number"
+                                            min={1}
+                                            max={65535}
+                                            value={apiPort}
+                                            onChange={(e) => setApiPort(e.target.value)}
+                                            onBlur={() => Number(apiPort) !== localApi.settings!.port && saveLocalApi({ port: Number(apiPort) })}
+                                            className="w-20 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-white focus:border-[#FF0055] outline-none transition-colors font-mono"
+                                        />
+                                        <span className={`ml-auto text-[10px] ${localApi.running ? 'text-green-400' : 'text-gray-500'}`}>
+                                            {localApi.running ? 'Running' : 'Stopped'}
+                                        </span>
+                                    </div>
+                                    <div className="flex items-center gap-2 mt-2">
+                                        <input
+                                            type="text"
+                                            readOnly
+                                            value={localApi.settings.token}
+                                            title="Send as Authorization: Bearer <token>"
+                                            className="flex-1 bg-white/5 border border-white/10 rounded-lg p-1.5 text-[10px] text-gray-300 outline-none font-mono"
+                                        />
+                                        <button
+                                            onClick={() => navigator.clipboard.writeText(localApi.settings!.token)}
+                                            className="text-[10px] text-gray-400 hover:text-white transition-colors"
+                                        >
+                                            Copy
+                                        </button>
+                                        <button
+                                            onClick={regenerateApiToken}
+                                            className="text-[10px] text-gray-400 hover:text-white transition-colors"
+                                        >
+                                            New token
+                                        </button>
+                                    </div>
+                                    <p className={`text-[10px] mt-1 ${apiError ? 'text-red-400' : 'text-gray-600'}`}>
+                                        {apiError || `Local connections only, at ${localApi.url} (progress events on /events over WebSocket).`}
+                                    </p>
+                                </div>
+                            )}
+
+                            {/* Brand presets */}
+                            {brands && (
+                                <div className="pt-2 border-t border-white/5">
+                                    <div className="flex items-center justify-between">
+                                        <label className="text-xs font-bold text-gray-500 uppercase tracking-widest">
+                                            Brand presets
+                                        </label>
+                                        <button
+                                            onClick={() => window.electron?.brand?.openFolder()}
+                                            className="text-[10px] text-gray-400 hover:text-white transition-colors"
+                                        >
+                                            Open presets folder
+                                        </button>
+                                    </div>
+                                    <div className="space-y-1 mt-2">
+                                        {brands.presets.map(preset => (
+                                            <div
+                                                key={preset.id}
+                                                className="flex items-center gap-2 px-3 py-2 rounded-lg border border-white/10 bg-white/5"
+                                            >
+                                                <span
+                                                    className="w-3 h-3 rounded-sm flex-shrink-0"
+                                                    style={{ background: String(preset.colors.accent) }}
+                                                />
+                                                <span className="text-xs text-white flex-1 truncate">{preset.name}</span>
+                                                <span className="text-[10px] text-gray-500">{preset.fonts.headline}</span>
+                                                <button
+                                                    onClick={() => duplicateBrand(preset)}
+                                                    className="text-[10px] text-gray-400 hover:text-white transition-colors"
+                                                >
+                                                    Copy
+                                                </button>
+                                                {preset.id !== 'clicksync' && (
+                                                    <button
+                                                        onClick={() => deleteBrand(preset)}
+                                                        className="text-[10px] text-gray-400 hover:text-red-400 transition-colors"
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <p className={`text-[10px] mt-1 ${brandError ? 'text-red-400' : 'text-gray-600'}`}>
+                                        {brandError || `Edit the JSON files in ${brands.brandsDir || '~/.clicksync/brands'} to change fonts, colours, logo, music and export defaults.`}
+                                    </p>
+                                </div>
+                            )}
 
                             <div className="flex justify-end gap-3 pt-4">
                                 <button
                                     onClick={onClose}
-                                    className="px-4 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+                                    className="px-4 py-2 text-sm rounded-lg font-medium bg-white/5 text-white hover:bg-white/10 transition-all"
                                 >
-                                    Cancel
-                                </button>
-                                <button
-                                    onClick={handleSave}
-                                    disabled={isSaving || !apiKey || apiKey.length < 10}
-                                    className={`px-4 py-2 text-sm rounded-lg font-medium transition-all ${
-                                        isSaving || !apiKey || apiKey.length < 10
-                                            ? 'bg-white/5 text-gray-500 cursor-not-allowed'
-                                            : 'bg-[#FF0055] text-white hover:bg-[#FF0055]/80'
-                                    }`}
-                                >
-                                    {isSaving ? (
-                                        <span className="flex items-center gap-2">
-                                            <svg className="animate-spin w-4 h-4" viewBox="0 0 24 24">
-                                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z" />
-                                            </svg>
-                                            Saving...
-                                        </span>
-                                    ) : (
-                                        'Save Key'
-                                    )}
+                                    Close
                                 </button>
                             </div>
                         </div>
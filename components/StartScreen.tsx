@@ -1,18 +1,21 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { PlusIcon, TrashIcon, FilmIcon, ClockIcon, PencilIcon, Cog6ToothIcon, ArrowUpTrayIcon, DocumentTextIcon, ChevronRightIcon } from '@heroicons/react/24/solid';
+import { PlusIcon, TrashIcon, FilmIcon, ClockIcon, PencilIcon, Cog6ToothIcon, ArrowUpTrayIcon, DocumentTextIcon, ChevronRightIcon, QueueListIcon, ArrowDownTrayIcon } from '@heroicons/react/24/solid';
 import { AnimatePresence, motion } from 'framer-motion';
 import { ProjectData, projectService } from '../services/projectService';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../services/language.js';
 import TitleBar from './TitleBar';
 
 interface StartScreenProps {
     recents: ProjectData[];
-    onNewProject: (name: string, audioFile: File, scriptText: string) => void;
+    onNewProject: (name: string, audioFile: File, scriptText: string, language: string, brandPresetId: string) => void;
     onOpenProject: (proj: ProjectData) => void;
     onDeleteProject: (id: string) => void;
     onResumeSession?: (project?: ProjectData | null) => void;
     resumeProject?: ProjectData | null;
     onRename?: (id: string, newName: string) => void;
     onOpenSettings: () => void;
+    onOpenJobs?: () => void;
+    onQueueJob?: (proj: ProjectData, type: 'fetch' | 'prerender') => void;
 }
 
 export const StartScreen: React.FC<StartScreenProps> = ({
@@ -23,7 +26,9 @@ export const StartScreen: React.FC<StartScreenProps> = ({
     onResumeSession,
     resumeProject,
     onRename,
-    onOpenSettings
+    onOpenSettings,
+    onOpenJobs,
+    onQueueJob
 }) => {
     const [deleteConfirm, setDeleteConfirm] = React.useState<{ show: boolean; project: ProjectData | null }>({ show: false, project: null });
     const [showResumeParams, setShowResumeParams] = React.useState(false);
@@ -32,6 +37,9 @@ export const StartScreen: React.FC<StartScreenProps> = ({
     const [showCreateModal, setShowCreateModal] = useState(false);
     const [wizardStep, setWizardStep] = useState(1); // 1: Name, 2: Audio, 3: Script
     const [newProjectName, setNewProjectName] = useState("");
+    const [language, setLanguage] = useState<string>(DEFAULT_LANGUAGE);
+    const [brandPresets, setBrandPresets] = useState<BrandPreset[]>([]);
+    const [brandPresetId, setBrandPresetId] = useState<string>('clicksync');
     const [audioFile, setAudioFile] = useState<File | null>(null);
     const [scriptText, setScriptText] = useState("");
     const fileInputRef = useRef<HTMLInputElement>(null);
@@ -39,6 +47,8 @@ export const StartScreen: React.FC<StartScreenProps> = ({
     const resetWizard = () => {
         setWizardStep(1);
         setNewProjectName("");
+        setLanguage(DEFAULT_LANGUAGE);
+        setBrandPresetId('clicksync');
         setAudioFile(null);
         setAudioFilePath('');
         setAudioFileName('');
@@ -64,7 +74,7 @@ export const StartScreen: React.FC<StartScreenProps> = ({
         
         if (!fileToPass) return;
         
-        onNewProject(newProjectName.trim(), fileToPass, scriptText);
+        onNewProject(newProjectName.trim(), fileToPass, scriptText, language, brandPresetId);
         resetWizard();
     };
 
@@ -72,6 +82,14 @@ export const StartScreen: React.FC<StartScreenProps> = ({
     const [renameTarget, setRenameTarget] = useState<ProjectData | null>(null);
     const [renameInput, setRenameInput] = useState("");
 
+    // Brand presets for the wizard (built-in look first)
+    useEffect(() => {
+        if (!showCreateModal || !window.electron?.brand) return;
+        window.electron.brand.list().then((res) => {
+            if (res.success) setBrandPresets(res.presets);
+        });
+    }, [showCreateModal]);
+
     useEffect(() => {
         if (resumeProject) {
             setShowResumeParams(true);
@@ -251,6 +269,16 @@ export const StartScreen: React.FC<StartScreenProps> = ({
 
                 <div className="flex-1" />
 
+                {onOpenJobs && (
+                    <button
+                        onClick={onOpenJobs}
+                        className="flex items-center gap-3 px-4 py-3 bg-white/5 hover:bg-white/10 rounded-lg transition-colors text-gray-400 hover:text-white"
+                    >
+                        <QueueListIcon className="w-5 h-5" />
+                        <span className="font-bold text-sm tracking-wide">Jobs</span>
+                    </button>
+                )}
+
                 <button
                     onClick={onOpenSettings}
                     className="flex items-center gap-3 px-4 py-3 bg-white/5 hover:bg-white/10 rounded-lg transition-colors text-gray-400 hover:text-white group"
@@ -301,6 +329,26 @@ export const StartScreen: React.FC<StartScreenProps> = ({
                                                     >
                                                         {/* Action Buttons */}
                                                         <div className="absolute top-2 right-2 z-10 flex gap-1.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                                                            {onQueueJob && (
+                                                                <>
+                                                                    <button
+                                                                        onClick={(e) => { e.stopPropagation(); onQueueJob(proj, 'fetch'); }}
+                                                                        title="Queue footage fetch"
+                                                                        className="w-7 h-7 bg-black/60 hover:bg-[#00FF88] backdrop-blur-sm rounded-md flex items-center justify-center transition-all hover:scale-105"
+                                                                    >
+                                                                        <ArrowDownTrayIcon className="w-3 h-3 text-white/80" />
+                                                                    </button>
+                                                                    {hasProgress && (
+                                                                        <button
+                                                                            onClick={(e) => { e.stopPropagation(); onQueueJob(proj, 'prerender'); }}
+                                                                            title="Queue pre-render"
+                                                                            className="w-7 h-7 bg-black/60 hover:bg-[#00FF88] backdrop-blur-sm rounded-md flex items-center justify-center transition-all hover:scale-105"
+                                                                        >
+                                                                            <FilmIcon className="w-3 h-3 text-white/80" />
+                                                                        </button>
+                                                                    )}
+                                                                </>
+                                                            )}
                                                             <button
                                                                 onClick={(e) => { e.stopPropagation(); setRenameTarget(proj); setRenameInput(proj.name); }}
                                                                 className="w-7 h-7 bg-black/60 hover:bg-[#2997FF] backdrop-blur-sm rounded-md flex items-center justify-center transition-all hover:scale-105"
@@ -411,6 +459,39 @@ export const StartScreen: React.FC<StartScreenProps> = ({
                                                     onKeyDown={(e) => { if (e.key === 'Enter' && newProjectName) setWizardStep(2); }}
                                                 />
                                             </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-400 mb-2">Script & voiceover language</label>
+                                                <div className="flex gap-2">
+                                                    {Object.values(LANGUAGES).map(lang => (
+                                                        <button
+                                                            key={lang.code}
+                                                            type="button"
+                                                            onClick={() => setLanguage(lang.code)}
+                                                            className={`flex-1 px-3 py-2 rounded-xl text-sm font-semibold border transition-all ${language === lang.code ? 'bg-[#FF0055]/20 border-[#FF0055] text-white' : 'bg-white/5 border-white/10 text-gray-400 hover:border-white/30'}`}
+                                                        >
+                                                            {lang.nativeName}
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                            </div>
+                                            {brandPresets.length > 1 && (
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-400 mb-2">Brand preset</label>
+                                                    <div className="flex flex-wrap gap-2">
+                                                        {brandPresets.map(preset => (
+                                                            <button
+                                                                key={preset.id}
+                                                                type="button"
+                                                                onClick={() => setBrandPresetId(preset.id)}
+                                                                className={`flex items-center gap-2 px-3 py-2 rounded-xl text-sm font-semibold border transition-all ${brandPresetId === preset.id ? 'bg-[#FF0055]/20 border-[#FF0055] text-white' : 'bg-white/5 border-white/10 text-gray-400 hover:border-white/30'}`}
+                                                            >
+                                                                <span className="w-3 h-3 rounded-sm" style={{ background: String(preset.colors.accent) }} />
+                                                                {preset.name}
+                                                            </button>
+                                                        ))}
+                                                    </div>
+                                                </div>
+                                            )}
                                             <p className="text-xs text-gray-500">Press Enter to continue</p>
                                         </motion.div>
                                     )}
@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 // Expose protected methods to the renderer process
 contextBridge.exposeInMainWorld('electronAPI', {
@@ -22,15 +22,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
 // Expose storage API for file-based persistence
 contextBridge.exposeInMainWorld('electron', {
+    // Real path of a dropped file (File.path is gone since Electron 32)
+    getPathForFile: (file) => webUtils.getPathForFile(file),
     storage: {
         get: (key) => ipcRenderer.invoke('storage-get', key),
         set: (key, value) => ipcRenderer.invoke('storage-set', key, value),
         remove: (key) => ipcRenderer.invoke('storage-remove', key)
     },
-    // Config API for Gemini API key management
-    config: {
-        saveGeminiKey: (apiKey) => ipcRenderer.invoke('save-gemini-api-key', apiKey),
-        getGeminiKey: () => ipcRenderer.invoke('get-gemini-api-key')
+    // API keys and key profiles (services/credentials); keys go in, only health comes out
+    credentials: {
+        describe: () => ipcRenderer.invoke('credentials-describe'),
+        save: (service, key, profile) => ipcRenderer.invoke('credentials-save', { service, key, profile }),
+        check: (service) => ipcRenderer.invoke('credentials-action', { action: 'check', service }),
+        remove: (service) => ipcRenderer.invoke('credentials-action', { action: 'remove', service }),
+        createProfile: (profile) => ipcRenderer.invoke('credentials-action', { action: 'create-profile', profile }),
+        deleteProfile: (profile) => ipcRenderer.invoke('credentials-action', { action: 'delete-profile', profile }),
+        useProfile: (profile) => ipcRenderer.invoke('credentials-action', { action: 'use-profile', profile })
     },
     tray: {
         updateProgress: (data) => ipcRenderer.send('update-tray-progress', data)
@@ -51,6 +58,65 @@ contextBridge.exposeInMainWorld('electron', {
             return () => ipcRenderer.removeListener('viory-session-status', subscription);
         }
     },
+    // Footage provider settings (Viory, local archive...)
+    providers: {
+        list: () => ipcRenderer.invoke('get-footage-providers'),
+        save: (settings) => ipcRenderer.invoke('save-footage-providers', settings)
+    },
+    // Transcription backend (AssemblyAI or offline Whisper)
+    transcription: {
+        getSettings: () => ipcRenderer.invoke('get-transcription-settings'),
+        save: (settings) => ipcRenderer.invoke('save-transcription-settings', settings)
+    },
+    // LLM backend and per-task model/temperature (services/llm)
+    llm: {
+        getSettings: () => ipcRenderer.invoke('get-llm-settings'),
+        save: (settings) => ipcRenderer.invoke('save-llm-settings', settings),
+        clearCache: () => ipcRenderer.invoke('clear-llm-cache')
+    },
+    // Brand presets (~/.clicksync/brands)
+    brand: {
+        list: () => ipcRenderer.invoke('get-brand-presets'),
+        get: (id) => ipcRenderer.invoke('get-brand-preset', id),
+        save: (preset) => ipcRenderer.invoke('save-brand-preset', preset),
+        remove: (id) => ipcRenderer.invoke('delete-brand-preset', id),
+        openFolder: () => ipcRenderer.invoke('open-brands-folder')
+    },
+    // Background job queue: footage fetch, pre-render, export (services/jobs)
+    jobs: {
+        list: () => ipcRenderer.invoke('jobs-list'),
+        add: (spec) => ipcRenderer.invoke('jobs-add', spec),
+        action: (id, action, priority) => ipcRenderer.invoke('jobs-action', { id, action, priority }),
+        clearFinished: () => ipcRenderer.invoke('jobs-clear-finished'),
+        releaseEditor: (projectId, projectName) => ipcRenderer.invoke('jobs-release-editor', { projectId, projectName }),
+        onUpdated: (callback) => {
+            const subscription = (event, data) => callback(data);
+            ipcRenderer.on('jobs-updated', subscription);
+            return () => ipcRenderer.removeListener('jobs-updated', subscription);
+        }
+    },
+    // Local REST/WebSocket automation API (services/api/localApi.js)
+    localApi: {
+        getSettings: () => ipcRenderer.invoke('get-api-settings'),
+        save: (changes) => ipcRenderer.invoke('save-api-settings', changes),
+        regenerateToken: () => ipcRenderer.invoke('regenerate-api-token')
+    },
+    // Multi-shot assembly of long segments (services/timeline/shotAssembly.js)
+    assembly: {
+        getSettings: () => ipcRenderer.invoke('get-assembly-settings'),
+        save: (changes) => ipcRenderer.invoke('save-assembly-settings', changes)
+    },
+    // Export audio mix: music ducking and loudness target (services/audioMix.js)
+    audioMix: {
+        getSettings: () => ipcRenderer.invoke('get-audio-mix-settings'),
+        save: (changes) => ipcRenderer.invoke('save-audio-mix-settings', changes)
+    },
+    // Local media library of downloaded clips
+    library: {
+        search: (query, limit) => ipcRenderer.invoke('library-search', { query, limit }),
+        getStats: () => ipcRenderer.invoke('library-stats'),
+        remove: (id) => ipcRenderer.invoke('library-remove', { id })
+    },
     // Segment Overlay Manager API
     segmentOverlays: {
         videoAssigned: (segmentIndex, segmentData) => 
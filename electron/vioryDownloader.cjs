@@ -6,7 +6,7 @@ const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
 const { app } = require('electron');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createHarness, resolveHarnessOptions } = require('./vioryHarness.cjs');
 
 // Platform-appropriate User-Agent for Playwright browsers
 const VIORY_USER_AGENT = process.platform === 'darwin'
@@ -34,10 +34,19 @@ class VioryDownloader {
         // Blacklist of videos that require "preparing" (My Content processing)
         // These are skipped immediately in future searches within the same session
         this.preparingBlacklist = new Set();
+
+        // Record/replay harness (electron/vioryHarness.cjs), null for the live site
+        this.harnessOptions = null;
+        this.harness = null;
     }
 
     /**
      * Initialize browser with optional headless mode
+     * @param {Object} [options]
+     * @param {boolean} [options.headless]
+     * @param {string} [options.cookiesPath]
+     * @param {{ mode: 'record'|'replay', dir: string }} [options.harness] - Record Viory
+     *   traffic to, or replay it from, a fixture folder (also CLICKSYNC_VIORY_RECORD/REPLAY)
      */
     async init(options = {}) {
         let userDataPath;
@@ -205,6 +214,13 @@ class VioryDownloader {
             }
         }
 
+        const harnessOptions = resolveHarnessOptions(options.harness || this.harnessOptions);
+        if (harnessOptions) {
+            this.harnessOptions = harnessOptions;
+            if (!this.harness) this.harness = createHarness(harnessOptions);
+            await this.harness.attach(this.context);
+        }
+
         this.page = await this.context.newPage();
         return true;
     }
@@ -581,6 +597,7 @@ class VioryDownloader {
                 if (onProgress) onProgress({ status: 'downloading', filename: uniqueFilename });
 
                 await download.saveAs(savePath);
+                this.harness?.recordDownload(download, savePath);
 
                 // Verify file
                 if (!fs.existsSync(savePath)) {
@@ -847,6 +864,11 @@ class VioryDownloader {
     async verifySessionHeadless() {
         console.log('[VioryDownloader] Verifying session silently (headless)...');
 
+        // A replayed session was logged in when it was recorded
+        if (resolveHarnessOptions(this.harnessOptions)?.mode === 'replay') {
+            return { valid: true, needsLogin: false };
+        }
+
         // Check if we even have cookies first
         if (!this.hasSavedSession()) {
             console.log('[VioryDownloader] No saved session found');
@@ -1017,6 +1039,8 @@ class VioryDownloader {
      * Save cookies to disk
      */
     async saveCookies() {
+        // Never overwrite the real session with cookies from a replay
+        if (this.harness?.mode === 'replay') return;
         const cookies = await this.context.cookies();
         fs.writeFileSync(this.cookiesPath, JSON.stringify(cookies, null, 2));
     }
@@ -1032,6 +1056,8 @@ class VioryDownloader {
      * @param {Object} options - Search options
      * @param {Buffer} options.segmentFrame - Optional screenshot/frame from the segment
      * @param {Function} options.shouldSkip - Callback to check if user requested skip
+     * @param {string} options.language - Script language code (headline/text language)
+     * @param {boolean} options.useLlmCache - false skips cached model answers (default: true)
      * @returns {Object} Best matching video with full analysis
      */
     async intelligentSearch(headline, text, geminiApiKey, options = {}) {
@@ -1040,6 +1066,8 @@ class VioryDownloader {
             maxVideosToAnalyze = 5,
             topNForVisualValidation = 3,
             segmentFrame = null,  // Screenshot from the news segment
+            language = null,      // Project language of the script
+            useLlmCache = true,   // false = fresh model answers (Find Different)
             onProgress = () => { },
             shouldSkip = () => false  // Callback to check if user requested skip
         } = options;
@@ -1073,11 +1101,13 @@ class VioryDownloader {
             onProgress({ stage: 1, message: 'Analyzing segment with Gemini...' });
             const startStage1 = Date.now();
 
-            const genAI = new GoogleGenerativeAI(geminiApiKey);
-            // Use gemini-3-flash-preview for text/query generation (smarter)
-            const textModel = genAI.getGenerativeModel({ model: 'gemini-3-flash-preview' });
-            // Use gemini-3-flash-preview for vision/image analysis
-            const visionModel = genAI.getGenerativeModel({ model: 'gemini-3-flash-preview' });
+            // Models come from the LLM provider layer; the caller's key only applies to Gemini
+            const { default: llm } = await import('../services/llm/index.js');
+            const textModel = llm.getModel('query', { apiKey: geminiApiKey, cache: useLlmCache });
+            const visionModel = llm.getModel('vision', { apiKey: geminiApiKey, cache: useLlmCache });
+
+            // Viory is indexed in English, so queries are English whatever the script language
+            const { describeLanguageForPrompt } = await import('../services/language.js');
 
             const analysisPrompt = `You are a news video researcher for Viory.video. Analyze this segment and generate optimal search queries.
 
@@ -1085,6 +1115,8 @@ SEGMENT:
 - Headline: "${headline}"
 - Text: "${text}"
 
+${describeLanguageForPrompt(language)}
+
 RESPOND ONLY WITH VALID JSON.
 
 ═══════════════════════════════════════════════════════════════════════
@@ -3314,6 +3346,8 @@ RESPOND WITH JSON ONLY:
             maxCandidatesToTry = 12,
             excludeUrls = new Set(),  // URLs to exclude (recently used videos)
             segmentIndex = -1,        // Current segment index for logging
+            language = null,          // Project language of the script
+            useLlmCache = true,       // false = fresh model answers (Find Different)
             shouldSkip = () => false  // Callback to check if user requested skip
         } = options;
 
@@ -3339,6 +3373,8 @@ RESPOND WITH JSON ONLY:
 
         const searchResults = await this.intelligentSearch(headline, text, geminiApiKey, {
             segmentFrame: segmentFrame,  // Pass the segment frame for visual analysis
+            language: language,
+            useLlmCache: useLlmCache,
             onProgress: (p) => onProgress({ stage: 'search', ...p }),
             shouldSkip: shouldSkip  // Pass through the skip check callback
         });
@@ -3869,6 +3905,7 @@ RESPOND WITH JSON ONLY:
 
                 try {
                     await download.saveAs(savePath);
+                    this.harness?.recordDownload(download, savePath);
                     await this.saveCookies();
 
                     // Verify file was saved
@@ -4422,6 +4459,7 @@ RESPOND WITH JSON ONLY:
 
                         if (onProgress) onProgress({ status: 'saving', filename: uniqueFilename });
                         await download.saveAs(savePath);
+                        this.harness?.recordDownload(download, savePath);
                         await this.saveCookies();
 
                         console.log(`[VioryDownloader] Downloaded: ${savePath}`);
@@ -4540,6 +4578,9 @@ RESPOND WITH JSON ONLY:
         if (this.context) {
             await this.saveCookies();
         }
+        if (this.harness) {
+            await this.harness.close();
+        }
         if (this.browser) {
             await this.browser.close();
             this.browser = null;
@@ -0,0 +1,284 @@
+// vioryHarness.cjs - Record and replay Viory traffic for offline pipeline runs
+// Record mode passes every request of the downloader's browser context through
+// to the live site and writes the responses (search pages, video pages with
+// shot list/metadata/credit, My Content polls, downloads) to a fixture folder.
+// Replay mode serves that folder from a local HTTP stand-in and routes the
+// browser to it, so intelligentSearch/downloadVideo run without a login or
+// network. Anything not recorded gets a 404, never a live request.
+//
+// Fixture layout:
+//   <dir>/manifest.json   { "entries": { "GET https://...": [response, ...] } }
+//   <dir>/bodies/<sha256> response bodies
+// A URL fetched several times (My Content polling "preparing" -> ready) keeps
+// every response; replay serves them in order and then repeats the last one.
+//
+// Recorded pages come from the logged-in account: Set-Cookie headers are
+// dropped, but review a fixture before committing it.
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Preview video streams are large and never read by the pipeline
+const SKIPPED_RESOURCE_TYPES = new Set(['media', 'websocket', 'eventsource']);
+
+// Cache busters that change between runs without changing the response
+const VOLATILE_PARAMS = ['_rsc', '_'];
+
+// Body is stored decoded, and cookies must not end up in fixtures
+const DROPPED_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'set-cookie', 'connection']);
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Fixture key for a request: method, URL without volatile params, and a hash
+ * of the POST body when there is one
+ */
+function requestKey(method, url, postData = null) {
+    let normalized = url;
+    try {
+        const parsed = new URL(url);
+        VOLATILE_PARAMS.forEach(p => parsed.searchParams.delete(p));
+        parsed.hash = '';
+        normalized = parsed.toString();
+    } catch (e) { /* keep as is */ }
+    const bodyHash = postData ? `#${sha256(postData).substring(0, 12)}` : '';
+    return `${method.toUpperCase()} ${normalized}${bodyHash}`;
+}
+
+function filterHeaders(headers) {
+    const kept = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+        if (DROPPED_HEADERS.has(name.toLowerCase())) continue;
+        // Playwright joins repeated headers with newlines
+        kept[name] = typeof value === 'string' && value.includes('\n') ? value.split('\n') : value;
+    }
+    return kept;
+}
+
+class FixtureStore {
+    /**
+     * @param {string} dir
+     * @param {boolean} [fresh] - Start empty (a new recording replaces the old one)
+     */
+    constructor(dir, fresh = false) {
+        this.dir = dir;
+        this.manifestPath = path.join(dir, 'manifest.json');
+        this.bodiesDir = path.join(dir, 'bodies');
+        this.entries = {};
+        if (!fresh && fs.existsSync(this.manifestPath)) {
+            this.entries = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8')).entries || {};
+        }
+    }
+
+    add(key, { status, headers, body }) {
+        if (!fs.existsSync(this.bodiesDir)) fs.mkdirSync(this.bodiesDir, { recursive: true });
+        const bodyName = sha256(body);
+        const bodyPath = path.join(this.bodiesDir, bodyName);
+        if (!fs.existsSync(bodyPath)) fs.writeFileSync(bodyPath, body);
+
+        if (!this.entries[key]) this.entries[key] = [];
+        this.entries[key].push({ status, headers: filterHeaders(headers), body: bodyName });
+    }
+
+    has(key) {
+        return !!this.entries[key];
+    }
+
+    get(key, index) {
+        const responses = this.entries[key];
+        if (!responses || responses.length === 0) return null;
+        const response = responses[Math.min(index, responses.length - 1)];
+        return { ...response, body: fs.readFileSync(path.join(this.bodiesDir, response.body)) };
+    }
+
+    save() {
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.manifestPath, JSON.stringify({
+            recordedAt: new Date().toISOString(),
+            entries: this.entries
+        }, null, 2));
+    }
+}
+
+class VioryRecorder {
+    constructor(dir) {
+        this.mode = 'record';
+        this.store = new FixtureStore(dir, true);
+        this.recorded = 0;
+    }
+
+    async attach(context) {
+        await context.route('**/*', async (route) => {
+            const request = route.request();
+            if (SKIPPED_RESOURCE_TYPES.has(request.resourceType())) return route.continue();
+
+            let response;
+            try {
+                response = await route.fetch();
+            } catch (e) {
+                return route.abort().catch(() => { });
+            }
+            const body = await response.body();
+            this.store.add(requestKey(request.method(), request.url(), request.postDataBuffer()), {
+                status: response.status(),
+                headers: response.headers(),
+                body
+            });
+            this.recorded++;
+            // Written as we go: the browser may be restarted or crash mid-run
+            this.store.save();
+            await route.fulfill({ response, body });
+        });
+        console.log(`[VioryHarness] Recording to ${this.store.dir}`);
+    }
+
+    /**
+     * Downloads are saved by Playwright, not always seen by the route handler.
+     * Keep the saved file so replay can serve it as an attachment.
+     */
+    recordDownload(download, savedPath) {
+        const key = requestKey('GET', download.url());
+        if (this.store.has(key) || !fs.existsSync(savedPath)) return;
+        this.store.add(key, {
+            status: 200,
+            headers: {
+                'content-type': 'video/mp4',
+                'content-disposition': `attachment; filename="${download.suggestedFilename()}"`
+            },
+            body: fs.readFileSync(savedPath)
+        });
+        this.store.save();
+        console.log(`[VioryHarness] Recorded download ${download.suggestedFilename()}`);
+    }
+
+    async close() {
+        console.log(`[VioryHarness] Recorded ${this.recorded} responses to ${this.store.dir}`);
+    }
+}
+
+/**
+ * Local HTTP stand-in for Viory. The original URL, URI-encoded, is the path:
+ *   http://127.0.0.1:<port>/https%3A%2F%2Fwww.viory.video%2Fen%2Fvideos%3Fsearch%3D...
+ * so responses can also be inspected in a normal browser.
+ */
+class VioryReplayServer {
+    constructor(dir) {
+        if (!fs.existsSync(path.join(dir, 'manifest.json'))) {
+            throw new Error(`No Viory recording found in ${dir}`);
+        }
+        this.store = new FixtureStore(dir);
+        this.served = new Map(); // key -> responses served so far
+        this.misses = [];
+        this.server = null;
+        this.origin = null;
+    }
+
+    handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = decodeURIComponent(req.url.slice(1));
+            const postData = chunks.length > 0 ? Buffer.concat(chunks) : null;
+            const key = requestKey(req.method, url, postData);
+            const index = this.served.get(key) || 0;
+            const response = this.store.get(key, index);
+
+            if (!response) {
+                this.misses.push(key);
+                console.warn(`[VioryHarness] Not recorded: ${key}`);
+                res.writeHead(404, { 'content-type': 'text/plain' });
+                res.end('Not recorded');
+                return;
+            }
+            this.served.set(key, index + 1);
+            res.writeHead(response.status, { ...response.headers, 'content-length': response.body.length });
+            res.end(response.body);
+        });
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.on('error', reject);
+            this.server.listen(0, '127.0.0.1', () => {
+                this.origin = `http://127.0.0.1:${this.server.address().port}`;
+                console.log(`[VioryHarness] Replaying ${this.store.dir} at ${this.origin}`);
+                resolve(this.origin);
+            });
+        });
+    }
+
+    close() {
+        if (this.misses.length > 0) {
+            console.warn(`[VioryHarness] ${this.misses.length} request(s) were not in the recording`);
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+}
+
+class VioryReplayer {
+    constructor(dir) {
+        this.mode = 'replay';
+        this.server = new VioryReplayServer(dir);
+    }
+
+    async attach(context) {
+        // Started again when the downloader restarts its browser
+        const origin = this.server.server ? this.server.origin : await this.server.start();
+        await context.route('**/*', async (route) => {
+            const request = route.request();
+            if (request.url().startsWith(origin)) return route.continue();
+            try {
+                const response = await route.fetch({ url: `${origin}/${encodeURIComponent(request.url())}` });
+                await route.fulfill({ response });
+            } catch (e) {
+                await route.abort().catch(() => { });
+            }
+        });
+    }
+
+    recordDownload() { }
+
+    get misses() {
+        return this.server.misses;
+    }
+
+    close() {
+        return this.server.close();
+    }
+}
+
+/**
+ * Harness settings from options or the environment
+ * (CLICKSYNC_VIORY_RECORD=<dir> or CLICKSYNC_VIORY_REPLAY=<dir>)
+ * @returns {{ mode: 'record'|'replay', dir: string } | null}
+ */
+function resolveHarnessOptions(options = null) {
+    if (options && options.mode && options.dir) return options;
+    if (process.env.CLICKSYNC_VIORY_REPLAY) return { mode: 'replay', dir: process.env.CLICKSYNC_VIORY_REPLAY };
+    if (process.env.CLICKSYNC_VIORY_RECORD) return { mode: 'record', dir: process.env.CLICKSYNC_VIORY_RECORD };
+    return null;
+}
+
+/**
+ * Recorder or replayer for the given settings. The same instance is attached
+ * to every browser context the downloader creates (restarts included).
+ * @param {{ mode: 'record'|'replay', dir: string }} options
+ * @returns {VioryRecorder|VioryReplayer}
+ */
+function createHarness(options) {
+    if (!['record', 'replay'].includes(options.mode)) {
+        throw new Error(`Unknown Viory harness mode: ${options.mode}`);
+    }
+    return options.mode === 'record'
+        ? new VioryRecorder(path.resolve(options.dir))
+        : new VioryReplayer(path.resolve(options.dir));
+}
+
+module.exports = { createHarness, resolveHarnessOptions, requestKey, VioryRecorder, VioryReplayer, VioryReplayServer };
@@ -5,21 +5,23 @@ import {
   useCurrentFrame,
   Easing,
 } from 'remotion';
-import { loadFont } from '@remotion/google-fonts/Montserrat';
+import { BrandStyle, resolveStyle, getFontFamily, barGradient } from './brandStyle';
+import { OverlayFrame, resolveFrame } from './overlayFrame';
 
 interface LowerThirdProps {
   line1: string;
   line2: string;
+  style?: Partial<BrandStyle>;
+  frame?: OverlayFrame; // Vertical/square export; absent = 1920x1080
 }
 
-const { fontFamily } = loadFont();
-
 // Animated word with simple fade + slide - ENTRY ONLY
 const AnimatedWord: React.FC<{
   word: string;
   delayIn: number;
   frame: number;
-}> = ({ word, delayIn, frame }) => {
+  spacing?: number;
+}> = ({ word, delayIn, frame, spacing = 16 }) => {
   // Entry animation only
   const progressIn = interpolate(frame - delayIn, [0, 12], [0, 1], {
     extrapolateLeft: 'clamp',
@@ -36,7 +38,7 @@ const AnimatedWord: React.FC<{
         display: 'inline-block',
         opacity,
         transform: `translateY(${y}px)`,
-        marginRight: 16,
+        marginRight: spacing,
       }}
     >
       {word}
@@ -44,14 +46,27 @@ const AnimatedWord: React.FC<{
   );
 };
 
-export const LowerThird: React.FC<LowerThirdProps> = ({ line1, line2 = '' }) => {
+export const LowerThird: React.FC<LowerThirdProps> = ({ line1, line2 = '', style, frame: outputFrame }) => {
   const frame = useCurrentFrame();
+  const { fonts, colors, lowerThird, animation } = resolveStyle(style);
+  const fontFamily = getFontFamily(fonts.headline);
+  const alignLeft = lowerThird.align === 'left';
+
+  // Layout inside the safe area; narrow frames wrap long lines instead of cutting them off
+  const { width, scale, safeArea } = resolveFrame(outputFrame);
+  const wrap = !!outputFrame;
+  const margin = lowerThird.margin * scale;
+  const maxBarWidth = wrap ? width - safeArea.left - safeArea.right - margin * 2 : undefined;
+  const textWrap: React.CSSProperties = wrap
+    ? { whiteSpace: 'normal', flexWrap: 'wrap', justifyContent: 'center' }
+    : { whiteSpace: 'nowrap' };
 
   // Handle empty line2
   const hasLine2 = line2 && line2.trim().length > 0;
 
   // Animation durations - ENTRY ONLY (no exit)
-  const entryDuration = 20; // frames for entry animation
+  const entryDuration = animation.barEntryFrames; // frames for entry animation
+  const line2Delay = animation.line2DelayFrames;
 
   // === BAR 1 (Red - slides from LEFT, stays in place) ===
   const bar1EntryProgress = interpolate(frame, [0, entryDuration], [0, 1], {
@@ -68,7 +83,7 @@ export const LowerThird: React.FC<LowerThirdProps> = ({ line1, line2 = '' }) =>
   });
 
   // === BAR 2 (White - slides from RIGHT, stays in place) ===
-  const bar2EntryProgress = interpolate(frame, [8, 8 + entryDuration], [0, 1], {
+  const bar2EntryProgress = interpolate(frame, [line2Delay, line2Delay + entryDuration], [0, 1], {
     extrapolateLeft: 'clamp',
     extrapolateRight: 'clamp',
     easing: Easing.out(Easing.cubic),
@@ -76,7 +91,7 @@ export const LowerThird: React.FC<LowerThirdProps> = ({ line1, line2 = '' }) =>
 
   const bar2X = interpolate(bar2EntryProgress, [0, 1], [1200, 0]);
 
-  const bar2Opacity = interpolate(frame, [8, 13], [0, 1], {
+  const bar2Opacity = interpolate(frame, [line2Delay, line2Delay + 5], [0, 1], {
     extrapolateLeft: 'clamp',
     extrapolateRight: 'clamp',
   });
@@ -89,7 +104,7 @@ export const LowerThird: React.FC<LowerThirdProps> = ({ line1, line2 = '' }) =>
     extrapolateRight: 'clamp',
   });
 
-  const saberOpacity = interpolate(frame, [20, 25, 70, 80], [0, 0.8, 0.8, 0], {
+  const saberOpacity = !animation.saber ? 0 : interpolate(frame, [20, 25, 70, 80], [0, 0.8, 0.8, 0], {
     extrapolateLeft: 'clamp',
     extrapolateRight: 'clamp',
   });
@@ -99,8 +114,9 @@ export const LowerThird: React.FC<LowerThirdProps> = ({ line1, line2 = '' }) =>
   const words2 = hasLine2 ? line2.trim().split(' ') : [];
 
   // Word animation delays - ENTRY ONLY
-  const line1WordStartIn = 18;
-  const line2WordStartIn = 26;
+  const line1WordStartIn = animation.line1WordStartFrame;
+  const line2WordStartIn = animation.line2WordStartFrame;
+  const wordStagger = animation.wordStaggerFrames;
 
   // NO background - required for transparency
   return (
@@ -109,16 +125,16 @@ export const LowerThird: React.FC<LowerThirdProps> = ({ line1, line2 = '' }) =>
       <div
         style={{
           position: 'absolute',
-          bottom: 40,
-          left: '50%',
-          transform: 'translateX(-50%)',
+          bottom: margin + safeArea.bottom,
+          left: alignLeft ? margin + safeArea.left : safeArea.left + (width - safeArea.left - safeArea.right) / 2,
+          transform: alignLeft ? undefined : 'translateX(-50%)',
           display: 'flex',
           flexDirection: 'column',
-          alignItems: 'center',
-          gap: 8,
+          alignItems: alignLeft ? 'flex-start' : 'center',
+          gap: 8 * scale,
         }}
       >
-        {/* Top bar - Red */}
+        {/* Top bar - brand primary (red by default) */}
         <div
           style={{
             transform: `translateX(${bar1X}px)`,
@@ -135,86 +151,92 @@ export const LowerThird: React.FC<LowerThirdProps> = ({ line1, line2 = '' }) =>
                 left: -3,
                 right: -3,
                 bottom: -3,
-                borderRadius: 13,
+                borderRadius: 13 * scale,
                 opacity: saberOpacity,
-                background: `conic-gradient(from ${saberAngle}deg, transparent 0deg, transparent 330deg, #FF6666 345deg, #FFFFFF 355deg, #FF6666 360deg)`,
+                background: `conic-gradient(from ${saberAngle}deg, transparent 0deg, transparent 330deg, ${colors.accent} 345deg, #FFFFFF 355deg, ${colors.accent} 360deg)`,
                 WebkitMask: 'linear-gradient(#fff 0 0) content-box, linear-gradient(#fff 0 0)',
                 WebkitMaskComposite: 'xor',
                 maskComposite: 'exclude',
                 padding: 3,
                 pointerEvents: 'none',
-                filter: 'drop-shadow(0 0 6px #FF3333) drop-shadow(0 0 12px #FF0000)',
+                filter: `drop-shadow(0 0 6px ${colors.accent}) drop-shadow(0 0 12px ${colors.accent})`,
               }}
             />
           )}
 
-          {/* Main red bar */}
+          {/* Main bar */}
           <div
             style={{
-              background: 'linear-gradient(to top, #8B0000 0%, #CC0000 40%, #FF0000 100%)',
-              padding: '18px 40px',
-              borderRadius: 10,
+              background: barGradient(colors.line1Background),
+              padding: `${18 * scale}px ${40 * scale}px`,
+              borderRadius: 10 * scale,
               display: 'inline-flex',
               justifyContent: 'center',
               boxShadow: '0 6px 25px rgba(0,0,0,0.5)',
+              maxWidth: maxBarWidth,
+              boxSizing: 'border-box',
             }}
           >
             <div
               style={{
                 fontFamily,
-                fontSize: 46,
+                fontSize: 46 * scale,
                 fontWeight: 900,
                 textTransform: 'uppercase',
                 letterSpacing: '1px',
-                whiteSpace: 'nowrap',
                 display: 'flex',
-                color: '#FFFFFF',
+                color: colors.line1Text,
+                ...textWrap,
               }}
             >
               {words1.map((word, i) => (
                 <AnimatedWord
                   key={i}
                   word={word}
-                  delayIn={line1WordStartIn + i * 4}
+                  delayIn={line1WordStartIn + i * wordStagger}
                   frame={frame}
+                  spacing={16 * scale}
                 />
               ))}
             </div>
           </div>
         </div>
 
-        {/* Bottom bar - White/Gray */}
+        {/* Bottom bar - brand secondary (white/gray by default) */}
         {hasLine2 && (
           <div
             style={{
               transform: `translateX(${bar2X}px)`,
               opacity: bar2Opacity,
-              background: 'linear-gradient(to top, #666666 0%, #AAAAAA 30%, #FFFFFF 100%)',
-              padding: '20px 50px',
-              borderRadius: 10,
+              background: barGradient(colors.line2Background),
+              padding: `${20 * scale}px ${50 * scale}px`,
+              borderRadius: 10 * scale,
               display: 'inline-flex',
               justifyContent: 'center',
               boxShadow: '0 6px 25px rgba(0,0,0,0.4)',
+              maxWidth: maxBarWidth,
+              boxSizing: 'border-box',
             }}
           >
             <div
               style={{
                 fontFamily,
-                fontSize: 54,
+                fontSize: 54 * scale,
                 fontWeight: 900,
                 textTransform: 'uppercase',
                 letterSpacing: '1px',
-                whiteSpace: 'nowrap',
                 display: 'flex',
-                color: '#111111',
+                color: colors.line2Text,
+                ...textWrap,
               }}
             >
               {words2.map((word, i) => (
                 <AnimatedWord
                   key={i}
                   word={word}
-                  delayIn={line2WordStartIn + i * 4}
+                  delayIn={line2WordStartIn + i * wordStagger}
                   frame={frame}
+                  spacing={16 * scale}
                 />
               ))}
             </div>
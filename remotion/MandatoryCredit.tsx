@@ -5,19 +5,29 @@ import {
   useCurrentFrame,
   Easing,
 } from 'remotion';
-import { loadFont } from '@remotion/google-fonts/Montserrat';
+import { BrandStyle, resolveStyle, getFontFamily, barGradient } from './brandStyle';
+import { OverlayFrame, resolveFrame } from './overlayFrame';
 
 interface MandatoryCreditProps {
   text: string;
+  style?: Partial<BrandStyle>;
+  frame?: OverlayFrame; // Vertical/square export; absent = 1920x1080
 }
 
-const { fontFamily } = loadFont();
-
-export const MandatoryCredit: React.FC<MandatoryCreditProps> = ({ text }) => {
+export const MandatoryCredit: React.FC<MandatoryCreditProps> = ({ text, style, frame: outputFrame }) => {
   const frame = useCurrentFrame();
+  const { fonts, colors, mandatoryCredit, animation } = resolveStyle(style);
+  const fontFamily = getFontFamily(fonts.credit);
+  const [vertical, horizontal] = mandatoryCredit.position.split('-') as ['top' | 'bottom', 'left' | 'right'];
+  const fromRight = horizontal === 'right';
+
+  // Corner of the safe area; long credits wrap in narrow frames
+  const { width, scale, safeArea } = resolveFrame(outputFrame);
+  const margin = mandatoryCredit.margin * scale;
+  const maxWidth = outputFrame ? width - safeArea.left - safeArea.right - margin * 2 : undefined;
 
   // Animation timing - ENTRY ONLY (no exit animation)
-  const entryDuration = 18; // frames for entry animation
+  const entryDuration = animation.creditEntryFrames; // frames for entry animation
 
   // === BAR ANIMATION (slides from LEFT, stays in place) ===
   const barEntryProgress = interpolate(frame, [0, entryDuration], [0, 1], {
@@ -26,7 +36,8 @@ export const MandatoryCredit: React.FC<MandatoryCreditProps> = ({ text }) => {
     easing: Easing.out(Easing.cubic),
   });
 
-  const barX = interpolate(barEntryProgress, [0, 1], [-400, 0]);
+  // Slides in from the nearest edge
+  const barX = interpolate(barEntryProgress, [0, 1], [fromRight ? 400 : -400, 0]);
 
   // Opacity - fade in only
   const barOpacity = interpolate(frame, [0, 5], [0, 1], {
@@ -44,8 +55,8 @@ export const MandatoryCredit: React.FC<MandatoryCreditProps> = ({ text }) => {
   const textOpacity = interpolate(textEntryProgress, [0, 1], [0, 1]);
   const textY = interpolate(textEntryProgress, [0, 1], [8, 0]);
 
-  // Red accent line animation - grows on entry, stays at full width
-  const accentWidth = interpolate(frame, [5, 20], [0, 4], {
+  // Accent line animation - grows on entry, stays at full width
+  const accentWidth = interpolate(frame, [5, 20], [0, 4 * scale], {
     extrapolateLeft: 'clamp',
     extrapolateRight: 'clamp',
     easing: Easing.out(Easing.cubic),
@@ -53,33 +64,37 @@ export const MandatoryCredit: React.FC<MandatoryCreditProps> = ({ text }) => {
 
   return (
     <AbsoluteFill>
-      {/* Main container - top left */}
+      {/* Main container - brand corner (top left by default) */}
       <div
         style={{
           position: 'absolute',
-          top: 30,
-          left: 30,
+          [vertical]: margin + safeArea[vertical],
+          [horizontal]: margin + safeArea[horizontal],
+          maxWidth,
           transform: `translateX(${barX}px)`,
           opacity: barOpacity,
           display: 'flex',
+          flexDirection: fromRight ? 'row-reverse' : 'row',
           alignItems: 'stretch',
         }}
       >
-        {/* Red accent line on left side - matches lower third brand */}
+        {/* Accent line on the outer side - matches lower third brand */}
         <div
           style={{
             width: accentWidth,
-            background: 'linear-gradient(to bottom, #FF0000 0%, #CC0000 100%)',
-            borderRadius: '3px 0 0 3px',
+            background: colors.accent,
+            borderRadius: fromRight ? '0 3px 3px 0' : '3px 0 0 3px',
           }}
         />
 
         {/* Main dark bar */}
         <div
           style={{
-            background: 'linear-gradient(to bottom, rgba(30, 30, 30, 0.95) 0%, rgba(15, 15, 15, 0.98) 100%)',
-            padding: '10px 20px 10px 16px',
-            borderRadius: '0 6px 6px 0',
+            background: barGradient(colors.creditBackground),
+            padding: fromRight
+              ? `${10 * scale}px ${16 * scale}px ${10 * scale}px ${20 * scale}px`
+              : `${10 * scale}px ${20 * scale}px ${10 * scale}px ${16 * scale}px`,
+            borderRadius: fromRight ? '6px 0 0 6px' : '0 6px 6px 0',
             boxShadow: '0 4px 15px rgba(0,0,0,0.4)',
             display: 'flex',
             alignItems: 'center',
@@ -88,11 +103,11 @@ export const MandatoryCredit: React.FC<MandatoryCreditProps> = ({ text }) => {
           <span
             style={{
               fontFamily,
-              fontSize: 22,
+              fontSize: 22 * scale,
               fontWeight: 300, // Light weight for elegant look
               letterSpacing: '0.5px',
-              color: '#FFFFFF',
-              whiteSpace: 'nowrap',
+              color: colors.creditText,
+              whiteSpace: outputFrame ? 'normal' : 'nowrap',
               opacity: textOpacity,
               transform: `translateY(${textY}px)`,
             }}
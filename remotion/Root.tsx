@@ -2,33 +2,41 @@ import React from 'react';
 import { Composition } from 'remotion';
 import { LowerThird } from './LowerThird';
 import { MandatoryCredit } from './MandatoryCredit';
+import { BrandStyle } from './brandStyle';
+import { OverlayFrame, resolveFrame } from './overlayFrame';
 
 // Props interface for the composition
 interface LowerThirdCompositionProps {
     line1: string;
     line2: string;
     durationInSeconds?: number;
+    style?: Partial<BrandStyle>; // Brand preset overlay style
+    frame?: OverlayFrame; // Vertical/square export size and safe area
 }
 
 // Props interface for mandatory credit
 interface MandatoryCreditCompositionProps {
     text: string;
     durationInSeconds?: number;
+    style?: Partial<BrandStyle>;
+    frame?: OverlayFrame;
 }
 
 // Wrapper component for mandatory credit
-const MandatoryCreditComposition: React.FC<MandatoryCreditCompositionProps> = ({ text }) => {
+const MandatoryCreditComposition: React.FC<MandatoryCreditCompositionProps> = ({ text, style, frame }) => {
     return (
-        <MandatoryCredit text={text} />
+        <MandatoryCredit text={text} style={style} frame={frame} />
     );
 };
 
 // Wrapper component for the composition
-const LowerThirdComposition: React.FC<LowerThirdCompositionProps> = ({ line1, line2 }) => {
+const LowerThirdComposition: React.FC<LowerThirdCompositionProps> = ({ line1, line2, style, frame }) => {
     return (
         <LowerThird
             line1={line1}
             line2={line2}
+            style={style}
+            frame={frame}
         />
     );
 };
@@ -67,8 +75,12 @@ export const RemotionRoot: React.FC = () => {
                 calculateMetadata={({ props }) => {
                     // Calculate frames based on duration, minimum 80 frames (~2.67 seconds) for animation
                     const frames = Math.max(80, Math.round((props.durationInSeconds || 3) * 30));
+                    // Vertical and square exports render at their own size
+                    const { width, height } = resolveFrame(props.frame);
                     return {
                         durationInFrames: frames,
+                        width,
+                        height,
                     };
                 }}
             />
@@ -101,8 +113,11 @@ export const RemotionRoot: React.FC = () => {
                 }}
                 calculateMetadata={({ props }) => {
                     const frames = Math.max(30, Math.round((props.durationInSeconds || 1) * 30));
+                    const { width, height } = resolveFrame(props.frame);
                     return {
                         durationInFrames: frames,
+                        width,
+                        height,
                     };
                 }}
             />
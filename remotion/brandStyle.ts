@@ -0,0 +1,101 @@
+import { loadFont as loadMontserrat } from '@remotion/google-fonts/Montserrat';
+import { loadFont as loadOswald } from '@remotion/google-fonts/Oswald';
+import { loadFont as loadRoboto } from '@remotion/google-fonts/Roboto';
+import { loadFont as loadInter } from '@remotion/google-fonts/Inter';
+import { loadFont as loadPoppins } from '@remotion/google-fonts/Poppins';
+import { loadFont as loadBebasNeue } from '@remotion/google-fonts/BebasNeue';
+import { loadFont as loadOpenSans } from '@remotion/google-fonts/OpenSans';
+import { loadFont as loadLato } from '@remotion/google-fonts/Lato';
+import { loadFont as loadAnton } from '@remotion/google-fonts/Anton';
+
+// Overlay part of a brand preset (services/brandPresets.js getOverlayStyle).
+// The renderers always send a complete style; the defaults below are the
+// original ClickSync look, used in Remotion Studio and for old cached props.
+export interface BrandStyle {
+  fonts: { headline: string; credit: string };
+  colors: {
+    line1Background: string[];
+    line1Text: string;
+    line2Background: string[];
+    line2Text: string;
+    accent: string;
+    creditBackground: string[];
+    creditText: string;
+  };
+  lowerThird: { align: 'center' | 'left'; margin: number };
+  mandatoryCredit: { position: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'; margin: number };
+  animation: {
+    barEntryFrames: number;
+    line2DelayFrames: number;
+    line1WordStartFrame: number;
+    line2WordStartFrame: number;
+    wordStaggerFrames: number;
+    saber: boolean;
+    creditEntryFrames: number;
+  };
+}
+
+export const DEFAULT_STYLE: BrandStyle = {
+  fonts: { headline: 'Montserrat', credit: 'Montserrat' },
+  colors: {
+    line1Background: ['#8B0000', '#CC0000 40%', '#FF0000'],
+    line1Text: '#FFFFFF',
+    line2Background: ['#666666', '#AAAAAA 30%', '#FFFFFF'],
+    line2Text: '#111111',
+    accent: '#FF0000',
+    creditBackground: ['rgba(15, 15, 15, 0.98)', 'rgba(30, 30, 30, 0.95)'],
+    creditText: '#FFFFFF',
+  },
+  lowerThird: { align: 'center', margin: 40 },
+  mandatoryCredit: { position: 'top-left', margin: 30 },
+  animation: {
+    barEntryFrames: 20,
+    line2DelayFrames: 8,
+    line1WordStartFrame: 18,
+    line2WordStartFrame: 26,
+    wordStaggerFrames: 4,
+    saber: true,
+    creditEntryFrames: 18,
+  },
+};
+
+export const resolveStyle = (style?: Partial<BrandStyle>): BrandStyle => ({
+  fonts: { ...DEFAULT_STYLE.fonts, ...style?.fonts },
+  colors: { ...DEFAULT_STYLE.colors, ...style?.colors },
+  lowerThird: { ...DEFAULT_STYLE.lowerThird, ...style?.lowerThird },
+  mandatoryCredit: { ...DEFAULT_STYLE.mandatoryCredit, ...style?.mandatoryCredit },
+  animation: { ...DEFAULT_STYLE.animation, ...style?.animation },
+});
+
+// Same list as BRAND_FONTS in services/brandPresets.js
+const FONT_LOADERS: Record<string, () => { fontFamily: string }> = {
+  Montserrat: () => loadMontserrat(),
+  Oswald: () => loadOswald(),
+  Roboto: () => loadRoboto(),
+  Inter: () => loadInter(),
+  Poppins: () => loadPoppins(),
+  'Bebas Neue': () => loadBebasNeue(),
+  'Open Sans': () => loadOpenSans(),
+  Lato: () => loadLato(),
+  Anton: () => loadAnton(),
+};
+
+const loadedFonts = new Map<string, string>();
+
+// Load a brand font once and return its CSS family
+export const getFontFamily = (name: string): string => {
+  const key = FONT_LOADERS[name] ? name : DEFAULT_STYLE.fonts.headline;
+  if (!loadedFonts.has(key)) {
+    loadedFonts.set(key, FONT_LOADERS[key]().fontFamily);
+  }
+  return loadedFonts.get(key)!;
+};
+
+// CSS gradient from colour stops listed bottom to top ("#CC0000" or "#CC0000 40%")
+export const barGradient = (stops: string[], direction = 'to top'): string => {
+  if (stops.length === 1) return stops[0];
+  const positioned = stops.map((stop, i) =>
+    /\s\d+(\.\d+)?%$/.test(stop) ? stop : `${stop} ${Math.round((i / (stops.length - 1)) * 100)}%`
+  );
+  return `linear-gradient(${direction}, ${positioned.join(', ')})`;
+};
@@ -0,0 +1,23 @@
+// Output frame an overlay is laid out in (services/reframe.js overlayFrame).
+// 16:9 exports send none and keep the original 1920x1080 layout; vertical and
+// square exports send their size, a scale for type and bars, and the safe
+// area in pixels that the Shorts/Reels interface covers.
+export interface OverlayFrame {
+  width: number;
+  height: number;
+  scale: number;
+  safeArea: { top: number; right: number; bottom: number; left: number };
+}
+
+export const DEFAULT_FRAME: OverlayFrame = {
+  width: 1920,
+  height: 1080,
+  scale: 1,
+  safeArea: { top: 0, right: 0, bottom: 0, left: 0 },
+};
+
+export const resolveFrame = (frame?: Partial<OverlayFrame>): OverlayFrame => ({
+  ...DEFAULT_FRAME,
+  ...frame,
+  safeArea: { ...DEFAULT_FRAME.safeArea, ...frame?.safeArea },
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// check-viory-replay - render the replay fixture offline and check the footage picks
+//
+//   npm run check:viory-replay
+//
+// fixtures/viory-replay is a hand-written stand-in for a --viory-record folder
+// (electron/vioryHarness.cjs): search and video pages in Viory's shape, with
+// made-up clips and credits, and the model answers in llm/ for the fixture
+// LLM backend (services/llm/fixtureProvider.js). It covers:
+//   - Segment 1: the best match only downloads through My Content, so it is
+//     skipped for the next candidate. That one's download button stays disabled
+//     until the restrictions checkbox is ticked.
+//   - Segment 2: a plain direct download.
+// The clip and mandatory credit picked for each segment must match expected.json.
+// Pages or prompts that change make the replay miss: record the fixture again
+// or update the pages and answers by hand.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURE = path.join(ROOT, 'fixtures', 'viory-replay');
+const TIMEOUT_MS = 10 * 60 * 1000;
+
+function runCli(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(ROOT, 'bin', 'clicksync.js'), ...args], { stdio: 'inherit' });
+        const timer = setTimeout(() => child.kill(), TIMEOUT_MS);
+        child.on('error', reject);
+        child.on('exit', (code, signal) => {
+            clearTimeout(timer);
+            resolve(signal ? `killed (${signal})` : code);
+        });
+    });
+}
+
+/**
+ * Differences between the report and the expected picks, one line each
+ */
+function compare(report, expected) {
+    const problems = [];
+    if (report.segments.length !== expected.segments.length) {
+        problems.push(`expected ${expected.segments.length} segments, got ${report.segments.length}`);
+    }
+    expected.segments.forEach((want, i) => {
+        const got = report.segments[i];
+        const label = `Segment ${i + 1} ("${want.headline}")`;
+        if (!got) return;
+        if (got.clip?.url !== want.url) problems.push(`${label}: clip ${got.clip?.url || 'none'}, expected ${want.url}`);
+        if (got.credit !== want.credit) problems.push(`${label}: credit "${got.credit}", expected "${want.credit}"`);
+        const skipped = got.clip?.skipped || [];
+        want.skipped.forEach(({ url, reason }) => {
+            if (!skipped.some(s => s.url === url && (s.reason || '').includes(reason))) {
+                problems.push(`${label}: ${url} was not skipped for "${reason}"`);
+            }
+        });
+        if (skipped.length !== want.skipped.length) {
+            problems.push(`${label}: ${skipped.length} clip(s) skipped, expected ${want.skipped.length}`);
+        }
+    });
+    return problems;
+}
+
+async function main() {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clicksync-replay-'));
+    const reportPath = path.join(outDir, 'report.json');
+    try {
+        const code = await runCli([
+            'render',
+            '--script', path.join(FIXTURE, 'script.txt'),
+            '--audio', path.join(FIXTURE, 'narration.mp3'),
+            '--transcript', path.join(FIXTURE, 'transcript.json'),
+            '--language', 'en',
+            '--viory-replay', FIXTURE,
+            '--resolution', '480p',
+            '--fps', '24',
+            '--loudness', 'off',
+            '--out', path.join(outDir, 'replay.mp4'),
+            '--report', reportPath
+        ]);
+        if (code !== 0) throw new Error(`clicksync render exited with ${code}`);
+
+        const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+        const expected = JSON.parse(fs.readFileSync(path.join(FIXTURE, 'expected.json'), 'utf8'));
+        const problems = compare(report, expected);
+        if (problems.length > 0) {
+            throw new Error(`Replay picked different footage:\n  ${problems.join('\n  ')}`);
+        }
+        report.segments.forEach(seg => {
+            process.stdout.write(`ok  Segment ${seg.index + 1}: ${seg.clip.url} (credit: ${seg.credit})\n`);
+        });
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        process.stderr.write(`check-viory-replay: ${error.message}\n`);
+        process.exit(1);
+    });
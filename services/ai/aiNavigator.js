@@ -1,10 +1,8 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import config from '../../config.js';
+import llm from '../llm/index.js';
 
 class AIVisionNavigator {
     constructor() {
-        this.genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-        this.model = this.genAI.getGenerativeModel({ model: config.gemini.model });
+        this.model = llm.getModel('vision');
     }
 
     /**
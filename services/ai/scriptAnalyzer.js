@@ -2,33 +2,38 @@
 // Uses Gemini to understand the overall theme, people, places, and visual cues
 
 import geminiClient from './geminiClient.js';
+import { parseScript, formatWarnings } from '../script/scriptGrammar.js';
+import { resolveLanguage, describeLanguageForPrompt, DEFAULT_LANGUAGE } from '../language.js';
 
 /**
  * Analyze the entire script to extract global context
  * This helps generate better queries and validate results
  * @param {string} script - The full script text
+ * @param {string} [language] - Project language (see services/language.js)
  * @returns {Object} Global context object
  */
-export async function analyzeGlobalContext(script) {
+export async function analyzeGlobalContext(script, language = DEFAULT_LANGUAGE) {
     console.log("[ScriptAnalyzer] Analyzing global context...");
+    const { name } = resolveLanguage(language);
 
-    const prompt = `Eres un analista de noticias experto. Analiza este guion de noticias y extrae informacion clave.
+    const prompt = `You are an expert news analyst. Analyze this news script and extract the key information.
+${describeLanguageForPrompt(language)}
 
-GUION:
+SCRIPT:
 "${script.substring(0, 12000)}"
 
-EXTRAE Y RESPONDE EN JSON:
+EXTRACT AND ANSWER IN JSON:
 {
-  "theme": "palabra clave del tema principal (Politics, War, Economy, Diplomacy, Sports, etc.)",
-  "main_people": ["lista de nombres COMPLETOS de personas mencionadas, maximo 10"],
-  "main_places": ["lista de paises/ciudades mencionadas, maximo 5"],
-  "main_organizations": ["lista de organizaciones/instituciones mencionadas, maximo 5"],
-  "visual_cues": ["lista de elementos visuales esperados como: White House, podium, flags, military, etc."],
+  "theme": "main topic keyword in English (Politics, War, Economy, Diplomacy, Sports, etc.)",
+  "main_people": ["FULL names of people mentioned, max 10"],
+  "main_places": ["countries/cities mentioned, in English, max 5"],
+  "main_organizations": ["organizations/institutions mentioned, in English, max 5"],
+  "visual_cues": ["expected visual elements in English, e.g. White House, podium, flags, military"],
   "tone": "formal/informal/urgent/dramatic",
-  "summary_es": "resumen de 1 linea en espanol"
+  "summary": "1-line summary in ${name}"
 }
 
-IMPORTANTE: Solo responde con el JSON, sin texto adicional.`;
+IMPORTANT: Reply with the JSON only, no additional text.`;
 
     try {
         const result = await geminiClient.generateContent(prompt);
@@ -62,39 +67,30 @@ IMPORTANTE: Solo responde con el JSON, sin texto adicional.`;
  * @returns {Array} Array of block objects
  */
 export function parseScriptBlocks(script) {
-    const blocks = [];
-    const cleanScript = script.replace(/\r\n/g, '\n');
+    const { blocks: parsed, warnings, preamble } = parseScript(script);
 
-    // Match various ON SCREEN formats
-    const markerRegex = /\[ON\s*SCREEN[:\s-]*([^\]]+)\]/gi;
-    const matches = Array.from(cleanScript.matchAll(markerRegex));
-
-    if (matches.length === 0) {
+    if (parsed.length === 0) {
         console.log("[ScriptAnalyzer] No [ON SCREEN] markers found, treating as single block");
         return [{
             index: 0,
             headline: "News Content",
-            text: cleanScript.trim(),
+            text: preamble,
+            directives: { credit: null, sot: null, duration: null },
             startPos: 0,
-            endPos: cleanScript.length
+            endPos: script.length
         }];
     }
 
-    for (let i = 0; i < matches.length; i++) {
-        const currentMatch = matches[i];
-        const headline = currentMatch[1].trim();
-        const textStart = currentMatch.index + currentMatch[0].length;
-        const textEnd = (i < matches.length - 1) ? matches[i + 1].index : cleanScript.length;
-        const text = cleanScript.substring(textStart, textEnd).trim();
-
-        blocks.push({
-            index: i,
-            headline: headline,
-            text: text,
-            startPos: currentMatch.index,
-            endPos: textEnd
-        });
-    }
+    formatWarnings(warnings).forEach(w => console.warn(`[ScriptAnalyzer] ${w}`));
+
+    const blocks = parsed.map(block => ({
+        index: block.index,
+        headline: block.headline,
+        text: block.text,
+        directives: block.directives,
+        startPos: block.range.start,
+        endPos: block.range.end
+    }));
 
     console.log(`[ScriptAnalyzer] Parsed ${blocks.length} blocks from script`);
     return blocks;
@@ -105,83 +101,85 @@ export function parseScriptBlocks(script) {
  * @param {Object} block - Block object with headline and text
  * @param {Object} globalContext - Global context from analyzeGlobalContext
  * @param {Object} previousBlock - Previous block's analysis for continuity
+ * @param {string} [language] - Project language (see services/language.js)
  * @returns {Object} Block analysis
  */
-export async function analyzeBlock(block, globalContext, previousBlock = null) {
+export async function analyzeBlock(block, globalContext, previousBlock = null, language = DEFAULT_LANGUAGE) {
     console.log(`[ScriptAnalyzer] Analyzing block ${block.index}: "${block.headline.substring(0, 50)}..."`);
 
     // Build continuity context
     let continuitySection = '';
     if (previousBlock && previousBlock.main_person) {
         continuitySection = `
-CONTEXTO DEL BLOQUE ANTERIOR (para continuidad):
-- Persona principal anterior: "${previousBlock.main_person}"
-- Persona secundaria: "${previousBlock.secondary_person || 'ninguna'}"
-- Tema: "${previousBlock.topic || 'N/A'}"
+PREVIOUS BLOCK CONTEXT (for continuity):
+- Previous main person: "${previousBlock.main_person}"
+- Secondary person: "${previousBlock.secondary_person || 'none'}"
+- Topic: "${previousBlock.topic || 'N/A'}"
 
-REGLA DE CONTINUIDAD: Si este bloque es una CONTINUACION de la historia anterior (mismas personas, mismo evento), usa las MISMAS entidades principales.`;
+CONTINUITY RULE: If this block CONTINUES the previous story (same people, same event), use the SAME main entities.`;
     }
 
-    const prompt = `Eres un experto en busqueda de videos de noticias. Analiza este bloque y genera busquedas INTELIGENTES.
+    const prompt = `You are an expert in searching news video archives. Analyze this block and generate SMART searches.
+${describeLanguageForPrompt(language)}
 
-BLOQUE #${block.index + 1}:
-Titular: "${block.headline}"
-Texto: "${block.text.substring(0, 1500)}"
+BLOCK #${block.index + 1}:
+Headline: "${block.headline}"
+Text: "${block.text.substring(0, 1500)}"
 
-CONTEXTO GLOBAL:
-- Tema: ${globalContext.theme || 'News'}
-- Personas principales del guion: ${(globalContext.main_people || []).join(', ')}
-- Lugares: ${(globalContext.main_places || []).join(', ')}
+GLOBAL CONTEXT:
+- Theme: ${globalContext.theme || 'News'}
+- Main people in the script: ${(globalContext.main_people || []).join(', ')}
+- Places: ${(globalContext.main_places || []).join(', ')}
 ${continuitySection}
 
-DETERMINA EL TIPO DE CONTENIDO:
-1. PERSONA_HABLANDO - Una persona dando declaraciones, discurso, conferencia
-2. MULTI_PERSONA - Dos o mas personas en reunion, cumbre, entrevista
-3. FOOTAGE_EVENTO - Imagenes de un evento (explosion, protesta, desastre)
-4. FOOTAGE_LUGAR - Tomas de un lugar (ciudad, edificio, pais)
-5. INSTITUCION - Contenido sobre una organizacion (ONU, NATO, gobierno)
-6. GENERICO - Contenido general sin persona especifica
-
-GENERA QUERIES DE BUSQUEDA (6-8 queries, de mas especifico a mas general):
-- Si hay DOS personas mencionadas: "PersonaA PersonaB" juntas primero
-- Si hay UNA persona: "Nombre Completo" + accion (speech, conference, etc.)
-- Si hay un CARGO sin nombre (ej: "el presidente", "el ministro"): "titulo + pais" (ej: "Russian President", "Chinese Minister")
-- Incluye variantes con ACCIONES: speech, press conference, meeting, announcement
-- Incluye variantes con LUGARES
-- Query generico de respaldo al final
-
-DESCRIBE QUE BUSCAR VISUALMENTE:
-- Que DEBE aparecer en el video
-- Que seria PREFERIBLE ver
-- Que EVITAR (graficos solo texto, persona incorrecta)
-
-RESPONDE SOLO JSON:
+DETERMINE THE CONTENT TYPE:
+1. PERSONA_HABLANDO - One person giving statements, a speech, a press conference
+2. MULTI_PERSONA - Two or more people in a meeting, summit, interview
+3. FOOTAGE_EVENTO - Footage of an event (explosion, protest, disaster)
+4. FOOTAGE_LUGAR - Shots of a place (city, building, country)
+5. INSTITUCION - Content about an organization (UN, NATO, government)
+6. GENERICO - General content with no specific person
+
+GENERATE ENGLISH SEARCH QUERIES (6-8 queries, most specific to most general):
+- If TWO people are mentioned: "PersonA PersonB" together first
+- If ONE person: "Full Name" + action (speech, conference, etc.)
+- If a TITLE without a name (e.g. "the president", "the minister"): "title + country" (e.g. "Russian President", "Chinese Minister")
+- Include variants with ACTIONS: speech, press conference, meeting, announcement
+- Include variants with PLACES
+- A generic fallback query last
+
+DESCRIBE WHAT TO LOOK FOR VISUALLY (in English):
+- What MUST appear in the video
+- What would be PREFERABLE to see
+- What to AVOID (text-only graphics, wrong person)
+
+REPLY WITH JSON ONLY:
 {
   "block_type": "PERSONA_HABLANDO|MULTI_PERSONA|FOOTAGE_EVENTO|FOOTAGE_LUGAR|INSTITUCION|GENERICO",
-  "main_person": "Nombre completo o null",
-  "secondary_person": "Nombre completo o null",
-  "topic": "tema principal en 2-3 palabras",
-  "institution": "organizacion o null",
-  "location": "lugar principal o null",
+  "main_person": "Full name or null",
+  "secondary_person": "Full name or null",
+  "topic": "main topic in 2-3 English words",
+  "institution": "organization or null",
+  "location": "main place or null",
   "is_continuation": true/false,
   "queries": [
-    "query 1 mas especifico",
+    "query 1 most specific",
     "query 2",
     "query 3",
     "query 4",
     "query 5",
-    "query 6 mas general"
+    "query 6 most general"
   ],
   "visual_targets": {
-    "must_show": ["que DEBE aparecer"],
-    "preferred": ["que seria bueno ver"],
-    "avoid": ["que evitar"]
+    "must_show": ["what MUST appear"],
+    "preferred": ["what would be good to see"],
+    "avoid": ["what to avoid"]
   },
   "search_priority": "PERSON|EVENT|PLACE|INSTITUTION"
 }`;
 
     try {
-        const result = await geminiClient.generateContent(prompt);
+        const result = await geminiClient.generateContent(prompt, { task: 'query' });
 
         if (!result.success) {
             console.error(`[ScriptAnalyzer] Block ${block.index} API Error:`, result.message);
@@ -206,30 +204,32 @@ RESPONDE SOLO JSON:
 }
 
 /**
- * Generate a professional summary of the script context in Spanish
+ * Generate a professional summary of the script context in the project language
  * @param {string} script - The full script
- * @returns {string} Summary in Spanish
+ * @param {string} [language] - Project language (see services/language.js)
+ * @returns {string} Summary
  */
-export async function generateScriptSummary(script) {
-    const prompt = `Actua como un editor de noticias experto. Analiza este guion y genera un RESUMEN EJECUTIVO MUY BREVE (maximo 2 frases) en ESPANOL que explique el contexto general y los protagonistas principales.
+export async function generateScriptSummary(script, language = DEFAULT_LANGUAGE) {
+    const { name } = resolveLanguage(language);
+    const prompt = `Act as an expert news editor. Analyze this script and write a VERY SHORT EXECUTIVE SUMMARY (2 sentences max) in ${name.toUpperCase()} explaining the overall context and the main people involved.
 
-Guion: "${script.substring(0, 8000)}"
+Script: "${script.substring(0, 8000)}"
 
-RESUMEN EN ESPANOL (2 frases maximo):`;
+SUMMARY IN ${name.toUpperCase()} (2 sentences max):`;
 
     try {
         const result = await geminiClient.generateContent(prompt);
 
         if (!result.success) {
-            const context = await analyzeGlobalContext(script);
-            return `Reportaje sobre ${context.theme}. Protagonistas: ${(context.main_people || []).slice(0, 3).join(', ')}.`;
+            const context = await analyzeGlobalContext(script, language);
+            return `${context.theme}: ${(context.main_people || []).slice(0, 3).join(', ')}.`;
         }
 
         return result.text.trim();
 
     } catch (error) {
         console.error("[ScriptAnalyzer] Summary generation failed:", error.message);
-        return "Contenido de noticias.";
+        return "News content.";
     }
 }
 
@@ -244,7 +244,7 @@ function getDefaultContext() {
         main_organizations: [],
         visual_cues: ["news footage", "people", "buildings"],
         tone: "formal",
-        summary_es: "Contenido de noticias"
+        summary: ""
     };
 }
 
@@ -2,65 +2,68 @@
 // Analyzes video thumbnails/screenshots to verify content relevance
 
 import geminiClient from './geminiClient.js';
+import { resolveLanguage, DEFAULT_LANGUAGE } from '../language.js';
 
 /**
  * Analyze a video thumbnail/screenshot to determine if it matches the target
  * @param {Buffer|string} imageData - Image buffer or base64 string
  * @param {Object} targetAnalysis - Block analysis with visual_targets
  * @param {Object} textMetadata - Text metadata from the video (title, description, etc.)
+ * @param {string} [language] - Project language for the explanation (see services/language.js)
  * @returns {Object} Visual analysis result
  */
-export async function analyzeVideoThumbnail(imageData, targetAnalysis, textMetadata = {}) {
+export async function analyzeVideoThumbnail(imageData, targetAnalysis, textMetadata = {}, language = DEFAULT_LANGUAGE) {
     console.log("[VisualValidator] Analyzing thumbnail...");
+    const { name } = resolveLanguage(language);
 
     const visualTargets = targetAnalysis.visual_targets || {};
     const mustShow = visualTargets.must_show || [];
     const preferred = visualTargets.preferred || [];
     const avoid = visualTargets.avoid || [];
 
-    const prompt = `Eres un analista visual experto. Analiza esta imagen de un video de noticias.
+    const prompt = `You are an expert visual analyst. Analyze this frame from a news video.
 
-ESTOY BUSCANDO:
-- Tipo de contenido: ${targetAnalysis.block_type || 'NEWS'}
-- Persona principal: ${targetAnalysis.main_person || 'No especificada'}
-- Persona secundaria: ${targetAnalysis.secondary_person || 'Ninguna'}
-- Tema: ${targetAnalysis.topic || 'Noticias'}
-- Lugar: ${targetAnalysis.location || 'No especificado'}
+I AM LOOKING FOR:
+- Content type: ${targetAnalysis.block_type || 'NEWS'}
+- Main person: ${targetAnalysis.main_person || 'Not specified'}
+- Secondary person: ${targetAnalysis.secondary_person || 'None'}
+- Topic: ${targetAnalysis.topic || 'News'}
+- Place: ${targetAnalysis.location || 'Not specified'}
 
-ELEMENTOS QUE DEBE MOSTRAR:
-${mustShow.map(m => `- ${m}`).join('\n') || '- Contenido relevante'}
+ELEMENTS IT MUST SHOW:
+${mustShow.map(m => `- ${m}`).join('\n') || '- Relevant content'}
 
-ELEMENTOS PREFERIDOS:
+PREFERRED ELEMENTS:
 ${preferred.map(p => `- ${p}`).join('\n') || '- N/A'}
 
-ELEMENTOS A EVITAR:
-${avoid.map(a => `- ${a}`).join('\n') || '- Contenido no relacionado'}
+ELEMENTS TO AVOID:
+${avoid.map(a => `- ${a}`).join('\n') || '- Unrelated content'}
 
-METADATOS DEL VIDEO:
-- Titulo: ${textMetadata.title || 'N/A'}
-- Descripcion: ${(textMetadata.description || '').substring(0, 300)}
+VIDEO METADATA:
+- Title: ${textMetadata.title || 'N/A'}
+- Description: ${(textMetadata.description || '').substring(0, 300)}
 
-ANALIZA LA IMAGEN Y RESPONDE EN JSON:
+ANALYZE THE IMAGE AND ANSWER IN JSON:
 {
   "visual_match": true/false,
   "confidence": 0.0-1.0,
-  "detected_elements": ["lista de elementos visibles en la imagen"],
-  "detected_people": ["descripcion de personas visibles, ej: 'hombre en podio', 'mujer con microfono'"],
+  "detected_elements": ["elements visible in the image"],
+  "detected_people": ["visible people, e.g. 'man at podium', 'woman with microphone'"],
   "person_match": "CONFIRMED|LIKELY|UNLIKELY|NO_PERSON",
   "scene_type": "SPEECH|MEETING|EVENT|LOCATION|GRAPHICS|OTHER",
   "is_real_footage": true/false,
-  "issues": ["lista de problemas, ej: 'solo graficos', 'persona incorrecta'"],
+  "issues": ["problems, e.g. 'graphics only', 'wrong person'"],
   "recommendation": "ACCEPT|REVIEW|REJECT",
   "relevance_score": 0-100,
-  "explanation_es": "explicacion breve en espanol de por que aceptar o rechazar"
+  "explanation": "short explanation in ${name} of why to accept or reject"
 }
 
-CRITERIOS DE EVALUACION:
-- ACCEPT (70-100): Claramente muestra el contenido buscado
-- REVIEW (40-69): Podria ser relevante pero no es claro
-- REJECT (0-39): No muestra el contenido buscado o es solo graficos/texto
+SCORING CRITERIA:
+- ACCEPT (70-100): Clearly shows the content we are looking for
+- REVIEW (40-69): Could be relevant but it is not clear
+- REJECT (0-39): Does not show the content, or is only graphics/text
 
-IMPORTANTE: Solo responde con el JSON, sin texto adicional.`;
+IMPORTANT: Reply with the JSON only, no additional text.`;
 
     try {
         const result = await geminiClient.analyzeImage(imageData, prompt);
@@ -95,9 +98,10 @@ IMPORTANTE: Solo responde con el JSON, sin texto adicional.`;
  * Analyze multiple video thumbnails and rank them
  * @param {Array} videos - Array of {imageData, metadata} objects
  * @param {Object} targetAnalysis - Block analysis
+ * @param {string} [language] - Project language (see services/language.js)
  * @returns {Array} Ranked videos with visual scores
  */
-export async function rankVideosByVisual(videos, targetAnalysis) {
+export async function rankVideosByVisual(videos, targetAnalysis, language = DEFAULT_LANGUAGE) {
     console.log(`[VisualValidator] Ranking ${videos.length} videos visually...`);
 
     const results = [];
@@ -119,7 +123,8 @@ export async function rankVideosByVisual(videos, targetAnalysis) {
             const analysis = await analyzeVideoThumbnail(
                 video.imageData,
                 targetAnalysis,
-                video.metadata || {}
+                video.metadata || {},
+                language
             );
 
             results.push({
@@ -158,12 +163,12 @@ export async function rankVideosByVisual(videos, targetAnalysis) {
  * @returns {Object} Quick analysis result
  */
 export async function quickPersonCheck(imageData) {
-    const prompt = `Analiza esta imagen rapidamente.
+    const prompt = `Analyze this image quickly.
 
-RESPONDE SOLO JSON:
+REPLY WITH JSON ONLY:
 {
   "has_real_person": true/false,
-  "person_description": "descripcion breve o null",
+  "person_description": "short description or null",
   "is_graphics_only": true/false,
   "scene_type": "PERSON_SPEAKING|MEETING|EVENT|GRAPHICS|LOCATION|OTHER"
 }`;
@@ -190,14 +195,14 @@ RESPONDE SOLO JSON:
  * @returns {Object} Comparison result
  */
 export async function compareImages(image1, image2) {
-    const prompt = `Compara estas dos imagenes de videos de noticias.
+    const prompt = `Compare these two images from news videos.
 
-RESPONDE SOLO JSON:
+REPLY WITH JSON ONLY:
 {
   "same_person": true/false/null,
   "same_event": true/false,
   "similarity_score": 0-100,
-  "differences": ["lista de diferencias principales"]
+  "differences": ["main differences"]
 }`;
 
     try {
@@ -270,7 +275,7 @@ function getDefaultVisualAnalysis(errorType = 'UNKNOWN') {
         issues: [`API error: ${errorType}`],
         recommendation: 'REVIEW',
         relevance_score: 30, // Middle score for fallback
-        explanation_es: 'No se pudo analizar visualmente, usando solo texto'
+        explanation: 'Visual analysis unavailable, using text only'
     };
 }
 
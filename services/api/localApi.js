@@ -0,0 +1,255 @@
+// localApi.js - Versioned local HTTP + WebSocket API for automation
+// Lets a newsroom CMS drive the pipeline without the UI: create projects,
+// edit and replace segments, queue footage fetches, pre-renders and exports.
+// The work itself is done by the main process (electron/main.cjs passes a
+// "pipeline" object); this module only does HTTP, auth and event fan-out.
+//
+// Settings live in ~/.clicksync/config.json under "api":
+//   { "enabled": false, "port": 5151, "token": "<generated on first start>" }
+// The API is off until it is turned on in Settings > Automation API.
+// Every request needs the token, as "Authorization: Bearer <token>" (or
+// ?token=<token> for WebSocket clients that cannot set headers), and only
+// connections from this machine are accepted.
+//
+//   GET    /api/v1/status
+//   GET    /api/v1/projects
+//   POST   /api/v1/projects                      { name, script, audioPath, language, brandPresetId, fetch }
+//                                                 (or multipart with an "audio" file)
+//   GET    /api/v1/projects/:id
+//   PATCH  /api/v1/projects/:id/segments/:i      { status, headline, text }
+//   POST   /api/v1/projects/:id/segments/:i/replace
+//   POST   /api/v1/projects/:id/fetch            { priority }
+//   POST   /api/v1/projects/:id/prerender        { priority }
+//   GET    /api/v1/exports
+//   POST   /api/v1/exports                       { projectId, priority, fileName, format, resolution, fps,
+//                                                   bitrate, codec, aspects, reframe, captions, loudnessTarget }
+//                                                 (written to the export folder; fileName is a plain name)
+//   GET    /api/v1/jobs
+//   GET    /api/v1/jobs/:id
+//   POST   /api/v1/jobs/:id/:action              pause | resume | cancel | remove
+//   WS     /api/v1/events                        { channel, projectId, data, time } per event
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import http from 'http';
+import express from 'express';
+import multer from 'multer';
+import { WebSocketServer } from 'ws';
+
+const CONFIG_PATH = path.join(os.homedir(), '.clicksync', 'config.json');
+export const API_VERSION = 'v1';
+export const API_DEFAULTS = { enabled: false, port: 5151 };
+
+// Export options a client may set: those of the editor's export dialog
+// (components/Editor/ExportModal.tsx) except the folder
+const EXPORT_FIELDS = ['fileName', 'format', 'resolution', 'fps', 'bitrate', 'codec', 'aspects', 'reframe', 'captions', 'loudnessTarget'];
+
+function readConfig() {
+    try {
+        if (fs.existsSync(CONFIG_PATH)) return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (e) {
+        console.warn('[API] Could not parse config:', e.message);
+    }
+    return {};
+}
+
+function writeConfig(config) {
+    const dir = path.dirname(CONFIG_PATH);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+}
+
+function newToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * API settings, with a token generated and saved on first use
+ */
+export function loadApiSettings() {
+    const config = readConfig();
+    const settings = { ...API_DEFAULTS, ...config.api };
+    if (!settings.token) {
+        settings.token = newToken();
+        // Only the token: defaults written here would read as a choice made in Settings
+        writeConfig({ ...config, api: { ...config.api, token: settings.token } });
+    }
+    return settings;
+}
+
+export function saveApiSettings(changes) {
+    const { enabled, port } = changes;
+    if (port !== undefined && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+        throw new Error('API port must be a whole number between 1 and 65535');
+    }
+    const config = readConfig();
+    const settings = { ...API_DEFAULTS, ...config.api };
+    if (enabled !== undefined) settings.enabled = !!enabled;
+    if (port !== undefined) settings.port = port;
+    writeConfig({ ...config, api: settings });
+    return loadApiSettings();
+}
+
+/**
+ * Invalidate the old token (every client has to be given the new one)
+ */
+export function regenerateApiToken() {
+    const config = readConfig();
+    const token = newToken();
+    writeConfig({ ...config, api: { ...config.api, token } });
+    return { ...API_DEFAULTS, ...config.api, token };
+}
+
+/**
+ * Error with an HTTP status, thrown by pipeline methods (404 unknown project,
+ * 409 project busy in the editor, ...). Other errors become a 500.
+ */
+export class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+function tokenMatches(expected, given) {
+    if (!given) return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(given));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function tokenFrom(req, url = null) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return url ? url.searchParams.get('token') : null;
+}
+
+function isLocal(address) {
+    return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+/**
+ * Wrap an async route: JSON result, ApiError status or 500
+ */
+function route(handler, status = 200) {
+    return async (req, res) => {
+        try {
+            res.status(status).json(await handler(req));
+        } catch (error) {
+            if (!(error instanceof ApiError)) console.error(`[API] ${req.method} ${req.originalUrl} failed:`, error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+}
+
+function buildRouter(pipeline, uploadsDir) {
+    const router = express.Router();
+    const upload = multer({ dest: uploadsDir });
+
+    router.get('/status', route(() => pipeline.status()));
+
+    router.get('/projects', route(() => pipeline.listProjects()));
+    router.post('/projects', upload.single('audio'), route((req) => {
+        const body = { ...req.body };
+        // Multipart fields arrive as strings
+        if (typeof body.fetch === 'string') body.fetch = body.fetch !== 'false';
+        return pipeline.createProject(body, req.file ? { path: req.file.path, name: req.file.originalname } : null);
+    }, 201));
+    router.get('/projects/:id', route((req) => pipeline.getProject(req.params.id)));
+
+    router.patch('/projects/:id/segments/:index', route((req) =>
+        pipeline.updateSegment(req.params.id, Number(req.params.index), req.body || {})));
+    router.post('/projects/:id/segments/:index/replace', route((req) =>
+        pipeline.replaceSegment(req.params.id, Number(req.params.index))));
+
+    router.post('/projects/:id/fetch', route((req) =>
+        pipeline.queueJob({ type: 'fetch', projectId: req.params.id, priority: req.body?.priority }), 202));
+    router.post('/projects/:id/prerender', route((req) =>
+        pipeline.queueJob({ type: 'prerender', projectId: req.params.id, priority: req.body?.priority }), 202));
+
+    router.get('/exports', route(() => pipeline.listJobs('export')));
+    router.post('/exports', route((req) => {
+        const { projectId, priority, ...options } = req.body || {};
+        if (options.filePath !== undefined) {
+            throw new ApiError(400, '"filePath" is not accepted, exports go to the export folder (name them with "fileName")');
+        }
+        const unknown = Object.keys(options).filter(key => !EXPORT_FIELDS.includes(key));
+        if (unknown.length > 0) {
+            throw new ApiError(400, `Unknown export option(s): ${unknown.join(', ')} (accepted: ${EXPORT_FIELDS.join(', ')})`);
+        }
+        return pipeline.queueJob({ type: 'export', projectId, priority, options });
+    }, 202));
+
+    router.get('/jobs', route(() => pipeline.listJobs()));
+    router.get('/jobs/:id', route((req) => pipeline.getJob(req.params.id)));
+    router.post('/jobs/:id/:action', route((req) => pipeline.jobAction(req.params.id, req.params.action)));
+
+    router.use((req, res) => res.status(404).json({ error: `No such endpoint: ${req.method} ${req.originalUrl}` }));
+    return router;
+}
+
+/**
+ * Start the API on 127.0.0.1
+ * @param {Object} pipeline - Operations implemented by the main process (see routes above)
+ * @param {EventEmitter} events - Emits 'event' with { channel, projectId, data } for the WebSocket
+ * @returns {Promise<{ port: number, close: Function }>}
+ */
+export async function startLocalApi(pipeline, events) {
+    const settings = loadApiSettings();
+    const uploadsDir = path.join(os.tmpdir(), 'clicksync-api-uploads');
+    if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
+
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.use(`/api/${API_VERSION}`, (req, res, next) => {
+        if (!isLocal(req.socket.remoteAddress)) return res.status(403).json({ error: 'The ClickSync API only accepts local connections' });
+        // Read fresh so a regenerated token applies without a restart
+        if (!tokenMatches(loadApiSettings().token, tokenFrom(req))) return res.status(401).json({ error: 'Missing or invalid API token' });
+        next();
+    }, buildRouter(pipeline, uploadsDir));
+
+    const server = http.createServer(app);
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== `/api/${API_VERSION}/events`
+            || !isLocal(req.socket.remoteAddress)
+            || !tokenMatches(loadApiSettings().token, tokenFrom(req, url))) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+    });
+
+    // Same events the editor window gets over IPC
+    const broadcast = ({ channel, projectId = null, data }) => {
+        if (wss.clients.size === 0) return;
+        const message = JSON.stringify({ channel, projectId, data, time: Date.now() });
+        for (const client of wss.clients) {
+            if (client.readyState === client.OPEN) client.send(message);
+        }
+    };
+    events.on('event', broadcast);
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port, '127.0.0.1', resolve);
+    });
+    console.log(`[API] Local API listening on http://127.0.0.1:${settings.port}/api/${API_VERSION}`);
+
+    return {
+        port: settings.port,
+        close: () => new Promise((resolve) => {
+            events.off('event', broadcast);
+            wss.clients.forEach(client => client.terminate());
+            server.close(() => resolve());
+        })
+    };
+}
+
+export default { startLocalApi, loadApiSettings, saveApiSettings, regenerateApiToken, ApiError, API_VERSION };
@@ -14,13 +14,14 @@ export interface AssemblyResponse {
     words: AssemblyWord[];
 }
 
-export const transcribeWithAssembly = async (file: File): Promise<AssemblyResponse> => {
+export const transcribeWithAssembly = async (file: File, language?: string): Promise<AssemblyResponse> => {
     // Unified Pipeline: Always send to Railway Backend
     // This works for both Local (localhost:5000) and Prod (Railway URL)
     console.log(`Uploading to Backend: ${API_URL}/transcribe`);
 
     const formData = new FormData();
     formData.append('audio', file);
+    if (language) formData.append('language', language);
 
     try {
         const response = await fetch(`${API_URL}/transcribe`, {
@@ -0,0 +1,254 @@
+// audioMix.js - Narration + music mix for the export, with ducking and loudness
+// Nat sound (the footage's own audio) joins the narration on a voice bus:
+// trimAndPrepareClip keeps each clip's source audio in a sidecar stem next to
+// the silent clip, and the export lays the stems at their segment times, at
+// the segment's level, faded at the cuts. An SOT segment plays its stem at
+// full level and pauses the narration for its length.
+// The music bed is compressed from the voice bus (sidechain), so it dips
+// while someone speaks and comes back in the pauses. The finished mix is
+// normalised to a loudness target in two passes (EBU R128 loudnorm): the
+// first measures it, the second applies a linear gain from that measurement,
+// which keeps the mix's dynamics instead of riding the level like one pass does.
+// Settings live in ~/.clicksync/config.json under "audioMix":
+//   { "ducking": true, "duckThreshold": -30, "duckRatio": 6,
+//     "duckAttack": 20, "duckRelease": 400, "loudnessTarget": "youtube",
+//     "natSoundLevel": 0.15, "natSoundFade": 0.3 }
+// A segment can override the nat sound level: segment.natSound = { level, sot }
+// A transition at a cut replaces the fade on both sides with its own window.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const CONFIG_PATH = path.join(os.homedir(), '.clicksync', 'config.json');
+const STEREO_48K = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+
+export const LOUDNESS_TARGETS = {
+    youtube: { label: 'YouTube / streaming (-14 LUFS)', lufs: -14, truePeak: -1, lra: 11 },
+    broadcast: { label: 'Broadcast EBU R128 (-23 LUFS)', lufs: -23, truePeak: -1, lra: 15 }
+};
+
+export const AUDIO_MIX_DEFAULTS = {
+    ducking: true,
+    duckThreshold: -30, // dBFS of narration where the music starts to dip
+    duckRatio: 6,
+    duckAttack: 20,     // ms
+    duckRelease: 400,   // ms
+    loudnessTarget: 'youtube', // A LOUDNESS_TARGETS id, or 'off'
+    natSoundLevel: 0.15, // Gain of the footage's audio under narration (0 = muted)
+    natSoundFade: 0.3    // s, at each cut
+};
+
+// ffmpeg sidechaincompress limits
+const LIMITS = {
+    duckThreshold: [-60, 0],
+    duckRatio: [1, 20],
+    duckAttack: [0.01, 2000],
+    duckRelease: [0.01, 9000],
+    natSoundLevel: [0, 1],
+    natSoundFade: [0, 2]
+};
+
+function readConfig() {
+    try {
+        if (fs.existsSync(CONFIG_PATH)) return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (e) {
+        console.warn('[AudioMix] Could not parse config:', e.message);
+    }
+    return {};
+}
+
+/**
+ * Read fresh each time so a change in Settings applies to the next export
+ */
+export function loadAudioMixSettings() {
+    return { ...AUDIO_MIX_DEFAULTS, ...readConfig().audioMix };
+}
+
+export function saveAudioMixSettings(changes) {
+    const settings = { ...loadAudioMixSettings() };
+    if (changes.ducking !== undefined) settings.ducking = !!changes.ducking;
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+        if (changes[key] === undefined) continue;
+        const value = Number(changes[key]);
+        if (!Number.isFinite(value) || value < min || value > max) throw new Error(`${key} must be between ${min} and ${max}`);
+        settings[key] = value;
+    }
+    if (changes.loudnessTarget !== undefined) {
+        if (changes.loudnessTarget !== 'off' && !LOUDNESS_TARGETS[changes.loudnessTarget]) {
+            throw new Error(`Unknown loudness target: ${changes.loudnessTarget}`);
+        }
+        settings.loudnessTarget = changes.loudnessTarget;
+    }
+
+    const config = readConfig();
+    fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify({ ...config, audioMix: settings }, null, 2));
+    return settings;
+}
+
+/**
+ * Sidecar stem with a prepared clip's source audio
+ */
+export function natSoundPathFor(clipPath) {
+    return clipPath.replace(/\.[^./\\]+$/, '') + '.nat.m4a';
+}
+
+/**
+ * Nat sound stems to mix, from the nat sound track (services/timeline/trackModel.js)
+ * @param {Array} items - { start, duration, source, level, sot, fadeIn, fadeOut }; unset
+ *   level = settings.natSoundLevel, unset fades = settings.natSoundFade
+ * @param {Object} settings - loadAudioMixSettings
+ * @returns {Array<{ path: string, start: number, duration: number, level: number, sot: boolean, fadeIn?: number, fadeOut?: number }>}
+ */
+export function planNatSound(items, settings = AUDIO_MIX_DEFAULTS) {
+    return items
+        .map(item => ({
+            path: item.source,
+            start: item.start,
+            duration: item.duration,
+            level: item.sot ? 1 : (item.level ?? settings.natSoundLevel),
+            sot: !!item.sot,
+            fadeIn: item.fadeIn,
+            fadeOut: item.fadeOut
+        }))
+        .filter(stem => stem.path && stem.duration > 0 && stem.level > 0);
+}
+
+// One stem at its place on the timeline; a transition at a cut sets that side's fade
+function natStemFilter(stem, fade) {
+    const ms = Math.round(stem.start * 1000);
+    const fadeIn = Math.min(stem.fadeIn ?? fade, stem.duration / 2);
+    const fadeOut = Math.min(stem.fadeOut ?? fade, stem.duration / 2);
+    const fades = (fadeIn > 0 ? `,afade=t=in:st=0:d=${fadeIn}` : '') +
+        (fadeOut > 0 ? `,afade=t=out:st=${round3(stem.duration - fadeOut)}:d=${fadeOut}` : '');
+    return `[${stem.inputIndex}:a]${STEREO_48K},atrim=duration=${stem.duration},asetpts=PTS-STARTPTS,volume=${stem.level}${fades},adelay=${ms}|${ms}`;
+}
+
+function round3(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+function dbToLinear(db) {
+    return Math.round(Math.pow(10, db / 20) * 1000000) / 1000000;
+}
+
+/**
+ * Compressor on the music keyed by the narration
+ */
+export function duckingFilter(settings = AUDIO_MIX_DEFAULTS) {
+    return `sidechaincompress=threshold=${dbToLinear(settings.duckThreshold)}:ratio=${settings.duckRatio}:attack=${settings.duckAttack}:release=${settings.duckRelease}`;
+}
+
+/**
+ * loudnorm for a target: measuring (first pass, no measurement given) or
+ * applying a linear gain from the first pass. Null when the target is 'off'.
+ * @param {string} targetId - LOUDNESS_TARGETS id
+ * @param {Object|null} measured - parseLoudnormStats of the first pass
+ */
+export function loudnormFilter(targetId, measured = null) {
+    const target = LOUDNESS_TARGETS[targetId];
+    if (!target) return null;
+    const base = `loudnorm=I=${target.lufs}:TP=${target.truePeak}:LRA=${target.lra}`;
+    if (!measured) return `${base}:print_format=json`;
+    return `${base}:measured_I=${measured.inputI}:measured_TP=${measured.inputTp}:measured_LRA=${measured.inputLra}` +
+        `:measured_thresh=${measured.inputThresh}:offset=${measured.targetOffset}:linear=true:print_format=json`;
+}
+
+/**
+ * Audio part of the export filter_complex, ending in [aout]
+ * @param {Object} options
+ * @param {number} options.narrationIndex - ffmpeg input, -1 when there is none
+ * @param {number} options.musicIndex - ffmpeg input (looped), -1 when there is none
+ * @param {number} options.musicVolume - Brand bed volume
+ * @param {Object} options.settings - loadAudioMixSettings
+ * @param {string|null} [options.loudness] - loudnormFilter to end the chain with
+ * @param {Array} [options.natSound] - planNatSound stems with their ffmpeg inputIndex
+ * @returns {string|null} Null without any audio input
+ */
+export function mixFilter({ narrationIndex = -1, musicIndex = -1, musicVolume = 1, settings = AUDIO_MIX_DEFAULTS, loudness = null, natSound = [] }) {
+    const post = loudness ? `,${loudness}` : '';
+    const parts = [];
+
+    // Voice bus: narration (paused under SOTs) and nat sound
+    const voices = [];
+    if (narrationIndex >= 0) {
+        const pauses = natSound
+            .filter(stem => stem.sot)
+            .map(stem => `,volume=enable='between(t,${round3(stem.start)},${round3(stem.start + stem.duration)})':volume=0`)
+            .join('');
+        parts.push(`[${narrationIndex}:a]${STEREO_48K}${pauses}[narr]`);
+        voices.push('[narr]');
+    }
+    natSound.forEach((stem, i) => {
+        parts.push(`${natStemFilter(stem, settings.natSoundFade)}[nat${i}]`);
+        voices.push(`[nat${i}]`);
+    });
+    let voice = voices[0] || null;
+    if (voices.length > 1) {
+        // The narration sets the length; without it the last stem does
+        parts.push(`${voices.join('')}amix=inputs=${voices.length}:duration=${narrationIndex >= 0 ? 'first' : 'longest'}:dropout_transition=0:normalize=0[voice]`);
+        voice = '[voice]';
+    }
+
+    if (voice && musicIndex >= 0) {
+        const amix = `amix=inputs=2:duration=first:dropout_transition=0:normalize=0${post}[aout]`;
+        if (!settings.ducking) {
+            parts.push(`[${musicIndex}:a]${STEREO_48K},volume=${musicVolume}[bgm]`, `${voice}[bgm]${amix}`);
+        } else {
+            parts.push(
+                `${voice}asplit=2[voicemix][duckkey]`,
+                `[${musicIndex}:a]${STEREO_48K},volume=${musicVolume}[bgmraw]`,
+                `[bgmraw][duckkey]${duckingFilter(settings)}[bgm]`,
+                `[voicemix][bgm]${amix}`
+            );
+        }
+    } else if (voice) {
+        parts.push(`${voice}${loudness || 'anull'}[aout]`);
+    } else if (musicIndex >= 0) {
+        parts.push(`[${musicIndex}:a]volume=${musicVolume}${post}[aout]`);
+    } else {
+        return null;
+    }
+    return parts.join(';');
+}
+
+/**
+ * Stats loudnorm prints (print_format=json) at the end of ffmpeg's stderr,
+ * as numbers. Null when missing or when the audio was silent.
+ * @returns {{ inputI, inputTp, inputLra, inputThresh, outputI, outputTp, outputLra, targetOffset }|null}
+ */
+export function parseLoudnormStats(stderr) {
+    const blocks = String(stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+    if (!blocks) return null;
+    let raw;
+    try {
+        raw = JSON.parse(blocks[blocks.length - 1]);
+    } catch (e) {
+        return null;
+    }
+    const stats = {
+        inputI: parseFloat(raw.input_i),
+        inputTp: parseFloat(raw.input_tp),
+        inputLra: parseFloat(raw.input_lra),
+        inputThresh: parseFloat(raw.input_thresh),
+        outputI: parseFloat(raw.output_i),
+        outputTp: parseFloat(raw.output_tp),
+        outputLra: parseFloat(raw.output_lra),
+        targetOffset: parseFloat(raw.target_offset)
+    };
+    return Number.isFinite(stats.inputI) && Number.isFinite(stats.inputTp) ? stats : null;
+}
+
+export default {
+    LOUDNESS_TARGETS,
+    AUDIO_MIX_DEFAULTS,
+    loadAudioMixSettings,
+    saveAudioMixSettings,
+    duckingFilter,
+    loudnormFilter,
+    natSoundPathFor,
+    planNatSound,
+    mixFilter,
+    parseLoudnormStats
+};
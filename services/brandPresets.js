@@ -0,0 +1,240 @@
+// brandPresets.js - Named channel looks
+// A brand preset bundles everything that makes a channel recognisable: overlay
+// fonts and colours, logo and where it sits, the music bed, lower-third
+// animation timings and export defaults. Presets live as JSON files in
+// ~/.clicksync/brands/<id>.json (easy to copy between machines); logo and
+// music paths in a preset may be relative to that folder. Anything a preset
+// leaves out falls back to DEFAULT_BRAND, the original ClickSync look.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const BRANDS_DIR = path.join(os.homedir(), '.clicksync', 'brands');
+
+export const DEFAULT_BRAND_ID = 'clicksync';
+
+// Fonts the Remotion bundle ships (remotion/brandStyle.ts). The canvas fallback
+// uses the same family name if it is installed, Arial otherwise.
+export const BRAND_FONTS = ['Montserrat', 'Oswald', 'Roboto', 'Inter', 'Poppins', 'Bebas Neue', 'Open Sans', 'Lato', 'Anton'];
+
+export const CORNER_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+export const DEFAULT_BRAND = {
+    id: DEFAULT_BRAND_ID,
+    name: 'ClickSync',
+    fonts: {
+        headline: 'Montserrat',
+        credit: 'Montserrat'
+    },
+    colors: {
+        // Gradient stops run bottom to top; "colour NN%" pins a stop, others are spread evenly
+        line1Background: ['#8B0000', '#CC0000 40%', '#FF0000'],
+        line1Text: '#FFFFFF',
+        line2Background: ['#666666', '#AAAAAA 30%', '#FFFFFF'],
+        line2Text: '#111111',
+        accent: '#FF0000',
+        creditBackground: ['rgba(15, 15, 15, 0.98)', 'rgba(30, 30, 30, 0.95)'],
+        creditText: '#FFFFFF'
+    },
+    lowerThird: {
+        align: 'center', // center | left
+        margin: 40       // px from the bottom (and left edge when left-aligned) at 1080p
+    },
+    mandatoryCredit: {
+        position: 'top-left',
+        margin: 30
+    },
+    logo: {
+        path: null,       // null = bundled assets/branding/logo.png
+        position: 'top-right',
+        height: 0.093,    // fraction of frame height (~100px at 1080p)
+        margin: 0.019
+    },
+    music: {
+        path: null,       // null = first track in bundled assets/music, false = no music bed
+        volume: 1.0
+    },
+    animation: {
+        barEntryFrames: 20,
+        line2DelayFrames: 8,
+        line1WordStartFrame: 18,
+        line2WordStartFrame: 26,
+        wordStaggerFrames: 4,
+        saber: true,
+        creditEntryFrames: 18
+    },
+    export: {
+        resolution: '1080p',
+        fps: 60,
+        format: 'mp4'
+    }
+};
+
+const PRESET_ID = /^[a-z0-9-]+$/;
+
+const SECTIONS = ['fonts', 'colors', 'lowerThird', 'mandatoryCredit', 'logo', 'music', 'animation', 'export'];
+
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 48);
+}
+
+function resolveAssetPath(assetPath) {
+    if (!assetPath || typeof assetPath !== 'string') return assetPath ?? null;
+    const resolved = path.isAbsolute(assetPath) ? assetPath : path.join(BRANDS_DIR, assetPath);
+    if (!fs.existsSync(resolved)) {
+        console.warn(`[Brand] Asset not found, using default: ${resolved}`);
+        return null;
+    }
+    return resolved;
+}
+
+/**
+ * Fill a (partial) preset in from DEFAULT_BRAND and check values the
+ * renderers cannot cope with
+ */
+export function resolveBrand(preset = {}) {
+    const brand = { id: preset.id || DEFAULT_BRAND_ID, name: preset.name || preset.id || DEFAULT_BRAND.name };
+    for (const section of SECTIONS) {
+        brand[section] = { ...DEFAULT_BRAND[section], ...(preset[section] || {}) };
+    }
+
+    for (const key of ['headline', 'credit']) {
+        if (!BRAND_FONTS.includes(brand.fonts[key])) {
+            console.warn(`[Brand] ${brand.id}: font "${brand.fonts[key]}" is not bundled, using ${DEFAULT_BRAND.fonts[key]}`);
+            brand.fonts[key] = DEFAULT_BRAND.fonts[key];
+        }
+    }
+    if (!CORNER_POSITIONS.includes(brand.logo.position)) brand.logo.position = DEFAULT_BRAND.logo.position;
+    if (!CORNER_POSITIONS.includes(brand.mandatoryCredit.position)) brand.mandatoryCredit.position = DEFAULT_BRAND.mandatoryCredit.position;
+    if (!['center', 'left'].includes(brand.lowerThird.align)) brand.lowerThird.align = DEFAULT_BRAND.lowerThird.align;
+
+    brand.logo.path = resolveAssetPath(brand.logo.path);
+    brand.music.path = brand.music.path === false ? false : resolveAssetPath(brand.music.path);
+    return brand;
+}
+
+/**
+ * Colour stops ("#CC0000" or "#CC0000 40%") as { color, offset } with offsets 0-1
+ */
+export function parseColorStops(stops) {
+    const list = Array.isArray(stops) ? stops : [stops];
+    return list.map((stop, i) => {
+        const match = String(stop).match(/^(.*?)\s+(\d+(?:\.\d+)?)%$/);
+        const offset = match ? Number(match[2]) / 100 : (list.length > 1 ? i / (list.length - 1) : 0);
+        return { color: match ? match[1] : String(stop), offset };
+    });
+}
+
+/**
+ * The parts of a brand that change how overlays look. Renderers send this to
+ * the Remotion compositions and mix it into their cache keys.
+ */
+export function getOverlayStyle(brand = DEFAULT_BRAND) {
+    const { fonts, colors, lowerThird, mandatoryCredit, animation } = brand;
+    return { fonts, colors, lowerThird, mandatoryCredit, animation };
+}
+
+/**
+ * Short stable hash of the overlay style, so a brand switch never reuses
+ * overlays rendered for another look
+ */
+export function getStyleKey(brand = DEFAULT_BRAND) {
+    const content = JSON.stringify(getOverlayStyle(brand));
+    let hash = 0;
+    for (let i = 0; i < content.length; i++) {
+        hash = ((hash << 5) - hash) + content.charCodeAt(i);
+        hash = hash & hash;
+    }
+    return Math.abs(hash).toString(36);
+}
+
+function readPresetFile(file) {
+    try {
+        const preset = JSON.parse(fs.readFileSync(path.join(BRANDS_DIR, file), 'utf8'));
+        return { ...preset, id: path.basename(file, '.json') };
+    } catch (e) {
+        console.error(`[Brand] Failed to read ${file}:`, e.message);
+        return null;
+    }
+}
+
+/**
+ * All presets, built-in default first
+ * @returns {Array<Object>} Resolved presets
+ */
+export function listBrandPresets() {
+    const presets = [resolveBrand(DEFAULT_BRAND)];
+    if (fs.existsSync(BRANDS_DIR)) {
+        for (const file of fs.readdirSync(BRANDS_DIR).filter(f => f.endsWith('.json')).sort()) {
+            const preset = readPresetFile(file);
+            if (preset && preset.id !== DEFAULT_BRAND_ID) presets.push(resolveBrand(preset));
+        }
+    }
+    return presets;
+}
+
+/**
+ * Resolved preset by id (unknown or missing ids give the default look)
+ */
+export function getBrandPreset(id) {
+    if (id && id !== DEFAULT_BRAND_ID && PRESET_ID.test(id)) {
+        const file = `${id}.json`;
+        if (fs.existsSync(path.join(BRANDS_DIR, file))) {
+            const preset = readPresetFile(file);
+            if (preset) return resolveBrand(preset);
+        }
+        console.warn(`[Brand] Preset "${id}" not found, using default`);
+    }
+    return resolveBrand(DEFAULT_BRAND);
+}
+
+/**
+ * Create or update a preset file. The id comes from the name when missing.
+ * @returns {Object} The resolved preset
+ */
+export function saveBrandPreset(preset) {
+    const id = preset.id || slugify(preset.name);
+    if (!id) throw new Error('Brand preset needs a name');
+    if (id === DEFAULT_BRAND_ID) throw new Error('The built-in ClickSync preset cannot be changed, save a copy under a new name');
+    if (!PRESET_ID.test(id)) throw new Error(`Invalid brand preset id: ${id}`);
+
+    if (!fs.existsSync(BRANDS_DIR)) fs.mkdirSync(BRANDS_DIR, { recursive: true });
+    const { id: _id, ...data } = preset;
+    fs.writeFileSync(path.join(BRANDS_DIR, `${id}.json`), JSON.stringify({ ...data, name: preset.name || id }, null, 2));
+    console.log(`[Brand] Saved preset: ${id}`);
+    return getBrandPreset(id);
+}
+
+export function deleteBrandPreset(id) {
+    if (id === DEFAULT_BRAND_ID) throw new Error('The built-in ClickSync preset cannot be deleted');
+    if (!PRESET_ID.test(id)) throw new Error(`Invalid brand preset id: ${id}`);
+    const file = path.join(BRANDS_DIR, `${id}.json`);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+export function getBrandsDir() {
+    return BRANDS_DIR;
+}
+
+export default {
+    DEFAULT_BRAND_ID,
+    DEFAULT_BRAND,
+    BRAND_FONTS,
+    CORNER_POSITIONS,
+    resolveBrand,
+    parseColorStops,
+    getOverlayStyle,
+    getStyleKey,
+    listBrandPresets,
+    getBrandPreset,
+    saveBrandPreset,
+    deleteBrandPreset,
+    getBrandsDir
+};
@@ -0,0 +1,228 @@
+// captions.js - Caption cues from transcript word timings
+// Builds cues per segment (a caption never spans two segments), applying
+// line-length and reading-speed rules, and writes SRT / WebVTT sidecars or an
+// ASS file for burning styled captions into the export.
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_CAPTION_RULES = {
+    maxCharsPerLine: 42,     // Netflix/BBC style guides use 37-42
+    maxLines: 2,
+    maxCharsPerSecond: 17,   // Reading speed; short cues are held on screen longer
+    minDuration: 1.0,        // Seconds
+    maxDuration: 6.0,        // Seconds
+    minGap: 0.08             // Seconds between consecutive cues
+};
+
+export const DEFAULT_CAPTION_STYLE = {
+    fontName: 'Arial',
+    fontSize: 46,            // At 1080p, scaled for other resolutions
+    primaryColor: '#FFFFFF',
+    outlineColor: '#000000',
+    outline: 3,
+    shadow: 0,
+    box: false,              // Opaque box behind the text instead of an outline
+    bold: true,
+    position: 'bottom',      // bottom | top
+    marginV: 0.2             // Fraction of height; bottom captions clear the lower third
+};
+
+const SENTENCE_END = /[.!?…]["')\]]?$/;
+
+/**
+ * Greedy word wrap. Returns null when the text needs more than maxLines.
+ */
+export function wrapCaptionText(text, maxCharsPerLine, maxLines = Infinity) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (!line) {
+            line = word;
+        } else if (line.length + 1 + word.length <= maxCharsPerLine) {
+            line += ` ${word}`;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines.length > maxLines ? null : lines;
+}
+
+/**
+ * Build caption cues from timeline segments.
+ * @param {Array} segments - { words: [{ text, start, end }] } in timeline order, times in ms
+ * @param {Object} rules - Overrides for DEFAULT_CAPTION_RULES
+ * @returns {Array<{ start: number, end: number, lines: string[], segmentIndex: number }>} seconds
+ */
+export function buildCaptionCues(segments = [], rules = {}) {
+    const r = { ...DEFAULT_CAPTION_RULES, ...rules };
+    const cues = [];
+
+    const segmentWords = segments.map(segment => (segment.words || [])
+        .filter(w => w && w.text && Number.isFinite(w.start) && Number.isFinite(w.end))
+        .map(w => ({ text: w.text.trim(), start: w.start / 1000, end: w.end / 1000 }))
+        .filter(w => w.text));
+
+    segmentWords.forEach((words, segmentIndex) => {
+        if (words.length === 0) return;
+
+        // 1. Group words into cues
+        const groups = [];
+        let current = [];
+        const flush = () => {
+            if (current.length > 0) groups.push(current);
+            current = [];
+        };
+
+        for (const word of words) {
+            if (current.length > 0) {
+                const text = [...current, word].map(w => w.text).join(' ');
+                const fits = wrapCaptionText(text, r.maxCharsPerLine, r.maxLines) !== null;
+                const tooLong = word.end - current[0].start > r.maxDuration;
+                if (!fits || tooLong) flush();
+            }
+            current.push(word);
+            if (SENTENCE_END.test(word.text)) flush();
+        }
+        flush();
+
+        // 2. Time each cue, holding it long enough to read. A cue may be held
+        // past its last word but never into the next segment's speech.
+        const nextSegment = segmentWords.slice(segmentIndex + 1).find(w => w.length > 0);
+        const segmentLimit = nextSegment ? nextSegment[0].start - r.minGap : Infinity;
+
+        groups.forEach((group, i) => {
+            const text = group.map(w => w.text).join(' ');
+            const start = group[0].start;
+            const lastWordEnd = group[group.length - 1].end;
+            const readingTime = text.length / r.maxCharsPerSecond;
+            const limit = i < groups.length - 1 ? groups[i + 1][0].start - r.minGap : segmentLimit;
+
+            let end = Math.min(Math.max(lastWordEnd, start + readingTime, start + r.minDuration), limit);
+            if (end <= start) end = lastWordEnd;
+            if (end <= start) return;
+
+            cues.push({
+                start,
+                end,
+                lines: wrapCaptionText(text, r.maxCharsPerLine) || [text],
+                segmentIndex
+            });
+        });
+    });
+
+    return cues;
+}
+
+function formatTimestamp(seconds, separator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const s = Math.floor(ms / 1000) % 60;
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+export function toSrt(cues) {
+    return cues.map((cue, i) => [
+        String(i + 1),
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        ...cue.lines,
+        ''
+    ].join('\n')).join('\n');
+}
+
+export function toVtt(cues) {
+    const body = cues.map(cue => [
+        `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+        ...cue.lines.map(line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;')),
+        ''
+    ].join('\n')).join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+// ASS colours are &HAABBGGRR
+function toAssColor(hex, alpha = 0) {
+    const clean = (hex || '#FFFFFF').replace('#', '').padEnd(6, 'F');
+    const [r, g, b] = [clean.slice(0, 2), clean.slice(2, 4), clean.slice(4, 6)];
+    return `&H${alpha.toString(16).padStart(2, '0')}${b}${g}${r}`.toUpperCase();
+}
+
+function formatAssTime(seconds) {
+    const cs = Math.max(0, Math.round(seconds * 100));
+    const h = Math.floor(cs / 360000);
+    const m = Math.floor(cs / 6000) % 60;
+    const s = Math.floor(cs / 100) % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * ASS subtitle file for burn-in (libass renders it in the export filter graph).
+ * Sizes follow the short side; safeArea (px) keeps vertical exports clear of
+ * the Shorts/Reels interface.
+ */
+export function toAss(cues, style = {}, { width = 1920, height = 1080, safeArea = null } = {}) {
+    const st = { ...DEFAULT_CAPTION_STYLE, ...style };
+    const safe = { top: 0, right: 0, bottom: 0, left: 0, ...safeArea };
+    const scale = Math.min(width, height) / 1080;
+    const alignment = st.position === 'top' ? 8 : 2;
+    const marginV = Math.round(Math.min(width, height) * st.marginV) + (st.position === 'top' ? safe.top : safe.bottom);
+    // BorderStyle 3 draws an opaque box in the outline colour
+    const borderStyle = st.box ? 3 : 1;
+    const backColor = toAssColor('#000000', 0x80);
+
+    const header = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${width}`,
+        `PlayResY: ${height}`,
+        'WrapStyle: 2',
+        'ScaledBorderAndShadow: yes',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        `Style: Caption,${st.fontName},${Math.round(st.fontSize * scale)},${toAssColor(st.primaryColor)},${toAssColor(st.primaryColor)},${toAssColor(st.outlineColor)},${backColor},${st.bold ? -1 : 0},0,0,0,100,100,0,0,${borderStyle},${Math.round(st.outline * scale)},${st.shadow},${alignment},${Math.round(width * 0.08) + safe.left},${Math.round(width * 0.08) + safe.right},${marginV},1`,
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+    ];
+
+    const events = cues.map(cue => {
+        const text = cue.lines.map(line => line.replace(/[{}]/g, '')).join('\\N');
+        return `Dialogue: 0,${formatAssTime(cue.start)},${formatAssTime(cue.end)},Caption,,0,0,0,,${text}`;
+    });
+
+    return [...header, ...events, ''].join('\n');
+}
+
+/**
+ * Write sidecar caption files next to a video
+ * @param {string} videoPath - Exported video (captions share its base name)
+ * @param {Array} cues
+ * @param {string[]} formats - 'srt' and/or 'vtt'
+ * @returns {string[]} Written file paths
+ */
+export function writeCaptionSidecars(videoPath, cues, formats = ['srt', 'vtt']) {
+    const base = path.join(path.dirname(videoPath), path.basename(videoPath, path.extname(videoPath)));
+    const written = [];
+    for (const format of formats) {
+        const contents = format === 'vtt' ? toVtt(cues) : toSrt(cues);
+        const filePath = `${base}.${format}`;
+        fs.writeFileSync(filePath, contents, 'utf8');
+        written.push(filePath);
+    }
+    return written;
+}
+
+export default {
+    buildCaptionCues,
+    wrapCaptionText,
+    toSrt,
+    toVtt,
+    toAss,
+    writeCaptionSidecars,
+    DEFAULT_CAPTION_RULES,
+    DEFAULT_CAPTION_STYLE
+};
@@ -0,0 +1,298 @@
+// Credentials - API keys for Gemini, AssemblyAI and OpenAI-compatible servers
+// Keys live encrypted in ~/.clicksync/credentials.json, never in config.json.
+// In the app the main process hands over Electron's safeStorage, so keys are
+// sealed by the OS keychain (Keychain, DPAPI, libsecret/kwallet). Where that is
+// missing (plain Node: dev server, CLI; Linux without a keyring) they are
+// sealed with AES-256-GCM and a random key in ~/.clicksync/credentials.key,
+// readable only by this user. Keys sealed by the keychain cannot be read
+// outside the app; there the environment variable is the way in.
+//
+// Keys are grouped in named profiles (e.g. one per newsroom account):
+//   { "activeProfile": "default",
+//     "profiles": { "default": { "gemini": { "storage": "keychain", "value": "...",
+//                                            "hint": "5atk", "savedAt": 0,
+//                                            "check": { "status": "valid", "message": "", "checkedAt": 0 } } } } }
+// Lookup order for a service: active profile, then its environment variable.
+// There is no built-in key.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { validateKey } from './validators.js';
+
+const CONFIG_DIR = path.join(os.homedir(), '.clicksync');
+const CREDENTIALS_PATH = path.join(CONFIG_DIR, 'credentials.json');
+const FILE_KEY_PATH = path.join(CONFIG_DIR, 'credentials.key');
+const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME = /^[\w .-]{1,40}$/;
+const MIN_KEY_LENGTH = 10;
+
+export const CREDENTIAL_SERVICES = {
+    gemini: { name: 'Google Gemini', env: 'GEMINI_API_KEY' },
+    assemblyai: { name: 'AssemblyAI', env: 'ASSEMBLYAI_API_KEY' },
+    // Often not needed (local llama.cpp/Ollama); no env var so a hosted key is never sent to another server by accident
+    openai: { name: 'OpenAI-compatible server', env: null }
+};
+
+class CredentialStore {
+    constructor(filePath = CREDENTIALS_PATH, keyPath = FILE_KEY_PATH) {
+        this.filePath = filePath;
+        this.keyPath = keyPath;
+        this.keychain = null;
+        this.migrated = false;
+    }
+
+    /**
+     * Seal new keys with Electron's safeStorage (main process only, after app ready).
+     * On Linux the "basic_text" backend is a fixed password, so the file key is used instead.
+     */
+    useKeychain(safeStorage) {
+        if (!safeStorage || !safeStorage.isEncryptionAvailable()) {
+            console.warn('[Credentials] OS keychain not available, keys are sealed with a local key file');
+            return false;
+        }
+        if (process.platform === 'linux') {
+            const backend = safeStorage.getSelectedStorageBackend?.();
+            if (backend === 'basic_text' || backend === 'unknown') {
+                console.warn(`[Credentials] No Linux keyring (${backend}), keys are sealed with a local key file`);
+                return false;
+            }
+        }
+        this.keychain = safeStorage;
+        return true;
+    }
+
+    storageKind() {
+        return this.keychain ? 'keychain' : 'file';
+    }
+
+    fileKey() {
+        if (fs.existsSync(this.keyPath)) return Buffer.from(fs.readFileSync(this.keyPath, 'utf8').trim(), 'hex');
+        const key = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+        fs.writeFileSync(this.keyPath, key.toString('hex'), { mode: 0o600 });
+        return key;
+    }
+
+    seal(plain) {
+        if (this.keychain) {
+            return { storage: 'keychain', value: this.keychain.encryptString(plain).toString('base64') };
+        }
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.fileKey(), iv);
+        const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+        return { storage: 'file', value: Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64') };
+    }
+
+    /**
+     * Stored entry to plain text, null when this process cannot open it
+     */
+    unseal(entry) {
+        const raw = Buffer.from(entry.value, 'base64');
+        if (entry.storage === 'keychain') {
+            return this.keychain ? this.keychain.decryptString(raw) : null;
+        }
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.fileKey(), raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(12, 28));
+        return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+    }
+
+    read() {
+        let data = {};
+        try {
+            if (fs.existsSync(this.filePath)) data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (e) {
+            console.error('[Credentials] Failed to read credentials:', e.message);
+        }
+        const profiles = data.profiles && Object.keys(data.profiles).length > 0 ? data.profiles : { [DEFAULT_PROFILE]: {} };
+        const activeProfile = profiles[data.activeProfile] ? data.activeProfile : Object.keys(profiles)[0];
+        return { activeProfile, profiles };
+    }
+
+    write(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * Move plaintext keys from config.json (older versions) into the store, once
+     */
+    migrateLegacyKeys() {
+        if (this.migrated) return;
+        this.migrated = true;
+        let config;
+        try {
+            if (!fs.existsSync(CONFIG_PATH)) return;
+            config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        } catch (e) {
+            return;
+        }
+        const legacy = {
+            gemini: config.geminiKey || config.llm?.gemini?.apiKey,
+            openai: config.llm?.openai?.apiKey
+        };
+        if (!Object.values(legacy).some(Boolean)) return;
+
+        const data = this.read();
+        const profile = data.profiles[data.activeProfile];
+        for (const [service, key] of Object.entries(legacy)) {
+            if (key && key.trim().length >= MIN_KEY_LENGTH && !profile[service]) {
+                profile[service] = this.entryFor(key.trim(), { status: 'unverified', message: 'Moved from config.json' });
+            }
+        }
+        this.write(data);
+
+        delete config.geminiKey;
+        if (config.llm?.gemini) delete config.llm.gemini.apiKey;
+        if (config.llm?.openai) delete config.llm.openai.apiKey;
+        fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+        console.log('[Credentials] Moved API keys out of config.json');
+    }
+
+    entryFor(key, check) {
+        return { ...this.seal(key), hint: key.slice(-4), savedAt: Date.now(), check: { ...check, checkedAt: Date.now() } };
+    }
+
+    requireService(service) {
+        if (!CREDENTIAL_SERVICES[service]) throw new Error(`Unknown credential: ${service}`);
+    }
+
+    requireProfile(data, profile) {
+        if (!data.profiles[profile]) throw new Error(`Profile not found: ${profile}`);
+        return data.profiles[profile];
+    }
+
+    /**
+     * Key for a service and where it came from
+     * @returns {{ key: string|null, source: 'profile'|'environment'|null, locked: boolean }}
+     */
+    resolve(service) {
+        this.requireService(service);
+        this.migrateLegacyKeys();
+        const data = this.read();
+        const entry = data.profiles[data.activeProfile][service];
+        let locked = false;
+        if (entry) {
+            try {
+                const key = this.unseal(entry);
+                if (key) return { key, source: 'profile', locked };
+                locked = true;
+            } catch (e) {
+                console.error(`[Credentials] Could not decrypt the ${service} key:`, e.message);
+                locked = true;
+            }
+        }
+        const env = CREDENTIAL_SERVICES[service].env;
+        if (env && process.env[env] && process.env[env].trim().length >= MIN_KEY_LENGTH) {
+            return { key: process.env[env].trim(), source: 'environment', locked };
+        }
+        return { key: null, source: null, locked };
+    }
+
+    get(service) {
+        return this.resolve(service).key;
+    }
+
+    /**
+     * Check a key with its service and store it. A key the service rejects is
+     * not saved; one that cannot be checked (offline) is saved as unverified.
+     */
+    async set(service, key, profile = null) {
+        this.requireService(service);
+        const trimmed = String(key || '').trim();
+        if (trimmed.length < MIN_KEY_LENGTH) throw new Error(`API key must be at least ${MIN_KEY_LENGTH} characters`);
+
+        const check = await validateKey(service, trimmed);
+        if (check.status === 'invalid') throw new Error(`${CREDENTIAL_SERVICES[service].name} rejected the key: ${check.message}`);
+
+        this.migrateLegacyKeys();
+        const data = this.read();
+        const name = profile || data.activeProfile;
+        this.requireProfile(data, name)[service] = this.entryFor(trimmed, check);
+        this.write(data);
+        console.log(`[Credentials] Saved ${service} key in profile "${name}" (${check.status})`);
+        return check;
+    }
+
+    remove(service, profile = null) {
+        this.requireService(service);
+        const data = this.read();
+        delete this.requireProfile(data, profile || data.activeProfile)[service];
+        this.write(data);
+    }
+
+    /**
+     * Re-check the key a service currently uses and record the result
+     */
+    async check(service) {
+        const { key, source } = this.resolve(service);
+        if (!key) return { status: 'missing', message: 'No key set' };
+        const check = { ...(await validateKey(service, key)), checkedAt: Date.now() };
+        if (source === 'profile') {
+            const data = this.read();
+            data.profiles[data.activeProfile][service].check = check;
+            this.write(data);
+        }
+        return check;
+    }
+
+    createProfile(name) {
+        const trimmed = String(name || '').trim();
+        if (!PROFILE_NAME.test(trimmed)) throw new Error('Profile names use letters, numbers, spaces, dots and dashes (max 40)');
+        const data = this.read();
+        if (data.profiles[trimmed]) throw new Error(`Profile already exists: ${trimmed}`);
+        data.profiles[trimmed] = {};
+        this.write(data);
+    }
+
+    deleteProfile(name) {
+        const data = this.read();
+        this.requireProfile(data, name);
+        if (Object.keys(data.profiles).length === 1) throw new Error('Cannot delete the only profile');
+        delete data.profiles[name];
+        if (data.activeProfile === name) data.activeProfile = Object.keys(data.profiles)[0];
+        this.write(data);
+    }
+
+    setActiveProfile(name) {
+        const data = this.read();
+        this.requireProfile(data, name);
+        data.activeProfile = name;
+        this.write(data);
+    }
+
+    /**
+     * Profiles and per-service key health for the settings UI (never the keys)
+     */
+    describe() {
+        this.migrateLegacyKeys();
+        const data = this.read();
+        const profile = data.profiles[data.activeProfile];
+        return {
+            activeProfile: data.activeProfile,
+            profiles: Object.keys(data.profiles),
+            storage: this.storageKind(),
+            services: Object.entries(CREDENTIAL_SERVICES).map(([id, info]) => {
+                const { source, locked } = this.resolve(id);
+                const entry = profile[id];
+                return {
+                    id,
+                    name: info.name,
+                    env: info.env,
+                    source,
+                    locked,
+                    hint: source === 'profile' ? entry.hint : null,
+                    storage: entry ? entry.storage : null,
+                    check: source === 'profile' ? entry.check : null
+                };
+            })
+        };
+    }
+}
+
+const credentials = new CredentialStore();
+
+export { CredentialStore };
+export default credentials;
@@ -0,0 +1,53 @@
+// validators.js - Ask each service whether an API key works
+// A cheap authenticated read per service. "invalid" only when the service
+// says so; network trouble gives "unverified" so a key can be saved offline.
+
+const CHECK_TIMEOUT_MS = 10000;
+
+const CHECKS = {
+    gemini: (key) => ({
+        url: `https://generativelanguage.googleapis.com/v1beta/models?pageSize=1&key=${encodeURIComponent(key)}`,
+        headers: {},
+        // Google answers a bad key with 400 API_KEY_INVALID
+        rejected: [400, 401, 403]
+    }),
+    assemblyai: (key) => ({
+        url: 'https://api.assemblyai.com/v2/transcript?limit=1',
+        headers: { Authorization: key },
+        rejected: [401, 403]
+    }),
+    openai: async (key) => {
+        // Checked against the server configured in Settings > AI Models
+        const { default: llm } = await import('../llm/index.js');
+        llm.loadSettings();
+        return {
+            url: `${llm.get('openai').baseUrl}/models`,
+            headers: { Authorization: `Bearer ${key}` },
+            rejected: [401, 403]
+        };
+    }
+};
+
+/**
+ * @param {string} service - gemini | assemblyai | openai
+ * @param {string} key
+ * @returns {Promise<{ status: 'valid'|'invalid'|'unverified', message: string }>}
+ */
+export async function validateKey(service, key) {
+    const { url, headers, rejected } = await CHECKS[service](key);
+    let response;
+    try {
+        response = await fetch(url, { headers, signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+    } catch (e) {
+        return { status: 'unverified', message: `Could not reach the service (${e.cause?.code || e.name})` };
+    }
+    if (response.ok) return { status: 'valid', message: '' };
+
+    let message = `HTTP ${response.status}`;
+    try {
+        const body = await response.json();
+        message = body.error?.message || (typeof body.error === 'string' ? body.error : message);
+    } catch (e) { /* not JSON */ }
+    if (rejected.includes(response.status)) return { status: 'invalid', message: String(message) };
+    return { status: 'unverified', message: `Service answered ${String(message)}` };
+}
@@ -1,5 +1,4 @@
-
-import { GOOGLE_SPEECH_API_KEY } from '../config';
+// Key is passed in by the caller; none is bundled with the app
 
 interface WordInfo {
     startTime: string;
@@ -16,7 +15,7 @@ interface SpeechRecognitionAuth {
     }[];
 }
 
-export const transcribeAudio = async (audioBlob: Blob): Promise<WordInfo[]> => {
+export const transcribeAudio = async (audioBlob: Blob, apiKey: string): Promise<WordInfo[]> => {
     // Convert Blob to Base64
     const reader = new FileReader();
     const base64Audio = await new Promise<string>((resolve, reject) => {
@@ -30,7 +29,7 @@ export const transcribeAudio = async (audioBlob: Blob): Promise<WordInfo[]> => {
         reader.readAsDataURL(audioBlob);
     });
 
-    const url = `https://speech.googleapis.com/v1/speech:recognize?key=${GOOGLE_SPEECH_API_KEY}`;
+    const url = `https://speech.googleapis.com/v1/speech:recognize?key=${encodeURIComponent(apiKey)}`;
 
     const requestBody = {
         config: {
@@ -0,0 +1,359 @@
+// jobQueue.js - Persistent background job queue (footage fetch, pre-render, export)
+// Jobs are stored in ~/.clicksync/jobs.json so a queue of stories survives an
+// app restart: a job that was running when the app closed is queued again and
+// its handler picks up where the saved project left off.
+//
+// Jobs run one at a time. The active timeline, the Viory browser and the
+// editor engine are process-wide in the main process, so there is nothing to
+// gain from running two; the queue is what lets several projects wait their
+// turn. For the same reason the editor can "hold" the queue while it has a
+// project open: the running job stops at its next checkpoint and goes back
+// to the queue, and nothing starts until the hold is released. An export has
+// no checkpoint once it encodes, so the editor doesn't hold while one runs
+// (holdJobsForEditor in electron/main.cjs).
+//
+// Handlers are registered per job type by the main process:
+//   jobQueue.registerHandler('fetch', async (job, ctx) => {
+//       for (...) { await ctx.checkpoint(); ...; ctx.progress(percent, message); }
+//   });
+// ctx.checkpoint() throws when the job was cancelled, paused or held, so
+// handlers only need to call it between units of work that are safe to redo.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const JOBS_PATH = path.join(os.homedir(), '.clicksync', 'jobs.json');
+const MAX_FINISHED_JOBS = 50;
+
+export const JOB_TYPES = {
+    fetch: 'Footage fetch',
+    prerender: 'Pre-render',
+    export: 'Export'
+};
+
+export const JOB_PRIORITIES = { high: 2, normal: 1, low: 0 };
+
+const FINISHED_STATES = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * Thrown from ctx.checkpoint() to stop a handler. "reason" tells the queue
+ * what to do with the job: cancelled, paused, or held (back to the queue).
+ */
+export class JobInterruptedError extends Error {
+    constructor(reason) {
+        super(`Job ${reason}`);
+        this.name = 'JobInterruptedError';
+        this.reason = reason;
+    }
+}
+
+class JobQueue extends EventEmitter {
+    constructor(filePath = JOBS_PATH) {
+        super();
+        this.filePath = filePath;
+        this.jobs = [];
+        this.handlers = new Map();
+        this.holds = new Set();
+        this.started = false;
+        this.current = null; // { job, interrupt, cancelHooks, promise }
+    }
+
+    registerHandler(type, handler) {
+        if (!JOB_TYPES[type]) throw new Error(`Unknown job type: ${type}`);
+        this.handlers.set(type, handler);
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.jobs = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).jobs || [];
+            }
+        } catch (e) {
+            console.error('[Jobs] Failed to read job queue:', e.message);
+            this.jobs = [];
+        }
+        // The app closed while these ran; their handlers resume from saved state
+        for (const job of this.jobs) {
+            if (job.state === 'running') {
+                job.state = 'queued';
+                job.message = 'Interrupted by restart, will resume';
+            }
+        }
+    }
+
+    save() {
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ jobs: this.jobs }, null, 2));
+        } catch (e) {
+            console.error('[Jobs] Failed to save job queue:', e.message);
+        }
+    }
+
+    /**
+     * Load the saved queue and start running jobs (call once handlers are registered)
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.load();
+        this.changed();
+    }
+
+    changed(job = null) {
+        this.save();
+        this.emit('updated', { job, jobs: this.list() });
+        this.runNext();
+    }
+
+    get(id) {
+        return this.jobs.find(j => j.id === id) || null;
+    }
+
+    /**
+     * Jobs in display order: running, then waiting by priority and age, then finished
+     */
+    list() {
+        const rank = (job) => (job.state === 'running' ? 0 : FINISHED_STATES.has(job.state) ? 2 : 1);
+        return [...this.jobs].sort((a, b) =>
+            rank(a) - rank(b)
+            || (rank(a) === 2 ? b.finishedAt - a.finishedAt : 0)
+            || JOB_PRIORITIES[b.priority] - JOB_PRIORITIES[a.priority]
+            || a.createdAt - b.createdAt
+        );
+    }
+
+    /**
+     * Queue a job. A project already has at most one unfinished job per type:
+     * adding it again returns the existing job (with the higher priority).
+     * @param {Object} spec - { type, projectId, projectName, priority, payload }
+     */
+    add({ type, projectId, projectName = '', priority = 'normal', payload = {} }) {
+        if (!JOB_TYPES[type]) throw new Error(`Unknown job type: ${type}`);
+        if (JOB_PRIORITIES[priority] === undefined) throw new Error(`Unknown job priority: ${priority}`);
+        if (!projectId) throw new Error('A job needs a project');
+
+        const existing = this.jobs.find(j => j.type === type && j.projectId === projectId && !FINISHED_STATES.has(j.state));
+        if (existing) {
+            if (JOB_PRIORITIES[priority] > JOB_PRIORITIES[existing.priority]) existing.priority = priority;
+            existing.payload = { ...existing.payload, ...payload };
+            this.changed(existing);
+            return existing;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            projectId,
+            projectName,
+            priority,
+            payload,
+            state: 'queued',
+            progress: 0,
+            message: 'Queued',
+            error: null,
+            result: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.push(job);
+        console.log(`[Jobs] Queued ${type} for "${projectName || projectId}" (${priority})`);
+        this.changed(job);
+        return job;
+    }
+
+    setPriority(id, priority) {
+        const job = this.get(id);
+        if (!job) throw new Error(`Job not found: ${id}`);
+        if (JOB_PRIORITIES[priority] === undefined) throw new Error(`Unknown job priority: ${priority}`);
+        job.priority = priority;
+        this.changed(job);
+        return job;
+    }
+
+    /**
+     * A running job pauses at its next checkpoint, a queued one is skipped
+     * until resumed
+     */
+    pause(id) {
+        const job = this.get(id);
+        if (!job) throw new Error(`Job not found: ${id}`);
+        if (job.state === 'queued') {
+            job.state = 'paused';
+            job.message = 'Paused';
+            this.changed(job);
+        } else if (job.state === 'running') {
+            this.current.interrupt = 'paused';
+            job.message = 'Pausing after the current step...';
+            this.changed(job);
+        }
+        return job;
+    }
+
+    resume(id) {
+        const job = this.get(id);
+        if (!job) throw new Error(`Job not found: ${id}`);
+        if (job.state === 'paused' || job.state === 'failed') {
+            job.state = 'queued';
+            job.message = 'Queued';
+            job.error = null;
+            this.changed(job);
+        }
+        return job;
+    }
+
+    /**
+     * Cancel a job. A running one stops at its next checkpoint; cancel hooks
+     * registered by the handler (e.g. stopping ffmpeg) run right away.
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (!job) throw new Error(`Job not found: ${id}`);
+        if (job.state === 'running') {
+            this.current.interrupt = 'cancelled';
+            job.message = 'Cancelling...';
+            this.current.cancelHooks.forEach(hook => {
+                try { hook(); } catch (e) { console.warn('[Jobs] Cancel hook failed:', e.message); }
+            });
+            this.changed(job);
+        } else if (!FINISHED_STATES.has(job.state)) {
+            this.finish(job, 'cancelled', 'Cancelled');
+        }
+        return job;
+    }
+
+    /**
+     * Drop a finished job from the list
+     */
+    remove(id) {
+        const job = this.get(id);
+        if (!job) return false;
+        if (!FINISHED_STATES.has(job.state)) throw new Error('Cancel the job before removing it');
+        this.jobs = this.jobs.filter(j => j.id !== id);
+        this.changed();
+        return true;
+    }
+
+    clearFinished() {
+        this.jobs = this.jobs.filter(j => !FINISHED_STATES.has(j.state));
+        this.changed();
+    }
+
+    /**
+     * Stop running jobs until release(reason). Resolves once the running job,
+     * if any, has reached a checkpoint and gone back to the queue.
+     */
+    async hold(reason) {
+        this.holds.add(reason);
+        if (this.current) {
+            if (!this.current.interrupt) this.current.interrupt = 'held';
+            await this.current.promise;
+        }
+    }
+
+    release(reason) {
+        if (!this.holds.delete(reason)) return;
+        this.runNext();
+    }
+
+    isHeld() {
+        return this.holds.size > 0;
+    }
+
+    isHeldBy(reason) {
+        return this.holds.has(reason);
+    }
+
+    finish(job, state, message) {
+        job.state = state;
+        job.message = message;
+        job.finishedAt = Date.now();
+
+        // Keep the history short
+        const finished = this.jobs.filter(j => FINISHED_STATES.has(j.state)).sort((a, b) => b.finishedAt - a.finishedAt);
+        const dropped = new Set(finished.slice(MAX_FINISHED_JOBS).map(j => j.id));
+        if (dropped.size > 0) this.jobs = this.jobs.filter(j => !dropped.has(j.id));
+
+        this.changed(job);
+    }
+
+    nextJob() {
+        return this.jobs
+            .filter(j => j.state === 'queued' && this.handlers.has(j.type))
+            .sort((a, b) => JOB_PRIORITIES[b.priority] - JOB_PRIORITIES[a.priority] || a.createdAt - b.createdAt)[0] || null;
+    }
+
+    runNext() {
+        if (!this.started || this.current || this.isHeld()) return;
+        const job = this.nextJob();
+        if (!job) return;
+
+        const run = { job, interrupt: null, cancelHooks: [], promise: null };
+        this.current = run;
+        run.promise = this.execute(run).finally(() => {
+            this.current = null;
+            setImmediate(() => this.runNext());
+        });
+    }
+
+    async execute(run) {
+        const { job } = run;
+        job.state = 'running';
+        job.startedAt = Date.now();
+        job.message = 'Starting...';
+        job.error = null;
+        this.changed(job);
+        console.log(`[Jobs] Running ${job.type} for "${job.projectName || job.projectId}"`);
+
+        const ctx = {
+            checkpoint: async () => {
+                if (run.interrupt) throw new JobInterruptedError(run.interrupt);
+            },
+            progress: (percent, message) => {
+                if (typeof percent === 'number') job.progress = Math.max(0, Math.min(100, Math.round(percent)));
+                if (message) job.message = message;
+                // Progress is frequent; only broadcast, the file is written on state changes
+                this.emit('updated', { job, jobs: this.list() });
+            },
+            onCancel: (hook) => run.cancelHooks.push(hook),
+            isCancelled: () => run.interrupt === 'cancelled'
+        };
+
+        try {
+            job.result = await this.handlers.get(job.type)(job, ctx) ?? null;
+            if (run.interrupt === 'cancelled') {
+                this.finish(job, 'cancelled', 'Cancelled');
+            } else {
+                job.progress = 100;
+                this.finish(job, 'completed', 'Done');
+            }
+        } catch (e) {
+            const reason = e instanceof JobInterruptedError ? e.reason : run.interrupt;
+            if (reason === 'cancelled') {
+                this.finish(job, 'cancelled', 'Cancelled');
+            } else if (reason === 'paused') {
+                job.state = 'paused';
+                job.message = 'Paused';
+                this.changed(job);
+            } else if (reason === 'held') {
+                job.state = 'queued';
+                job.message = this.holds.has('editor') ? 'Waiting for the editor to close' : 'Queued';
+                this.changed(job);
+            } else {
+                console.error(`[Jobs] ${job.type} for "${job.projectName || job.projectId}" failed:`, e);
+                job.error = e.message;
+                this.finish(job, 'failed', `Failed: ${e.message}`);
+            }
+        }
+    }
+}
+
+const jobQueue = new JobQueue();
+
+export { JobQueue };
+export default jobQueue;
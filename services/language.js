@@ -0,0 +1,132 @@
+// language.js - Project languages
+// A project's script and voiceover share one language. It drives the
+// transcription language, how text is folded for alignment, the language of
+// Gemini's human-readable output (search queries stay English for Viory) and
+// how lower-third headlines are cased and broken into lines.
+
+export const DEFAULT_LANGUAGE = 'es';
+
+export const LANGUAGES = {
+    es: {
+        code: 'es',
+        name: 'Spanish',
+        nativeName: 'Español',
+        locale: 'es-ES',
+        // Short words that should not end the first line of a lower third
+        danglingWords: ['a', 'al', 'con', 'de', 'del', 'el', 'en', 'la', 'las', 'lo', 'los', 'o', 'para', 'por', 'que', 'sin', 'su', 'sus', 'un', 'una', 'y']
+    },
+    pt: {
+        code: 'pt',
+        name: 'Portuguese',
+        nativeName: 'Português',
+        locale: 'pt-PT',
+        danglingWords: ['a', 'ao', 'as', 'com', 'da', 'das', 'de', 'do', 'dos', 'e', 'em', 'na', 'nas', 'no', 'nos', 'o', 'os', 'ou', 'para', 'pela', 'pelo', 'por', 'que', 'sem', 'um', 'uma']
+    },
+    fr: {
+        code: 'fr',
+        name: 'French',
+        nativeName: 'Français',
+        locale: 'fr-FR',
+        danglingWords: ['à', 'au', 'aux', 'avec', 'ce', 'de', 'des', 'du', 'en', 'et', 'la', 'le', 'les', 'ou', 'par', 'pour', 'que', 'sa', 'ses', 'son', 'sur', 'un', 'une'],
+        // French typography puts a (non-breaking) space before these
+        spacedPunctuation: /\s*([?!:;»])/g,
+        silentFinalE: true
+    },
+    en: {
+        code: 'en',
+        name: 'English',
+        nativeName: 'English',
+        locale: 'en-US',
+        danglingWords: ['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with'],
+        silentFinalE: true
+    }
+};
+
+const LIGATURES = { 'œ': 'oe', 'æ': 'ae', 'ß': 'ss', 'ø': 'o', 'ł': 'l', 'đ': 'd' };
+
+/**
+ * Supported language for a code like "pt-BR" or "FR" (falls back to the default)
+ */
+export function resolveLanguage(code) {
+    const base = String(code || '').toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[base] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Fold text for comparing script words with transcript words: lower-case,
+ * expand ligatures, drop diacritics and keep letters/digits of any script.
+ * Both sides are folded the same way, so "ação"/"acao" and "cœur"/"coeur" match.
+ * @param {string} text
+ * @param {string} [language]
+ * @param {boolean} [keepSpaces] - Keep word separators (default true)
+ */
+export function foldForMatching(text, language = DEFAULT_LANGUAGE, keepSpaces = true) {
+    const { locale } = resolveLanguage(language);
+    const folded = String(text || '')
+        .toLocaleLowerCase(locale)
+        .replace(/[œæßøłđ]/g, c => LIGATURES[c])
+        .replace(/['’](?=\p{L})/gu, '') // Elisions: l'armée, d'água
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+    return keepSpaces
+        ? folded.replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim()
+        : folded.replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Upper-case a headline for a lower third using the language's casing and
+ * punctuation rules. Returns display words (punctuation stays with its word).
+ */
+export function shapeHeadlineWords(headline, language = DEFAULT_LANGUAGE) {
+    const lang = resolveLanguage(language);
+    let text = String(headline || '').replace(/^ON\s*SCREEN\s*:?\s*/i, '').trim().toLocaleUpperCase(lang.locale);
+    if (lang.spacedPunctuation) {
+        text = text.replace(lang.spacedPunctuation, '\u00A0$1').replace(/«\s*/g, '«\u00A0');
+    }
+    // Split on ordinary spaces only; non-breaking spaces keep punctuation attached
+    return text.split(/[ \t\r\n]+/).filter(Boolean);
+}
+
+/**
+ * Break a headline into the two lower-third lines. Line 1 never ends on a
+ * dangling article/preposition ("DE", "LA", "OF"); it moves to line 2.
+ * @returns {{ line1: string, line2: string }}
+ */
+export function splitHeadlineLines(headline, language = DEFAULT_LANGUAGE) {
+    const lang = resolveLanguage(language);
+    const words = shapeHeadlineWords(headline, language);
+
+    // If 3 or fewer words, put all on line 1
+    if (words.length <= 3) {
+        return { line1: words.join(' '), line2: '' };
+    }
+
+    // 4-5 words split roughly in half, longer headlines at ~45%
+    let split = words.length <= 5 ? Math.ceil(words.length / 2) : Math.floor(words.length * 0.45);
+    const isDangling = (word) => lang.danglingWords.includes(word.toLocaleLowerCase(lang.locale));
+    while (split > 1 && isDangling(words[split - 1])) split--;
+
+    return {
+        line1: words.slice(0, split).join(' '),
+        line2: words.slice(split).join(' ')
+    };
+}
+
+/**
+ * Prompt fragment telling Gemini which language the script is in and which
+ * language to answer in. Search queries are always English (Viory is indexed in English).
+ */
+export function describeLanguageForPrompt(language = DEFAULT_LANGUAGE) {
+    const { name } = resolveLanguage(language);
+    return `The script is written in ${name}. Write human-readable fields (summaries, explanations) in ${name}. Search queries MUST always be in English, translating names of places, institutions and events where needed.`;
+}
+
+export default {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    resolveLanguage,
+    foldForMatching,
+    shapeHeadlineWords,
+    splitHeadlineLines,
+    describeLanguageForPrompt
+};
@@ -0,0 +1,213 @@
+// cache.js - Content-addressed on-disk cache for LLM answers
+// Re-running a script after fixing one block used to re-send every analysis
+// and thumbnail check, and the rate limiter then stalled the run for a minute.
+// An answer is stored under a hash of everything that shapes it: provider,
+// model, temperature, JSON mode/schema and the prompt, with images by content
+// hash. Settings live in ~/.clicksync/config.json under "llm.cache":
+//   { "enabled": true, "ttlHours": 168, "maxSizeMB": 200 }
+// Entries older than the TTL are ignored and removed; past the size limit the
+// least recently used entries go first.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const DEFAULT_DIR = path.join(os.homedir(), '.clicksync', 'llm-cache');
+export const CACHE_DEFAULTS = { enabled: true, ttlHours: 168, maxSizeMB: 200 };
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function emptyStats() {
+    return { hits: 0, misses: 0, bypassed: 0, writes: 0, evicted: 0, byTask: {} };
+}
+
+export class LlmCache {
+    constructor(dir = DEFAULT_DIR) {
+        this.dir = dir;
+        this.enabled = CACHE_DEFAULTS.enabled;
+        this.ttlHours = CACHE_DEFAULTS.ttlHours;
+        this.maxSizeMB = CACHE_DEFAULTS.maxSizeMB;
+        this.sizeBytes = null; // Measured on the first write
+        this.stats = emptyStats();
+    }
+
+    configure(settings = {}) {
+        if (settings.dir) this.dir = settings.dir;
+        if (settings.enabled !== undefined) this.enabled = !!settings.enabled;
+        if (typeof settings.ttlHours === 'number') this.ttlHours = settings.ttlHours;
+        if (typeof settings.maxSizeMB === 'number') this.maxSizeMB = settings.maxSizeMB;
+        return this;
+    }
+
+    /**
+     * Cache key for a resolved request
+     * @param {Object} request - { provider, model, temperature, json, schema, parts }
+     */
+    keyFor({ provider, model, temperature, json, schema, parts }) {
+        const normalized = parts.map(p => {
+            if (typeof p === 'string') return p;
+            if (p && p.inlineData) return { image: hash(p.inlineData.data), mimeType: p.inlineData.mimeType };
+            return p?.text || '';
+        });
+        return hash(JSON.stringify({ provider, model, temperature, json: !!json, schema: schema || null, parts: normalized }));
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    count(task, field) {
+        this.stats[field]++;
+        if (!this.stats.byTask[task]) this.stats.byTask[task] = { hits: 0, misses: 0 };
+        if (field === 'hits' || field === 'misses') this.stats.byTask[task][field]++;
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} task - For statistics only
+     * @returns {string|null} Cached text, null on a miss
+     */
+    get(key, task) {
+        const file = this.fileFor(key);
+        try {
+            if (fs.existsSync(file)) {
+                const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+                if (Date.now() - entry.createdAt < this.ttlHours * 3600000) {
+                    // Touched so size pruning drops the least recently used entries first
+                    const now = new Date();
+                    fs.utimesSync(file, now, now);
+                    this.count(task, 'hits');
+                    return entry.text;
+                }
+                this.remove(file);
+            }
+        } catch (e) {
+            console.warn(`[LLM] Ignoring unreadable cache entry ${key}:`, e.message);
+        }
+        this.count(task, 'misses');
+        return null;
+    }
+
+    /**
+     * A call that skipped the lookup ("Find Different" wants a fresh answer)
+     */
+    bypass(task) {
+        this.count(task, 'bypassed');
+    }
+
+    set(key, { task, provider, model }, text) {
+        try {
+            if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+            const file = this.fileFor(key);
+            if (this.sizeBytes === null) this.sizeBytes = this.measure();
+            if (fs.existsSync(file)) this.sizeBytes -= fs.statSync(file).size;
+
+            const data = JSON.stringify({ task, provider, model, createdAt: Date.now(), text });
+            fs.writeFileSync(file, data);
+            this.sizeBytes += Buffer.byteLength(data);
+            this.stats.writes++;
+
+            if (this.sizeBytes > this.maxSizeMB * 1024 * 1024) this.prune();
+        } catch (e) {
+            console.warn('[LLM] Could not write cache entry:', e.message);
+        }
+    }
+
+    entries() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => {
+                const file = path.join(this.dir, f);
+                const stat = fs.statSync(file);
+                return { file, size: stat.size, usedAt: stat.mtimeMs };
+            });
+    }
+
+    measure() {
+        return this.entries().reduce((sum, e) => sum + e.size, 0);
+    }
+
+    remove(file) {
+        try {
+            const size = fs.statSync(file).size;
+            fs.unlinkSync(file);
+            if (this.sizeBytes !== null) this.sizeBytes -= size;
+            this.stats.evicted++;
+        } catch (e) { /* already gone */ }
+    }
+
+    /**
+     * Drop expired entries, then least recently used ones until the cache
+     * is back under 90% of the size limit
+     */
+    prune() {
+        const expiredBefore = Date.now() - this.ttlHours * 3600000;
+        const entries = this.entries().sort((a, b) => a.usedAt - b.usedAt);
+        this.sizeBytes = entries.reduce((sum, e) => sum + e.size, 0);
+        const target = this.maxSizeMB * 1024 * 1024 * 0.9;
+
+        for (const entry of entries) {
+            if (entry.usedAt >= expiredBefore && this.sizeBytes <= target) break;
+            this.remove(entry.file);
+        }
+        console.log(`[LLM] Cache pruned to ${(this.sizeBytes / 1024 / 1024).toFixed(1)} MB`);
+    }
+
+    clear() {
+        const entries = this.entries();
+        entries.forEach(e => fs.unlinkSync(e.file));
+        this.sizeBytes = 0;
+        return entries.length;
+    }
+
+    /**
+     * Entry count and size on disk for the settings UI
+     */
+    describe() {
+        const entries = this.entries();
+        return {
+            enabled: this.enabled,
+            ttlHours: this.ttlHours,
+            maxSizeMB: this.maxSizeMB,
+            dir: this.dir,
+            entries: entries.length,
+            sizeMB: Math.round((entries.reduce((sum, e) => sum + e.size, 0) / 1024 / 1024) * 100) / 100
+        };
+    }
+
+    /**
+     * Copy of the counters, to diff against later with formatStats()
+     */
+    getStats() {
+        return JSON.parse(JSON.stringify(this.stats));
+    }
+
+    /**
+     * One-line summary for the UI console
+     * @param {Object} [since] - Earlier getStats() result, to report a single run
+     */
+    formatStats(since = null) {
+        const base = since || emptyStats();
+        const hits = this.stats.hits - base.hits;
+        const misses = this.stats.misses - base.misses;
+        const bypassed = this.stats.bypassed - base.bypassed;
+        const lookups = hits + misses;
+        if (lookups + bypassed === 0) return 'LLM cache: no model calls';
+
+        const perTask = Object.entries(this.stats.byTask)
+            .map(([task, s]) => [task, s.hits - (base.byTask[task]?.hits || 0), s.misses - (base.byTask[task]?.misses || 0)])
+            .filter(([, h, m]) => h + m > 0)
+            .map(([task, h, m]) => `${task} ${h}/${h + m}`)
+            .join(', ');
+        const rate = lookups > 0 ? Math.round((hits / lookups) * 100) : 0;
+        return `LLM cache: ${hits} hit(s), ${misses} miss(es) (${rate}% hit rate)`
+            + (bypassed > 0 ? `, ${bypassed} bypassed` : '')
+            + (perTask ? ` - ${perTask}` : '');
+    }
+}
+
+export default LlmCache;
@@ -0,0 +1,87 @@
+// fixtureProvider.js - Deterministic LLM backend for tests
+// Answers come from JSON files keyed by task + prompt (images by content
+// hash), so a pipeline run replays the same responses every time without a
+// network or an API key. A missing fixture is an error, not a guess.
+//
+// To capture fixtures, set "record" to a real provider id: misses are sent to
+// that provider and the answer is written for the next run.
+//   "llm": { "provider": "fixture", "fixture": { "dir": "...", "record": "gemini" } }
+// With "matchImages": false only the number of images counts, for prompts
+// built from browser screenshots that differ by a few pixels between runs.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+const DEFAULT_DIR = path.join(os.homedir(), '.clicksync', 'llm-fixtures');
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+export class FixtureProvider {
+    /**
+     * @param {Object} registry - Used to look up the provider to record from
+     */
+    constructor(registry) {
+        this.id = 'fixture';
+        this.name = 'Fixture replay (tests)';
+        this.offline = true;
+        this.vision = true;
+        this.defaultModel = 'fixture';
+        this.dir = DEFAULT_DIR;
+        this.record = null;
+        this.matchImages = true;
+        this.registry = registry;
+    }
+
+    configure(settings = {}) {
+        if (settings.dir) this.dir = settings.dir;
+        if (settings.record !== undefined) this.record = settings.record || null;
+        if (settings.matchImages !== undefined) this.matchImages = !!settings.matchImages;
+        return this;
+    }
+
+    isAvailable() {
+        return fs.existsSync(this.dir) || !!this.record;
+    }
+
+    describe() {
+        return { dir: this.dir, record: this.record };
+    }
+
+    /**
+     * Stable file name for a request. The model is left out so fixtures
+     * survive a model change; the prompt and images are what matter.
+     */
+    keyFor(task, parts) {
+        const normalized = parts.map(p => {
+            if (typeof p === 'string') return p.trim();
+            if (p && p.inlineData) return this.matchImages ? `image:${hash(p.inlineData.data)}` : 'image';
+            return (p?.text || '').trim();
+        });
+        return `${task}-${hash(JSON.stringify(normalized)).substring(0, 16)}`;
+    }
+
+    async generate(request) {
+        const key = this.keyFor(request.task, request.parts);
+        const file = path.join(this.dir, `${key}.json`);
+
+        if (fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf8')).text;
+        }
+
+        const recorder = this.record ? this.registry.get(this.record) : null;
+        if (!recorder || recorder === this) {
+            throw new Error(`No LLM fixture for ${request.task} prompt (${file})`);
+        }
+
+        const text = await recorder.generate(request);
+        if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+        const prompt = request.parts.filter(p => typeof p === 'string').join('\n');
+        fs.writeFileSync(file, JSON.stringify({ task: request.task, prompt: prompt.substring(0, 2000), text }, null, 2));
+        console.log(`[LLM] Recorded fixture ${key} from ${recorder.name}`);
+        return text;
+    }
+}
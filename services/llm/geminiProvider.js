@@ -0,0 +1,66 @@
+// geminiProvider.js - Google Gemini adapter for the LLM layer
+// The key comes from the credential store (Settings > API Keys, active
+// profile) or GEMINI_API_KEY; see services/credentials.
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import config from '../../config.js';
+import credentials from '../credentials/index.js';
+
+const DEFAULT_MODEL = config?.gemini?.model || 'gemini-3-flash-preview';
+
+export class GeminiProvider {
+    constructor() {
+        this.id = 'gemini';
+        this.name = 'Google Gemini (cloud)';
+        this.offline = false;
+        this.vision = true;
+        this.defaultModel = DEFAULT_MODEL;
+        this.keySource = null;
+    }
+
+    configure(settings = {}) {
+        if (settings.model) this.defaultModel = settings.model;
+        return this;
+    }
+
+    resolveApiKey() {
+        const { key, source } = credentials.resolve('gemini');
+        this.keySource = source;
+        if (!key) throw new Error('No Gemini API key. Add one in Settings > API Keys or set GEMINI_API_KEY.');
+        return key;
+    }
+
+    isAvailable() {
+        return !!credentials.get('gemini');
+    }
+
+    describe() {
+        const { source } = credentials.resolve('gemini');
+        this.keySource = source;
+        return { model: this.defaultModel, keySource: source };
+    }
+
+    /**
+     * @param {Object} request
+     * @param {Array} request.parts - Strings and { inlineData: { mimeType, data } } images
+     * @param {string} request.model
+     * @param {number} [request.temperature]
+     * @param {boolean} [request.json] - Ask for a JSON response
+     * @param {Object} [request.schema] - Gemini responseSchema
+     * @param {string} [request.apiKey] - Overrides the configured key
+     * @returns {Promise<string>}
+     */
+    async generate({ parts, model, temperature, json, schema, apiKey }) {
+        const generationConfig = {};
+        if (typeof temperature === 'number') generationConfig.temperature = temperature;
+        if (json) generationConfig.responseMimeType = 'application/json';
+        if (schema) generationConfig.responseSchema = schema;
+
+        const genAI = new GoogleGenerativeAI(apiKey || this.resolveApiKey());
+        const handle = genAI.getGenerativeModel({ model: model || this.defaultModel, generationConfig });
+        const result = await handle.generateContent(parts);
+        return result.response.text();
+    }
+}
+
+export default new GeminiProvider();
@@ -0,0 +1,270 @@
+// LLM Providers Index
+// Every model call in the app goes through here, so the backend can be swapped
+// (Gemini, a local llama.cpp/Ollama server, fixture replay for tests) and
+// model/temperature tuned per task. Settings live in ~/.clicksync/config.json
+// under "llm":
+//   { "provider": "gemini",
+//     "tasks": { "vision": { "model": "gemini-3-flash-preview", "temperature": 0.2 },
+//                "query": { "provider": "openai", "model": "qwen2.5:7b" } },
+//     "openai": { "baseUrl": "http://localhost:11434/v1", "model": "llama3.2" },
+//     "fixture": { "dir": "~/.clicksync/llm-fixtures", "record": null },
+//     "cache": { "enabled": true, "ttlHours": 168, "maxSizeMB": 200 } }
+// Answers are cached on disk (see cache.js); pass { cache: false } to skip the
+// lookup and refresh the entry.
+// CLICKSYNC_LLM_PROVIDER forces one provider for every task and
+// CLICKSYNC_LLM_FIXTURES sets the fixture folder (handy for test runs).
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import geminiProvider, { GeminiProvider } from './geminiProvider.js';
+import openaiProvider, { OpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { FixtureProvider } from './fixtureProvider.js';
+import { LlmCache, CACHE_DEFAULTS } from './cache.js';
+
+const CONFIG_PATH = path.join(os.homedir(), '.clicksync', 'config.json');
+const DEFAULT_PROVIDER = 'gemini';
+
+export const LLM_TASKS = {
+    query: 'Search query generation',
+    vision: 'Visual validation',
+    title: 'Title generation',
+    analysis: 'Script analysis'
+};
+
+/**
+ * Prompt as a list of Gemini-style parts (strings and inlineData images)
+ */
+function toParts(prompt) {
+    return Array.isArray(prompt) ? prompt : [prompt];
+}
+
+class LlmRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.fixtureOverride = null;
+        this.cache = new LlmCache();
+    }
+
+    register(provider) {
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * Read settings fresh each time so a change in Settings applies to the
+     * next call without restarting the local server
+     */
+    loadSettings() {
+        let settings = {};
+        try {
+            if (fs.existsSync(CONFIG_PATH)) {
+                settings = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')).llm || {};
+            }
+        } catch (e) {
+            console.error('[LLM] Failed to read settings:', e.message);
+        }
+        for (const provider of this.providers.values()) {
+            provider.configure(settings[provider.id] || {});
+        }
+        if (process.env.CLICKSYNC_LLM_FIXTURES) {
+            this.get('fixture')?.configure({ dir: process.env.CLICKSYNC_LLM_FIXTURES });
+        }
+        if (this.fixtureOverride) {
+            this.get('fixture')?.configure(this.fixtureOverride);
+        }
+        this.cache.configure({ ...CACHE_DEFAULTS, ...settings.cache });
+        return { provider: DEFAULT_PROVIDER, ...settings, tasks: settings.tasks || {}, cache: { ...CACHE_DEFAULTS, ...settings.cache } };
+    }
+
+    saveSettings(settings) {
+        const configDir = path.dirname(CONFIG_PATH);
+        if (!fs.existsSync(configDir)) fs.mkdirSync(configDir, { recursive: true });
+
+        let config = {};
+        try {
+            if (fs.existsSync(CONFIG_PATH)) config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        } catch (e) {
+            console.warn('[LLM] Could not parse existing config, creating new');
+        }
+
+        if (settings.provider && !this.providers.has(settings.provider)) {
+            throw new Error(`Unknown LLM provider: ${settings.provider}`);
+        }
+        if (['gemini', 'openai'].some(id => settings[id]?.apiKey !== undefined)) {
+            throw new Error('API keys are kept in the credential store (Settings > API Keys), not in LLM settings');
+        }
+        for (const [task, taskSettings] of Object.entries(settings.tasks || {})) {
+            if (!LLM_TASKS[task]) throw new Error(`Unknown LLM task: ${task}`);
+            if (taskSettings.provider && !this.providers.has(taskSettings.provider)) {
+                throw new Error(`Unknown LLM provider for ${task}: ${taskSettings.provider}`);
+            }
+            const { temperature } = taskSettings;
+            if (temperature !== undefined && temperature !== null && !(temperature >= 0 && temperature <= 2)) {
+                throw new Error(`Temperature for ${task} must be between 0 and 2`);
+            }
+        }
+
+        if (settings.cache) {
+            const { ttlHours, maxSizeMB } = settings.cache;
+            if (ttlHours !== undefined && !(ttlHours > 0)) throw new Error('Cache TTL must be a positive number of hours');
+            if (maxSizeMB !== undefined && !(maxSizeMB > 0)) throw new Error('Cache size limit must be a positive number of MB');
+        }
+
+        const current = config.llm || {};
+        config.llm = { ...current, ...settings };
+        for (const id of this.providers.keys()) {
+            if (settings[id]) config.llm[id] = { ...(current[id] || {}), ...settings[id] };
+        }
+        if (settings.cache) config.llm.cache = { ...(current.cache || {}), ...settings.cache };
+        if (settings.tasks) {
+            config.llm.tasks = { ...(current.tasks || {}) };
+            for (const [task, taskSettings] of Object.entries(settings.tasks)) {
+                config.llm.tasks[task] = { ...(current.tasks?.[task] || {}), ...taskSettings };
+            }
+        }
+        fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+        return this.loadSettings();
+    }
+
+    /**
+     * Provider, model and temperature a task runs with
+     * @param {string} task - One of LLM_TASKS
+     * @param {Object} [overrides] - { provider, model, temperature }
+     */
+    resolveTask(task, overrides = {}) {
+        if (!LLM_TASKS[task]) throw new Error(`Unknown LLM task: ${task}`);
+        const settings = this.loadSettings();
+        const taskSettings = { ...settings.tasks[task], ...overrides };
+
+        const id = process.env.CLICKSYNC_LLM_PROVIDER
+            || (this.fixtureOverride ? 'fixture' : null)
+            || taskSettings.provider
+            || settings.provider;
+        const provider = this.get(id);
+        if (!provider) throw new Error(`Unknown LLM provider: ${id}`);
+
+        return {
+            provider,
+            // Unset model = the provider's own default
+            model: taskSettings.model || null,
+            temperature: typeof taskSettings.temperature === 'number' ? taskSettings.temperature : null
+        };
+    }
+
+    /**
+     * Send every task to the fixture provider for the rest of this process
+     * (Viory record/replay runs keep their model answers next to the pages)
+     * @param {string} dir - Fixture folder
+     * @param {string|null} [record] - Provider to record misses from, null to replay only
+     * @param {Object} [options] - Extra fixture settings ({ matchImages })
+     */
+    useFixtures(dir, record = null, options = {}) {
+        this.fixtureOverride = { dir, record, ...options };
+    }
+
+    /**
+     * Settings, tasks and provider status for the settings UI
+     */
+    describe() {
+        const settings = this.loadSettings();
+        return {
+            settings,
+            tasks: Object.entries(LLM_TASKS).map(([id, name]) => {
+                const { provider, model, temperature } = this.resolveTask(id);
+                return { id, name, provider: provider.id, model: model || provider.defaultModel, temperature };
+            }),
+            providers: [...this.providers.values()].map(p => ({
+                id: p.id,
+                name: p.name,
+                offline: p.offline,
+                vision: p.vision,
+                available: p.isAvailable(),
+                selected: p.id === settings.provider,
+                ...p.describe()
+            })),
+            cache: this.cache.describe()
+        };
+    }
+
+    /**
+     * Run a prompt for a task
+     * @param {string} task - One of LLM_TASKS
+     * @param {string|Array} prompt - Text, or parts with { inlineData: { mimeType, data } } images
+     * @param {Object} [options] - { provider, model, temperature, json, schema, apiKey, cache, beforeRequest }
+     *   cache: false skips the cache lookup (the answer is still stored).
+     *   beforeRequest is awaited only when the provider is actually called,
+     *   so rate limiting does not delay cache hits.
+     * @returns {Promise<string>} Response text
+     */
+    async generate(task, prompt, options = {}) {
+        const { json = false, schema = null, apiKey = null, cache = true, beforeRequest = null, ...overrides } = options;
+        const { provider, model, temperature } = this.resolveTask(task, overrides);
+        const parts = toParts(prompt);
+
+        if (parts.some(p => p && p.inlineData) && !provider.vision) {
+            throw new Error(`${provider.name} is not set up for images, choose another provider for "${task}"`);
+        }
+
+        const modelName = model || provider.defaultModel;
+        // Fixture runs must hit their recordings, not answers cached by earlier runs
+        const cacheable = this.cache.enabled && provider.id !== 'fixture';
+        const cacheKey = cacheable
+            ? this.cache.keyFor({ provider: provider.id, model: modelName, temperature, json, schema, parts })
+            : null;
+        if (cacheable && cache) {
+            const cached = this.cache.get(cacheKey, task);
+            if (cached !== null) {
+                console.log(`[LLM] ${task} -> cache hit (${provider.id}/${modelName})`);
+                return cached;
+            }
+        } else if (cacheable) {
+            this.cache.bypass(task);
+        }
+
+        if (beforeRequest) await beforeRequest();
+        console.log(`[LLM] ${task} -> ${provider.id}/${modelName}`);
+        const text = await provider.generate({
+            task,
+            parts,
+            model,
+            temperature,
+            json,
+            schema,
+            // A key passed by the caller only makes sense for Gemini
+            apiKey: provider.id === 'gemini' ? apiKey : null
+        });
+        // Empty answers are usually blocked or failed generations, worth retrying next time
+        if (cacheable && text) this.cache.set(cacheKey, { task, provider: provider.id, model: modelName }, text);
+        return text;
+    }
+
+    /**
+     * Handle shaped like a Gemini SDK model, so code written against
+     * model.generateContent(...).response.text() can move over unchanged
+     * @param {string} task - One of LLM_TASKS
+     * @param {Object} [options] - Same as generate()
+     */
+    getModel(task, options = {}) {
+        return {
+            generateContent: async (prompt) => {
+                const text = await this.generate(task, prompt, options);
+                return { response: { text: () => text } };
+            }
+        };
+    }
+}
+
+const llm = new LlmRegistry();
+llm.register(geminiProvider);
+llm.register(openaiProvider);
+llm.register(new FixtureProvider(llm));
+
+export const generate = (task, prompt, options) => llm.generate(task, prompt, options);
+
+export { LlmRegistry, GeminiProvider, OpenAICompatibleProvider, FixtureProvider };
+export default llm;
@@ -0,0 +1,94 @@
+// openaiCompatibleProvider.js - Any server speaking the OpenAI chat completions API
+// Point it at a local llama.cpp (llama-server) or Ollama to keep prompts on
+// this machine, or at a hosted endpoint. Images are sent as data URLs, which
+// needs a vision-capable model (llava, qwen2-vl...) for the "vision" task.
+// An API key, if the server wants one, comes from the credential store.
+
+import credentials from '../credentials/index.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1'; // Ollama
+const DEFAULT_MODEL = 'llama3.2';
+const REQUEST_TIMEOUT_MS = 120000;
+
+/**
+ * Gemini-style parts to an OpenAI message content. Plain text stays a string
+ * because some local servers reject the array form.
+ */
+export function toChatContent(parts) {
+    const hasImages = parts.some(p => p && p.inlineData);
+    if (!hasImages) {
+        return parts.map(p => (typeof p === 'string' ? p : p.text || '')).join('\n');
+    }
+    return parts.map(p => {
+        if (p && p.inlineData) {
+            return { type: 'image_url', image_url: { url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}` } };
+        }
+        return { type: 'text', text: typeof p === 'string' ? p : p.text || '' };
+    });
+}
+
+export class OpenAICompatibleProvider {
+    constructor() {
+        this.id = 'openai';
+        this.name = 'OpenAI-compatible (llama.cpp, Ollama...)';
+        this.offline = true;
+        this.vision = false;
+        this.baseUrl = DEFAULT_BASE_URL;
+        this.defaultModel = DEFAULT_MODEL;
+    }
+
+    configure(settings = {}) {
+        if (settings.baseUrl) this.baseUrl = settings.baseUrl.replace(/\/+$/, '');
+        if (settings.model) this.defaultModel = settings.model;
+        if (settings.vision !== undefined) this.vision = !!settings.vision;
+        // Only a localhost endpoint keeps prompts on this machine
+        this.offline = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/.test(this.baseUrl);
+        return this;
+    }
+
+    isAvailable() {
+        return !!this.baseUrl;
+    }
+
+    describe() {
+        return { baseUrl: this.baseUrl, model: this.defaultModel };
+    }
+
+    /**
+     * @param {Object} request - { parts, model, temperature, json } (see GeminiProvider.generate)
+     * @returns {Promise<string>}
+     */
+    async generate({ parts, model, temperature, json }) {
+        const body = {
+            model: model || this.defaultModel,
+            messages: [{ role: 'user', content: toChatContent(parts) }]
+        };
+        if (typeof temperature === 'number') body.temperature = temperature;
+        if (json) body.response_format = { type: 'json_object' };
+
+        const headers = { 'Content-Type': 'application/json' };
+        const apiKey = credentials.get('openai');
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (e) {
+            throw new Error(`${this.name} not reachable at ${this.baseUrl}: ${e.cause?.code || e.message}`);
+        }
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`${this.name} request failed (${response.status}): ${detail.substring(0, 200)}`);
+        }
+
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content || '';
+    }
+}
+
+export default new OpenAICompatibleProvider();
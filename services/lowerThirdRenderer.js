@@ -6,6 +6,8 @@ import os from 'os';
 import { fileURLToPath } from 'url';
 import { createCanvas } from 'canvas';
 import log from 'electron-log';
+import { DEFAULT_LANGUAGE, resolveLanguage, splitHeadlineLines } from './language.js';
+import { DEFAULT_BRAND, resolveBrand, getOverlayStyle, getStyleKey, parseColorStops } from './brandPresets.js';
 
 // Configure electron-log
 log.transports.file.level = 'info';
@@ -81,8 +83,9 @@ const pendingRenders = new Map(); // hash -> Promise
 /**
  * Generate a simple hash for cache key
  */
-function generateCacheKey(line1, line2, durationInSeconds) {
-    const content = `${line1 || ''}|${line2 || ''}|${durationInSeconds}`;
+function generateCacheKey(line1, line2, durationInSeconds, frame = null) {
+    const frameKey = frame ? `|${frame.width}x${frame.height}` : '';
+    const content = `${line1 || ''}|${line2 || ''}|${durationInSeconds}|${getStyleKey(currentBrand)}${frameKey}`;
     let hash = 0;
     for (let i = 0; i < content.length; i++) {
         const char = content.charCodeAt(i);
@@ -149,6 +152,30 @@ function setProResProfile(profile) {
     }
 }
 
+// Project language - decides headline casing and where lines may break
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Set the language used to shape lower-third headlines
+ * @param {string} code - Language code ('es', 'pt', 'fr', 'en')
+ */
+function setLanguage(code) {
+    currentLanguage = resolveLanguage(code).code;
+    logInfo(`[LowerThird] Headline language set to: ${currentLanguage}`);
+}
+
+// Project brand preset - fonts, colours, layout and timings of the overlay
+let currentBrand = resolveBrand(DEFAULT_BRAND);
+
+/**
+ * Set the brand preset lower thirds are rendered with
+ * @param {Object} brand - Resolved preset (services/brandPresets.js)
+ */
+function setBrand(brand) {
+    currentBrand = brand || resolveBrand(DEFAULT_BRAND);
+    logInfo(`[LowerThird] Brand set to: ${currentBrand.id}`);
+}
+
 /**
  * Get pixel format based on ProRes profile
  * Only 4444 and 4444-xq support alpha channel
@@ -435,38 +462,15 @@ class LowerThirdRenderer {
     }
 
     splitHeadlineIntoLines(headline) {
-        // Clean up headline
-        let clean = headline.replace(/^ON\s*SCREEN\s*:?\s*/i, '').trim().toUpperCase();
-
-        const words = clean.split(/\s+/);
-
-        // If 3 or fewer words, put all on line 1
-        if (words.length <= 3) {
-            return { line1: clean, line2: '' };
-        }
-
-        // If 4-5 words, split roughly in half
-        if (words.length <= 5) {
-            const mid = Math.ceil(words.length / 2);
-            return {
-                line1: words.slice(0, mid).join(' '),
-                line2: words.slice(mid).join(' ')
-            };
-        }
-
-        // For longer headlines, split at ~45%
-        const split = Math.floor(words.length * 0.45);
-        return {
-            line1: words.slice(0, split).join(' '),
-            line2: words.slice(split).join(' ')
-        };
+        return splitHeadlineLines(headline, currentLanguage);
     }
 
     /**
      * Main render function - uses Remotion renderer, falls back to Canvas
      * OPTIMIZED: Reduced logging, efficient cache checking
+     * @param {Object|null} frame - Vertical/square output (services/reframe.js overlayFrame), null for 16:9
      */
-    async renderLowerThird({ headline, durationInSeconds = 5, segmentId, onProgress = null }) {
+    async renderLowerThird({ headline, durationInSeconds = 5, segmentId, frame = null, onProgress = null }) {
         // Initialize paths on first use
         this.initializePaths();
 
@@ -482,7 +486,7 @@ class LowerThirdRenderer {
         reportProgress(0);
 
         // ============ CHECK CACHE FIRST ============
-        const cacheKey = generateCacheKey(line1, line2, durationInSeconds);
+        const cacheKey = generateCacheKey(line1, line2, durationInSeconds, frame);
 
         // Check if already cached - FAST PATH
         const cachedPath = getCachedOverlay(cacheKey);
@@ -507,7 +511,7 @@ class LowerThirdRenderer {
                 // Try Remotion renderer first (need bundle and binaries, browser is optional)
                 if (this.bundlePath && this.binariesDir) {
                     try {
-                        const result = await this.renderWithRemotion({ line1, line2, durationInSeconds, segmentId, reportProgress });
+                        const result = await this.renderWithRemotion({ line1, line2, durationInSeconds, segmentId, frame, reportProgress });
                         if (result && fs.existsSync(result)) {
                             reportProgress(100);
                             setCachedOverlay(cacheKey, result);
@@ -520,7 +524,7 @@ class LowerThirdRenderer {
 
                 // Fallback to Canvas (static PNG)
                 logInfo(`[LowerThird] seg=${segmentId}: Using Canvas fallback`);
-                const canvasResult = await this.renderWithCanvas({ line1, line2, segmentId });
+                const canvasResult = await this.renderWithCanvas({ line1, line2, segmentId, frame });
                 if (canvasResult) {
                     reportProgress(100);
                     setCachedOverlay(cacheKey, canvasResult);
@@ -539,7 +543,7 @@ class LowerThirdRenderer {
      * Render using @remotion/renderer with pre-built bundle
      * OPTIMIZED: Caches composition, reduces logging, uses shared GPU config
      */
-    async renderWithRemotion({ line1, line2, durationInSeconds, segmentId, reportProgress = null }) {
+    async renderWithRemotion({ line1, line2, durationInSeconds, segmentId, frame = null, reportProgress = null }) {
         const loaded = await loadRemotion();
         if (!loaded) {
             throw new Error('@remotion/renderer not available');
@@ -554,7 +558,10 @@ class LowerThirdRenderer {
         const inputProps = {
             line1: line1 || '',
             line2: line2 || '',
-            durationInSeconds
+            durationInSeconds,
+            style: getOverlayStyle(currentBrand),
+            // Composition size and safe area for vertical/square exports
+            ...(frame ? { frame } : {})
         };
 
         // Reduced logging - only log essential info
@@ -655,79 +662,92 @@ class LowerThirdRenderer {
     /**
      * Render with Canvas (static PNG fallback)
      */
-    async renderWithCanvas({ line1, line2, segmentId }) {
+    async renderWithCanvas({ line1, line2, segmentId, frame = null }) {
         const outputPath = path.join(this.outputDir, `lt_${segmentId}_${Date.now()}.png`);
 
-        const width = 1920;
-        const height = 1080;
+        const width = frame ? frame.width : 1920;
+        const height = frame ? frame.height : 1080;
+        const safe = frame ? frame.safeArea : { top: 0, right: 0, bottom: 0, left: 0 };
         const canvas = createCanvas(width, height);
         const ctx = canvas.getContext('2d');
 
         // Clear with transparency
         ctx.clearRect(0, 0, width, height);
 
-        // Lower third design - centered at bottom
-        const barPadding = 40;
-        const barHeight1 = 70;
-        const barHeight2 = 85;
-        const barGap = 8;
-        const bottomMargin = 40;
+        // Lower third design - brand alignment, at the bottom of the safe area
+        const { fonts, colors, lowerThird } = currentBrand;
+        const alignLeft = lowerThird.align === 'left';
+        const margin = lowerThird.margin * (frame ? frame.scale : 1);
+        const available = width - safe.left - safe.right - margin * 2;
+
+        // Shrink to fit narrow frames
+        const measure = (size, text) => {
+            ctx.font = `bold ${size}px "${fonts.headline}", Arial`;
+            return text ? ctx.measureText(text).width : 0;
+        };
+        let scale = frame ? frame.scale : 1;
+        const widest = Math.max(measure(46 * scale, line1) + 80 * scale, measure(54 * scale, line2) + 80 * scale);
+        if (frame && widest > available) scale *= available / widest;
+
+        const font1 = `bold ${Math.round(46 * scale)}px "${fonts.headline}", Arial`;
+        const font2 = `bold ${Math.round(54 * scale)}px "${fonts.headline}", Arial`;
+        const barPadding = 40 * scale;
+        const barHeight1 = 70 * scale;
+        const barHeight2 = 85 * scale;
+        const barGap = 8 * scale;
+        const bottomMargin = margin + safe.bottom;
+        const barX = (barWidth) => (alignLeft ? margin + safe.left : safe.left + (width - safe.left - safe.right - barWidth) / 2);
 
         // Calculate bar positions
         const bar2Y = height - bottomMargin - barHeight2;
         const bar1Y = bar2Y - barGap - barHeight1;
 
         // Measure text to size bars
-        ctx.font = 'bold 46px Arial';
+        ctx.font = font1;
         const text1Width = line1 ? ctx.measureText(line1).width : 0;
 
-        ctx.font = 'bold 54px Arial';
+        ctx.font = font2;
         const text2Width = line2 ? ctx.measureText(line2).width : 0;
 
-        // Draw top bar (red gradient)
+        // Draw top bar (line 1 gradient)
         if (line1) {
             const bar1Width = text1Width + barPadding * 2;
-            const bar1X = (width - bar1Width) / 2;
+            const bar1X = barX(bar1Width);
 
-            // Red gradient (bottom to top)
+            // Gradient stops run bottom to top
             const gradient1 = ctx.createLinearGradient(bar1X, bar1Y + barHeight1, bar1X, bar1Y);
-            gradient1.addColorStop(0, '#8B0000');
-            gradient1.addColorStop(0.4, '#CC0000');
-            gradient1.addColorStop(1, '#FF0000');
+            parseColorStops(colors.line1Background).forEach(({ offset, color }) => gradient1.addColorStop(offset, color));
 
             this.roundRect(ctx, bar1X, bar1Y, bar1Width, barHeight1, 10);
             ctx.fillStyle = gradient1;
             ctx.fill();
 
             // Draw text
-            ctx.font = 'bold 46px Arial';
-            ctx.fillStyle = 'white';
+            ctx.font = font1;
+            ctx.fillStyle = colors.line1Text;
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
-            ctx.fillText(line1, width / 2, bar1Y + barHeight1 / 2);
+            ctx.fillText(line1, bar1X + bar1Width / 2, bar1Y + barHeight1 / 2);
         }
 
-        // Draw bottom bar (gray to white gradient)
+        // Draw bottom bar (line 2 gradient)
         if (line2) {
             const bar2Width = text2Width + barPadding * 2;
-            const bar2X = (width - bar2Width) / 2;
+            const bar2X = barX(bar2Width);
 
-            // Gray to white gradient (bottom to top)
             const gradient2 = ctx.createLinearGradient(bar2X, bar2Y + barHeight2, bar2X, bar2Y);
-            gradient2.addColorStop(0, '#666666');
-            gradient2.addColorStop(0.3, '#AAAAAA');
-            gradient2.addColorStop(1, '#FFFFFF');
+            parseColorStops(colors.line2Background).forEach(({ offset, color }) => gradient2.addColorStop(offset, color));
 
             this.roundRect(ctx, bar2X, bar2Y, bar2Width, barHeight2, 10);
             ctx.fillStyle = gradient2;
             ctx.fill();
 
             // Draw text
-            ctx.font = 'bold 54px Arial';
-            ctx.fillStyle = '#111111';
+            ctx.font = font2;
+            ctx.fillStyle = colors.line2Text;
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
-            ctx.fillText(line2, width / 2, bar2Y + barHeight2 / 2);
+            ctx.fillText(line2, bar2X + bar2Width / 2, bar2Y + barHeight2 / 2);
         }
 
         // Save PNG
@@ -832,4 +852,4 @@ class LowerThirdRenderer {
 
 const lowerThirdRenderer = new LowerThirdRenderer();
 export default lowerThirdRenderer;
-export { LowerThirdRenderer, setProResProfile, PRORES_PROFILES };
+export { LowerThirdRenderer, setProResProfile, setLanguage, setBrand, PRORES_PROFILES };
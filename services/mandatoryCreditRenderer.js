@@ -6,6 +6,7 @@ import os from 'os';
 import { fileURLToPath } from 'url';
 import { createCanvas } from 'canvas';
 import log from 'electron-log';
+import { DEFAULT_BRAND, resolveBrand, getOverlayStyle, getStyleKey, parseColorStops } from './brandPresets.js';
 
 // Configure electron-log
 log.transports.file.level = 'info';
@@ -72,6 +73,18 @@ let remotionLoaded = false;
 // GPU detection cache (shared pattern with lowerThirdRenderer)
 let gpuInfo = null;
 
+// Project brand preset - font, colours and corner of the credit
+let currentBrand = resolveBrand(DEFAULT_BRAND);
+
+/**
+ * Set the brand preset mandatory credits are rendered with
+ * @param {Object} brand - Resolved preset (services/brandPresets.js)
+ */
+function setBrand(brand) {
+    currentBrand = brand || resolveBrand(DEFAULT_BRAND);
+    logInfo(`[MandatoryCredit] Brand set to: ${currentBrand.id}`);
+}
+
 /**
  * Detect available GPU and its capabilities for Remotion chromiumOptions
  * Returns: { hasNvidia, hasAmd, hasIntel, vram, recommended: 'gpu' | 'cpu', gl, concurrency }
@@ -181,8 +194,9 @@ async function detectGPU() {
 const overlayCache = new Map();
 const pendingRenders = new Map();
 
-function generateCacheKey(text, durationInSeconds) {
-    const content = `mc_${text || ''}|${durationInSeconds}`;
+function generateCacheKey(text, durationInSeconds, frame = null) {
+    const frameKey = frame ? `|${frame.width}x${frame.height}` : '';
+    const content = `mc_${text || ''}|${durationInSeconds}|${getStyleKey(currentBrand)}${frameKey}`;
     let hash = 0;
     for (let i = 0; i < content.length; i++) {
         const char = content.charCodeAt(i);
@@ -345,13 +359,14 @@ class MandatoryCreditRenderer {
 
     /**
      * Main render function - uses cache, Remotion renderer, falls back to Canvas
+     * @param {Object|null} frame - Vertical/square output (services/reframe.js overlayFrame), null for 16:9
      */
-    async renderMandatoryCredit({ text, durationInSeconds = 3, segmentId, onProgress = null }) {
+    async renderMandatoryCredit({ text, durationInSeconds = 3, segmentId, frame = null, onProgress = null }) {
         // Initialize paths on first use
         this.initializePaths();
 
         // ============ CHECK CACHE FIRST ============
-        const cacheKey = generateCacheKey(text, durationInSeconds);
+        const cacheKey = generateCacheKey(text, durationInSeconds, frame);
 
         const cachedPath = getCachedOverlay(cacheKey);
         if (cachedPath) {
@@ -372,7 +387,7 @@ class MandatoryCreditRenderer {
                 // Try Remotion renderer first
                 if (this.bundlePath && this.binariesDir) {
                     try {
-                        const result = await this.renderWithRemotion({ text, durationInSeconds, segmentId, onProgress });
+                        const result = await this.renderWithRemotion({ text, durationInSeconds, segmentId, frame, onProgress });
                         if (result && fs.existsSync(result)) {
                             setCachedOverlay(cacheKey, result);
                             if (onProgress) onProgress({ percent: 100, text, segmentId, type: 'mandatory_credit' });
@@ -385,7 +400,7 @@ class MandatoryCreditRenderer {
 
                 // Fallback to Canvas (static PNG)
                 logInfo('[MandatoryCredit] Using Canvas fallback (static PNG)...');
-                const canvasResult = await this.renderWithCanvas({ text, segmentId });
+                const canvasResult = await this.renderWithCanvas({ text, segmentId, frame });
                 if (canvasResult) {
                     setCachedOverlay(cacheKey, canvasResult);
                     if (onProgress) onProgress({ percent: 100, text, segmentId, type: 'mandatory_credit' });
@@ -404,7 +419,7 @@ class MandatoryCreditRenderer {
      * Render using @remotion/renderer with pre-built bundle
      * OPTIMIZED: Uses more CPU cores for faster rendering
      */
-    async renderWithRemotion({ text, durationInSeconds, segmentId, onProgress = null }) {
+    async renderWithRemotion({ text, durationInSeconds, segmentId, frame = null, onProgress = null }) {
         const loaded = await loadRemotion();
         if (!loaded) {
             throw new Error('@remotion/renderer not available');
@@ -419,7 +434,10 @@ class MandatoryCreditRenderer {
 
         const inputProps = {
             text: text || '',
-            durationInSeconds
+            durationInSeconds,
+            style: getOverlayStyle(currentBrand),
+            // Composition size and safe area for vertical/square exports
+            ...(frame ? { frame } : {})
         };
 
         logInfo(`[MandatoryCredit] Remotion render config:`);
@@ -514,47 +532,66 @@ class MandatoryCreditRenderer {
     /**
      * Render with Canvas (static PNG fallback)
      */
-    async renderWithCanvas({ text, segmentId }) {
+    async renderWithCanvas({ text, segmentId, frame = null }) {
         const outputPath = path.join(this.outputDir, `mc_${segmentId}_${Date.now()}.png`);
 
-        const width = 1920;
-        const height = 1080;
+        const width = frame ? frame.width : 1920;
+        const height = frame ? frame.height : 1080;
+        const safe = frame ? frame.safeArea : { top: 0, right: 0, bottom: 0, left: 0 };
+        const scale = frame ? frame.scale : 1;
         const canvas = createCanvas(width, height);
         const ctx = canvas.getContext('2d');
 
         // Clear with transparency
         ctx.clearRect(0, 0, width, height);
 
-        // Mandatory credit design - top left corner
-        const padding = 30;
-        const barPaddingH = 20;
-        const barPaddingV = 10;
-        const accentWidth = 4;
+        // Mandatory credit design - brand corner (top left by default), inside the safe area
+        const { fonts, colors, mandatoryCredit } = currentBrand;
+        const font = `300 ${Math.round(22 * scale)}px "${fonts.credit}", Arial`;
+        const padding = mandatoryCredit.margin * scale;
+        const barPaddingH = 20 * scale;
+        const barPaddingV = 10 * scale;
+        const accentWidth = 4 * scale;
 
         // Measure text
-        ctx.font = '300 22px Arial';
+        ctx.font = font;
         const textWidth = ctx.measureText(text).width;
         const barWidth = textWidth + barPaddingH * 2 + accentWidth;
-        const barHeight = 42;
+        const barHeight = 42 * scale;
+
+        const fromRight = mandatoryCredit.position.endsWith('right');
+        const x = fromRight ? width - padding - safe.right - barWidth : padding + safe.left;
+        const y = mandatoryCredit.position.startsWith('bottom') ? height - padding - safe.bottom - barHeight : padding + safe.top;
+
+        // Accent line on the outer side, dark bar next to it
+        const accentX = fromRight ? x + barWidth - accentWidth : x;
+        const barX = fromRight ? x : x + accentWidth;
 
-        // Draw red accent line
-        ctx.fillStyle = '#CC0000';
-        ctx.fillRect(padding, padding, accentWidth, barHeight);
+        ctx.fillStyle = colors.accent;
+        ctx.fillRect(accentX, y, accentWidth, barHeight);
 
-        // Draw dark bar
-        const gradient = ctx.createLinearGradient(padding + accentWidth, padding, padding + accentWidth, padding + barHeight);
-        gradient.addColorStop(0, 'rgba(30, 30, 30, 0.95)');
-        gradient.addColorStop(1, 'rgba(15, 15, 15, 0.98)');
+        // Draw dark bar (gradient stops run bottom to top)
+        const gradient = ctx.createLinearGradient(barX, y + barHeight, barX, y);
+        parseColorStops(colors.creditBackground).forEach(({ offset, color }) => gradient.addColorStop(offset, color));
 
         ctx.fillStyle = gradient;
-        this.roundRectRight(ctx, padding + accentWidth, padding, barWidth - accentWidth, barHeight, 6);
+        if (fromRight) {
+            ctx.save();
+            // Mirror so the rounded corners face inwards
+            ctx.translate(barX * 2 + barWidth - accentWidth, 0);
+            ctx.scale(-1, 1);
+            this.roundRectRight(ctx, barX, y, barWidth - accentWidth, barHeight, 6);
+            ctx.restore();
+        } else {
+            this.roundRectRight(ctx, barX, y, barWidth - accentWidth, barHeight, 6);
+        }
         ctx.fill();
 
         // Draw text
-        ctx.font = '300 22px Arial';
-        ctx.fillStyle = '#FFFFFF';
+        ctx.font = font;
+        ctx.fillStyle = colors.creditText;
         ctx.textBaseline = 'middle';
-        ctx.fillText(text, padding + accentWidth + barPaddingH, padding + barHeight / 2);
+        ctx.fillText(text, barX + barPaddingH, y + barHeight / 2);
 
         // Save PNG
         const buffer = canvas.toBuffer('image/png');
@@ -645,4 +682,4 @@ class MandatoryCreditRenderer {
 
 const mandatoryCreditRenderer = new MandatoryCreditRenderer();
 export default mandatoryCreditRenderer;
-export { MandatoryCreditRenderer };
+export { MandatoryCreditRenderer, setBrand };
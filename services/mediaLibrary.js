@@ -0,0 +1,273 @@
+// mediaLibrary.js - Persistent library of every clip we have downloaded
+// Keeps a JSON index under ~/ClickStudio/Library with metadata, content hash,
+// duration and thumbnail per clip, plus an in-memory full-text index so
+// recurring stories can reuse footage instead of hitting Viory again.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegPath from 'ffmpeg-static';
+import ffprobe from 'ffprobe-static';
+import { tokenize } from './providers/footageProvider.js';
+
+if (ffmpegPath) {
+    ffmpeg.setFfmpegPath(ffmpegPath.replace('app.asar', 'app.asar.unpacked'));
+}
+if (ffprobe) {
+    ffmpeg.setFfprobePath(ffprobe.path.replace('app.asar', 'app.asar.unpacked'));
+}
+
+const LIBRARY_DIR = path.join(os.homedir(), 'ClickStudio', 'Library');
+const INDEX_VERSION = 1;
+
+// How much a term hit counts per field
+const FIELD_WEIGHTS = { title: 3, keywords: 2, shotList: 1.5, description: 1 };
+const MAX_FIELD_WEIGHT = 3;
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('md5');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+function probeDuration(filePath) {
+    return new Promise((resolve) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            resolve(err ? null : (metadata?.format?.duration ?? null));
+        });
+    });
+}
+
+function takeThumbnail(videoPath, imagePath) {
+    return new Promise((resolve) => {
+        ffmpeg(videoPath)
+            .screenshots({
+                timestamps: ['50%'],
+                filename: path.basename(imagePath),
+                folder: path.dirname(imagePath),
+                size: '320x180'
+            })
+            .on('end', () => resolve(imagePath))
+            .on('error', () => resolve(null));
+    });
+}
+
+function asText(value) {
+    if (!value) return '';
+    return Array.isArray(value) ? value.join(' ') : String(value);
+}
+
+class MediaLibrary {
+    constructor(rootDir = LIBRARY_DIR) {
+        this.rootDir = rootDir;
+        this.clipsDir = path.join(rootDir, 'clips');
+        this.thumbsDir = path.join(rootDir, 'thumbnails');
+        this.indexPath = path.join(rootDir, 'library.json');
+        this.clips = new Map();     // id -> clip
+        this.terms = new Map();     // term -> Map(id -> best field weight)
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return this;
+        this.clips.clear();
+        try {
+            if (fs.existsSync(this.indexPath)) {
+                const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+                for (const clip of data.clips || []) this.clips.set(clip.id, clip);
+            }
+        } catch (e) {
+            console.error('[MediaLibrary] Failed to read index, starting empty:', e.message);
+        }
+        this.rebuildTermIndex();
+        this.loaded = true;
+        console.log(`[MediaLibrary] Loaded ${this.clips.size} clips`);
+        return this;
+    }
+
+    save() {
+        if (!fs.existsSync(this.rootDir)) fs.mkdirSync(this.rootDir, { recursive: true });
+        const data = { version: INDEX_VERSION, updatedAt: new Date().toISOString(), clips: [...this.clips.values()] };
+        // Write then rename so a crash never leaves a half-written index
+        const tmpPath = `${this.indexPath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, this.indexPath);
+    }
+
+    rebuildTermIndex() {
+        this.terms.clear();
+        for (const clip of this.clips.values()) this.indexClip(clip);
+    }
+
+    indexClip(clip) {
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            for (const term of tokenize(asText(clip[field]))) {
+                if (!this.terms.has(term)) this.terms.set(term, new Map());
+                const postings = this.terms.get(term);
+                postings.set(clip.id, Math.max(postings.get(clip.id) || 0, weight));
+            }
+        }
+    }
+
+    unindexClip(id) {
+        for (const [term, postings] of this.terms) {
+            postings.delete(id);
+            if (postings.size === 0) this.terms.delete(term);
+        }
+    }
+
+    findBySourceUrl(sourceUrl) {
+        this.load();
+        if (!sourceUrl) return null;
+        for (const clip of this.clips.values()) {
+            if (clip.sourceUrl === sourceUrl) return clip;
+        }
+        return null;
+    }
+
+    getClip(id) {
+        this.load();
+        return this.clips.get(id) || null;
+    }
+
+    /**
+     * Add a downloaded clip. The file is hard-linked (or copied) into the
+     * library so cleaning the download folder does not break it.
+     * @param {string} filePath - Downloaded video file
+     * @param {Object} metadata - { sourceUrl, provider, title, description, shotList, mandatoryCredit, keywords }
+     */
+    async addClip(filePath, metadata = {}) {
+        this.load();
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new Error(`Clip not found: ${filePath}`);
+        }
+
+        const hash = await hashFile(filePath);
+        const existing = this.clips.get(hash) || this.findBySourceUrl(metadata.sourceUrl);
+
+        if (existing) {
+            // Same footage seen again: enrich metadata, keep the stored file
+            existing.title = existing.title || metadata.title || '';
+            existing.description = existing.description || metadata.description || '';
+            existing.shotList = existing.shotList || metadata.shotList || '';
+            existing.mandatoryCredit = existing.mandatoryCredit || metadata.mandatoryCredit || '';
+            existing.keywords = [...new Set([...(existing.keywords || []), ...(metadata.keywords || [])])];
+            existing.sourceUrl = existing.sourceUrl || metadata.sourceUrl || null;
+            this.unindexClip(existing.id);
+            this.indexClip(existing);
+            this.save();
+            return existing;
+        }
+
+        if (!fs.existsSync(this.clipsDir)) fs.mkdirSync(this.clipsDir, { recursive: true });
+        if (!fs.existsSync(this.thumbsDir)) fs.mkdirSync(this.thumbsDir, { recursive: true });
+
+        const storedPath = path.join(this.clipsDir, `${hash}${path.extname(filePath) || '.mp4'}`);
+        if (!fs.existsSync(storedPath)) {
+            try {
+                fs.linkSync(filePath, storedPath);
+            } catch (e) {
+                fs.copyFileSync(filePath, storedPath);
+            }
+        }
+
+        const clip = {
+            id: hash,
+            hash,
+            path: storedPath,
+            sourceUrl: metadata.sourceUrl || null,
+            provider: metadata.provider || 'viory',
+            title: metadata.title || path.basename(filePath, path.extname(filePath)),
+            description: metadata.description || '',
+            shotList: asText(metadata.shotList),
+            mandatoryCredit: metadata.mandatoryCredit || '',
+            keywords: metadata.keywords || [],
+            duration: await probeDuration(storedPath),
+            thumbnail: await takeThumbnail(storedPath, path.join(this.thumbsDir, `${hash}.jpg`)),
+            size: fs.statSync(storedPath).size,
+            addedAt: new Date().toISOString(),
+            lastUsedAt: null,
+            useCount: 0
+        };
+
+        this.clips.set(clip.id, clip);
+        this.indexClip(clip);
+        this.save();
+        console.log(`[MediaLibrary] Added "${clip.title.substring(0, 50)}" (${clip.duration ? clip.duration.toFixed(1) + 's' : '?'})`);
+        return clip;
+    }
+
+    /**
+     * Full-text search. Score is the IDF-weighted share of query terms found,
+     * weighted by field (title > keywords > shot list > description), 0-100.
+     */
+    search(query, options = {}) {
+        this.load();
+        const { limit = 15, minDuration = 0, excludeUrls = null } = options;
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0 || this.clips.size === 0) return [];
+
+        const total = this.clips.size;
+        const idf = (term) => Math.log(1 + total / ((this.terms.get(term)?.size || 0) + 1));
+        const maxPoints = queryTerms.reduce((sum, t) => sum + idf(t) * MAX_FIELD_WEIGHT, 0);
+        const points = new Map();
+
+        for (const term of queryTerms) {
+            const postings = this.terms.get(term);
+            if (!postings) continue;
+            for (const [id, weight] of postings) {
+                points.set(id, (points.get(id) || 0) + idf(term) * weight);
+            }
+        }
+
+        const results = [];
+        for (const [id, p] of points) {
+            const clip = this.clips.get(id);
+            if (!clip || !fs.existsSync(clip.path)) continue;
+            if (minDuration && clip.duration && clip.duration < minDuration) continue;
+            if (excludeUrls && (excludeUrls.has(clip.sourceUrl) || excludeUrls.has(clip.path))) continue;
+            results.push({ ...clip, score: Math.round(Math.min(100, (p / maxPoints) * 100)) });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    markUsed(id) {
+        const clip = this.getClip(id);
+        if (!clip) return;
+        clip.useCount = (clip.useCount || 0) + 1;
+        clip.lastUsedAt = new Date().toISOString();
+        this.save();
+    }
+
+    removeClip(id) {
+        const clip = this.getClip(id);
+        if (!clip) return false;
+        this.unindexClip(id);
+        this.clips.delete(id);
+        try { fs.unlinkSync(clip.path); } catch (e) { /* ignore */ }
+        try { if (clip.thumbnail) fs.unlinkSync(clip.thumbnail); } catch (e) { /* ignore */ }
+        this.save();
+        return true;
+    }
+
+    getStats() {
+        this.load();
+        let totalSize = 0;
+        let totalDuration = 0;
+        for (const clip of this.clips.values()) {
+            totalSize += clip.size || 0;
+            totalDuration += clip.duration || 0;
+        }
+        return { clips: this.clips.size, terms: this.terms.size, totalSize, totalDuration, path: this.rootDir };
+    }
+}
+
+export { MediaLibrary };
+export default new MediaLibrary();
@@ -0,0 +1,399 @@
+// nleExport.js - Write the assembled timeline as an NLE interchange file
+// Lets editors finish a ClickSync cut in Premiere, Resolve or Final Cut:
+//   edl    - CMX3600 (one video track + narration, overlays as comments)
+//   fcpxml - Final Cut Pro XML 1.9 (overlays as connected titles on lanes 1/2)
+//   otio   - OpenTimelineIO JSON (overlays as separate generator tracks)
+// Clips reference the original downloads on disk at the in-point the segment
+// was cut from, so the editor has handles to trim with; nothing is re-encoded.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const INTERCHANGE_FORMATS = ['edl', 'fcpxml', 'otio'];
+
+const RESOLUTIONS = {
+    '1080p': { width: 1920, height: 1080 },
+    '720p': { width: 1280, height: 720 },
+    '480p': { width: 854, height: 480 }
+};
+
+// EDL record timecode conventionally starts at one hour
+const EDL_RECORD_START_HOURS = 1;
+
+function toFilePath(urlOrPath) {
+    if (!urlOrPath) return null;
+    if (urlOrPath.startsWith('file://')) {
+        try {
+            return fileURLToPath(urlOrPath);
+        } catch (e) {
+            return decodeURIComponent(urlOrPath.replace('file:///', '').replace('file://', ''));
+        }
+    }
+    return urlOrPath;
+}
+
+function secondsToFrames(seconds, fps) {
+    return Math.max(0, Math.round((Number(seconds) || 0) * fps));
+}
+
+function framesToTimecode(frames, fps) {
+    const f = frames % fps;
+    const totalSeconds = Math.floor(frames / fps);
+    const s = totalSeconds % 60;
+    const m = Math.floor(totalSeconds / 60) % 60;
+    const h = Math.floor(totalSeconds / 3600);
+    return [h, m, s, f].map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Pieces of source media a segment plays, in seconds: the shots of an
+ * assembled segment, else the original download from the in-point the clip
+ * was trimmed at. Segments whose source is unknown or no longer on disk fall
+ * back to their trimmed render.
+ */
+function sourcePieces(seg, duration) {
+    const onDisk = (filePath) => !!filePath && fs.existsSync(filePath);
+    const shots = (seg.video?.sourceShots || []).map(shot => ({ path: toFilePath(shot.path), inPoint: shot.inPoint || 0, duration: shot.duration }));
+    if (shots.length > 0 && shots.every(shot => onDisk(shot.path))) return shots;
+
+    const mediaPath = toFilePath(seg.video?.url);
+    if (!mediaPath) return [];
+    const sourcePath = toFilePath(seg._sourceClipPath);
+    return shots.length === 0 && onDisk(sourcePath)
+        ? [{ path: sourcePath, inPoint: seg.video.inPoint || 0, duration }]
+        : [{ path: mediaPath, inPoint: 0, duration }];
+}
+
+/**
+ * Normalize activeTimelineSegments into frame-accurate clips laid end to end,
+ * the same order and lengths exportFinalVideo uses. Each clip has one shot
+ * per piece of source media it plays (several for an assembled segment).
+ * @param {Array} segments - activeTimelineSegments
+ * @param {Object} options - { fps, audioPath, audioDuration, mediaDurations }
+ * @param {Object} [options.mediaDurations] - Seconds per source media path, for the handles
+ */
+export function buildInterchangeTimeline(segments, options = {}) {
+    const { fps = 30, audioPath = null, audioDuration = null, mediaDurations = {} } = options;
+    const sorted = [...segments].sort((a, b) => a.index - b.index);
+
+    let recordIn = 0;
+    const clips = sorted.map((seg) => {
+        const seconds = seg.duration || seg.video?.duration || 5;
+        const duration = secondsToFrames(seconds, fps);
+
+        // Shot lengths are rounded on the running total so they add up to the clip
+        let elapsed = 0;
+        const pieces = sourcePieces(seg, seconds);
+        const shots = pieces.map((piece, i) => {
+            const start = secondsToFrames(elapsed, fps);
+            elapsed += piece.duration || 0;
+            const end = i === pieces.length - 1 ? duration : Math.min(duration, secondsToFrames(elapsed, fps));
+            return {
+                mediaPath: piece.path,
+                mediaDuration: mediaDurations[piece.path] ? secondsToFrames(mediaDurations[piece.path], fps) : null,
+                sourceIn: secondsToFrames(piece.inPoint, fps),
+                duration: end - start,
+                recordIn: recordIn + start
+            };
+        }).filter(shot => shot.duration > 0);
+
+        const clip = {
+            index: seg.index,
+            name: seg.video?.title || (shots[0] ? path.basename(shots[0].mediaPath) : `Segment ${seg.index + 1}`),
+            shots,
+            duration,
+            recordIn,
+            headline: seg.headline || seg.title || '',
+            credit: seg.mandatoryCredit || seg.video?.mandatoryCredit || ''
+        };
+        recordIn += duration;
+        return clip;
+    });
+
+    const narrationPath = toFilePath(audioPath);
+    return {
+        fps,
+        duration: recordIn,
+        clips,
+        narration: narrationPath ? {
+            path: narrationPath,
+            name: path.basename(narrationPath),
+            duration: audioDuration ? secondsToFrames(audioDuration, fps) : recordIn
+        } : null
+    };
+}
+
+/**
+ * CMX3600 EDL. Overlays have no track in this format, so they are written
+ * as comments under each event for the editor to rebuild.
+ */
+export function writeEdl(timeline, title = 'ClickSync') {
+    const { fps } = timeline;
+    const recordOffset = EDL_RECORD_START_HOURS * 3600 * fps;
+    const tc = (frames) => framesToTimecode(frames, fps);
+    const lines = [`TITLE: ${title}`, 'FCM: NON-DROP FRAME', ''];
+    let eventNumber = 1;
+
+    const pushEvent = (reel, track, srcIn, duration, recIn, comments) => {
+        const num = String(eventNumber++).padStart(3, '0');
+        lines.push(`${num}  ${reel.padEnd(8)} ${track.padEnd(5)} C        ${tc(srcIn)} ${tc(srcIn + duration)} ${tc(recordOffset + recIn)} ${tc(recordOffset + recIn + duration)}`);
+        lines.push(...comments.filter(Boolean), '');
+    };
+
+    for (const clip of timeline.clips) {
+        if (clip.shots.length === 0) {
+            pushEvent('BL', 'V', 0, clip.duration, clip.recordIn, [
+                `* SEGMENT ${clip.index + 1}: NO CLIP`,
+                clip.headline && `* LOWER THIRD: ${clip.headline}`
+            ]);
+            continue;
+        }
+        // Overlay comments go under the segment's first event
+        clip.shots.forEach((shot, i) => {
+            pushEvent('AX', 'V', shot.sourceIn, shot.duration, shot.recordIn, [
+                `* FROM CLIP NAME: ${path.basename(shot.mediaPath)}`,
+                `* SOURCE FILE: ${shot.mediaPath}`,
+                clip.shots.length > 1 && `* SEGMENT ${clip.index + 1}: SHOT ${i + 1} OF ${clip.shots.length}`,
+                i === 0 && clip.headline && `* LOWER THIRD: ${clip.headline}`,
+                i === 0 && clip.credit && `* MANDATORY CREDIT: ${clip.credit}`
+            ]);
+        });
+    }
+
+    if (timeline.narration) {
+        pushEvent('AX', 'A', 0, timeline.narration.duration, 0, [
+            `* FROM CLIP NAME: ${timeline.narration.name}`,
+            `* SOURCE FILE: ${timeline.narration.path}`
+        ]);
+    }
+
+    return lines.join('\r\n');
+}
+
+/**
+ * FCPXML 1.9. Clips sit on the primary storyline; lower thirds (lane 1),
+ * mandatory credits (lane 2) and narration (lane -1) are connected to them.
+ */
+export function writeFcpxml(timeline, options = {}) {
+    const { title = 'ClickSync', resolution = '1080p' } = options;
+    const { fps } = timeline;
+    const { width, height } = RESOLUTIONS[resolution] || RESOLUTIONS['1080p'];
+    const t = (frames) => (frames === 0 ? '0s' : `${frames}/${fps}s`);
+
+    const assets = new Map(); // media path -> asset id
+    let nextId = 3;
+    const assetXml = [];
+    const addAsset = (mediaPath, duration, kind) => {
+        if (assets.has(mediaPath)) return assets.get(mediaPath);
+        const id = `r${nextId++}`;
+        assets.set(mediaPath, id);
+        const media = kind === 'audio'
+            ? 'hasAudio="1" audioSources="1" audioChannels="2"'
+            : `hasVideo="1" format="r1"`;
+        assetXml.push(`        <asset id="${id}" name="${escapeXml(path.basename(mediaPath))}" start="0s" duration="${t(duration)}" ${media}>`);
+        assetXml.push(`            <media-rep kind="original-media" src="${escapeXml(pathToFileURL(mediaPath).href)}"/>`);
+        assetXml.push('        </asset>');
+        return id;
+    };
+
+    let styleCount = 0;
+    const titleXml = (lane, offset, duration, text, role, indent) => {
+        const styleId = `ts${++styleCount}`;
+        return [
+            `${indent}<title ref="r2" lane="${lane}" offset="${t(offset)}" duration="${t(duration)}" name="${escapeXml(text)}" role="${role}">`,
+            `${indent}    <text><text-style ref="${styleId}">${escapeXml(text)}</text-style></text>`,
+            `${indent}    <text-style-def id="${styleId}"><text-style font="Helvetica" fontSize="${lane === 1 ? 54 : 32}" fontColor="1 1 1 1" alignment="left"/></text-style-def>`,
+            `${indent}</title>`
+        ];
+    };
+
+    const spine = [];
+    timeline.clips.forEach((clip, i) => {
+        const indent = '                        ';
+        // Titles and narration hang off the segment's first shot and run for
+        // the whole segment; connected items are timed in the parent's source time
+        const connected = (base) => {
+            const inner = [];
+            if (clip.headline) inner.push(...titleXml(1, base, clip.duration, clip.headline, 'titles.lower-third', indent + '    '));
+            if (clip.credit) inner.push(...titleXml(2, base, clip.duration, clip.credit, 'titles.credit', indent + '    '));
+            if (i === 0 && timeline.narration) {
+                const narrationId = addAsset(timeline.narration.path, timeline.narration.duration, 'audio');
+                inner.push(`${indent}    <asset-clip ref="${narrationId}" lane="-1" offset="${t(base)}" start="0s" duration="${t(timeline.narration.duration)}" name="Narration" role="dialogue"/>`);
+            }
+            return inner;
+        };
+
+        if (clip.shots.length === 0) {
+            spine.push(`${indent}<gap offset="${t(clip.recordIn)}" start="0s" duration="${t(clip.duration)}" name="Segment ${clip.index + 1}">`);
+            spine.push(...connected(0), `${indent}</gap>`);
+            return;
+        }
+        clip.shots.forEach((shot, s) => {
+            const assetId = addAsset(shot.mediaPath, shot.mediaDuration || shot.sourceIn + shot.duration, 'video');
+            const name = clip.shots.length > 1 ? `${clip.name} (shot ${s + 1})` : clip.name;
+            spine.push(`${indent}<asset-clip ref="${assetId}" offset="${t(shot.recordIn)}" start="${t(shot.sourceIn)}" duration="${t(shot.duration)}" name="${escapeXml(name)}" audioRole="effects">`);
+            spine.push(...(s === 0 ? connected(shot.sourceIn) : []), `${indent}</asset-clip>`);
+        });
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE fcpxml>',
+        '<fcpxml version="1.9">',
+        '    <resources>',
+        `        <format id="r1" frameDuration="1/${fps}s" width="${width}" height="${height}"/>`,
+        '        <effect id="r2" name="Basic Title" uid=".../Titles.localized/Bumper:Opener.localized/Basic Title.localized/Basic Title.moti"/>',
+        ...assetXml,
+        '    </resources>',
+        '    <library>',
+        `        <event name="${escapeXml(title)}">`,
+        `            <project name="${escapeXml(title)}">`,
+        `                <sequence format="r1" duration="${t(timeline.duration)}" tcStart="0s" tcFormat="NDF" audioLayout="stereo" audioRate="48k">`,
+        '                    <spine>',
+        ...spine,
+        '                    </spine>',
+        '                </sequence>',
+        '            </project>',
+        '        </event>',
+        '    </library>',
+        '</fcpxml>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * OpenTimelineIO JSON with one track per layer:
+ * V1 footage, V2 lower thirds, V3 mandatory credits, A1 narration
+ */
+export function writeOtio(timeline, title = 'ClickSync') {
+    const { fps } = timeline;
+    const rt = (frames) => ({ OTIO_SCHEMA: 'RationalTime.1', rate: fps, value: frames });
+    const range = (start, duration) => ({ OTIO_SCHEMA: 'TimeRange.1', start_time: rt(start), duration: rt(duration) });
+    const item = (schema, name, sourceRange, extra = {}) => ({
+        OTIO_SCHEMA: schema, name, source_range: sourceRange, effects: [], markers: [], metadata: {}, ...extra
+    });
+    const gap = (duration) => item('Gap.1', '', range(0, duration));
+    const track = (name, kind, children) => item('Track.1', name, null, { kind, children });
+
+    // Overlay tracks fill segments without text with gaps so everything stays in sync
+    const overlayTrack = (name, field, generatorKind) => track(name, 'Video', timeline.clips.map(clip => {
+        if (!clip[field]) return gap(clip.duration);
+        return item('Clip.1', clip[field], range(0, clip.duration), {
+            media_reference: {
+                OTIO_SCHEMA: 'GeneratorReference.1',
+                name: generatorKind,
+                generator_kind: generatorKind,
+                parameters: { text: clip[field] },
+                available_range: range(0, clip.duration),
+                metadata: {}
+            },
+            metadata: { clicksync: { segmentIndex: clip.index, text: clip[field] } }
+        });
+    }));
+
+    const footage = track('Footage', 'Video', timeline.clips.flatMap(clip => {
+        if (clip.shots.length === 0) return [gap(clip.duration)];
+        return clip.shots.map((shot, s) => item('Clip.1', clip.shots.length > 1 ? `${clip.name} (shot ${s + 1})` : clip.name, range(shot.sourceIn, shot.duration), {
+            media_reference: {
+                OTIO_SCHEMA: 'ExternalReference.1',
+                name: path.basename(shot.mediaPath),
+                target_url: pathToFileURL(shot.mediaPath).href,
+                available_range: shot.mediaDuration ? range(0, shot.mediaDuration) : null,
+                metadata: {}
+            },
+            metadata: { clicksync: { segmentIndex: clip.index, shot: s, headline: clip.headline, mandatoryCredit: clip.credit } }
+        }));
+    }));
+
+    const tracks = [
+        footage,
+        overlayTrack('Lower Thirds', 'headline', 'LowerThird'),
+        overlayTrack('Mandatory Credits', 'credit', 'MandatoryCredit')
+    ];
+
+    if (timeline.narration) {
+        tracks.push(track('Narration', 'Audio', [
+            item('Clip.1', 'Narration', range(0, timeline.narration.duration), {
+                media_reference: {
+                    OTIO_SCHEMA: 'ExternalReference.1',
+                    name: timeline.narration.name,
+                    target_url: pathToFileURL(timeline.narration.path).href,
+                    available_range: range(0, timeline.narration.duration),
+                    metadata: {}
+                }
+            })
+        ]));
+    }
+
+    return JSON.stringify({
+        OTIO_SCHEMA: 'Timeline.1',
+        name: title,
+        global_start_time: rt(0),
+        metadata: { clicksync: { exportedAt: new Date().toISOString() } },
+        tracks: item('Stack.1', 'tracks', null, { children: tracks })
+    }, null, 4);
+}
+
+/**
+ * Write the timeline to disk in the requested format
+ * @param {Object} options
+ * @param {string} options.format - edl | fcpxml | otio
+ * @param {Array} options.segments - activeTimelineSegments
+ * @param {string} options.filePath - Destination folder
+ * @param {string} options.fileName - Base name without extension
+ * @param {number} [options.fps]
+ * @param {string} [options.resolution]
+ * @param {string} [options.audioPath] - Narration file or file:// URL
+ * @param {number} [options.audioDuration] - Narration length in seconds
+ * @param {Object} [options.mediaDurations] - Seconds per source media path
+ * @returns {string} Path of the written file
+ */
+export function exportInterchange(options = {}) {
+    const {
+        format,
+        segments = [],
+        filePath,
+        fileName = 'timeline',
+        fps = 30,
+        resolution = '1080p',
+        audioPath = null,
+        audioDuration = null,
+        mediaDurations = {}
+    } = options;
+
+    if (!INTERCHANGE_FORMATS.includes(format)) {
+        throw new Error(`Unsupported interchange format: ${format}`);
+    }
+    if (segments.length === 0) {
+        throw new Error('Timeline is empty');
+    }
+    if (!filePath) {
+        throw new Error('No destination folder selected');
+    }
+
+    const timeline = buildInterchangeTimeline(segments, { fps, audioPath, audioDuration, mediaDurations });
+    const title = fileName;
+    const contents = format === 'edl'
+        ? writeEdl(timeline, title)
+        : format === 'fcpxml'
+            ? writeFcpxml(timeline, { title, resolution })
+            : writeOtio(timeline, title);
+
+    if (!fs.existsSync(filePath)) fs.mkdirSync(filePath, { recursive: true });
+    const outputPath = path.join(filePath, `${fileName}.${format}`);
+    fs.writeFileSync(outputPath, contents, 'utf8');
+    const shotCount = timeline.clips.reduce((n, clip) => n + clip.shots.length, 0);
+    console.log(`[NLE Export] Wrote ${format.toUpperCase()} with ${timeline.clips.length} segments (${shotCount} shots): ${outputPath}`);
+    return outputPath;
+}
+
+export default { exportInterchange, buildInterchangeTimeline, writeEdl, writeFcpxml, writeOtio, INTERCHANGE_FORMATS };
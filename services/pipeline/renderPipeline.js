@@ -0,0 +1,419 @@
+// renderPipeline.js - Script + voiceover to finished video, without Electron
+// Runs the same stages as the app (parse, transcribe, align, match footage,
+// trim, overlays, export) so it can be driven from the CLI or a batch job.
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { createRequire } from 'module';
+import ffmpeg from 'fluent-ffmpeg';
+import config from '../../config.js';
+import videoEditor, { STILL_IMAGE_EXTENSIONS } from '../videoEditor.js';
+import { setLanguage as setLowerThirdLanguage, setBrand as setLowerThirdBrand } from '../lowerThirdRenderer.js';
+import { setBrand as setMandatoryCreditBrand } from '../mandatoryCreditRenderer.js';
+import { getBrandPreset } from '../brandPresets.js';
+import footageProviders from '../providers/index.js';
+import { planShotTrim } from '../providers/shotList.js';
+import { needsMultiShot } from '../timeline/shotAssembly.js';
+import { normalizeTransition, resolveTransition } from '../timeline/transitions.js';
+import { parseScript, formatWarnings } from '../script/scriptGrammar.js';
+import { alignScriptToWords } from '../script/scriptAligner.js';
+import { forceAlignScript } from '../script/forcedAligner.js';
+import transcription, { transcribe } from '../transcription/index.js';
+import llm from '../llm/index.js';
+
+const require = createRequire(import.meta.url);
+
+// Same window the app uses to avoid repeating a clip in nearby segments
+const REPEAT_WINDOW = 6;
+
+/**
+ * Electron's userData folder for the installed app, where the Viory session lives
+ */
+function getAppUserDataPath() {
+    const appName = 'Click Sync';
+    if (process.platform === 'win32') return path.join(process.env.APPDATA || os.homedir(), appName);
+    if (process.platform === 'darwin') return path.join(os.homedir(), 'Library', 'Application Support', appName);
+    return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), appName);
+}
+
+/**
+ * Decode narration to mono 16 kHz float PCM for forced alignment
+ * @returns {Promise<{ samples: Float32Array, sampleRate: number }>}
+ */
+function decodeNarrationPcm(audioPath, sampleRate = 16000) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const stream = ffmpeg(audioPath)
+            .audioChannels(1)
+            .audioFrequency(sampleRate)
+            .format('f32le')
+            .on('error', reject)
+            .pipe();
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+            const buffer = Buffer.concat(chunks);
+            // Copy so the Float32Array starts on a 4-byte boundary
+            const aligned = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length - (buffer.length % 4));
+            resolve({ samples: new Float32Array(aligned), sampleRate });
+        });
+    });
+}
+
+/**
+ * Read a clip manifest: either an array or { segments: [...] }.
+ * Entries are matched by "index" when present, otherwise by position.
+ * Each entry: { path, credit?, startOffset?, title? } (null = no clip).
+ * A path to an image (photo, map, screenshot) becomes a still clip with
+ * { motion?, zoom? } pan/zoom, as when an image is dropped in the editor.
+ * { natSound?, sot? } set the clip's own sound: a level 0-1 under the
+ * narration, or SOT (full level, narration paused), as in the clip inspector.
+ * { transition? } is the transition into the clip: a type ('crossfade') or
+ * { type, duration } (services/timeline/transitions.js).
+ */
+export function loadClipManifest(manifestPath) {
+    const raw = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const entries = Array.isArray(raw) ? raw : (raw.segments || []);
+    const baseDir = path.dirname(path.resolve(manifestPath));
+    const byIndex = new Map();
+
+    entries.forEach((entry, i) => {
+        if (!entry) return;
+        const clipPath = entry.path || entry.file;
+        if (!clipPath) return;
+        byIndex.set(entry.index ?? i, {
+            ...entry,
+            path: path.isAbsolute(clipPath) ? clipPath : path.join(baseDir, clipPath)
+        });
+    });
+
+    return byIndex;
+}
+
+/**
+ * Parse the script, transcribe the narration (unless aligning by waveform)
+ * and cut it into timed segments. Shared with the local API, which stores the
+ * result as a project instead of rendering it.
+ * @param {Object} options - { scriptText, audioPath, transcriptPath, transcriber, alignment, language }
+ * @param {Function} onProgress - ({ stage, message, percent }) => void
+ * @returns {Promise<{ segments: Array, audioDuration: number }>}
+ */
+export async function prepareNarration(options, onProgress = () => { }) {
+    const { scriptText, audioPath, transcriptPath = null, transcriber = null, alignment = null, language = null } = options;
+    const report = (stage, message, percent) => onProgress({ stage, message, percent });
+
+    // 1. Parse
+    const { blocks, warnings } = parseScript(scriptText);
+    formatWarnings(warnings).forEach(w => report('parse', `Warning: ${w}`));
+    if (blocks.length === 0) {
+        throw new Error('Script has no [ON SCREEN: ...] markers');
+    }
+    report('parse', `Parsed ${blocks.length} blocks`);
+
+    // 2. Transcribe (forced alignment skips this and works from the waveform)
+    const alignmentMode = alignment || (transcriptPath ? 'transcript' : transcription.loadSettings().alignment);
+    let words = null;
+    if (alignmentMode === 'forced') {
+        report('transcribe', 'Forced alignment: skipping transcription');
+    } else if (transcriptPath) {
+        words = JSON.parse(fs.readFileSync(transcriptPath, 'utf8')).words;
+        report('transcribe', `Using transcript ${path.basename(transcriptPath)} (${words?.length || 0} words)`);
+    } else {
+        report('transcribe', 'Transcribing narration...');
+        words = (await transcribe(audioPath, { provider: transcriber, language })).words;
+        report('transcribe', `Transcribed ${words?.length || 0} words`);
+    }
+    if (alignmentMode !== 'forced' && (!words || words.length === 0)) throw new Error('Transcript contains no words');
+
+    // 3. Align
+    let aligned;
+    if (alignmentMode === 'forced') {
+        const { samples, sampleRate } = await decodeNarrationPcm(audioPath);
+        aligned = forceAlignScript(scriptText, [samples], sampleRate, { language });
+        aligned.forEach(seg => {
+            if (seg.startConfidence?.level === 'low') {
+                report('align', `Warning: uncertain cut before "${seg.title}" (confidence ${seg.startConfidence.score.toFixed(2)})`);
+            }
+        });
+    } else {
+        aligned = alignScriptToWords(scriptText, words, { language });
+    }
+    if (aligned.length === 0) {
+        throw new Error("Alignment Failed: Please ensure your script contains '[ON SCREEN: ...]' markers.");
+    }
+    const audioDuration = await videoEditor.getMediaDuration(audioPath);
+    const segments = aligned.map((seg, index) => {
+        const start = Math.max(0, seg.start_time);
+        const end = Math.min(audioDuration, seg.end_time);
+        return {
+            index,
+            headline: seg.title,
+            title: seg.title,
+            text: seg.text,
+            directives: seg.directives,
+            words: seg.words,
+            startTime: start,
+            endTime: end,
+            duration: Math.max(0.5, end - start),
+            startConfidence: seg.startConfidence,
+            mandatoryCredit: seg.directives?.credit || ''
+        };
+    });
+    report('align', `Aligned ${segments.length} segments (${audioDuration.toFixed(1)}s narration)`);
+
+    return { segments, audioDuration };
+}
+
+/**
+ * Run the full pipeline.
+ * @param {Object} options
+ * @param {string} options.scriptPath - Script with [ON SCREEN: ...] markers
+ * @param {string} options.audioPath - Narration audio
+ * @param {string} options.outputPath - Final video path (.mp4/.mov)
+ * @param {string} [options.manifestPath] - Pre-supplied clips, skips footage search
+ * @param {string} [options.transcriptPath] - Cached { words } JSON, skips transcription
+ * @param {string} [options.transcriber] - assemblyai | whisper (default: app setting)
+ * @param {string} [options.alignment] - transcript | forced (default: app setting)
+ * @param {string} [options.language] - Script/narration language: es | pt | fr | en (default es)
+ * @param {string} [options.brand] - Brand preset id (default: built-in look)
+ * @param {string} [options.resolution] - 1080p | 720p | 480p (default: the brand's)
+ * @param {number} [options.fps] - 24 | 30 | 60 (default: the brand's)
+ * @param {string[]} [options.aspects] - 16:9 | 9:16 | 1:1, one video each (default 16:9)
+ * @param {string} [options.reframe] - center | tracked crop for 9:16 and 1:1 (services/reframe.js)
+ * @param {number} [options.bitrate] - kbps
+ * @param {string} [options.loudness] - youtube | broadcast | off (default: app setting, services/audioMix.js)
+ * @param {string|Object} [options.transition] - At every cut without one in the manifest:
+ *   a type or { type, duration } (default: hard cuts)
+ * @param {boolean} [options.overlays] - Lower thirds + mandatory credits (default true)
+ * @param {string} [options.cookiesPath] - Viory session cookies
+ * @param {Object} [options.vioryHarness] - { mode: 'record'|'replay', dir } Viory pages,
+ *   downloads and model answers recorded to / replayed from dir (electron/vioryHarness.cjs)
+ * @param {Object} [options.captions] - { sidecar, burnIn, rules } (see services/captions.js)
+ * @param {Function} onProgress - ({ stage, message, percent }) => void
+ * @returns {Promise<{ outputPath: string, outputPaths: string[], segments: Array }>}
+ *   outputPath is the first aspect ratio's video; segments found by footage search
+ *   carry clip: { url, title, provider, skipped: [{ url, reason }] }
+ */
+export async function runRenderPipeline(options, onProgress = () => { }) {
+    const {
+        scriptPath,
+        audioPath,
+        outputPath,
+        manifestPath = null,
+        transcriptPath = null,
+        transcriber = null,
+        alignment = null,
+        language = null,
+        brand: brandPresetId = null,
+        resolution = null,
+        fps = null,
+        aspects = null,
+        reframe = null,
+        bitrate = 8000,
+        loudness = null,
+        transition = null,
+        overlays = true,
+        cookiesPath = null,
+        vioryHarness = null,
+        captions = null
+    } = options;
+
+    const report = (stage, message, percent) => onProgress({ stage, message, percent });
+
+    for (const [label, file] of [['Script', scriptPath], ['Audio', audioPath], ['Manifest', manifestPath], ['Transcript', transcriptPath]]) {
+        if (file && !fs.existsSync(file)) throw new Error(`${label} not found: ${file}`);
+    }
+    if (!scriptPath || !audioPath || !outputPath) {
+        throw new Error('scriptPath, audioPath and outputPath are required');
+    }
+    const defaultTransition = transition ? normalizeTransition(transition) : null;
+
+    // 1-3. Parse, transcribe, align
+    const scriptText = fs.readFileSync(scriptPath, 'utf8');
+    const { segments } = await prepareNarration({ scriptText, audioPath, transcriptPath, transcriber, alignment, language }, onProgress);
+
+    // 4. Footage
+    const manifest = manifestPath ? loadClipManifest(manifestPath) : null;
+    let downloader = null;
+
+    if (!manifest) {
+        const { VioryDownloader } = require('../../electron/vioryDownloader.cjs');
+        const sessionCookies = cookiesPath || path.join(getAppUserDataPath(), 'viory-cookies.json');
+        downloader = new VioryDownloader();
+        downloader.cookiesPath = sessionCookies;
+
+        if (vioryHarness) {
+            // Model answers live next to the pages so a replay is fully offline
+            const record = vioryHarness.mode === 'record' ? llm.loadSettings().provider : null;
+            // Vision prompts carry page screenshots, which are never byte-identical
+            llm.useFixtures(path.join(path.resolve(vioryHarness.dir), 'llm'), record, { matchImages: false });
+            downloader.harnessOptions = vioryHarness;
+            // Viory only, so library/archive clips on this machine cannot change the outcome
+            footageProviders.loadSettings();
+            for (const provider of footageProviders.providers.values()) {
+                if (provider.id !== 'viory') provider.enabled = false;
+            }
+            report('footage', `${vioryHarness.mode === 'record' ? 'Recording' : 'Replaying'} Viory traffic: ${vioryHarness.dir}`);
+        }
+
+        report('footage', 'Verifying Viory session...');
+        const session = await downloader.verifySessionHeadless();
+        if (!session.valid) {
+            throw new Error('Viory session not found. Log in once from the ClickSync app, or pass --manifest with pre-supplied clips.');
+        }
+        await downloader.init({ headless: true, cookiesPath: sessionCookies });
+        footageProviders.get('viory')?.attachDownloader(downloader);
+    }
+
+    const usedUrls = [];
+    const tempDir = path.join(config.paths.temp, 'cli');
+    if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+
+    videoEditor.timeline = [];
+
+    try {
+        for (const segment of segments) {
+            const label = `Segment ${segment.index + 1}/${segments.length}`;
+            let sourcePath = null;
+            let startOffset = 0;
+            let still = null;
+
+            if (manifest) {
+                const entry = manifest.get(segment.index);
+                if (entry && fs.existsSync(entry.path)) {
+                    sourcePath = entry.path;
+                    startOffset = entry.startOffset || 0;
+                    if (STILL_IMAGE_EXTENSIONS.includes(path.extname(entry.path).toLowerCase())) {
+                        still = { motion: entry.motion, zoom: entry.zoom };
+                    }
+                    segment.mandatoryCredit = segment.mandatoryCredit || entry.credit || '';
+                    report('footage', `${label}: ${path.basename(entry.path)}`);
+                } else {
+                    report('footage', `${label}: no clip in manifest, using placeholder`);
+                }
+            } else {
+                report('footage', `${label}: searching "${segment.headline.substring(0, 50)}"`);
+                const result = await footageProviders.findBest(segment.headline, segment.text, {
+                    language,
+                    minDuration: segment.duration * 0.85,
+                    myContentWaitMinutes: 4,
+                    maxCandidatesToTry: 5,
+                    excludeUrls: new Set(usedUrls.slice(-REPEAT_WINDOW)),
+                    segmentIndex: segment.index,
+                    onProgress: (p) => { if (p.message) report('footage', `${label}: ${p.message}`); }
+                });
+                if (result.success && result.path) {
+                    sourcePath = result.path;
+                    segment.mandatoryCredit = segment.mandatoryCredit || result.video?.mandatoryCredit || '';
+                    // What was picked and passed over (e.g. clips that need My Content), for --report
+                    segment.clip = {
+                        url: result.video?.url || null,
+                        title: result.video?.title || '',
+                        provider: result.video?.provider || 'viory',
+                        skipped: (result.skippedVideos || []).map(v => ({ url: v.url, reason: v.reason }))
+                    };
+                    if (result.video?.url) usedUrls.push(result.video.url);
+                    report('footage', `${label}: "${(result.video?.title || '').substring(0, 50)}" [${result.video?.provider || 'viory'}]`);
+                    if (result.video?.shotList) {
+                        // Same in-point the app picks: the shot that best matches the segment
+                        const plan = planShotTrim({
+                            shotList: result.video.shotList,
+                            clipDuration: await videoEditor.getMediaDuration(result.path),
+                            segmentDuration: segment.duration,
+                            headline: segment.headline,
+                            text: segment.text,
+                            analysis: result.searchResults?.analysis
+                        });
+                        startOffset = plan.inPoint;
+                        if (plan.shotIndex !== null) report('footage', `${label}: starting at ${startOffset.toFixed(1)}s (shot ${plan.shotIndex + 1}/${plan.shots.length})`);
+                    }
+                } else {
+                    report('footage', `${label}: ${result.error || 'no match'}, using placeholder`);
+                }
+            }
+
+            // 5. Trim to the segment length (loops short clips); long segments
+            // are cut into several shots of the clip when it has enough scenes
+            if (sourcePath) {
+                const trimmedPath = path.join(tempDir, `segment_${segment.index}_${Date.now()}.mp4`);
+                try {
+                    const plan = !still && needsMultiShot(segment.duration)
+                        ? await videoEditor.planMultiShot([{ path: sourcePath, preferredStart: startOffset }], {
+                            duration: segment.duration,
+                            words: segment.words || [],
+                            segmentStart: segment.startTime
+                        })
+                        : null;
+                    if (still) {
+                        await videoEditor.prepareStillClip(sourcePath, trimmedPath, { duration: segment.duration, ...still });
+                    } else if (plan) {
+                        await videoEditor.renderMultiShot(plan, trimmedPath, { volume: 0, natSound: true, fadeIn: 0.2, fadeOut: 0.2 });
+                        report('footage', `${label}: assembled ${plan.length} shots`);
+                    } else {
+                        await videoEditor.trimAndPrepareClip(sourcePath, trimmedPath, {
+                            duration: segment.duration,
+                            startOffset,
+                            volume: 0,
+                            natSound: true,
+                            fadeIn: 0.2,
+                            fadeOut: 0.2,
+                            headline: segment.headline
+                        });
+                    }
+                    const entry = manifest?.get(segment.index);
+                    const natSound = entry && (entry.natSound !== undefined || entry.sot) ? { level: entry.natSound, sot: !!entry.sot } : undefined;
+                    videoEditor.timeline.push({ index: segment.index, processedVideo: trimmedPath, duration: segment.duration, natSound });
+                    continue;
+                } catch (e) {
+                    report('footage', `${label}: trim failed (${e.message}), using placeholder`);
+                }
+            }
+            await videoEditor.addPlaceholderClip(segment.index, segment.duration);
+        }
+    } finally {
+        if (downloader) await downloader.close().catch(() => { });
+    }
+    if (!manifest) report('footage', llm.cache.formatStats());
+
+    // Transition at the cut before each clip (the first has none)
+    for (const clip of videoEditor.timeline) {
+        clip.transition = resolveTransition(manifest?.get(clip.index)?.transition, defaultTransition);
+    }
+
+    // 6. Export (overlays are rendered inside exportFinalVideo)
+    const brand = getBrandPreset(brandPresetId);
+    setLowerThirdLanguage(language);
+    setLowerThirdBrand(brand);
+    setMandatoryCreditBrand(brand);
+    videoEditor.setBrand(brand);
+    await videoEditor.loadNarrationAudio(audioPath);
+    const target = path.resolve(outputPath);
+    const ext = path.extname(target).replace('.', '') || 'mp4';
+    if (!fs.existsSync(path.dirname(target))) fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    const outputPaths = await videoEditor.exportVariants({
+        resolution: resolution || brand.export.resolution,
+        fps: fps || brand.export.fps,
+        aspects,
+        reframe: reframe || 'center',
+        loudnessTarget: loudness,
+        bitrate,
+        format: ext,
+        filePath: path.dirname(target),
+        fileName: path.basename(target, path.extname(target)),
+        segments,
+        enableLowerThirds: overlays,
+        enableMandatoryCredits: overlays,
+        captions
+    }, (progress) => {
+        if (progress.stage === 'error') return;
+        const variant = progress.variant?.total > 1 ? ` [${progress.variant.aspect}]` : '';
+        report('export', `${progress.message || progress.stage}${variant}`, progress.percent);
+    });
+    if (outputPaths.length === 0) throw new Error('Export was cancelled');
+
+    report('done', `Exported ${outputPaths.join(', ')}`, 100);
+    return { outputPath: outputPaths[0], outputPaths, segments };
+}
+
+export default { runRenderPipeline, prepareNarration, loadClipManifest };
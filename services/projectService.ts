@@ -6,6 +6,8 @@ export interface ProjectData {
     name: string;
     lastModified: number;
     scriptText: string;
+    language?: string; // Script/voiceover language code (services/language.js)
+    brandPresetId?: string; // Overlay/logo/music/export look (services/brandPresets.js)
     audioPath?: string;
     audioName?: string;
     scriptSummary?: string | null;
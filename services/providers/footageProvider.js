@@ -0,0 +1,191 @@
+// footageProvider.js - Base class for stock-footage sources
+// Every source (Viory, other wires, local archive) implements the same four
+// operations so the matcher and the main process can treat them uniformly.
+
+/**
+ * @typedef {Object} FootageResult
+ * @property {string} provider - Provider id that produced the result
+ * @property {string} url - Unique URL (https:// or file://)
+ * @property {string} title
+ * @property {string} [description]
+ * @property {string} [thumbnail]
+ * @property {string|number} [duration] - "m:ss" string or seconds
+ * @property {string} [mandatoryCredit]
+ * @property {number} score - Relevance 0-100, comparable across providers
+ */
+
+/**
+ * @typedef {Object} FootageDownload
+ * @property {boolean} success
+ * @property {string} [path] - Local file path
+ * @property {string} [filename]
+ * @property {string} [videoTitle]
+ * @property {string} [mandatoryCredit]
+ * @property {boolean} [needsMyContent]
+ * @property {string} [error]
+ */
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'has', 'have',
+    'his', 'her', 'its', 'their', 'after', 'over', 'into', 'about', 'will', 'said', 'says',
+    'los', 'las', 'del', 'con', 'por', 'para', 'una', 'que', 'como'
+]);
+
+/**
+ * Split text into lowercase search terms without accents, stop words or plurals
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9ñ]+/)
+        .filter(w => w.length > 2 && !STOP_WORDS.has(w))
+        // Light plural folding so "visits" matches "visit"
+        .map(w => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+/**
+ * Keyword relevance of a result against a query (0-100)
+ * Title matches weigh more than description matches.
+ */
+export function scoreKeywordMatch(query, title, description = '') {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return 0;
+
+    const titleTerms = new Set(tokenize(title));
+    const descTerms = new Set(tokenize(description));
+    let points = 0;
+
+    for (const term of queryTerms) {
+        if (titleTerms.has(term)) points += 1;
+        else if (descTerms.has(term)) points += 0.5;
+    }
+
+    let score = (points / queryTerms.length) * 90;
+    const phrase = (query || '').toLowerCase().trim();
+    if (phrase && (title || '').toLowerCase().includes(phrase)) score += 10;
+
+    return Math.round(Math.min(100, score));
+}
+
+export class FootageProvider {
+    /**
+     * @param {string} id - Stable identifier used in settings and results
+     * @param {string} name - Display name
+     * @param {Object} options
+     * @param {number} [options.priority] - Lower runs first
+     * @param {number} [options.confidentScore] - Score at which later providers are skipped
+     */
+    constructor(id, name, options = {}) {
+        this.id = id;
+        this.name = name;
+        this.enabled = options.enabled !== false;
+        this.priority = options.priority ?? 100;
+        this.confidentScore = options.confidentScore ?? 101;
+    }
+
+    /**
+     * Apply provider-specific settings from ~/.clicksync/config.json
+     */
+    configure(settings = {}) {
+        if (typeof settings.enabled === 'boolean') this.enabled = settings.enabled;
+    }
+
+    /**
+     * Whether the provider can be queried right now
+     */
+    isAvailable() {
+        return this.enabled;
+    }
+
+    /**
+     * Search footage for a query
+     * @returns {Promise<FootageResult[]>}
+     */
+    async search(query, options = {}) {
+        throw new Error(`${this.name} does not implement search()`);
+    }
+
+    /**
+     * Full metadata for a result (shot list, duration, credit...)
+     * @returns {Promise<Object>}
+     */
+    async getMetadata(result) {
+        return { ...result };
+    }
+
+    /**
+     * Fetch the clip to a local file
+     * @returns {Promise<FootageDownload>}
+     */
+    async download(result, options = {}) {
+        return { success: false, error: `${this.name} does not support downloads` };
+    }
+
+    /**
+     * Mandatory credit for a result ('' when none is required)
+     */
+    async extractCredit(result) {
+        return result?.mandatoryCredit || '';
+    }
+
+    /**
+     * Find and fetch the best clip for a script block.
+     * Default: keyword search on the headline, download the best hit.
+     * Returns the same shape as VioryDownloader.intelligentSearchAndDownload.
+     */
+    async findBest(headline, text, options = {}) {
+        const { excludeUrls = new Set(), onProgress = () => { }, limit = 15, minScore = 40 } = options;
+
+        const results = (await this.search(headline, { ...options, limit, text }))
+            .filter(r => !excludeUrls.has(r.url) && r.score >= minScore);
+
+        if (results.length === 0) {
+            return { success: false, error: `No results from ${this.name}`, searchResults: { videos: [] } };
+        }
+
+        for (const [i, candidate] of results.entries()) {
+            onProgress({ stage: 'download', message: `${this.name}: "${(candidate.title || '').substring(0, 40)}"` });
+            const dl = await this.download(candidate, options);
+            if (!dl.success) continue;
+
+            const mandatoryCredit = dl.mandatoryCredit || await this.extractCredit(candidate);
+            return {
+                success: true,
+                path: dl.path,
+                filename: dl.filename,
+                video: {
+                    url: candidate.url,
+                    title: candidate.title,
+                    finalScore: candidate.score,
+                    textScore: candidate.score,
+                    visualScore: null,
+                    mandatoryCredit,
+                    provider: this.id
+                },
+                candidateNumber: i + 1,
+                skippedVideos: [],
+                searchResults: { videos: results }
+            };
+        }
+
+        return { success: false, error: `All ${this.name} candidates failed to download`, searchResults: { videos: results } };
+    }
+
+    /**
+     * Tag raw results with the provider id and a score
+     * @returns {FootageResult[]}
+     */
+    normalizeResults(results, query) {
+        return (results || []).map(r => ({
+            ...r,
+            provider: this.id,
+            score: typeof r.score === 'number' ? r.score : scoreKeywordMatch(query, r.title, r.description)
+        }));
+    }
+}
+
+export default FootageProvider;
@@ -0,0 +1,193 @@
+// Footage Providers Index
+// Registry of every stock-footage source. Settings live in
+// ~/.clicksync/config.json under "footageProviders":
+//   { "library": { "enabled": true },
+//     "viory": { "enabled": true },
+//     "localArchive": { "enabled": true, "folder": "D:/Archive", "credit": "" } }
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { FootageProvider } from './footageProvider.js';
+import { VioryProvider } from './vioryProvider.js';
+import { LocalArchiveProvider } from './localArchiveProvider.js';
+import { LibraryProvider } from './libraryProvider.js';
+
+const CONFIG_PATH = path.join(os.homedir(), '.clicksync', 'config.json');
+
+class FootageProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.settingsLoaded = false;
+    }
+
+    /**
+     * @param {FootageProvider} provider
+     */
+    register(provider) {
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * Enabled and reachable providers, cheapest first
+     */
+    getEnabled() {
+        if (!this.settingsLoaded) this.loadSettings();
+        return [...this.providers.values()]
+            .filter(p => p.isAvailable())
+            .sort((a, b) => a.priority - b.priority);
+    }
+
+    loadSettings() {
+        let settings = {};
+        try {
+            if (fs.existsSync(CONFIG_PATH)) {
+                settings = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')).footageProviders || {};
+            }
+        } catch (e) {
+            console.error('[Providers] Failed to read provider settings:', e.message);
+        }
+        for (const provider of this.providers.values()) {
+            provider.configure(settings[provider.id] || {});
+        }
+        this.settingsLoaded = true;
+        return settings;
+    }
+
+    saveSettings(settings) {
+        const configDir = path.dirname(CONFIG_PATH);
+        if (!fs.existsSync(configDir)) fs.mkdirSync(configDir, { recursive: true });
+
+        let config = {};
+        try {
+            if (fs.existsSync(CONFIG_PATH)) config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        } catch (e) {
+            console.warn('[Providers] Could not parse existing config, creating new');
+        }
+
+        config.footageProviders = { ...(config.footageProviders || {}), ...settings };
+        fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+        return this.loadSettings();
+    }
+
+    /**
+     * Provider list for the settings UI
+     */
+    describe() {
+        if (!this.settingsLoaded) this.loadSettings();
+        return [...this.providers.values()].map(p => ({
+            id: p.id,
+            name: p.name,
+            enabled: p.enabled,
+            available: p.isAvailable(),
+            priority: p.priority,
+            folder: p.folder
+        }));
+    }
+
+    /**
+     * Search every enabled provider and merge results ranked by score.
+     * One failing provider never fails the whole search.
+     */
+    async search(query, options = {}) {
+        const { limit = 15 } = options;
+        const merged = [];
+        const seenUrls = new Set();
+
+        for (const provider of this.getEnabled()) {
+            try {
+                const results = await provider.search(query, options);
+                for (const result of results) {
+                    if (seenUrls.has(result.url)) continue;
+                    seenUrls.add(result.url);
+                    merged.push(result);
+                }
+            } catch (e) {
+                console.error(`[Providers] ${provider.name} search failed:`, e.message);
+            }
+        }
+
+        // Stable sort keeps each provider's own ordering for equal scores
+        return merged.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * Find the best clip for a block across all enabled providers.
+     * Providers run cheapest first; a result at or above a provider's
+     * confidentScore ends the search early (a local hit avoids a Viory download).
+     * Returns the intelligentSearchAndDownload result shape, with searchResults
+     * merged from every provider that was queried.
+     */
+    async findBest(headline, text, options = {}) {
+        const { onProgress = () => { } } = options;
+        const providers = this.getEnabled();
+
+        if (providers.length === 0) {
+            return { success: false, error: 'No footage providers enabled', searchResults: { videos: [] } };
+        }
+
+        const attempts = [];
+        for (const provider of providers) {
+            onProgress({ stage: 'search', message: `Searching ${provider.name}...` });
+            try {
+                const result = await provider.findBest(headline, text, options);
+                attempts.push({ provider, result });
+                if (result.success && (result.video?.finalScore ?? 0) >= provider.confidentScore) {
+                    onProgress({ stage: 'search', message: `${provider.name} match (score ${result.video.finalScore}) - skipping other providers` });
+                    break;
+                }
+            } catch (e) {
+                // User skip must reach processSegmentRobustly untouched
+                if (e.message === 'SKIPPED_BY_USER') throw e;
+                console.error(`[Providers] ${provider.name} findBest failed:`, e.message);
+                attempts.push({ provider, result: { success: false, error: e.message } });
+            }
+        }
+
+        const successful = attempts
+            .filter(a => a.result.success)
+            .sort((a, b) => (b.result.video?.finalScore ?? 0) - (a.result.video?.finalScore ?? 0));
+
+        const seenUrls = new Set();
+        const mergedVideos = attempts
+            .flatMap(a => (a.result.searchResults?.videos || []).map(v => ({ ...v, provider: v.provider || a.provider.id })))
+            .filter(v => (seenUrls.has(v.url) ? false : seenUrls.add(v.url)))
+            .sort((a, b) => (b.score ?? b.finalScore ?? 0) - (a.score ?? a.finalScore ?? 0));
+
+        if (successful.length === 0) {
+            const last = attempts[attempts.length - 1]?.result || {};
+            return {
+                ...last,
+                success: false,
+                error: attempts.map(a => `${a.provider.name}: ${a.result.error || 'no match'}`).join(' | '),
+                searchResults: { videos: mergedVideos }
+            };
+        }
+
+        const best = successful[0].result;
+        return { ...best, searchResults: { ...(best.searchResults || {}), videos: mergedVideos } };
+    }
+
+    /**
+     * Download a search result through the provider that produced it
+     */
+    async download(result, options = {}) {
+        const provider = this.get(result.provider || 'viory');
+        if (!provider) return { success: false, error: `Unknown provider: ${result.provider}` };
+        return await provider.download(result, options);
+    }
+}
+
+const footageProviders = new FootageProviderRegistry();
+footageProviders.register(new LibraryProvider());
+footageProviders.register(new VioryProvider());
+footageProviders.register(new LocalArchiveProvider());
+
+export { FootageProvider, FootageProviderRegistry, VioryProvider, LocalArchiveProvider, LibraryProvider };
+export { tokenize, scoreKeywordMatch } from './footageProvider.js';
+export default footageProviders;
@@ -0,0 +1,59 @@
+// libraryProvider.js - Clips we already downloaded (services/mediaLibrary.js)
+// Runs before every network provider: a strong hit saves the download and
+// any My Content wait on recurring stories.
+
+import { pathToFileURL } from 'url';
+import fs from 'fs';
+import path from 'path';
+import mediaLibrary from '../mediaLibrary.js';
+import { FootageProvider } from './footageProvider.js';
+
+export class LibraryProvider extends FootageProvider {
+    constructor(library = mediaLibrary) {
+        super('library', 'Media Library', { priority: 0, confidentScore: 80 });
+        this.library = library;
+    }
+
+    async search(query, options = {}) {
+        const { limit = 15, excludeUrls = null, minDuration = 0 } = options;
+        return this.library.search(query, { limit, excludeUrls, minDuration }).map(clip => ({
+            provider: this.id,
+            // Original URL keeps anti-repeat working across providers
+            url: clip.sourceUrl || pathToFileURL(clip.path).href,
+            title: clip.title,
+            description: clip.description,
+            thumbnail: clip.thumbnail ? pathToFileURL(clip.thumbnail).href : '',
+            duration: clip.duration,
+            mandatoryCredit: clip.mandatoryCredit,
+            shotList: clip.shotList,
+            libraryId: clip.id,
+            path: clip.path,
+            score: clip.score
+        }));
+    }
+
+    async getMetadata(result) {
+        return { ...result, ...(this.library.getClip(result.libraryId) || {}) };
+    }
+
+    async download(result) {
+        if (!result.path || !fs.existsSync(result.path)) {
+            return { success: false, error: 'Library clip missing on disk' };
+        }
+        this.library.markUsed(result.libraryId);
+        return {
+            success: true,
+            path: result.path,
+            filename: path.basename(result.path),
+            videoTitle: result.title,
+            mandatoryCredit: result.mandatoryCredit || ''
+        };
+    }
+
+    async findBest(headline, text, options = {}) {
+        // Reused footage has no AI review, so ask for a tighter text match
+        return super.findBest(headline, text, { minScore: 60, ...options });
+    }
+}
+
+export default LibraryProvider;
@@ -0,0 +1,163 @@
+// localArchiveProvider.js - Footage from a local folder of our own clips
+// Indexes every video under the configured folder. Optional sidecar files
+// next to a clip add searchable metadata:
+//   clip.json  -> { "title", "description", "keywords": [], "credit", "shotList" }
+//   clip.txt   -> free-text description
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import ffmpeg from 'fluent-ffmpeg';
+import ffprobe from 'ffprobe-static';
+import { FootageProvider, scoreKeywordMatch } from './footageProvider.js';
+
+if (ffprobe) {
+    ffmpeg.setFfprobePath(ffprobe.path.replace('app.asar', 'app.asar.unpacked'));
+}
+
+const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.m4v', '.mkv']);
+const REINDEX_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * "kyiv_drone-strike_2024" -> "kyiv drone strike 2024"
+ */
+function titleFromFilename(filePath) {
+    return path.basename(filePath, path.extname(filePath)).replace(/[_\-.]+/g, ' ').trim();
+}
+
+function readSidecar(filePath) {
+    const base = filePath.slice(0, -path.extname(filePath).length);
+    try {
+        if (fs.existsSync(`${base}.json`)) {
+            return JSON.parse(fs.readFileSync(`${base}.json`, 'utf8'));
+        }
+        if (fs.existsSync(`${base}.txt`)) {
+            return { description: fs.readFileSync(`${base}.txt`, 'utf8') };
+        }
+    } catch (e) {
+        console.warn(`[LocalArchive] Bad sidecar for ${filePath}: ${e.message}`);
+    }
+    return {};
+}
+
+export class LocalArchiveProvider extends FootageProvider {
+    constructor() {
+        // Local files are free to use, so a strong hit here skips the network providers
+        super('localArchive', 'Local Archive', { enabled: false, priority: 10, confidentScore: 85 });
+        this.folder = null;
+        this.defaultCredit = '';
+        this.entries = [];
+        this.indexedAt = 0;
+    }
+
+    configure(settings = {}) {
+        super.configure(settings);
+        if (settings.folder !== undefined && settings.folder !== this.folder) {
+            this.folder = settings.folder || null;
+            this.indexedAt = 0;
+        }
+        if (settings.credit !== undefined) this.defaultCredit = settings.credit || '';
+    }
+
+    isAvailable() {
+        return this.enabled && !!this.folder && fs.existsSync(this.folder);
+    }
+
+    /**
+     * Walk the archive folder and rebuild the in-memory index
+     */
+    buildIndex(force = false) {
+        if (!force && this.indexedAt && Date.now() - this.indexedAt < REINDEX_INTERVAL_MS) {
+            return this.entries;
+        }
+        if (!this.isAvailable()) {
+            this.entries = [];
+            return this.entries;
+        }
+
+        const entries = [];
+        const walk = (dir) => {
+            let items = [];
+            try {
+                items = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (e) {
+                console.warn(`[LocalArchive] Cannot read ${dir}: ${e.message}`);
+                return;
+            }
+            for (const item of items) {
+                if (item.name.startsWith('.')) continue;
+                const fullPath = path.join(dir, item.name);
+                if (item.isDirectory()) {
+                    walk(fullPath);
+                } else if (VIDEO_EXTENSIONS.has(path.extname(item.name).toLowerCase())) {
+                    const meta = readSidecar(fullPath);
+                    const keywords = Array.isArray(meta.keywords) ? meta.keywords.join(' ') : (meta.keywords || '');
+                    const shotList = Array.isArray(meta.shotList) ? meta.shotList.join(' ') : (meta.shotList || '');
+                    entries.push({
+                        path: fullPath,
+                        url: pathToFileURL(fullPath).href,
+                        title: meta.title || titleFromFilename(fullPath),
+                        description: meta.description || '',
+                        // Folder names are searchable too ("Ukraine/Kyiv/clip.mp4")
+                        searchText: [meta.description, keywords, shotList, path.relative(this.folder, dir)].filter(Boolean).join(' '),
+                        mandatoryCredit: meta.credit || this.defaultCredit,
+                        shotList: meta.shotList || null
+                    });
+                }
+            }
+        };
+
+        walk(this.folder);
+        this.entries = entries;
+        this.indexedAt = Date.now();
+        console.log(`[LocalArchive] Indexed ${entries.length} clips in ${this.folder}`);
+        return entries;
+    }
+
+    async search(query, options = {}) {
+        const { limit = 15 } = options;
+        const entries = this.buildIndex();
+
+        return entries
+            .map(entry => ({
+                provider: this.id,
+                url: entry.url,
+                title: entry.title,
+                description: entry.description,
+                thumbnail: '',
+                duration: 'N/A',
+                mandatoryCredit: entry.mandatoryCredit,
+                shotList: entry.shotList,
+                path: entry.path,
+                score: scoreKeywordMatch(query, entry.title, entry.searchText)
+            }))
+            .filter(r => r.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    async getMetadata(result) {
+        const duration = await new Promise((resolve) => {
+            ffmpeg.ffprobe(result.path, (err, metadata) => {
+                resolve(err ? null : (metadata?.format?.duration ?? null));
+            });
+        });
+        return { ...result, duration };
+    }
+
+    async download(result) {
+        if (!result.path || !fs.existsSync(result.path)) {
+            return { success: false, error: `Archive file missing: ${result.path}` };
+        }
+        // Already on disk - the segment pipeline trims into its own copy
+        return {
+            success: true,
+            path: result.path,
+            filename: path.basename(result.path),
+            videoTitle: result.title,
+            mandatoryCredit: result.mandatoryCredit || ''
+        };
+    }
+}
+
+export default LocalArchiveProvider;
@@ -0,0 +1,178 @@
+// shotList.js - Timed shots from a clip's shot list, ranked against a segment
+// Viory detail pages (and archive clip.json files) describe a clip shot by shot:
+//   Moscow, Russia
+//   00:00 - 00:08 Wide of the Kremlin
+//   00:08 - 00:21 Putin speaking at the podium
+//   SOT, Vladimir Putin, Russian President (Russian): "..."
+// Lines that start with a timestamp open a shot; lines without one (SOT
+// transcripts, notes) belong to the shot above. Numbered lists without any
+// timestamps get evenly spread estimates, which the editor shows but the
+// automatic in-point does not trust.
+
+import { tokenize } from './footageProvider.js';
+
+const TIME = String.raw`\d{1,2}:\d{2}(?::\d{2})?`;
+// "00:12", "0:00-0:12", "[00:12]", "(00:00 - 00:12)", "1. 00:12 ..."
+const TIMED_LINE = new RegExp(String.raw`^(?:\d{1,3}[.)]\s*)?[\[(]?\s*(${TIME})\s*(?:(?:-|–|—|to)\s*(${TIME}))?\s*[\])]?\s*[-–—:.]?\s*(.*)$`, 'i');
+const NUMBERED_LINE = /^\d{1,3}[.)]\s+(.+)$/;
+const MAX_SHOT_TEXT = 200;
+
+// Points per matched term
+const WEIGHTS = { must_show: 3, preferred: 2, segment: 1, avoid: -2 };
+
+/**
+ * @typedef {Object} Shot
+ * @property {number} index
+ * @property {number} start - Seconds into the clip
+ * @property {number|null} end - Null when unknown (last shot, clip length unknown)
+ * @property {string} text
+ * @property {boolean} [estimated] - Timing spread evenly, not from the shot list
+ * @property {number} [score] - Set by rankShots
+ */
+
+function parseTime(value) {
+    return value.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+}
+
+function clipText(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return clean.length > MAX_SHOT_TEXT ? `${clean.substring(0, MAX_SHOT_TEXT - 3)}...` : clean;
+}
+
+/**
+ * Split a shot list into timed shots
+ * @param {string|string[]} shotList - Text (one shot per line) or a list of lines
+ * @param {number|null} [clipDuration] - Seconds; drops shots past the end and closes the last one
+ * @returns {Shot[]}
+ */
+export function parseShotList(shotList, clipDuration = null) {
+    const lines = (Array.isArray(shotList) ? shotList.join('\n') : String(shotList || ''))
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    const shots = [];
+    for (const line of lines) {
+        const timed = line.match(TIMED_LINE);
+        if (timed) {
+            shots.push({
+                start: parseTime(timed[1]),
+                end: timed[2] ? parseTime(timed[2]) : null,
+                text: timed[3]
+            });
+        } else if (shots.length > 0) {
+            shots[shots.length - 1].text += ` ${line}`;
+        }
+    }
+
+    if (shots.length === 0) return estimateShots(lines, clipDuration);
+
+    return shots
+        .sort((a, b) => a.start - b.start)
+        .filter(shot => !clipDuration || shot.start < clipDuration)
+        .map((shot, i, all) => {
+            let end = shot.end && shot.end > shot.start ? shot.end : (all[i + 1]?.start ?? clipDuration ?? null);
+            if (clipDuration && end !== null) end = Math.min(end, clipDuration);
+            return { index: i, start: shot.start, end, text: clipText(shot.text) };
+        });
+}
+
+/**
+ * Numbered shots without timestamps, spread evenly over the clip
+ */
+function estimateShots(lines, clipDuration) {
+    if (!clipDuration) return [];
+    const shots = [];
+    for (const line of lines) {
+        const numbered = line.match(NUMBERED_LINE);
+        if (numbered) shots.push(numbered[1]);
+        else if (shots.length > 0) shots[shots.length - 1] += ` ${line}`;
+    }
+    if (shots.length < 2) return [];
+
+    const length = clipDuration / shots.length;
+    return shots.map((text, i) => ({
+        index: i,
+        start: Math.round(i * length * 10) / 10,
+        end: Math.round((i + 1) * length * 10) / 10,
+        text: clipText(text),
+        estimated: true
+    }));
+}
+
+/**
+ * Visual targets in the script analyzer's shape ({ must_show, preferred, avoid })
+ * from either that shape or the Viory search analysis (must_show, key_visuals, person_name)
+ */
+export function visualTargetsFrom(analysis) {
+    if (!analysis) return { must_show: [], preferred: [], avoid: [] };
+    const targets = analysis.visual_targets || analysis;
+    return {
+        must_show: [...(targets.must_show || []), analysis.person_name].filter(Boolean),
+        preferred: [...(targets.preferred || []), ...(analysis.key_visuals || []), analysis.main_subject].filter(Boolean),
+        avoid: targets.avoid || []
+    };
+}
+
+/**
+ * Score each shot against the segment: visual targets first, then the words
+ * of the headline and narration. Returns the shots with a "score" added.
+ * @param {Shot[]} shots
+ * @param {Object} context - { headline, text, visualTargets }
+ */
+export function rankShots(shots, context = {}) {
+    const targets = context.visualTargets || visualTargetsFrom(null);
+    const termSets = {
+        must_show: new Set(tokenize(targets.must_show.join(' '))),
+        preferred: new Set(tokenize(targets.preferred.join(' '))),
+        avoid: new Set(tokenize(targets.avoid.join(' '))),
+        segment: new Set(tokenize(`${context.headline || ''} ${context.text || ''}`))
+    };
+
+    return shots.map(shot => {
+        const words = new Set(tokenize(shot.text));
+        let score = 0;
+        for (const [kind, terms] of Object.entries(termSets)) {
+            for (const term of terms) {
+                if (words.has(term)) score += WEIGHTS[kind];
+            }
+        }
+        return { ...shot, score };
+    });
+}
+
+/**
+ * Where to start the clip for a shot: on the shot, or earlier when starting
+ * there would run past the end of the clip (which would loop it)
+ */
+export function inPointForShot(shot, clipDuration, segmentDuration) {
+    if (!shot) return 0;
+    if (!clipDuration) return shot.start;
+    return Math.max(0, Math.min(shot.start, clipDuration - segmentDuration));
+}
+
+/**
+ * Shots of a clip and the in-point for the one that best matches the segment.
+ * shotIndex is null (in-point 0) when no timed shot scores above zero.
+ * @returns {{ shots: Shot[], shotIndex: number|null, inPoint: number }}
+ */
+export function planShotTrim({ shotList, clipDuration, segmentDuration, headline, text, analysis }) {
+    const shots = rankShots(parseShotList(shotList, clipDuration), {
+        headline,
+        text,
+        visualTargets: visualTargetsFrom(analysis)
+    });
+
+    // Earliest shot wins a tie
+    const best = shots
+        .filter(shot => !shot.estimated && shot.score > 0)
+        .reduce((top, shot) => (!top || shot.score > top.score ? shot : top), null);
+
+    return {
+        shots,
+        shotIndex: best ? best.index : null,
+        inPoint: best ? inPointForShot(best, clipDuration, segmentDuration) : 0
+    };
+}
+
+export default { parseShotList, visualTargetsFrom, rankShots, inPointForShot, planShotTrim };
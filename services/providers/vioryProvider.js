@@ -0,0 +1,56 @@
+// vioryProvider.js - Viory adapter for the footage provider interface
+// Search goes through the Playwright scraper (services/vioryScraper.js).
+// Download and the AI-ranked search need the logged-in VioryDownloader from
+// the main process, which is attached with attachDownloader().
+
+import { FootageProvider } from './footageProvider.js';
+
+export class VioryProvider extends FootageProvider {
+    constructor() {
+        super('viory', 'Viory', { priority: 50 });
+        this.downloader = null;
+    }
+
+    /**
+     * Attach the main-process VioryDownloader (electron/vioryDownloader.cjs)
+     */
+    attachDownloader(downloader) {
+        this.downloader = downloader || null;
+    }
+
+    async search(query, options = {}) {
+        const { limit = 15 } = options;
+        const { getVioryScraper } = await import('../vioryScraper.js');
+        const scraper = await getVioryScraper();
+        const videos = await scraper.searchVideos(query, limit);
+        return this.normalizeResults(videos, query);
+    }
+
+    async download(result, options = {}) {
+        if (!this.downloader) {
+            return { success: false, error: 'Viory downloader not attached' };
+        }
+        const { onProgress = null, skipMyContent = true, shouldSkip } = options;
+        return await this.downloader.downloadVideo(result.url, onProgress, { skipMyContent, shouldSkip });
+    }
+
+    /**
+     * With a downloader attached, use the full AI pipeline
+     * (Gemini queries, deep analysis, vision validation, My Content handling)
+     */
+    async findBest(headline, text, options = {}) {
+        if (!this.downloader) {
+            return super.findBest(headline, text, options);
+        }
+
+        const result = await this.downloader.intelligentSearchAndDownload(headline, text, options.geminiApiKey, options);
+
+        if (result.video) result.video.provider = this.id;
+        if (result.searchResults?.videos) {
+            result.searchResults.videos = result.searchResults.videos.map(v => ({ ...v, provider: this.id }));
+        }
+        return result;
+    }
+}
+
+export default VioryProvider;
@@ -0,0 +1,216 @@
+// reframe.js - Vertical (9:16) and square (1:1) versions of the 16:9 timeline
+// Every timeline clip is 16:9 (trimAndPrepareClip), so a profile is a crop
+// window over the clip, scaled to the output size. With tracking on, the
+// window follows what matters in the shot: frames are sampled a few times a
+// second at thumbnail size and each column is scored for detail (edges),
+// movement since the previous sample and skin tones (a cheap stand-in for
+// faces). The window sits where that score peaks, stays centred unless a
+// side is clearly busier, and glides between samples instead of jumping.
+// Overlays and captions keep out of each profile's safe area: the strips
+// Shorts/Reels cover with their own title, buttons and progress bar.
+
+// Fractions of the output frame
+const SAFE_NONE = { top: 0, right: 0, bottom: 0, left: 0 };
+
+export const ASPECT_PROFILES = {
+    '16:9': { id: '16:9', label: 'Landscape 16:9', ratio: 16 / 9, suffix: '', safeArea: SAFE_NONE, overlayScale: 1 },
+    '9:16': { id: '9:16', label: 'Vertical 9:16 (Shorts, Reels)', ratio: 9 / 16, suffix: '_9x16', safeArea: { top: 0.1, right: 0.12, bottom: 0.22, left: 0.05 }, overlayScale: 0.8 },
+    '1:1': { id: '1:1', label: 'Square 1:1', ratio: 1, suffix: '_1x1', safeArea: { top: 0.05, right: 0.05, bottom: 0.08, left: 0.05 }, overlayScale: 0.85 }
+};
+
+export const DEFAULT_ASPECT = '16:9';
+export const REFRAME_MODES = ['center', 'tracked'];
+
+// Sampled frames for tracking
+export const SAMPLE_WIDTH = 96;
+export const SAMPLE_HEIGHT = 54;
+export const SAMPLE_FPS = 2;
+
+const SOURCE_RATIO = 16 / 9;
+const SHORT_SIDES = { '1080p': 1080, '720p': 720, '480p': 480 };
+const MOTION_WEIGHT = 2;
+const SKIN_WEIGHT = 24;
+// A side must score this much more than the centre to move the window there
+const CENTER_BIAS = 0.25;
+// Fastest pan, in frame widths per second
+const MAX_PAN_SPEED = 0.15;
+// Smallest move worth a keyframe, in frame widths
+const KEYFRAME_STEP = 0.02;
+
+export function resolveAspect(aspect) {
+    return ASPECT_PROFILES[aspect] || ASPECT_PROFILES[DEFAULT_ASPECT];
+}
+
+/**
+ * Output size for a profile; the resolution names the short side
+ * @param {string} aspect - 16:9 | 9:16 | 1:1
+ * @param {string} resolution - 1080p | 720p | 480p
+ */
+export function outputSize(aspect, resolution = '1080p') {
+    const { ratio } = resolveAspect(aspect);
+    const short = SHORT_SIDES[resolution] || SHORT_SIDES['1080p'];
+    const even = (n) => Math.round(n / 2) * 2;
+    return ratio >= 1
+        ? { width: even(short * ratio), height: short }
+        : { width: short, height: even(short / ratio) };
+}
+
+/**
+ * Frame the overlay renderers lay lower thirds and credits out in, or null
+ * for 16:9 (rendered as always, so cached and pre-rendered overlays still match)
+ * @returns {{ width: number, height: number, scale: number, safeArea: Object }|null}
+ */
+export function overlayFrame(aspect, { width, height }) {
+    const profile = resolveAspect(aspect);
+    if (profile.id === DEFAULT_ASPECT) return null;
+    return {
+        width,
+        height,
+        scale: Math.round((Math.min(width, height) / 1080) * profile.overlayScale * 100) / 100,
+        safeArea: safeAreaPixels(aspect, { width, height })
+    };
+}
+
+/**
+ * Safe area in pixels for an output size (captions, logo)
+ */
+export function safeAreaPixels(aspect, { width, height }) {
+    const { top, right, bottom, left } = resolveAspect(aspect).safeArea;
+    return {
+        top: Math.round(height * top),
+        right: Math.round(width * right),
+        bottom: Math.round(height * bottom),
+        left: Math.round(width * left)
+    };
+}
+
+/**
+ * Width of the crop window as a fraction of a 16:9 clip
+ */
+export function windowFraction(aspect) {
+    return Math.min(1, resolveAspect(aspect).ratio / SOURCE_RATIO);
+}
+
+// Skin tones in daylight (Kovac, Peer & Solina RGB rule)
+function isSkin(r, g, b) {
+    return r > 95 && g > 40 && b > 20 && r > g && r > b && r - Math.min(g, b) > 15 && Math.abs(r - g) > 15;
+}
+
+/**
+ * Interest per column of one sampled frame
+ * @param {Buffer} rgb - rgb24, width x height
+ * @param {Buffer|null} previous - The sample before it, for movement
+ * @returns {Float32Array}
+ */
+export function columnInterest(rgb, previous = null, width = SAMPLE_WIDTH, height = SAMPLE_HEIGHT) {
+    const columns = new Float32Array(width);
+    const luma = (buffer, i) => 0.299 * buffer[i] + 0.587 * buffer[i + 1] + 0.114 * buffer[i + 2];
+    for (let y = 1; y < height; y++) {
+        for (let x = 1; x < width; x++) {
+            const i = (y * width + x) * 3;
+            const l = luma(rgb, i);
+            let score = Math.abs(l - luma(rgb, i - 3)) + Math.abs(l - luma(rgb, i - width * 3));
+            if (previous) score += MOTION_WEIGHT * Math.abs(l - luma(previous, i));
+            if (isSkin(rgb[i], rgb[i + 1], rgb[i + 2])) score += SKIN_WEIGHT;
+            columns[x] += score;
+        }
+    }
+    return columns;
+}
+
+/**
+ * Centre (0-1 of the frame width) of the crop window that covers the most
+ * interest. Stays at 0.5 unless the best window beats the centred one by CENTER_BIAS.
+ * @param {Float32Array|number[]} columns - columnInterest of one sample
+ * @param {number} fraction - windowFraction of the profile
+ */
+export function focusCenter(columns, fraction) {
+    const n = columns.length;
+    const size = Math.max(1, Math.round(n * fraction));
+    if (size >= n) return 0.5;
+
+    const prefix = [0];
+    for (let i = 0; i < n; i++) prefix.push(prefix[i] + columns[i]);
+    const sum = (start) => prefix[start + size] - prefix[start];
+
+    let bestStart = 0;
+    for (let start = 1; start <= n - size; start++) {
+        if (sum(start) > sum(bestStart)) bestStart = start;
+    }
+    const centred = Math.round((n - size) / 2);
+    if (sum(bestStart) <= sum(centred) * (1 + CENTER_BIAS)) return 0.5;
+    return (bestStart + size / 2) / n;
+}
+
+/**
+ * Crop centre over time from one focusCenter per sample: smoothed, held to
+ * MAX_PAN_SPEED and reduced to the keyframes where the move changes
+ * @param {number[]} centres
+ * @returns {Array<{ t: number, x: number }>} seconds into the clip, centre 0-1
+ */
+export function planCropPath(centres, { sampleFps = SAMPLE_FPS, maxSpeed = MAX_PAN_SPEED } = {}) {
+    if (centres.length === 0) return [];
+
+    const smoothed = centres.map((_, i) => {
+        const near = centres.slice(Math.max(0, i - 2), i + 3);
+        return near.reduce((a, b) => a + b, 0) / near.length;
+    });
+
+    const maxStep = maxSpeed / sampleFps;
+    const limited = [smoothed[0]];
+    for (let i = 1; i < smoothed.length; i++) {
+        const previous = limited[i - 1];
+        limited.push(previous + Math.max(-maxStep, Math.min(maxStep, smoothed[i] - previous)));
+    }
+
+    const round = (x) => Math.round(x * 1000) / 1000;
+    const keyframes = [{ t: 0, x: round(limited[0]) }];
+    for (let i = 1; i < limited.length; i++) {
+        if (Math.abs(limited[i] - keyframes[keyframes.length - 1].x) >= KEYFRAME_STEP || i === limited.length - 1) {
+            keyframes.push({ t: round(i / sampleFps), x: round(limited[i]) });
+        }
+    }
+    return keyframes.every(k => k.x === 0.5) ? [] : keyframes;
+}
+
+// Crop centre at time t: linear between keyframes, held after the last
+function centreExpression(cropPath) {
+    if (cropPath.length === 0) return '0.5';
+    let expression = `${cropPath[cropPath.length - 1].x}`;
+    for (let i = cropPath.length - 2; i >= 0; i--) {
+        const a = cropPath[i];
+        const b = cropPath[i + 1];
+        const span = Math.max(0.001, b.t - a.t);
+        expression = `if(lt(t\\,${b.t})\\,${a.x}+(${round4(b.x - a.x)})*(t-${a.t})/${round4(span)}\\,${expression})`;
+    }
+    return expression;
+}
+
+function round4(n) {
+    return Math.round(n * 10000) / 10000;
+}
+
+/**
+ * ffmpeg video filter that crops a 16:9 clip to the profile along the crop
+ * path (empty = centre) and scales it to the output size
+ */
+export function cropFilter(aspect, { width, height }, cropPath = []) {
+    const fraction = windowFraction(aspect);
+    const x = `max(0\\,min(iw-ow\\,(${centreExpression(cropPath)})*iw-ow/2))`;
+    return `crop=w=trunc(iw*${round4(fraction)}/2)*2:h=ih:x=${x}:y=0,scale=${width}:${height},setsar=1,fps=30`;
+}
+
+export default {
+    ASPECT_PROFILES,
+    DEFAULT_ASPECT,
+    REFRAME_MODES,
+    resolveAspect,
+    outputSize,
+    overlayFrame,
+    safeAreaPixels,
+    windowFraction,
+    columnInterest,
+    focusCenter,
+    planCropPath,
+    cropFilter
+};
@@ -0,0 +1,379 @@
+// forcedAligner.js - Align the known script directly to the narration audio
+// No ASR pass: syllable nuclei and pauses are detected from the energy
+// envelope, then matched against the script's expected syllables and
+// punctuation pauses with dynamic time warping. Shared by the renderer
+// (services/matcher.ts, decoded AudioBuffer) and the headless CLI.
+//
+// Output has the same shape as alignScriptToWords, including per-word
+// timings (ms), plus a confidence value for each segment's start boundary.
+
+import { parseScript, formatWarnings } from './scriptGrammar.js';
+import { foldForMatching, resolveLanguage, DEFAULT_LANGUAGE } from '../language.js';
+
+const FRAME_SEC = 0.01;
+const SMOOTH_FRAMES = 5;             // 50 ms moving average
+const MIN_PAUSE_SEC = 0.15;
+const MIN_NUCLEUS_GAP_SEC = 0.1;
+const NUCLEUS_PROMINENCE_DB = 2;
+
+// DTW edit costs (a match of the same event type costs nothing)
+const SKIP_SCRIPT_SYLLABLE = 1;
+const SKIP_AUDIO_SYLLABLE = 1;
+const SKIP_SCRIPT_PAUSE = 0.4;       // x pause strength: the narrator ran through the comma
+const SKIP_AUDIO_PAUSE = 0.4;        // + pause length: a breath the script doesn't mark
+
+export const BOUNDARY_CONFIDENCE = { high: 0.7, medium: 0.45 };
+
+const SENTENCE_END = /[.!?…]["')\]]?$/;
+const CLAUSE_END = /[,;:—–)]["')\]]?$/;
+
+/**
+ * Rough syllable count, good enough to predict how many energy peaks a word makes
+ * @param {string} word - Folded word (foldForMatching)
+ * @param {Object} lang - Entry from LANGUAGES
+ */
+function countSyllables(word, lang) {
+    let count = 0;
+    for (const digits of word.match(/[0-9]+/g) || []) {
+        count += Math.max(1, Math.round(digits.length * 1.5)); // "2024" -> twen-ty twen-ty four
+    }
+    const letters = word.replace(/[0-9]/g, '');
+    if (letters) {
+        let vowelGroups = (letters.match(/[aeiouy]+/g) || []).length;
+        if (lang.silentFinalE && vowelGroups > 1 && /[^aeiouy]es?$/.test(letters) && !/le$/.test(letters)) vowelGroups--; // silent e
+        if (lang.code === 'fr' && vowelGroups > 1 && /[^aeiouy]ent$/.test(letters)) vowelGroups--; // ils parlent
+        count += Math.max(1, vowelGroups);
+    }
+    return Math.max(1, count);
+}
+
+/**
+ * Energy envelope, voiced frames, syllable nuclei and pauses
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ */
+export function analyzeNarration(channels, sampleRate) {
+    const frameSize = Math.max(1, Math.round(sampleRate * FRAME_SEC));
+    const frameCount = Math.floor(channels[0].length / frameSize);
+
+    const raw = new Float32Array(frameCount);
+    for (let f = 0; f < frameCount; f++) {
+        let sum = 0;
+        for (const data of channels) {
+            for (let i = f * frameSize; i < (f + 1) * frameSize; i++) sum += data[i] * data[i];
+        }
+        raw[f] = 20 * Math.log10(Math.sqrt(sum / (frameSize * channels.length)) + 1e-9);
+    }
+
+    const energy = new Float32Array(frameCount);
+    const half = Math.floor(SMOOTH_FRAMES / 2);
+    for (let f = 0; f < frameCount; f++) {
+        let sum = 0, n = 0;
+        for (let k = Math.max(0, f - half); k <= Math.min(frameCount - 1, f + half); k++) { sum += raw[k]; n++; }
+        energy[f] = sum / n;
+    }
+
+    // Adaptive threshold between the noise floor and typical speech level
+    const sorted = Float32Array.from(energy).sort();
+    const floor = sorted[Math.floor(frameCount * 0.1)] ?? -90;
+    const peak = sorted[Math.floor(frameCount * 0.95)] ?? -20;
+    const threshold = floor + 0.35 * (peak - floor);
+    const voiced = new Uint8Array(frameCount);
+    for (let f = 0; f < frameCount; f++) voiced[f] = energy[f] >= threshold ? 1 : 0;
+
+    // Pauses: unvoiced runs long enough to be deliberate
+    const pauses = [];
+    const minPauseFrames = Math.round(MIN_PAUSE_SEC / FRAME_SEC);
+    for (let f = 0; f < frameCount;) {
+        if (voiced[f]) { f++; continue; }
+        let end = f;
+        while (end < frameCount && !voiced[end]) end++;
+        if (end - f >= minPauseFrames) pauses.push({ startFrame: f, endFrame: end });
+        f = end;
+    }
+
+    // Nuclei: energy peaks with a clear dip between them
+    const nuclei = [];
+    const minGapFrames = Math.round(MIN_NUCLEUS_GAP_SEC / FRAME_SEC);
+    for (let f = 1; f < frameCount - 1; f++) {
+        if (!voiced[f] || energy[f] < energy[f - 1] || energy[f] <= energy[f + 1]) continue;
+        const last = nuclei[nuclei.length - 1];
+        if (last) {
+            let valley = Infinity;
+            let silentBetween = false;
+            for (let k = last.frame; k <= f; k++) {
+                if (energy[k] < valley) valley = energy[k];
+                if (!voiced[k]) silentBetween = true;
+            }
+            const prominent = Math.min(energy[last.frame], energy[f]) - valley >= NUCLEUS_PROMINENCE_DB;
+            if (!silentBetween && (!prominent || f - last.frame < minGapFrames)) {
+                if (energy[f] > energy[last.frame]) last.frame = f;
+                continue;
+            }
+        }
+        nuclei.push({ frame: f });
+    }
+
+    return { energy, voiced, pauses, nuclei, frameCount };
+}
+
+/**
+ * Script words with their expected syllables and the pause expected after each
+ */
+function tokenizeScript(blocks, language) {
+    const lang = resolveLanguage(language);
+    const words = [];
+    blocks.forEach((block, blockIndex) => {
+        for (const token of (block.text || '').split(/\s+/).filter(Boolean)) {
+            const norm = foldForMatching(token, language, false);
+            const pause = SENTENCE_END.test(token) ? 2 : CLAUSE_END.test(token) ? 1 : 0;
+            if (!norm) {
+                // Stand-alone punctuation ("—") belongs to the previous word
+                const prev = words[words.length - 1];
+                if (prev && prev.blockIndex === blockIndex) {
+                    prev.text += ` ${token}`;
+                    prev.pauseAfter = Math.max(prev.pauseAfter, pause || 1);
+                }
+                continue;
+            }
+            words.push({ text: token, blockIndex, syllables: countSyllables(norm, lang), pauseAfter: pause });
+        }
+        // New on-screen block: narrators nearly always breathe here
+        const last = words[words.length - 1];
+        if (last && last.blockIndex === blockIndex) last.pauseAfter = Math.max(last.pauseAfter, 2) + 1;
+    });
+    return words;
+}
+
+/**
+ * Banded Needleman-Wunsch between script events and audio events.
+ * @returns {Int32Array} Audio event index for each script event (-1 = unmatched)
+ */
+function alignEvents(scriptEvents, audioEvents) {
+    const N = scriptEvents.length;
+    const M = audioEvents.length;
+    const band = Math.min(Math.max(N, M), Math.max(400, Math.min(1500, Math.ceil(0.25 * Math.max(N, M)))));
+    const width = 2 * band + 1;
+    const center = (i) => Math.round(i * M / Math.max(1, N));
+
+    const cost = new Float32Array((N + 1) * width).fill(Infinity);
+    const move = new Uint8Array((N + 1) * width); // 1 match, 2 skip script, 3 skip audio
+    const at = (i, j) => {
+        const k = j - center(i) + band;
+        return k >= 0 && k < width ? i * width + k : -1;
+    };
+
+    const skipScript = (e) => e.type === 'pause' ? SKIP_SCRIPT_PAUSE * e.strength : SKIP_SCRIPT_SYLLABLE;
+    const skipAudio = (e) => e.type === 'pause' ? SKIP_AUDIO_PAUSE + e.duration : SKIP_AUDIO_SYLLABLE;
+
+    for (let i = 0; i <= N; i++) {
+        const jFrom = Math.max(0, center(i) - band);
+        const jTo = Math.min(M, center(i) + band);
+        for (let j = jFrom; j <= jTo; j++) {
+            const idx = at(i, j);
+            if (i === 0 && j === 0) { cost[idx] = 0; continue; }
+            let best = Infinity, bestMove = 0;
+
+            if (i > 0 && j > 0 && scriptEvents[i - 1].type === audioEvents[j - 1].type) {
+                const prev = at(i - 1, j - 1);
+                if (prev !== -1 && cost[prev] < best) { best = cost[prev]; bestMove = 1; }
+            }
+            if (i > 0) {
+                const prev = at(i - 1, j);
+                if (prev !== -1 && cost[prev] + skipScript(scriptEvents[i - 1]) < best) {
+                    best = cost[prev] + skipScript(scriptEvents[i - 1]); bestMove = 2;
+                }
+            }
+            if (j > 0) {
+                const prev = at(i, j - 1);
+                if (prev !== -1 && cost[prev] + skipAudio(audioEvents[j - 1]) < best) {
+                    best = cost[prev] + skipAudio(audioEvents[j - 1]); bestMove = 3;
+                }
+            }
+            cost[idx] = best;
+            move[idx] = bestMove;
+        }
+    }
+
+    const mapping = new Int32Array(N).fill(-1);
+    let i = N, j = M;
+    while (i > 0 || j > 0) {
+        const m = move[at(i, j)];
+        if (m === 1) { mapping[i - 1] = j - 1; i--; j--; }
+        else if (m === 2) i--;
+        else if (m === 3) j--;
+        else break;
+    }
+    return mapping;
+}
+
+const levelFor = (score) => score >= BOUNDARY_CONFIDENCE.high ? 'high' : score >= BOUNDARY_CONFIDENCE.medium ? 'medium' : 'low';
+
+/**
+ * Force-align script blocks to narration audio.
+ * @param {string} scriptText - Script with [ON SCREEN: ...] markers
+ * @param {Float32Array[]} channels - Decoded PCM (one array per channel)
+ * @param {number} sampleRate
+ * @param {Object} [options]
+ * @param {string} [options.language] - Project language (see services/language.js)
+ * @returns {Array<{title: string, text: string, directives: Object, start_time: number, end_time: number, words: Array, startConfidence: {score: number, level: string}}>}
+ */
+export function forceAlignScript(scriptText, channels, sampleRate, options = {}) {
+    const { language = DEFAULT_LANGUAGE } = options;
+    const { blocks: parsed, warnings } = parseScript(scriptText);
+    formatWarnings(warnings).forEach(w => console.warn(`[ForcedAligner] Script: ${w}`));
+    const blocks = parsed.filter(b => b.headline);
+
+    const words = tokenizeScript(blocks, language);
+    if (words.length === 0) return [];
+
+    const audio = analyzeNarration(channels, sampleRate);
+    if (audio.nuclei.length === 0) {
+        throw new Error('Forced alignment failed: no speech detected in the narration audio.');
+    }
+    const toSec = (frame) => frame * FRAME_SEC;
+    const speechStartFrame = audio.nuclei[0].frame;
+    const speechEndFrame = audio.nuclei[audio.nuclei.length - 1].frame;
+
+    // 1. Event sequences (leading/trailing silence is not part of the speech)
+    const audioEvents = [
+        ...audio.nuclei.map(n => ({ type: 'syllable', frame: n.frame })),
+        ...audio.pauses
+            .filter(p => p.startFrame > speechStartFrame && p.endFrame < speechEndFrame)
+            .map(p => ({ type: 'pause', frame: p.startFrame, pause: p, duration: toSec(p.endFrame - p.startFrame) }))
+    ].sort((a, b) => a.frame - b.frame);
+
+    const scriptEvents = [];
+    const pauseEventAfter = new Map(); // word index -> script event index
+    words.forEach((word, wi) => {
+        word.syllableEvents = [];
+        for (let s = 0; s < word.syllables; s++) {
+            word.syllableEvents.push(scriptEvents.length);
+            scriptEvents.push({ type: 'syllable', word: wi });
+        }
+        if (word.pauseAfter > 0 && wi < words.length - 1) {
+            pauseEventAfter.set(wi, scriptEvents.length);
+            scriptEvents.push({ type: 'pause', word: wi, strength: word.pauseAfter });
+        }
+    });
+
+    // 2. DTW
+    const mapping = alignEvents(scriptEvents, audioEvents);
+
+    // 3. Syllable times: matched nuclei, unmatched ones interpolated between anchors
+    const syllableIndices = scriptEvents.map((e, i) => i).filter(i => scriptEvents[i].type === 'syllable');
+    const frames = new Map();
+    const anchors = [{ pos: -1, frame: speechStartFrame }];
+    syllableIndices.forEach((ei, pos) => {
+        if (mapping[ei] !== -1) anchors.push({ pos, frame: audioEvents[mapping[ei]].frame });
+    });
+    anchors.push({ pos: syllableIndices.length, frame: speechEndFrame });
+    for (let a = 0; a < anchors.length - 1; a++) {
+        const from = anchors[a], to = anchors[a + 1];
+        for (let pos = Math.max(0, from.pos); pos < to.pos; pos++) {
+            const t = pos === from.pos ? from.frame
+                : from.frame + (to.frame - from.frame) * (pos - from.pos) / (to.pos - from.pos);
+            frames.set(syllableIndices[pos], Math.round(t));
+        }
+    }
+
+    // 4. Word boundaries: a matched pause, otherwise the energy dip between words
+    const bounds = words.map(() => ({ start: 0, end: 0 }));
+    words.forEach((word, wi) => {
+        if (wi === 0) {
+            let f = frames.get(word.syllableEvents[0]);
+            while (f > 0 && audio.voiced[f - 1]) f--;
+            bounds[0].start = f;
+        }
+        if (wi === words.length - 1) {
+            let f = frames.get(word.syllableEvents[word.syllableEvents.length - 1]);
+            while (f < audio.frameCount - 1 && audio.voiced[f + 1]) f++;
+            bounds[wi].end = f;
+            return;
+        }
+
+        const pauseEvent = pauseEventAfter.get(wi);
+        const matchedPause = pauseEvent !== undefined && mapping[pauseEvent] !== -1
+            ? audioEvents[mapping[pauseEvent]].pause
+            : null;
+        if (matchedPause) {
+            bounds[wi].end = matchedPause.startFrame;
+            bounds[wi + 1].start = matchedPause.endFrame;
+            return;
+        }
+
+        const lastFrame = frames.get(word.syllableEvents[word.syllableEvents.length - 1]);
+        const nextFrame = frames.get(words[wi + 1].syllableEvents[0]);
+        let cut = Math.round((lastFrame + nextFrame) / 2);
+        for (let f = lastFrame + 1; f < nextFrame; f++) {
+            if (audio.energy[f] < audio.energy[cut]) cut = f;
+        }
+        bounds[wi].end = cut;
+        bounds[wi + 1].start = cut;
+    });
+
+    const timedWords = words.map((word, wi) => {
+        const matched = word.syllableEvents.filter(ei => mapping[ei] !== -1).length;
+        const start = toSec(Math.min(bounds[wi].start, bounds[wi].end)) * 1000;
+        const end = toSec(Math.max(bounds[wi].start, bounds[wi].end)) * 1000;
+        return {
+            text: word.text,
+            start: Math.round(start),
+            end: Math.round(end),
+            confidence: Math.round(matched / word.syllables * 1000) / 1000
+        };
+    });
+
+    // 5. Segments, with a confidence for the cut at each segment's start:
+    // how well the syllables around the cut matched, and whether a pause was found there
+    const result = [];
+    blocks.forEach((block, blockIndex) => {
+        const wordIndices = words.map((w, wi) => wi).filter(wi => words[wi].blockIndex === blockIndex);
+        if (wordIndices.length === 0) return;
+        const first = wordIndices[0];
+
+        let startConfidence = { score: 1, level: 'high' };
+        if (first > 0) {
+            const around = scriptEvents
+                .map((e, ei) => ei)
+                .filter(ei => scriptEvents[ei].type === 'syllable')
+                .filter(ei => Math.abs(scriptEvents[ei].word - first) <= 1 || scriptEvents[ei].word === first - 2);
+            // Unexpected syllables in the same stretch of audio (ad-libs, retakes) count against it too
+            const matchedAudio = around.map(ei => mapping[ei]).filter(j => j !== -1);
+            const audioSyllables = matchedAudio.length > 0
+                ? audioEvents.slice(Math.min(...matchedAudio), Math.max(...matchedAudio) + 1).filter(e => e.type === 'syllable').length
+                : 0;
+            const matchRate = matchedAudio.length / Math.max(1, around.length, audioSyllables);
+            const pauseEvent = pauseEventAfter.get(first - 1);
+            const pauseFound = pauseEvent !== undefined && mapping[pauseEvent] !== -1;
+            const score = Math.round((0.6 * matchRate + 0.4 * (pauseFound ? 1 : 0)) * 100) / 100;
+            startConfidence = { score, level: levelFor(score) };
+            if (startConfidence.level !== 'high') {
+                console.warn(`[ForcedAligner] ${startConfidence.level.toUpperCase()} confidence cut (${score.toFixed(2)}) before "${block.headline.substring(0, 30)}..."`);
+            }
+        }
+
+        result.push({
+            title: block.headline,
+            text: block.text,
+            directives: block.directives,
+            start_time: timedWords[first].start / 1000,
+            end_time: timedWords[wordIndices[wordIndices.length - 1]].end / 1000,
+            words: wordIndices.map(wi => timedWords[wi]),
+            startConfidence
+        });
+    });
+
+    // Contiguous segments, like the transcript aligner
+    result.forEach((seg, i) => {
+        if (i === 0) seg.start_time = 0;
+        if (i < result.length - 1) seg.end_time = result[i + 1].start_time;
+    });
+
+    const matchedSyllables = syllableIndices.filter(ei => mapping[ei] !== -1).length;
+    console.log(`[ForcedAligner] ${result.length} segments, ${words.length} words, ${matchedSyllables}/${syllableIndices.length} syllables matched to ${audio.nuclei.length} detected nuclei`);
+
+    return result;
+}
+
+export default { forceAlignScript, analyzeNarration, BOUNDARY_CONFIDENCE };
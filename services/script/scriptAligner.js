@@ -0,0 +1,244 @@
+// scriptAligner.js - Deterministic script-to-transcript alignment
+// Shared by the renderer (services/matcher.ts) and the headless CLI.
+
+import { parseScript, formatWarnings } from './scriptGrammar.js';
+import { foldForMatching, DEFAULT_LANGUAGE } from '../language.js';
+
+// --- HELPER: String Similarity (Dice Coefficient / Bigram) ---
+// Good for catching typos or small differences (e.g. "colour" vs "color")
+function getSimilarity(s1, s2) {
+    // Basic cleaning for comparison - preserve letters/digits of any language
+    s1 = s1.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    s2 = s2.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+    if (s1 === s2) return 1.0;
+    if (s1.length < 2 || s2.length < 2) {
+        return s1 === s2 ? 1.0 : 0.0;
+    }
+
+    const bigrams1 = new Set();
+    for (let i = 0; i < s1.length - 1; i++) bigrams1.add(s1.substring(i, i + 2));
+
+    let intersection = 0;
+    for (let i = 0; i < s2.length - 1; i++) {
+        const bigram = s2.substring(i, i + 2);
+        if (bigrams1.has(bigram)) intersection++;
+    }
+
+    return (2.0 * intersection) / (s1.length + s2.length - 2);
+}
+
+// --- NORMALIZATION ---
+// Language-aware folding (accents, ligatures, elisions) shared with the forced aligner
+const normalize = (text, language) => foldForMatching(text, language);
+
+/**
+ * Align script blocks to transcript words (AssemblyAI shape: text, start/end in ms).
+ * Fuzzy-matches the first and last words of each block against the transcript.
+ * @param {string} scriptText - Script with [ON SCREEN: ...] markers
+ * @param {Array<{text: string, start: number, end: number}>} words
+ * @param {Object} [options]
+ * @param {string} [options.language] - Project language (see services/language.js)
+ * @returns {Array<{title: string, text: string, directives: Object, start_time: number, end_time: number, words: Array, startConfidence: {score: number, level: string}}>}
+ */
+export function alignScriptToWords(scriptText, words, options = {}) {
+    const { language = DEFAULT_LANGUAGE } = options;
+
+    // 1. Parse Script into Segments (shared script grammar)
+    const segments = [];
+    const { blocks, warnings } = parseScript(scriptText);
+    formatWarnings(warnings).forEach(w => console.warn(`[Matcher] Script: ${w}`));
+
+    for (const block of blocks) {
+        if (block.headline) { // Only add if title exists
+            segments.push({ title: block.headline, text: block.text, directives: block.directives });
+        }
+    }
+
+    // 2. Map Segments to Words using Fuzzy Search
+    const result = [];
+    let searchIndex = 0;
+
+    for (let segIdx = 0; segIdx < segments.length; segIdx++) {
+        const seg = segments[segIdx];
+        const segWords = normalize(seg.text, language).split(/\s+/).filter(w => w.length > 0);
+
+        if (segWords.length === 0) continue;
+
+        // -- FIND START --
+        let bestStartMatch = { index: -1, score: 0 };
+        // Use a variable window size for shorter segments
+        const actualStartWindow = Math.min(5, segWords.length);
+        const startTarget = segWords.slice(0, actualStartWindow).join('');
+
+        // Scan ahead. We limit the scan to avoid overlapping too far into future segments,
+        // but for safety, let's scan a good chunk (e.g., next 1000 words or until end).
+        // Optimization: Stop if we find a near-perfect match.
+        const maxScan = 2000;
+
+        for (let i = searchIndex; i <= Math.min(words.length - actualStartWindow, searchIndex + maxScan); i++) {
+            // Construct candidate string from transcript words
+            let candidate = "";
+            for (let j = 0; j < actualStartWindow; j++) candidate += normalize(words[i + j].text, language);
+
+            const score = getSimilarity(startTarget, candidate);
+
+            if (score > 0.85) { // High confidence threshold
+                bestStartMatch = { index: i, score };
+                break; // Stop immediately on high match
+            }
+
+            if (score > bestStartMatch.score) {
+                bestStartMatch = { index: i, score };
+            }
+        }
+
+        // If strong match not found with 5 words, try 3 words fallback
+        if (bestStartMatch.score < 0.5) {
+            const smallStartTarget = segWords.slice(0, 3).join('');
+            for (let i = searchIndex; i < Math.min(words.length - 3, searchIndex + maxScan); i++) {
+                let candidate = "";
+                for (let j = 0; j < 3; j++) candidate += normalize(words[i + j].text, language);
+                const score = getSimilarity(smallStartTarget, candidate);
+                if (score > 0.9) {
+                    bestStartMatch = { index: i, score };
+                    break;
+                }
+            }
+        }
+
+        // Validate Match with detailed logging
+        let startIndex = searchIndex; // Default to previous end if totally lost (fallback)
+        let startConfidence = 'low';
+        
+        if (bestStartMatch.score > 0.7) {
+            startIndex = bestStartMatch.index;
+            startConfidence = 'high';
+        } else if (bestStartMatch.score > 0.4) {
+            startIndex = bestStartMatch.index;
+            startConfidence = 'medium';
+            console.warn(`[Matcher] Medium confidence start (${bestStartMatch.score.toFixed(2)}) for segment: "${seg.title.substring(0, 30)}..."`);
+        } else {
+            // Low confidence - use fallback but log warning
+            startConfidence = 'low';
+            console.warn(`[Matcher] LOW confidence start (${bestStartMatch.score.toFixed(2)}) for segment: "${seg.title.substring(0, 30)}..." - using fallback position ${searchIndex}`);
+        }
+        
+        console.log(`[Matcher] Segment ${segIdx + 1}/${segments.length}: "${seg.title.substring(0, 25)}..." - Start match: score=${bestStartMatch.score.toFixed(2)}, confidence=${startConfidence}, index=${startIndex}`);
+
+        // SAFETY CHECK: Prevent crash if script overrides audio length
+        if (!words[startIndex]) {
+            throw new Error(`Script/Audio Mismatch: Could not align segment "${seg.title}". The script text appears to contain content not present in the audio file.`);
+        }
+
+        // Update search Index so we search for END after START
+        searchIndex = startIndex;
+
+        // -- FIND END --
+        // Similar logic, but looking for the last words of the segment.
+        let bestEndMatch = { index: -1, score: 0 };
+        const actualEndWindow = Math.min(5, segWords.length);
+        const endTarget = segWords.slice(-actualEndWindow).join('');
+
+        // We scan from startIndex. 
+        for (let i = searchIndex; i <= Math.min(words.length - actualEndWindow, searchIndex + 5000); i++) {
+            let candidate = "";
+            for (let j = 0; j < actualEndWindow; j++) candidate += normalize(words[i + j].text, language);
+
+            const score = getSimilarity(endTarget, candidate);
+
+            if (score > 0.85) {
+                bestEndMatch = { index: i + actualEndWindow - 1, score }; // Point to last word
+                break;
+            }
+            if (score > bestEndMatch.score) {
+                bestEndMatch = { index: i + actualEndWindow - 1, score };
+            }
+        }
+
+        // Fallback for end with detailed logging
+        let endIndex = -1;
+        let endConfidence = 'low';
+        
+        if (bestEndMatch.score > 0.7) {
+            endIndex = bestEndMatch.index;
+            endConfidence = 'high';
+        } else if (bestEndMatch.score > 0.4) {
+            endIndex = bestEndMatch.index;
+            endConfidence = 'medium';
+            console.warn(`[Matcher] Medium confidence end (${bestEndMatch.score.toFixed(2)}) for segment: "${seg.title.substring(0, 30)}..."`);
+        } else {
+            // If we can't find the end, use end of file as fallback
+            endIndex = words.length - 1;
+            endConfidence = 'low';
+            console.warn(`[Matcher] LOW confidence end (${bestEndMatch.score.toFixed(2)}) for segment: "${seg.title.substring(0, 30)}..." - using fallback (end of audio)`);
+        }
+        
+        const segmentDuration = (words[endIndex].end - words[startIndex].start) / 1000;
+        console.log(`[Matcher] Segment ${segIdx + 1}: End match: score=${bestEndMatch.score.toFixed(2)}, confidence=${endConfidence}, duration=${segmentDuration.toFixed(2)}s`);
+
+        // Store Result with confidence metadata
+        result.push({
+            title: seg.title,
+            text: seg.text,
+            directives: seg.directives,
+            start_time: words[startIndex].start / 1000,
+            end_time: words[endIndex].end / 1000,
+            // Confidence of the cut at start_time (highlighted in AudioTimeline for review)
+            startConfidence: { score: Math.round(bestStartMatch.score * 100) / 100, level: startConfidence },
+            // Metadata for debugging
+            _matchConfidence: {
+                start: { score: bestStartMatch.score, confidence: startConfidence },
+                end: { score: bestEndMatch.score, confidence: endConfidence }
+            }
+        });
+
+        // Update Global Search Index for next iteration
+        // Start searching for next segment *after* this segment ends
+        if (endIndex !== -1) {
+            searchIndex = endIndex + 1;
+        }
+    }
+
+    // 3. Post-Processing: Fix Gaps & Overlaps - Ensure PERFECT CONTINUITY
+    for (let i = 0; i < result.length; i++) {
+        const seg = result[i];
+
+        // NO PADDING allowed as per user request
+        // Start and End are kept as detected by word timestamps initially
+
+        // SPECIAL CASE: First segment starts exactly at 0
+        if (i === 0) {
+            seg.start_time = 0;
+        }
+
+        // Bridge gaps to make segments contiguous
+        if (i < result.length - 1) {
+            const nextSeg = result[i + 1];
+
+            // The boundary for contiguous segments is the start of the next one
+            // However, we want to ensure the detection of the next seg is reliable
+            // We set the current segment's end to the next segment's start
+            seg.end_time = nextSeg.start_time;
+        }
+    }
+
+    // Explicitly fix the LAST segment to go to the very end of audio
+    if (result.length > 0) {
+        // We'll use the last word's end, but App.tsx will clip it to buffer duration anyway
+        result[result.length - 1].end_time = words[words.length - 1].end / 1000;
+    }
+
+    // Keep each segment's own words (ms timings) for captions
+    result.forEach((seg, i) => {
+        const isLast = i === result.length - 1;
+        seg.words = words.filter(w => {
+            const t = w.start / 1000;
+            return t >= seg.start_time && (isLast ? t <= seg.end_time : t < seg.end_time);
+        });
+    });
+
+    return result;
+}
+
+export default { alignScriptToWords };
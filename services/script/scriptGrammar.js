@@ -0,0 +1,369 @@
+// scriptGrammar.js - Single source of truth for the script format
+// Parses [ON SCREEN: ...] markers and per-block directives into a block AST.
+// Shared by the server (videoMatcher), main process (timeline) and renderer (matcher.ts)
+// so a script is split the same way in matching, timeline and export.
+
+/**
+ * @typedef {Object} SourceRange
+ * @property {number} start - Offset of the first character (inclusive)
+ * @property {number} end - Offset after the last character (exclusive)
+ */
+
+/**
+ * @typedef {Object} ScriptDirectives
+ * @property {string|null} credit - [CREDIT: ...] mandatory credit override
+ * @property {string|null} sot - [SOT: ...] sound-on-tape description
+ * @property {number|null} duration - [DURATION: 7s] duration in seconds
+ */
+
+/**
+ * @typedef {Object} ScriptBlock
+ * @property {'block'} type
+ * @property {number} index - Zero-based block index
+ * @property {string} headline - Text inside the ON SCREEN marker
+ * @property {string} text - Narration text with directives removed
+ * @property {ScriptDirectives} directives
+ * @property {number} line - 1-based line of the marker
+ * @property {SourceRange} range - Marker start to next marker start
+ * @property {SourceRange} markerRange - The ON SCREEN marker itself
+ * @property {SourceRange} textRange - Raw body (before directives are removed)
+ */
+
+/**
+ * @typedef {Object} ScriptWarning
+ * @property {string} code - Machine-readable warning code
+ * @property {string} message - Human-readable description
+ * @property {number} offset - Source offset the warning refers to
+ * @property {number} line - 1-based line number
+ * @property {number|null} blockIndex - Block the warning belongs to, if any
+ */
+
+/**
+ * @typedef {Object} ParsedScript
+ * @property {ScriptBlock[]} blocks
+ * @property {ScriptWarning[]} warnings
+ * @property {string} preamble - Text before the first marker (not narrated)
+ */
+
+// Opener is "[" or a keyboard-layout artifact of it (Ñ, ñ, ¿ on Spanish layouts).
+// Markers may end with "]" or, when the bracket was forgotten, at end of line.
+const MARKER_REGEX = /(\[|[Ññ¿])?[ \t]*ON[ \t]*SCREEN\b[ \t]*([:\-]?)[ \t]*([^\]\r\n]*)(\])?/gi;
+
+// Any "[NAME: value]" tag inside a block body
+const DIRECTIVE_REGEX = /\[[ \t]*([A-Z][A-Z _-]*?)[ \t]*:[ \t]*([^\]\r\n]*)\]/gi;
+
+const KNOWN_DIRECTIVES = {
+    CREDIT: 'credit',
+    'MANDATORY CREDIT': 'credit',
+    SOT: 'sot',
+    DURATION: 'duration'
+};
+
+/**
+ * Build a line lookup for offset -> line conversion
+ */
+function buildLineIndex(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') starts.push(i + 1);
+    }
+    return (offset) => {
+        let lo = 0;
+        let hi = starts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo + 1;
+    };
+}
+
+function normalizeNewlines(text) {
+    return text.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Parse a duration value such as "7s", "7.5", "12 sec" or "1:30"
+ * @param {string} value
+ * @returns {number|null} Seconds, or null if the value is not a duration
+ */
+export function parseDuration(value) {
+    if (value === null || value === undefined) return null;
+    const clean = String(value).trim().toLowerCase();
+
+    const clock = clean.match(/^(\d+):([0-5]\d(?:\.\d+)?)$/);
+    if (clock) {
+        return parseInt(clock[1], 10) * 60 + parseFloat(clock[2]);
+    }
+
+    const plain = clean.match(/^(\d+(?:\.\d+)?)\s*(s|sec|secs|second|seconds|m|min|mins|minute|minutes)?$/);
+    if (!plain) return null;
+
+    const amount = parseFloat(plain[1]);
+    const unit = plain[2] || 's';
+    const seconds = unit.startsWith('m') ? amount * 60 : amount;
+    return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Find ON SCREEN markers, skipping prose such as "it appeared on screen"
+ */
+function findMarkers(source, lineOf, warnings) {
+    const markers = [];
+
+    for (const match of source.matchAll(MARKER_REGEX)) {
+        const [raw, opener, separator, headlineRaw, closer] = match;
+        const start = match.index;
+        const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+        const atLineStart = source.slice(lineStart, start).trim() === '';
+        const prevChar = start > 0 ? source[start - 1] : '\n';
+
+        if (!opener) {
+            // Bare markers only count on their own line and with a separator
+            if (!atLineStart || !separator) continue;
+        } else if (opener !== '[' && !/\s/.test(prevChar)) {
+            // "Ñ"/"¿" openers must not be the tail of a word
+            continue;
+        }
+
+        const headline = headlineRaw.trim();
+        const line = lineOf(start);
+
+        if (opener && opener !== '[') {
+            warnings.push({
+                code: 'nonstandard-opener',
+                message: `Marker on line ${line} starts with "${opener}" instead of "["`,
+                offset: start,
+                line,
+                blockIndex: markers.length
+            });
+        }
+        if (opener === '[' && !closer) {
+            warnings.push({
+                code: 'unclosed-marker',
+                message: `Marker on line ${line} is missing its closing "]"`,
+                offset: start,
+                line,
+                blockIndex: markers.length
+            });
+        }
+        if (!headline) {
+            warnings.push({
+                code: 'empty-headline',
+                message: `Marker on line ${line} has no headline`,
+                offset: start,
+                line,
+                blockIndex: markers.length
+            });
+        }
+
+        markers.push({ start, end: start + raw.length, headline, line });
+    }
+
+    return markers;
+}
+
+/**
+ * Extract directives from a block body and return the narration without them
+ */
+function extractDirectives(body, bodyStart, blockIndex, lineOf, warnings) {
+    /** @type {ScriptDirectives} */
+    const directives = { credit: null, sot: null, duration: null };
+    let text = '';
+    let cursor = 0;
+    let removed = false;
+
+    for (const match of body.matchAll(DIRECTIVE_REGEX)) {
+        const name = match[1].trim().toUpperCase().replace(/[\s_-]+/g, ' ');
+        const value = match[2].trim();
+        const offset = bodyStart + match.index;
+        const key = KNOWN_DIRECTIVES[name];
+
+        if (!key) {
+            warnings.push({
+                code: 'unknown-directive',
+                message: `Unknown directive [${match[1].trim()}: ...] on line ${lineOf(offset)} was kept as narration`,
+                offset,
+                line: lineOf(offset),
+                blockIndex
+            });
+            continue;
+        }
+
+        let parsed = value;
+        if (key === 'duration') {
+            parsed = parseDuration(value);
+            if (parsed === null) {
+                warnings.push({
+                    code: 'invalid-duration',
+                    message: `Could not read duration "${value}" on line ${lineOf(offset)}`,
+                    offset,
+                    line: lineOf(offset),
+                    blockIndex
+                });
+            }
+        } else if (!value) {
+            warnings.push({
+                code: 'empty-directive',
+                message: `Directive [${name}] on line ${lineOf(offset)} has no value`,
+                offset,
+                line: lineOf(offset),
+                blockIndex
+            });
+            parsed = null;
+        }
+
+        if (directives[key] !== null && parsed !== null) {
+            warnings.push({
+                code: 'duplicate-directive',
+                message: `Directive [${name}] repeated on line ${lineOf(offset)}, last value wins`,
+                offset,
+                line: lineOf(offset),
+                blockIndex
+            });
+        }
+        if (parsed !== null) directives[key] = parsed;
+
+        // A directive on its own line takes the whole line with it
+        let cutStart = match.index;
+        let cutEnd = match.index + match[0].length;
+        const lineStart = body.lastIndexOf('\n', cutStart - 1) + 1;
+        const rest = body.slice(cutEnd).match(/^[ \t]*\r?\n/);
+        if (rest && lineStart >= cursor && body.slice(lineStart, cutStart).trim() === '') {
+            cutStart = lineStart;
+            cutEnd += rest[0].length;
+        }
+
+        text += body.slice(cursor, cutStart);
+        cursor = cutEnd;
+        removed = true;
+    }
+    text += body.slice(cursor);
+
+    text = normalizeNewlines(text);
+    if (removed) {
+        // Drop lines that only held a directive
+        text = text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').replace(/[ \t]{2,}/g, ' ');
+    }
+
+    return { directives, text: text.trim() };
+}
+
+/**
+ * Parse a script into blocks.
+ * @param {string} source - Script with [ON SCREEN: ...] markers
+ * @returns {ParsedScript}
+ */
+export function parseScript(source) {
+    const script = typeof source === 'string' ? source : '';
+    const lineOf = buildLineIndex(script);
+    /** @type {ScriptWarning[]} */
+    const warnings = [];
+    const markers = findMarkers(script, lineOf, warnings);
+
+    if (markers.length === 0) {
+        if (script.trim()) {
+            warnings.push({
+                code: 'no-markers',
+                message: 'No [ON SCREEN: ...] markers found in script',
+                offset: 0,
+                line: 1,
+                blockIndex: null
+            });
+        }
+        return { blocks: [], warnings, preamble: normalizeNewlines(script).trim() };
+    }
+
+    const preamble = normalizeNewlines(script.slice(0, markers[0].start)).trim();
+    if (preamble) {
+        warnings.push({
+            code: 'text-before-first-marker',
+            message: 'Text before the first [ON SCREEN] marker is not part of any block',
+            offset: 0,
+            line: 1,
+            blockIndex: null
+        });
+    }
+
+    /** @type {ScriptBlock[]} */
+    const blocks = markers.map((marker, i) => {
+        const bodyEnd = i < markers.length - 1 ? markers[i + 1].start : script.length;
+        const body = script.slice(marker.end, bodyEnd);
+        const { directives, text } = extractDirectives(body, marker.end, i, lineOf, warnings);
+
+        if (!text && directives.sot === null) {
+            warnings.push({
+                code: 'empty-block',
+                message: `Block ${i + 1} (line ${marker.line}) has no narration`,
+                offset: marker.start,
+                line: marker.line,
+                blockIndex: i
+            });
+        }
+
+        return {
+            type: 'block',
+            index: i,
+            headline: normalizeNewlines(marker.headline),
+            text,
+            directives,
+            line: marker.line,
+            range: { start: marker.start, end: bodyEnd },
+            markerRange: { start: marker.start, end: marker.end },
+            textRange: { start: marker.end, end: bodyEnd }
+        };
+    });
+
+    warnings.sort((a, b) => a.offset - b.offset);
+    return { blocks, warnings, preamble };
+}
+
+/**
+ * Estimate narration length in seconds (150 wpm, minimum 5s)
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateDuration(text) {
+    const words = (text || '').split(/\s+/).filter(Boolean).length;
+    return Math.max(5, Math.ceil(words / 2.5));
+}
+
+/**
+ * Duration for a block: explicit [DURATION] wins over the word-count estimate
+ * @param {ScriptBlock} block
+ * @returns {number}
+ */
+export function getBlockDuration(block) {
+    if (block?.directives?.duration) return block.directives.duration;
+    return estimateDuration(block?.text || '');
+}
+
+/**
+ * Return only the narration of a script (markers and directives removed)
+ * @param {string} source
+ * @returns {string}
+ */
+export function getNarrationText(source) {
+    const { blocks, preamble } = parseScript(source);
+    if (blocks.length === 0) return preamble;
+    return blocks.map(b => b.text).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Format warnings as log lines
+ * @param {ScriptWarning[]} warnings
+ * @returns {string[]}
+ */
+export function formatWarnings(warnings) {
+    return (warnings || []).map(w => `[${w.code}] ${w.message}`);
+}
+
+export default {
+    parseScript,
+    parseDuration,
+    estimateDuration,
+    getBlockDuration,
+    getNarrationText,
+    formatWarnings
+};
@@ -367,6 +367,31 @@ class SegmentPreRenderManager extends EventEmitter {
         }
     }
 
+    /**
+     * Resolve once a segment is rendered (true) or its render failed (false)
+     */
+    waitForSegment(segmentIndex) {
+        const segment = this.segments.get(segmentIndex);
+        if (!segment) return Promise.resolve(false);
+        if (segment.isReady()) return Promise.resolve(true);
+        if (segment.renderError && !segment.isRendering) return Promise.resolve(false);
+
+        return new Promise(resolve => {
+            const done = (result) => {
+                this.off('renderComplete', onComplete);
+                this.off('renderError', onError);
+                this.off('cleared', onCleared);
+                resolve(result);
+            };
+            const onComplete = (e) => { if (e.segmentIndex === segmentIndex) done(e.isReady); };
+            const onError = (e) => { if (e.segmentIndex === segmentIndex) done(false); };
+            const onCleared = () => done(false);
+            this.on('renderComplete', onComplete);
+            this.on('renderError', onError);
+            this.on('cleared', onCleared);
+        });
+    }
+
     /**
      * Get rendered segments for export
      */
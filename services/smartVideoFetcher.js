@@ -17,6 +17,7 @@ import geminiClient from './ai/geminiClient.js';
 import scriptAnalyzer from './ai/scriptAnalyzer.js';
 import visualValidator from './ai/visualValidator.js';
 import hybridScorer from './ai/hybridScorer.js';
+import { DEFAULT_LANGUAGE } from './language.js';
 
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
@@ -29,6 +30,7 @@ class SmartVideoFetcher {
         this.page = null;
         this.isProcessing = false;
         this.globalContext = null;
+        this.language = DEFAULT_LANGUAGE; // Project language for Gemini output
         this.useVisualValidation = true; // Can be disabled if API fails
         this.apiErrorCount = 0;
         this.maxApiErrors = 5; // Disable visual validation after this many errors
@@ -38,10 +40,12 @@ class SmartVideoFetcher {
      * MAIN ENTRY POINT - Process timeline with AI-powered video matching
      * @param {string|null} scriptTextOrNull - Script text or null to use existing timeline
      * @param {Object} callbacks - Progress callbacks
+     * @param {Object} [options] - { language } project language (see services/language.js)
      */
-    async processTimeline(scriptTextOrNull, callbacks = {}) {
+    async processTimeline(scriptTextOrNull, callbacks = {}, options = {}) {
         if (this.isProcessing) throw new Error('Already processing');
         this.isProcessing = true;
+        this.language = options.language || DEFAULT_LANGUAGE;
 
         const {
             onSegmentStart = () => {},
@@ -76,7 +80,7 @@ class SmartVideoFetcher {
             onAIStatus({ phase: 'analyzing', message: 'Analizando contexto global del guion...' });
 
             try {
-                this.globalContext = await scriptAnalyzer.analyzeGlobalContext(scriptTextOrNull || '');
+                this.globalContext = await scriptAnalyzer.analyzeGlobalContext(scriptTextOrNull || '', this.language);
                 console.log('[SmartFetcher] Global context:', this.globalContext);
                 onAIStatus({
                     phase: 'context_ready',
@@ -132,7 +136,8 @@ class SmartVideoFetcher {
                     const blockAnalysis = await scriptAnalyzer.analyzeBlock(
                         { index: i, headline: segment.headline, text: segment.text || segment.headline },
                         this.globalContext,
-                        previousBlockAnalysis
+                        previousBlockAnalysis,
+                        this.language
                     );
 
                     console.log(`[SmartFetcher] Block ${i} analysis:`, {
@@ -347,7 +352,8 @@ class SmartVideoFetcher {
                     const visualAnalysis = await visualValidator.analyzeVideoThumbnail(
                         imageData,
                         blockAnalysis,
-                        { title: video.title, description: video.description }
+                        { title: video.title, description: video.description },
+                        this.language
                     );
 
                     video.visualAnalysis = visualAnalysis;
@@ -0,0 +1,122 @@
+// editHistory.js - Undo/redo for the editor's operations
+// Each edit is recorded as a command: what it changed (type + target, e.g. a
+// segment or a narration clip), a label for the UI and that state before and
+// after the edit. Undo puts the before state back, redo the after state; the
+// main process applies them (electron/main.cjs), so a clip replaced by "Find
+// Different" comes back exactly as it was, in-point and options included.
+// Commands are plain data: the history is saved with the project state and
+// survives a restart. A new edit clears what could be redone.
+
+export const HISTORY_VERSION = 1;
+export const HISTORY_LIMIT = 100;
+
+export const EDIT_TYPES = {
+    segment: 'Segment clip and settings',
+    segmentDetails: 'Segment timing and text',
+    clipOption: 'Clip option',
+    overlayTracks: 'B-roll tracks',
+    projectTransition: 'Default transition',
+    audioClip: 'Narration clip'
+};
+
+export function emptyHistory() {
+    return { version: HISTORY_VERSION, undo: [], redo: [] };
+}
+
+function sameState(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Add an edit; edits that changed nothing are left out
+ * @param {Object} history - emptyHistory / parseEditHistory
+ * @param {Object} command - { type, target, label, before, after }; before/after
+ *   as the applier for the type takes them (JSON, no undefined at the top)
+ * @returns {Object} history
+ */
+export function recordEdit(history, { type, target = null, label, before, after }) {
+    if (!EDIT_TYPES[type]) throw new Error(`Unknown edit: ${type}`);
+    if (sameState(before, after)) return history;
+    const command = { type, target, label: label || EDIT_TYPES[type], before: before ?? null, after: after ?? null, at: Date.now() };
+    return { ...history, undo: [...history.undo, command].slice(-HISTORY_LIMIT), redo: [] };
+}
+
+/**
+ * Last edit to undo and the state to put back, or null when there is none
+ * @returns {{ history: Object, command: Object, state: any }|null}
+ */
+export function undoStep(history) {
+    const command = history.undo[history.undo.length - 1];
+    if (!command) return null;
+    return {
+        history: { ...history, undo: history.undo.slice(0, -1), redo: [...history.redo, command] },
+        command,
+        state: command.before
+    };
+}
+
+/**
+ * Last undone edit to apply again, or null when there is none
+ * @returns {{ history: Object, command: Object, state: any }|null}
+ */
+export function redoStep(history) {
+    const command = history.redo[history.redo.length - 1];
+    if (!command) return null;
+    return {
+        history: { ...history, undo: [...history.undo, command], redo: history.redo.slice(0, -1) },
+        command,
+        state: command.after
+    };
+}
+
+/**
+ * History without the edit undoStep / redoStep would take next, for an edit
+ * whose state can no longer be put back (its clip was deleted, ...)
+ * @param {'undo'|'redo'} direction
+ */
+export function dropStep(history, direction) {
+    return direction === 'undo'
+        ? { ...history, undo: history.undo.slice(0, -1) }
+        : { ...history, redo: history.redo.slice(0, -1) };
+}
+
+/**
+ * What the undo and redo buttons offer
+ */
+export function historyStatus(history) {
+    const nextUndo = history.undo[history.undo.length - 1];
+    const nextRedo = history.redo[history.redo.length - 1];
+    return {
+        canUndo: !!nextUndo,
+        canRedo: !!nextRedo,
+        undoLabel: nextUndo?.label || null,
+        redoLabel: nextRedo?.label || null
+    };
+}
+
+/**
+ * History from a stored project; empty when there is none or it is from an
+ * unknown version. Commands of unknown types are dropped.
+ */
+export function parseEditHistory(data) {
+    if (!data || data.version !== HISTORY_VERSION || !Array.isArray(data.undo) || !Array.isArray(data.redo)) return emptyHistory();
+    const valid = (command) => command && EDIT_TYPES[command.type] && 'before' in command && 'after' in command;
+    return {
+        version: HISTORY_VERSION,
+        undo: data.undo.filter(valid).slice(-HISTORY_LIMIT),
+        redo: data.redo.filter(valid).slice(-HISTORY_LIMIT)
+    };
+}
+
+export default {
+    HISTORY_VERSION,
+    HISTORY_LIMIT,
+    EDIT_TYPES,
+    emptyHistory,
+    recordEdit,
+    undoStep,
+    redoStep,
+    dropStep,
+    historyStatus,
+    parseEditHistory
+};
@@ -0,0 +1,172 @@
+// shotAssembly.js - Build long segments from several shots instead of looping one clip
+// A segment whose narration runs past "minSegmentDuration" is cut into pieces
+// of at most "maxShotDuration", on sentence boundaries of the narration where
+// one is in reach. Each piece gets a shot nobody else in the segment uses:
+// scenes found by ffmpeg scene-cut detection in the chosen clip first (from
+// its best shot on), then in runner-up clips from the same search.
+// Settings live in ~/.clicksync/config.json under "assembly":
+//   { "enabled": true, "minSegmentDuration": 12, "minShotDuration": 2.5,
+//     "maxShotDuration": 7, "sceneThreshold": 0.3 }
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const CONFIG_PATH = path.join(os.homedir(), '.clicksync', 'config.json');
+const SENTENCE_END = /[.!?…]["')\]]?$/;
+
+export const ASSEMBLY_DEFAULTS = {
+    enabled: true,
+    minSegmentDuration: 12,
+    minShotDuration: 2.5,
+    maxShotDuration: 7,
+    sceneThreshold: 0.3
+};
+
+function readConfig() {
+    try {
+        if (fs.existsSync(CONFIG_PATH)) return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (e) {
+        console.warn('[Assembly] Could not parse config:', e.message);
+    }
+    return {};
+}
+
+/**
+ * Read fresh each time so a change in Settings applies to the next segment
+ */
+export function loadAssemblySettings() {
+    return { ...ASSEMBLY_DEFAULTS, ...readConfig().assembly };
+}
+
+export function saveAssemblySettings(changes) {
+    const settings = { ...loadAssemblySettings() };
+    if (changes.enabled !== undefined) settings.enabled = !!changes.enabled;
+    for (const key of ['minSegmentDuration', 'minShotDuration', 'maxShotDuration', 'sceneThreshold']) {
+        if (changes[key] === undefined) continue;
+        const value = Number(changes[key]);
+        if (!Number.isFinite(value) || value <= 0) throw new Error(`${key} must be a positive number`);
+        settings[key] = value;
+    }
+    if (settings.sceneThreshold >= 1) throw new Error('sceneThreshold must be below 1');
+    if (settings.maxShotDuration < settings.minShotDuration) throw new Error('Longest shot must be at least the shortest shot');
+
+    const config = readConfig();
+    fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true });
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify({ ...config, assembly: settings }, null, 2));
+    return settings;
+}
+
+/**
+ * Whether a segment is long enough to be assembled from several shots
+ */
+export function needsMultiShot(segmentDuration, settings = loadAssemblySettings()) {
+    return settings.enabled && segmentDuration >= settings.minSegmentDuration;
+}
+
+/**
+ * Times where a sentence of the narration ends, in seconds from the segment start.
+ * The cut goes in the pause, where the next sentence starts.
+ * @param {Array} words - { text, start, end } in ms on the narration
+ * @param {number} segmentStart - Seconds on the narration
+ */
+export function sentenceBoundaries(words = [], segmentStart = 0) {
+    const boundaries = [];
+    for (let i = 0; i < words.length - 1; i++) {
+        if (!SENTENCE_END.test((words[i].text || '').trim())) continue;
+        const cut = Math.round((words[i + 1].start / 1000 - segmentStart) * 100) / 100;
+        if (cut > 0) boundaries.push(cut);
+    }
+    return boundaries;
+}
+
+/**
+ * Split the segment into pieces no longer than maxShotDuration (and no
+ * shorter than minShotDuration), cutting on the latest sentence end in reach
+ * @returns {Array<{ start: number, end: number }>} seconds from the segment start
+ */
+export function planCuts(duration, boundaries = [], settings = ASSEMBLY_DEFAULTS) {
+    const { minShotDuration: minShot, maxShotDuration: maxShot } = settings;
+    const cuts = [0];
+    let from = 0;
+    while (duration - from > maxShot) {
+        const inReach = boundaries.filter(b => b - from >= minShot && b - from <= maxShot && duration - b >= minShot);
+        const cut = inReach.length > 0 ? inReach[inReach.length - 1] : Math.min(from + maxShot, duration - minShot);
+        cuts.push(cut);
+        from = cut;
+    }
+    cuts.push(duration);
+    return cuts.slice(0, -1).map((start, i) => ({ start, end: cuts[i + 1] }));
+}
+
+/**
+ * Scenes of a clip from its scene-cut times
+ * @returns {Array<{ start: number, end: number }>}
+ */
+export function scenesFromCuts(cuts, duration) {
+    const points = [0, ...cuts.filter(t => t > 0 && t < duration).sort((a, b) => a - b), duration];
+    return points.slice(0, -1)
+        .map((start, i) => ({ start, end: points[i + 1] }))
+        .filter(scene => scene.end - scene.start >= 0.5);
+}
+
+/**
+ * Scenes in the order they are offered: from the one holding the preferred
+ * start (the best shot) to the end of the clip, then the earlier ones
+ */
+function orderScenes(scenes, preferredStart = 0) {
+    const first = scenes.findIndex(scene => scene.end > preferredStart);
+    if (first <= 0) return scenes;
+    return [...scenes.slice(first), ...scenes.slice(0, first)];
+}
+
+/**
+ * Give every piece of the segment its own stretch of footage. After the
+ * opening shot, a scene that covers the whole piece is preferred; otherwise
+ * the piece starts on a scene and runs on into the next one. Footage is never
+ * used twice.
+ * @param {Object} input
+ * @param {number} input.duration - Segment length in seconds
+ * @param {number[]} [input.boundaries] - Sentence ends (sentenceBoundaries)
+ * @param {Array} input.sources - { duration, scenes, preferredStart } per clip, chosen clip first
+ * @param {Object} [input.settings]
+ * @returns {Array<{ source: number, start: number, duration: number, at: number }>|null}
+ *   Pieces in play order (source index, in-point in that clip, length, time in the segment),
+ *   or null when the footage runs out
+ */
+export function planShotSequence({ duration, boundaries = [], sources, settings = ASSEMBLY_DEFAULTS }) {
+    const pieces = planCuts(duration, boundaries, settings);
+    if (pieces.length < 2) return null;
+
+    const used = sources.map(() => []);
+    const isFree = (source, start, end) => used[source].every(span => end <= span.start || start >= span.end);
+    const candidates = sources.flatMap((source, s) =>
+        orderScenes(source.scenes, source.preferredStart).map(scene => ({ source: s, scene })));
+
+    const plan = [];
+    for (const piece of pieces) {
+        const length = piece.end - piece.start;
+        const fits = ({ source, scene }) =>
+            scene.start + length <= sources[source].duration && isFree(source, scene.start, scene.start + length);
+        // The segment opens on the chosen clip's best shot
+        const pick = (plan.length === 0 && candidates[0] && fits(candidates[0]) ? candidates[0] : null)
+            || candidates.find(c => c.scene.end - c.scene.start >= length && fits(c))
+            || candidates.find(fits);
+        if (!pick) return null;
+
+        used[pick.source].push({ start: pick.scene.start, end: pick.scene.start + length });
+        plan.push({ source: pick.source, start: pick.scene.start, duration: length, at: piece.start });
+    }
+    return plan;
+}
+
+export default {
+    ASSEMBLY_DEFAULTS,
+    loadAssemblySettings,
+    saveAssemblySettings,
+    needsMultiShot,
+    sentenceBoundaries,
+    planCuts,
+    scenesFromCuts,
+    planShotSequence
+};
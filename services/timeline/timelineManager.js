@@ -1,7 +1,11 @@
+import { parseScript, formatWarnings, getBlockDuration, estimateDuration } from '../script/scriptGrammar.js';
+import { buildTimelineModel, startTimes } from './trackModel.js';
+
 class TimelineManager {
     constructor() {
         this.segments = []; // Segmentos del script
         this.timeline = []; // Videos asignados
+        this.model = null; // Modelo multipista (trackModel.js), V1 = segmentos
     }
 
     /**
@@ -10,10 +14,9 @@ class TimelineManager {
      */
     parseScript(script) {
         const segments = [];
-        const markerRegex = /\[ON\s*SCREEN[:\s-]*([^\]]+)\]/gi;
-        const matches = Array.from(script.matchAll(markerRegex));
+        const { blocks, warnings } = parseScript(script);
 
-        if (matches.length === 0) {
+        if (blocks.length === 0) {
             // Fallback if no markers found, treat whole text as one segment? or return empty
             console.warn('No [ON SCREEN] markers found in script.');
             // Optional: default to single segment using first line as headline
@@ -31,17 +34,15 @@ class TimelineManager {
             return segments;
         }
 
-        for (let i = 0; i < matches.length; i++) {
-            const headline = matches[i][1].trim();
-            const textStart = matches[i].index + matches[i][0].length;
-            const textEnd = (i < matches.length - 1) ? matches[i + 1].index : script.length;
-            const text = script.substring(textStart, textEnd).trim();
+        formatWarnings(warnings).forEach(w => console.warn(`[Timeline] Script: ${w}`));
 
+        for (const block of blocks) {
             segments.push({
-                index: i,
-                headline,
-                text,
-                duration: this.estimateDuration(text), // segundos estimados
+                index: block.index,
+                headline: block.headline,
+                text: block.text,
+                directives: block.directives,
+                duration: getBlockDuration(block), // [DURATION] o segundos estimados
                 video: null, // se asigna después
                 status: 'pending' // pending, searching, found, downloaded, error
             });
@@ -60,6 +61,7 @@ class TimelineManager {
             index: idx,
             headline: b.title || "Scene " + (idx + 1),
             text: b.text,
+            directives: b.directives || null,
             duration: b.duration || 5,
             video: null, // Se rellenará si ya existe match
             status: 'pending' // O checkear si b.videoMatches.length > 0
@@ -73,10 +75,7 @@ class TimelineManager {
      * (aprox 150 palabras por minuto para narración)
      */
     estimateDuration(text) {
-        const words = text.split(/\s+/).length;
-        // 150 wpm = 2.5 words per second
-        // Minimum 5 seconds duration
-        return Math.max(5, Math.ceil(words / 2.5));
+        return estimateDuration(text);
     }
 
     /**
@@ -92,6 +91,17 @@ class TimelineManager {
     }
 
     updateTimeline() {
+        // Las pistas de overlay (B-roll) se conservan del modelo anterior
+        this.model = buildTimelineModel({
+            clips: this.segments.map((seg, idx) => ({
+                segmentIndex: idx,
+                source: seg.video?.downloadPath || null,
+                duration: seg.duration,
+                natSound: seg.natSound,
+                transition: seg.transition || null
+            })),
+            previous: this.model
+        });
         this.timeline = this.segments.map((seg, idx) => ({
             segmentIndex: idx,
             headline: seg.headline,
@@ -102,14 +112,10 @@ class TimelineManager {
     }
 
     /**
-     * Calcula tiempo de inicio acumulado
+     * Calcula tiempo de inicio acumulado (inicio del segmento en V1)
      */
     calculateStartTime(segmentIndex) {
-        let time = 0;
-        for (let i = 0; i < segmentIndex; i++) {
-            time += this.segments[i].duration;
-        }
-        return time;
+        return startTimes(this.segments.slice(0, segmentIndex + 1))[segmentIndex] || 0;
     }
 
     /**
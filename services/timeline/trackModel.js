@@ -0,0 +1,264 @@
+// trackModel.js - Multi-track timeline: what plays where, for the editor and the export
+// V1 is the primary picture: one item per segment, back to back, built from
+// the segments. V2 and up are overlay tracks for B-roll and inserts, laid over
+// V1 at any time; a higher track covers a lower one. A1-A3 carry the
+// narration, the clips' nat sound (services/audioMix.js) and the music bed.
+// Every item has its place on the timeline (start, duration), the part of its
+// source it plays (inPoint) and the transition into it, if any
+// (services/timeline/transitions.js).
+// Only overlay tracks are edited here; the others follow the segments and are
+// rebuilt from them (buildTimelineModel), keeping the overlay tracks as they were.
+// The model is stored with the project state and drives the timeline canvas
+// and the export (concat list, nat sound stems, overlay filter graph).
+
+import { TRANSITION_TYPES, cutTransition } from './transitions.js';
+
+export const MODEL_VERSION = 1;
+
+export const TRACK_ROLES = {
+    primary: { kind: 'video', label: 'Picture' },
+    overlay: { kind: 'video', label: 'B-roll' },
+    narration: { kind: 'audio', label: 'Narration' },
+    natSound: { kind: 'audio', label: 'Nat sound' },
+    music: { kind: 'audio', label: 'Music' }
+};
+
+// Tracks that follow the segments, in display order after the video tracks
+const FIXED_TRACKS = [
+    { id: 'V1', role: 'primary' },
+    { id: 'A1', role: 'narration' },
+    { id: 'A2', role: 'natSound' },
+    { id: 'A3', role: 'music' }
+];
+
+const MAX_OVERLAY_TRACKS = 4;
+
+function round3(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+function makeTrack(id, role, items = []) {
+    return { id, kind: TRACK_ROLES[role].kind, role, label: `${id} ${TRACK_ROLES[role].label}`, items };
+}
+
+/**
+ * Start of each clip when they play back to back
+ * @param {Array} clips - { duration }
+ * @returns {number[]} seconds
+ */
+export function startTimes(clips) {
+    const starts = [];
+    let time = 0;
+    for (const clip of clips) {
+        starts.push(round3(time));
+        time += clip.duration || 0;
+    }
+    return starts;
+}
+
+/**
+ * Build the model from the segments' clips, keeping the overlay tracks of the
+ * previous model
+ * @param {Object} input
+ * @param {Array} input.clips - { segmentIndex, source, duration, natSound, natSoundSource, transition }
+ *   in play order; source null for a segment without a clip (it keeps its time on V1);
+ *   transition = the resolved one into the clip (resolveTransition)
+ * @param {Object} [input.narration] - { source, duration }
+ * @param {Object} [input.music] - { source, level }; loops under the whole timeline
+ * @param {Object|null} [input.previous] - Model to take the overlay tracks from
+ * @returns {Object} { version, duration, tracks }
+ */
+export function buildTimelineModel({ clips = [], narration = null, music = null, previous = null }) {
+    const starts = startTimes(clips);
+    const picture = clips.map((clip, i) => ({
+        id: `seg-${clip.segmentIndex}`,
+        segmentIndex: clip.segmentIndex,
+        start: starts[i],
+        duration: clip.duration,
+        source: clip.source || null,
+        inPoint: 0,
+        // Null for a hard cut (and before the first clip)
+        transition: i > 0 ? cutTransition(clip.transition, clips[i - 1].duration, clip.duration) : null
+    }));
+    const duration = round3(clips.reduce((sum, clip) => sum + (clip.duration || 0), 0));
+
+    const natSound = clips
+        .map((clip, i) => (clip.natSoundSource ? {
+            id: `nat-${clip.segmentIndex}`,
+            segmentIndex: clip.segmentIndex,
+            start: starts[i],
+            duration: clip.duration,
+            source: clip.natSoundSource,
+            inPoint: 0,
+            // Unset level = Settings > Audio mix
+            level: clip.natSound?.level,
+            sot: !!clip.natSound?.sot,
+            // Across the transition windows; unset = Settings > Audio mix fade
+            fadeIn: picture[i].transition ? round3(picture[i].transition.duration / 2) : undefined,
+            fadeOut: picture[i + 1]?.transition ? round3(picture[i + 1].transition.duration / 2) : undefined
+        } : null))
+        .filter(Boolean);
+
+    const narrationItems = narration?.source
+        ? [{ id: 'narration', start: 0, duration: round3(narration.duration || duration), source: narration.source, inPoint: 0 }]
+        : [];
+    const musicItems = music?.source && duration > 0
+        ? [{ id: 'music', start: 0, duration, source: music.source, inPoint: 0, level: music.level ?? 1, loop: true }]
+        : [];
+
+    const overlays = (previous?.tracks || []).filter(track => track.role === 'overlay');
+    return {
+        version: MODEL_VERSION,
+        duration,
+        tracks: [
+            makeTrack('V1', 'primary', picture),
+            ...overlays.map(track => makeTrack(track.id, 'overlay', track.items.map(item => ({ ...item })))),
+            makeTrack('A1', 'narration', narrationItems),
+            makeTrack('A2', 'natSound', natSound),
+            makeTrack('A3', 'music', musicItems)
+        ]
+    };
+}
+
+/**
+ * Items of one track, by id (V1, A2...) or role (overlay gives every overlay
+ * track's items, lowest track first)
+ */
+export function trackItems(model, idOrRole) {
+    if (!model) return [];
+    const tracks = model.tracks.filter(track => track.id === idOrRole || track.role === idOrRole);
+    return tracks.flatMap(track => track.items.map(item => ({ ...item, trackId: track.id })));
+}
+
+export function getTrack(model, trackId) {
+    return model?.tracks.find(track => track.id === trackId) || null;
+}
+
+function validateItem(item) {
+    if (!item.source || typeof item.source !== 'string') throw new Error('A timeline item needs a source file');
+    for (const key of ['start', 'inPoint']) {
+        if (!Number.isFinite(item[key]) || item[key] < 0) throw new Error(`${key} must be 0 or more`);
+    }
+    if (!Number.isFinite(item.duration) || item.duration <= 0) throw new Error('duration must be more than 0');
+    if (item.transition !== null && item.transition !== undefined) {
+        const { type, duration } = item.transition;
+        if (!TRANSITION_TYPES[type] || !Number.isFinite(duration) || duration < 0) {
+            throw new Error('transition must be { type, duration }');
+        }
+    }
+}
+
+function editableTrack(model, trackId) {
+    const track = getTrack(model, trackId);
+    if (!track) throw new Error(`Track ${trackId} not found`);
+    if (track.role !== 'overlay') throw new Error(`Track ${trackId} follows the segments; edit the segment instead`);
+    return track;
+}
+
+function withTrack(model, trackId, items) {
+    return { ...model, tracks: model.tracks.map(track => (track.id === trackId ? { ...track, items } : track)) };
+}
+
+/**
+ * Add an overlay track above the others
+ * @returns {{ model: Object, trackId: string }}
+ */
+export function addOverlayTrack(model) {
+    const videoTracks = model.tracks.filter(track => track.kind === 'video');
+    const overlays = videoTracks.filter(track => track.role === 'overlay');
+    if (overlays.length >= MAX_OVERLAY_TRACKS) throw new Error(`At most ${MAX_OVERLAY_TRACKS} overlay tracks`);
+    const trackId = `V${Math.max(...videoTracks.map(track => Number(track.id.slice(1)) || 1)) + 1}`;
+    const at = model.tracks.indexOf(videoTracks[videoTracks.length - 1]) + 1;
+    const tracks = [...model.tracks];
+    tracks.splice(at, 0, makeTrack(trackId, 'overlay'));
+    return { model: { ...model, tracks }, trackId };
+}
+
+/**
+ * Remove an overlay track with its items. Tracks above it keep their ids.
+ */
+export function removeOverlayTrack(model, trackId) {
+    editableTrack(model, trackId);
+    return { ...model, tracks: model.tracks.filter(track => track.id !== trackId) };
+}
+
+/**
+ * Place an item on an overlay track
+ * @param {Object} item - { source, start, duration, inPoint?, transition?, label? }
+ * @returns {{ model: Object, item: Object }}
+ */
+export function addTrackItem(model, trackId, item) {
+    const track = editableTrack(model, trackId);
+    const added = {
+        id: `${trackId.toLowerCase()}-${Date.now().toString(36)}-${track.items.length}`,
+        inPoint: 0,
+        transition: null,
+        ...item,
+        start: round3(Number(item.start)),
+        duration: round3(Number(item.duration))
+    };
+    validateItem(added);
+    return { model: withTrack(model, trackId, [...track.items, added].sort((a, b) => a.start - b.start)), item: added };
+}
+
+/**
+ * Change an overlay item's place, in-point or transition
+ * @param {Object} changes - { start?, duration?, inPoint?, transition?, label? }
+ */
+export function updateTrackItem(model, trackId, itemId, changes) {
+    const track = editableTrack(model, trackId);
+    const current = track.items.find(item => item.id === itemId);
+    if (!current) throw new Error(`Item ${itemId} not found on ${trackId}`);
+    const updated = { ...current };
+    for (const key of ['start', 'duration', 'inPoint']) {
+        if (changes[key] !== undefined) updated[key] = round3(Number(changes[key]));
+    }
+    if (changes.transition !== undefined) updated.transition = changes.transition;
+    if (changes.label !== undefined) updated.label = String(changes.label);
+    validateItem(updated);
+    const items = track.items.map(item => (item.id === itemId ? updated : item)).sort((a, b) => a.start - b.start);
+    return { model: withTrack(model, trackId, items), item: updated };
+}
+
+export function removeTrackItem(model, trackId, itemId) {
+    const track = editableTrack(model, trackId);
+    if (!track.items.some(item => item.id === itemId)) throw new Error(`Item ${itemId} not found on ${trackId}`);
+    return withTrack(model, trackId, track.items.filter(item => item.id !== itemId));
+}
+
+/**
+ * Model from a stored project, or null when there is none or it is from an
+ * unknown version. Items that no longer validate are dropped.
+ */
+export function parseTimelineModel(data) {
+    if (!data || data.version !== MODEL_VERSION || !Array.isArray(data.tracks)) return null;
+    const tracks = data.tracks
+        .filter(track => TRACK_ROLES[track.role] && Array.isArray(track.items))
+        .map(track => makeTrack(track.id, track.role, track.role !== 'overlay' ? track.items : track.items.filter(item => {
+            try {
+                validateItem(item);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        })));
+    for (const fixed of FIXED_TRACKS) {
+        if (!tracks.some(track => track.id === fixed.id)) return null;
+    }
+    return { version: MODEL_VERSION, duration: Number(data.duration) || 0, tracks };
+}
+
+export default {
+    MODEL_VERSION,
+    TRACK_ROLES,
+    startTimes,
+    buildTimelineModel,
+    trackItems,
+    getTrack,
+    addOverlayTrack,
+    removeOverlayTrack,
+    addTrackItem,
+    updateTrackItem,
+    removeTrackItem,
+    parseTimelineModel
+};
@@ -0,0 +1,119 @@
+// transitions.js - Transitions at the cuts between segments
+// A transition belongs to the cut before a segment: segment.transition =
+// { type, duration }; unset follows the project default, which is a hard cut
+// unless one is chosen. The transition window is centred on the cut and the
+// clips are not overlapped, so every segment still starts where the narration
+// expects it. Each side holds its edge frame for half the window instead
+// (freeze-frame handles, as an NLE fills a transition that runs past the
+// media). Nothing is taken from the clips themselves, so pre-rendered segments
+// are joined as they are and a new transition never needs a re-render.
+// Hard cuts stay in the export's concat list. Each transition splits the list
+// into runs, and the runs are joined with ffmpeg xfade. Nat sound fades in
+// and out across the same window (services/audioMix.js).
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+// xfade transition for each type; null = hard cut
+export const TRANSITION_TYPES = {
+    cut: { label: 'Cut', xfade: null },
+    crossfade: { label: 'Crossfade', xfade: 'fade' },
+    'dip-black': { label: 'Dip to black', xfade: 'fadeblack' },
+    'dip-white': { label: 'Dip to white', xfade: 'fadewhite' },
+    'push-left': { label: 'Push left', xfade: 'slideleft' },
+    'push-right': { label: 'Push right', xfade: 'slideright' }
+};
+
+export const DEFAULT_TRANSITION = { type: 'cut', duration: 0.5 };
+
+const DURATION_LIMITS = [0.1, 2]; // s
+
+/**
+ * Checked { type, duration } from a type name or a partial transition
+ * @param {string|Object} transition - 'crossfade' or { type, duration? }
+ */
+export function normalizeTransition(transition) {
+    const { type, duration = DEFAULT_TRANSITION.duration } = typeof transition === 'string' ? { type: transition } : (transition || {});
+    if (!TRANSITION_TYPES[type]) throw new Error(`Unknown transition: ${type}`);
+    const value = Number(duration);
+    const [min, max] = DURATION_LIMITS;
+    if (!Number.isFinite(value) || value < min || value > max) throw new Error(`Transition duration must be between ${min} and ${max}s`);
+    return { type, duration: round3(value) };
+}
+
+/**
+ * Transition that plays at a cut: the segment's own, else the project default
+ */
+export function resolveTransition(transition, projectDefault = null) {
+    return normalizeTransition(transition || projectDefault || DEFAULT_TRANSITION);
+}
+
+/**
+ * Transition for the cut between two clips, no longer than either of them,
+ * or null for a hard cut
+ */
+export function cutTransition(transition, beforeDuration, afterDuration) {
+    if (!transition || !TRANSITION_TYPES[transition.type]?.xfade) return null;
+    const duration = round3(Math.min(transition.duration, beforeDuration || 0, afterDuration || 0));
+    return duration > 0 ? { type: transition.type, duration } : null;
+}
+
+/**
+ * Split the clips at their transitions: hard cuts stay inside a run
+ * @param {Array} clips - { duration, transition } in play order; transition into the clip (cutTransition)
+ * @returns {Array<{ clips: Array, duration: number, transition: Object|null }>}
+ *   transition is the one into the run (null for the first)
+ */
+export function planRuns(clips) {
+    const runs = [];
+    clips.forEach((clip, i) => {
+        if (i === 0 || clip.transition) {
+            runs.push({ clips: [], duration: 0, transition: i === 0 ? null : clip.transition });
+        }
+        const run = runs[runs.length - 1];
+        run.clips.push(clip);
+        run.duration = round3(run.duration + (clip.duration || 0));
+    });
+    return runs;
+}
+
+/**
+ * filter_complex that joins the runs (one ffmpeg input each) into one stream
+ * at the output size, with the transitions centred on the cuts. Only for two
+ * runs or more; a single run is the concat list as it is.
+ * @param {Array} runs - planRuns, with the ffmpeg inputIndex of each run
+ * @param {Object} options - { width, height, fps, output } output = label without brackets
+ * @returns {string[]} filter parts
+ */
+export function joinRunsFilter(runs, { width, height, fps, output }) {
+    const parts = [];
+    const lengths = runs.map((run, r) => {
+        const head = run.transition ? run.transition.duration / 2 : 0;
+        const tail = runs[r + 1]?.transition ? runs[r + 1].transition.duration / 2 : 0;
+        const length = round3(head + run.duration + tail);
+        // The clone past the end also covers a run that comes out a little short
+        const pad = `tpad=${head > 0 ? `start_mode=clone:start_duration=${round3(head)}:` : ''}stop_mode=clone:stop_duration=${round3(tail + 1)}`;
+        parts.push(`[${run.inputIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p,setpts=PTS-STARTPTS,${pad},trim=duration=${length},setpts=PTS-STARTPTS[run${r}]`);
+        return length;
+    });
+
+    let current = 'run0';
+    let length = lengths[0];
+    for (let r = 1; r < runs.length; r++) {
+        const { type, duration } = runs[r].transition;
+        const label = r === runs.length - 1 ? output : `join${r}`;
+        parts.push(`[${current}][run${r}]xfade=transition=${TRANSITION_TYPES[type].xfade}:duration=${duration}:offset=${round3(length - duration)}[${label}]`);
+        length = length + lengths[r] - duration;
+        current = label;
+    }
+    return parts;
+}
+
+export default {
+    TRANSITION_TYPES,
+    DEFAULT_TRANSITION,
+    normalizeTransition,
+    resolveTransition,
+    cutTransition,
+    planRuns,
+    joinRunsFilter
+};
@@ -0,0 +1,54 @@
+// assemblyTranscriber.js - AssemblyAI transcription for a local audio file
+// Cloud provider in services/transcription/index.js.
+// Returns { text, words[] } with word times in milliseconds.
+
+import { AssemblyAI } from 'assemblyai';
+import { resolveLanguage } from '../language.js';
+import credentials from '../credentials/index.js';
+
+let client = null;
+let clientKey = null;
+
+// Key from Settings > API Keys or ASSEMBLYAI_API_KEY; a new key gets a new client
+function getClient() {
+    const apiKey = credentials.get('assemblyai');
+    if (!apiKey) throw new Error('No AssemblyAI API key. Add one in Settings > API Keys or set ASSEMBLYAI_API_KEY.');
+    if (!client || clientKey !== apiKey) {
+        client = new AssemblyAI({ apiKey });
+        clientKey = apiKey;
+    }
+    return client;
+}
+
+/**
+ * Upload and transcribe an audio file
+ * @param {string} filePath - Local audio file
+ * @param {Object} [options]
+ * @param {string} [options.language] - Project language; omitted = AssemblyAI's default
+ * @returns {Promise<{text: string, words: Array<{text: string, start: number, end: number, confidence: number}>}>}
+ */
+export async function transcribeFile(filePath, options = {}) {
+    const assembly = getClient();
+
+    // 1. Upload to AssemblyAI
+    const uploadUrl = await assembly.files.upload(filePath);
+
+    // 2. Transcribe (SDK handles polling by default with .transcribe)
+    const transcript = await assembly.transcripts.transcribe({
+        audio_url: uploadUrl,
+        word_boost: [], // Optional: Boost specific words if needed
+        ...(options.language ? { language_code: resolveLanguage(options.language).code } : {})
+    });
+
+    // 3. Check status
+    if (transcript.status === 'error') {
+        throw new Error(transcript.error);
+    }
+
+    return {
+        text: transcript.text,
+        words: transcript.words // Array of { text, start, end, confidence }
+    };
+}
+
+export default { transcribeFile };
@@ -0,0 +1,137 @@
+// Transcription Providers Index
+// Every backend returns { text, words[] } with word times in milliseconds, so
+// alignScriptDeterministic works the same whichever one produced the words.
+// Settings live in ~/.clicksync/config.json under "transcription":
+//   { "provider": "whisper", "alignment": "transcript",
+//     "whisper": { "binaryPath": "", "modelPath": "", "language": "auto" } }
+// "alignment": "forced" skips transcription and aligns the script straight to
+// the audio (services/script/forcedAligner.js).
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { transcribeFile as transcribeWithAssemblyAI } from './assemblyTranscriber.js';
+import credentials from '../credentials/index.js';
+import whisperTranscriber, { WhisperTranscriber } from './whisperTranscriber.js';
+
+const CONFIG_PATH = path.join(os.homedir(), '.clicksync', 'config.json');
+const DEFAULT_PROVIDER = 'assemblyai';
+const ALIGNMENT_MODES = ['transcript', 'forced'];
+
+const assemblyTranscriber = {
+    id: 'assemblyai',
+    name: 'AssemblyAI (cloud)',
+    offline: false,
+    configure() { return this; },
+    isAvailable: () => !!credentials.get('assemblyai'),
+    describe: () => ({}),
+    transcribe: (filePath, options) => transcribeWithAssemblyAI(filePath, options)
+};
+
+class TranscriptionRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(provider) {
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * Read settings fresh each time so a change in Settings applies to the
+     * next transcription without restarting the local server
+     */
+    loadSettings() {
+        let settings = {};
+        try {
+            if (fs.existsSync(CONFIG_PATH)) {
+                settings = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')).transcription || {};
+            }
+        } catch (e) {
+            console.error('[Transcription] Failed to read settings:', e.message);
+        }
+        for (const provider of this.providers.values()) {
+            provider.configure(settings[provider.id] || {});
+        }
+        return { provider: DEFAULT_PROVIDER, alignment: 'transcript', ...settings };
+    }
+
+    saveSettings(settings) {
+        const configDir = path.dirname(CONFIG_PATH);
+        if (!fs.existsSync(configDir)) fs.mkdirSync(configDir, { recursive: true });
+
+        let config = {};
+        try {
+            if (fs.existsSync(CONFIG_PATH)) config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        } catch (e) {
+            console.warn('[Transcription] Could not parse existing config, creating new');
+        }
+
+        if (settings.provider && !this.providers.has(settings.provider)) {
+            throw new Error(`Unknown transcription provider: ${settings.provider}`);
+        }
+        if (settings.alignment && !ALIGNMENT_MODES.includes(settings.alignment)) {
+            throw new Error(`Unknown alignment mode: ${settings.alignment}`);
+        }
+
+        const current = config.transcription || {};
+        config.transcription = { ...current, ...settings };
+        for (const id of this.providers.keys()) {
+            if (settings[id]) config.transcription[id] = { ...(current[id] || {}), ...settings[id] };
+        }
+        fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+        return this.loadSettings();
+    }
+
+    /**
+     * Settings and provider status for the settings UI
+     */
+    describe() {
+        const settings = this.loadSettings();
+        return {
+            settings,
+            providers: [...this.providers.values()].map(p => ({
+                id: p.id,
+                name: p.name,
+                offline: p.offline,
+                available: p.isAvailable(),
+                selected: p.id === settings.provider,
+                ...p.describe()
+            }))
+        };
+    }
+
+    /**
+     * Transcribe with the selected provider (or options.provider)
+     * @param {string} filePath
+     * @param {Object} [options] - { provider, language }
+     * @returns {Promise<{text: string, words: Array}>}
+     */
+    async transcribe(filePath, options = {}) {
+        const settings = this.loadSettings();
+        const id = options.provider || settings.provider;
+        const provider = this.get(id);
+        if (!provider) throw new Error(`Unknown transcription provider: ${id}`);
+
+        console.log(`[Transcription] Using ${provider.name}`);
+        const result = await provider.transcribe(filePath, { language: options.language || null });
+        if (!result || !Array.isArray(result.words)) {
+            throw new Error(`${provider.name} returned no word timings`);
+        }
+        return result;
+    }
+}
+
+const transcription = new TranscriptionRegistry();
+transcription.register(assemblyTranscriber);
+transcription.register(whisperTranscriber);
+
+export const transcribe = (filePath, options) => transcription.transcribe(filePath, options);
+
+export { TranscriptionRegistry, WhisperTranscriber, ALIGNMENT_MODES };
+export default transcription;
@@ -0,0 +1,182 @@
+// whisperTranscriber.js - Offline transcription with whisper.cpp
+// Nothing leaves the machine: the narration is converted to 16 kHz mono WAV
+// and run through a local whisper.cpp binary with a ggml model.
+// Returns the same { text, words[] } shape as AssemblyAI (times in ms).
+//
+// Setup: install whisper.cpp (whisper-cli on PATH, or set binaryPath) and put
+// a model such as ggml-base.en.bin in ~/.clicksync/models (or set modelPath).
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { spawn } from 'child_process';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegPath from 'ffmpeg-static';
+
+if (ffmpegPath) {
+    ffmpeg.setFfmpegPath(ffmpegPath.replace('app.asar', 'app.asar.unpacked'));
+}
+
+const MODELS_DIR = path.join(os.homedir(), '.clicksync', 'models');
+const BINARY_NAMES = process.platform === 'win32'
+    ? ['whisper-cli.exe', 'whisper-cpp.exe', 'main.exe']
+    : ['whisper-cli', 'whisper-cpp'];
+
+function findOnPath(names) {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const dir of dirs) {
+        for (const name of names) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+function convertToWav(inputPath, outputPath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg(inputPath)
+            .audioFrequency(16000)
+            .audioChannels(1)
+            .audioCodec('pcm_s16le')
+            .format('wav')
+            .on('end', () => resolve(outputPath))
+            .on('error', reject)
+            .save(outputPath);
+    });
+}
+
+function run(binary, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(binary, args, { windowsHide: true });
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr = (stderr + chunk.toString()).slice(-4000); });
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`whisper.cpp exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+        });
+    });
+}
+
+/**
+ * Turn whisper.cpp JSON (one entry per word with --max-len 1 --split-on-word)
+ * into AssemblyAI-style words. Punctuation-only entries join the previous word.
+ */
+export function parseWhisperJson(data) {
+    const words = [];
+    for (const entry of data.transcription || []) {
+        const text = (entry.text || '').trim();
+        if (!text || /^\[.*\]$/.test(text)) continue; // [BLANK_AUDIO], [MUSIC]...
+
+        const tokens = (entry.tokens || []).filter(t => t.text && !t.text.startsWith('[_'));
+        const confidence = tokens.length > 0
+            ? tokens.reduce((sum, t) => sum + (t.p ?? 1), 0) / tokens.length
+            : 1;
+
+        if (/^[^\p{L}\p{N}]+$/u.test(text) && words.length > 0) {
+            words[words.length - 1].text += text;
+            continue;
+        }
+
+        words.push({
+            text,
+            start: entry.offsets?.from ?? 0,
+            end: entry.offsets?.to ?? 0,
+            confidence: Math.round(confidence * 1000) / 1000
+        });
+    }
+    return { text: words.map(w => w.text).join(' '), words };
+}
+
+export class WhisperTranscriber {
+    constructor() {
+        this.id = 'whisper';
+        this.name = 'Whisper (offline)';
+        this.offline = true;
+        this.binaryPath = '';
+        this.modelPath = '';
+        this.language = 'auto';
+        this.threads = Math.max(1, Math.min(8, os.cpus().length - 1));
+    }
+
+    configure(settings = {}) {
+        if (settings.binaryPath !== undefined) this.binaryPath = settings.binaryPath;
+        if (settings.modelPath !== undefined) this.modelPath = settings.modelPath;
+        if (settings.language) this.language = settings.language;
+        if (settings.threads) this.threads = settings.threads;
+        return this;
+    }
+
+    resolveBinary() {
+        if (this.binaryPath) return fs.existsSync(this.binaryPath) ? this.binaryPath : null;
+        return findOnPath(BINARY_NAMES);
+    }
+
+    resolveModel() {
+        if (this.modelPath) return fs.existsSync(this.modelPath) ? this.modelPath : null;
+        if (!fs.existsSync(MODELS_DIR)) return null;
+        // Prefer larger models when several are installed
+        const models = fs.readdirSync(MODELS_DIR)
+            .filter(f => f.startsWith('ggml-') && f.endsWith('.bin'))
+            .map(f => path.join(MODELS_DIR, f))
+            .sort((a, b) => fs.statSync(b).size - fs.statSync(a).size);
+        return models[0] || null;
+    }
+
+    isAvailable() {
+        return !!(this.resolveBinary() && this.resolveModel());
+    }
+
+    describe() {
+        return {
+            binaryPath: this.resolveBinary(),
+            modelPath: this.resolveModel(),
+            modelsDir: MODELS_DIR
+        };
+    }
+
+    /**
+     * @param {string} filePath - Any audio format ffmpeg can read
+     * @param {Object} [options]
+     * @param {string} [options.language] - Project language, overrides the configured one
+     * @returns {Promise<{text: string, words: Array<{text: string, start: number, end: number, confidence: number}>}>}
+     */
+    async transcribe(filePath, options = {}) {
+        const binary = this.resolveBinary();
+        const model = this.resolveModel();
+        if (!binary) throw new Error('whisper.cpp not found. Install it or set its path in Settings > Transcription.');
+        if (!model) throw new Error(`No Whisper model found. Download a ggml model into ${MODELS_DIR} or set its path in Settings.`);
+
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clicksync-whisper-'));
+        const wavPath = path.join(workDir, 'audio.wav');
+        const outputBase = path.join(workDir, 'transcript');
+
+        try {
+            console.log(`[Whisper] Transcribing ${path.basename(filePath)} with ${path.basename(model)}`);
+            const started = Date.now();
+            await convertToWav(filePath, wavPath);
+
+            await run(binary, [
+                '-m', model,
+                '-f', wavPath,
+                '-l', options.language || this.language || 'auto',
+                '-t', String(this.threads),
+                '--max-len', '1',       // One entry per word...
+                '--split-on-word',      // ...split on word boundaries, not tokens
+                '--output-json-full',   // Includes token probabilities for confidence
+                '--output-file', outputBase,
+                '--no-prints'
+            ]);
+
+            const data = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+            const result = parseWhisperJson(data);
+            console.log(`[Whisper] ${result.words.length} words in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+            return result;
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+}
+
+export default new WhisperTranscriber();
@@ -7,6 +7,13 @@ import os from 'os';
 import config from '../config.js';
 import lowerThirdRenderer from './lowerThirdRenderer.js';
 import mandatoryCreditRenderer from './mandatoryCreditRenderer.js';
+import { buildCaptionCues, toAss, writeCaptionSidecars } from './captions.js';
+import { DEFAULT_BRAND, resolveBrand } from './brandPresets.js';
+import { loadAssemblySettings, needsMultiShot, sentenceBoundaries, scenesFromCuts, planShotSequence } from './timeline/shotAssembly.js';
+import { loadAudioMixSettings, mixFilter, loudnormFilter, parseLoudnormStats, natSoundPathFor, planNatSound } from './audioMix.js';
+import { buildTimelineModel, trackItems } from './timeline/trackModel.js';
+import { planRuns, joinRunsFilter } from './timeline/transitions.js';
+import { DEFAULT_ASPECT, SAMPLE_WIDTH, SAMPLE_HEIGHT, SAMPLE_FPS, resolveAspect, outputSize, overlayFrame, safeAreaPixels, windowFraction, columnInterest, focusCenter, planCropPath, cropFilter } from './reframe.js';
 import log from 'electron-log';
 
 // =============================================================================
@@ -247,16 +254,44 @@ if (ffprobe) {
     ffmpeg.setFfprobePath(ffprobe.path.replace('app.asar', 'app.asar.unpacked'));
 }
 
+// Camera moves for still-image segments (photos, maps, document screenshots)
+export const STILL_MOTIONS = ['zoom-in', 'zoom-out', 'pan-left', 'pan-right', 'none'];
+export const STILL_DEFAULTS = { motion: 'zoom-in', zoom: 0.15 };
+export const STILL_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.bmp', '.tif', '.tiff'];
+
+/**
+ * zoompan expressions for a camera move over "frames" frames ("on" is the
+ * output frame number). zoom is the extra scale at the tight end, 0.15 = 15%.
+ */
+function stillMotionExpressions(motion, zoom, frames) {
+    const progress = `on/${Math.max(1, frames - 1)}`;
+    const center = { x: 'iw/2-(iw/zoom/2)', y: 'ih/2-(ih/zoom/2)' };
+    switch (motion) {
+        case 'zoom-out':
+            return { z: `${1 + zoom}-${zoom}*${progress}`, ...center };
+        case 'pan-left':
+            return { z: `${1 + zoom}`, x: `(iw-iw/zoom)*(1-${progress})`, y: center.y };
+        case 'pan-right':
+            return { z: `${1 + zoom}`, x: `(iw-iw/zoom)*${progress}`, y: center.y };
+        default: // zoom-in
+            return { z: `1+${zoom}*${progress}`, ...center };
+    }
+}
+
 class VideoEditorEngine {
     constructor(options = {}) {
         this.outputDir = config.paths.outputVideo;
         this.tempDir = config.paths.temp;
         this.timeline = [];
+        this.timelineModel = null; // Multi-track model for the export (services/timeline/trackModel.js)
         this.narrationAudio = null;
         this.projectName = options.projectName || `project_${Date.now()}`;
 
         this.exportSettings = config.editor;
 
+        // Brand preset: logo, logo corner and music bed (overlays are styled by their renderers)
+        this.brand = resolveBrand(DEFAULT_BRAND);
+
         // HW Acceleration State
         this.availableEncoders = new Set();
         this.encoderScanPromise = null;
@@ -266,6 +301,12 @@ class VideoEditorEngine {
         // Start async scan immediately
         this.encoderScanPromise = this.scanHardwareEncodersAsync();
 
+        // Scene-cut times per clip (path + threshold), detection decodes the whole clip
+        this.sceneCutCache = new Map();
+
+        // Interest per column of sampled frames per clip (reframe tracking), shared by all variants
+        this.interestCache = new Map();
+
         // Export cancellation state
         this.currentExportCommand = null;
         this.exportCancelled = false;
@@ -286,6 +327,69 @@ class VideoEditorEngine {
         return false;
     }
 
+    /**
+     * Use a brand preset's logo, logo position and music bed for the next export
+     * @param {Object} brand - Resolved preset (services/brandPresets.js)
+     */
+    setBrand(brand) {
+        this.brand = brand || resolveBrand(DEFAULT_BRAND);
+        // Safe copies belong to the previous brand's assets
+        this.safeLogoPath = null;
+        this.safeMusicPath = null;
+        console.log('[Editor] Brand preset:', this.brand.id);
+    }
+
+    /**
+     * Multi-track model for the next export (services/timeline/trackModel.js).
+     * Its V1 becomes the clip timeline. Null builds the model from the clip
+     * timeline at export time (CLI renders).
+     */
+    setTimelineModel(model) {
+        this.timelineModel = model;
+        if (!model) return;
+        this.timeline = trackItems(model, 'V1')
+            .filter(item => item.source)
+            .map(item => ({ index: item.segmentIndex, processedVideo: item.source, duration: item.duration, transition: item.transition }));
+    }
+
+    /**
+     * Model for clips in play order, with the loaded narration and the brand's
+     * music bed, keeping the overlay tracks of a previous model
+     * @param {Array} clips - { segmentIndex, source, duration, natSound, transition }
+     */
+    timelineModelFor(clips, previous = null) {
+        const musicPath = this.getBackgroundMusicPath();
+        return buildTimelineModel({
+            clips: clips.map(clip => ({ ...clip, natSoundSource: this.natSoundFor(clip.source) })),
+            narration: this.narrationAudio ? { source: this.narrationAudio.path, duration: this.narrationAudio.duration } : null,
+            music: musicPath && fs.existsSync(musicPath) ? { source: musicPath, level: this.brand.music.volume } : null,
+            previous
+        });
+    }
+
+    getTimelineModel() {
+        if (this.timelineModel) return this.timelineModel;
+        const clips = [...this.timeline].sort((a, b) => a.index - b.index).map(clip => ({
+            segmentIndex: clip.index,
+            source: clip.processedVideo,
+            duration: clip.duration,
+            natSound: clip.natSound,
+            transition: clip.transition
+        }));
+        return this.timelineModelFor(clips);
+    }
+
+    /**
+     * FFmpeg overlay x:y for the logo in the brand's corner
+     */
+    getLogoOverlayPosition(padding, safeArea = null) {
+        const [vertical, horizontal] = this.brand.logo.position.split('-');
+        const inset = (side) => padding + (safeArea ? safeArea[side] : 0);
+        const x = horizontal === 'left' ? `${inset('left')}` : `W-w-${inset('right')}`;
+        const y = vertical === 'bottom' ? `H-h-${inset('bottom')}` : `${inset('top')}`;
+        return `${x}:${y}`;
+    }
+
     /**
      * Get logo path, verifying it exists
      * Handles both development and production (asar.unpacked) paths
@@ -300,8 +404,11 @@ class VideoEditorEngine {
         // Find the original logo
         let originalLogoPath = null;
 
-        // If logoPath was set externally (from main.cjs), use it
-        if (this.logoPath && fs.existsSync(this.logoPath)) {
+        // Brand preset logo wins over the bundled one
+        if (this.brand.logo.path && fs.existsSync(this.brand.logo.path)) {
+            originalLogoPath = this.brand.logo.path;
+        } else if (this.logoPath && fs.existsSync(this.logoPath)) {
+            // If logoPath was set externally (from main.cjs), use it
             originalLogoPath = this.logoPath;
         } else {
             const possiblePaths = [
@@ -335,7 +442,7 @@ class VideoEditorEngine {
         if (hasProblematicChars) {
             // Copy to temp directory with safe name
             const tempDir = os.tmpdir();
-            const safePath = path.join(tempDir, 'clicksync_logo.png');
+            const safePath = path.join(tempDir, `clicksync_logo_${this.brand.id}${path.extname(originalLogoPath)}`);
 
             try {
                 fs.copyFileSync(originalLogoPath, safePath);
@@ -390,6 +497,13 @@ class VideoEditorEngine {
             return this.safeMusicPath;
         }
 
+        // Brand preset: false = no music bed, a file = that track, a folder = first track in it
+        const brandMusic = this.brand.music.path;
+        if (brandMusic === false) {
+            audioLog(`Brand "${this.brand.id}" has no music bed`);
+            return null;
+        }
+
         const supportedFormats = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac'];
 
         // Build comprehensive list of possible music paths
@@ -419,13 +533,23 @@ class VideoEditorEngine {
         // Method 4: Use process.cwd() as fallback
         possibleDirs.push(path.join(process.cwd(), 'assets', 'music'));
 
+        let originalMusicPath = null;
+        if (brandMusic && fs.existsSync(brandMusic)) {
+            if (fs.statSync(brandMusic).isDirectory()) {
+                possibleDirs.unshift(brandMusic);
+            } else {
+                originalMusicPath = brandMusic;
+                audioLog(`Using brand "${this.brand.id}" music: ${brandMusic}`);
+            }
+        }
+
         audioLog('========== SEARCHING FOR BACKGROUND MUSIC ==========');
         audioLog(`Searching in ${possibleDirs.length} possible directories:`);
         possibleDirs.forEach((dir, i) => audioLog(`  [${i}] ${dir}`));
 
-        let originalMusicPath = null;
-
         for (const musicDir of possibleDirs) {
+            if (originalMusicPath) break;
+
             // Skip asar paths - FFmpeg can't read them
             if (musicDir.includes('app.asar') && !musicDir.includes('app.asar.unpacked')) {
                 audioLog(`SKIP (asar): ${musicDir}`);
@@ -685,8 +809,12 @@ class VideoEditorEngine {
             fadeIn = 0,             // Fade in en segundos
             fadeOut = 0,            // Fade out en segundos
             volume = 0,             // 0 = mute video audio (narración domina)
+            natSound = true,        // Keep the source audio in a stem for the nat sound mix
             speed = 1.0,            // Velocidad (1.0 = normal)
-            headline = ''           // Para overlay de texto
+            headline = '',          // Para overlay de texto
+            alternates = [],        // Runner-up clips for long segments (paths)
+            words = [],             // Narration words (ms) to cut on sentence ends
+            segmentStart = 0        // Segment start on the narration (s)
         } = options;
 
         // Obtener duración real del video descargado
@@ -703,14 +831,30 @@ class VideoEditorEngine {
         console.log(`[Editor] Preparing clip ${segmentIndex} of ${clipDuration}s from ${videoPath}`);
 
         try {
-            await this.trimAndPrepareClip(videoPath, trimmedPath, {
-                startOffset: actualStartOffset,
-                duration: clipDuration,
-                fadeIn,
-                fadeOut,
-                volume,
-                speed
-            });
+            // Long segments: several shots instead of one clip played from the top and looped
+            const plan = needsMultiShot(clipDuration)
+                ? await this.planMultiShot(
+                    [{ path: videoPath, preferredStart: actualStartOffset }, ...alternates.map(p => ({ path: p }))],
+                    { duration: clipDuration, words, segmentStart }
+                ).catch((e) => {
+                    editorLog(`[Scenes] Scene detection failed for segment ${segmentIndex}: ${e.message}`);
+                    return null;
+                })
+                : null;
+
+            if (plan) {
+                await this.renderMultiShot(plan, trimmedPath, { fadeIn, fadeOut, volume, speed, natSound });
+            } else {
+                await this.trimAndPrepareClip(videoPath, trimmedPath, {
+                    startOffset: actualStartOffset,
+                    duration: clipDuration,
+                    fadeIn,
+                    fadeOut,
+                    volume,
+                    speed,
+                    natSound
+                });
+            }
 
             // Generar thumbnail para UI
             await this.generateThumbnail(trimmedPath, thumbnailPath);
@@ -749,9 +893,11 @@ class VideoEditorEngine {
                 console.log(`[Editor] Replacing existing clip at index ${segmentIndex}`);
                 // Borrar archivo temp anterior
                 try {
-                    if (fs.existsSync(this.timeline[existingIndex].processedVideo)) {
-                        fs.unlinkSync(this.timeline[existingIndex].processedVideo);
+                    const previous = this.timeline[existingIndex].processedVideo;
+                    if (fs.existsSync(previous)) {
+                        fs.unlinkSync(previous);
                     }
+                    if (this.natSoundFor(previous)) fs.unlinkSync(natSoundPathFor(previous));
                 } catch (e) {/* ignore */ }
                 this.timeline[existingIndex] = clipData;
             } else {
@@ -853,11 +999,19 @@ class VideoEditorEngine {
     /**
      * Recorta y prepara un clip individual
      * NOW WITH GPU ACCELERATION when available
+     * With options.natSound, the source audio of the same stretch is kept in a
+     * sidecar stem (natSoundPathFor) for the export's nat sound mix
      */
     async trimAndPrepareClip(inputPath, outputPath, options) {
         // Ensure encoders are ready before processing
         await this.ensureEncodersReady();
 
+        const stemPath = options.natSound && await this.hasAudioStream(inputPath) ? natSoundPathFor(outputPath) : null;
+        if (options.natSound) {
+            // A stem left from an earlier version of this clip would play under the new one
+            try { fs.unlinkSync(natSoundPathFor(outputPath)); } catch (e) { /* none yet */ }
+        }
+
         return new Promise((resolve, reject) => {
             // Check input duration first to decide on looping
             this.getMediaDuration(inputPath).then(inputDuration => {
@@ -877,12 +1031,14 @@ class VideoEditorEngine {
                 // If input is shorter than target, we need to loop
                 // FIX: Calculate exact number of loops needed instead of infinite loop
                 // This prevents frozen frames at the end of the video
-                const shouldLoop = inputDuration < targetDuration;
+                // The in-point counts too: what plays is what comes after startOffset
+                const startOffset = options.startOffset || 0;
+                const shouldLoop = inputDuration - startOffset < targetDuration;
 
                 if (shouldLoop) {
-                    console.log(`[Editor] Video shorter than audio (${inputDuration}s < ${targetDuration}s). Looping.`);
+                    console.log(`[Editor] Video shorter than audio (${inputDuration}s from ${startOffset}s < ${targetDuration}s). Looping.`);
                     // Calculate exact number of loops needed
-                    const loopCount = Math.ceil(targetDuration / inputDuration);
+                    const loopCount = Math.ceil((targetDuration + startOffset) / inputDuration);
                     console.log(`[Editor] Calculated loop count: ${loopCount} (input: ${inputDuration}s, target: ${targetDuration}s)`);
                     // Use exact loop count instead of -1 (infinite) to prevent frozen frames
                     command = ffmpeg();
@@ -891,7 +1047,7 @@ class VideoEditorEngine {
                 }
 
                 command
-                    .setStartTime(options.startOffset || 0)
+                    .setStartTime(startOffset)
                     .setDuration(targetDuration); // Exact duration of the SEGMENT
 
                 // Video filter for scaling (logo is applied ONLY in exportFinalVideo to avoid duplication)
@@ -941,6 +1097,21 @@ class VideoEditorEngine {
                     command.audioFilters(`volume=${options.volume}`);
                 }
 
+                command.output(outputPath);
+
+                // Nat sound stem: same in-point and length as the picture
+                if (stemPath) {
+                    command
+                        .output(stemPath)
+                        .noVideo()
+                        .audioCodec('aac')
+                        .audioBitrate('192k')
+                        .audioFrequency(48000)
+                        .audioChannels(2)
+                        .duration(targetDuration);
+                    editorLog(`[Clip] Nat sound stem: ${path.basename(stemPath)}`);
+                }
+
                 // Execute the command
                 command
                     .on('end', () => resolve(outputPath))
@@ -948,11 +1119,287 @@ class VideoEditorEngine {
                         console.error('[ffmpeg] Error processing clip:', err);
                         reject(err);
                     })
-                    .save(outputPath);
+                    .run();
             }).catch(reject);
         });
     }
 
+    /**
+     * Turn a still image into a segment clip: the image fitted on a blurred,
+     * zoomed copy of itself (so 4:3 photos or tall screenshots fill 16:9),
+     * with a slow camera move. Same format as trimAndPrepareClip output.
+     * @param {Object} options - { duration, motion, zoom }
+     */
+    async prepareStillClip(imagePath, outputPath, options) {
+        if (!fs.existsSync(imagePath)) throw new Error(`Image not found: ${imagePath}`);
+        const motion = STILL_MOTIONS.includes(options.motion) ? options.motion : STILL_DEFAULTS.motion;
+        const zoom = Math.min(0.5, Math.max(0.02, Number(options.zoom) || STILL_DEFAULTS.zoom));
+        const duration = options.duration;
+        const frames = Math.round(duration * 30);
+
+        await this.ensureEncodersReady();
+
+        const filters = [
+            '[0:v]split=2[bg][fg]',
+            '[bg]scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,boxblur=30:2,eq=brightness=-0.08[bgblur]',
+            '[fg]scale=1920:1080:force_original_aspect_ratio=decrease[fgfit]',
+            '[bgblur][fgfit]overlay=(W-w)/2:(H-h)/2,setsar=1[frame]'
+        ];
+        if (motion === 'none') {
+            filters.push('[frame]fps=30,format=yuv420p[v]');
+        } else {
+            // zoompan moves in whole pixels; working at 4K keeps the move smooth
+            const { z, x, y } = stillMotionExpressions(motion, zoom, frames);
+            filters.push(`[frame]scale=3840:2160,zoompan=z='${z}':x='${x}':y='${y}':d=1:s=1920x1080:fps=30,format=yuv420p[v]`);
+        }
+
+        const encoder = this.getBestEncoder('h264');
+        const isHardwareEncoder = encoder !== 'libx264';
+        const outputOpts = [
+            '-map', '[v]',
+            '-t', duration.toString(),
+            '-r', '30',
+            '-c:v', encoder,
+            '-pix_fmt', 'yuv420p',
+            '-video_track_timescale', '30000',
+            '-an'
+        ];
+        if (isHardwareEncoder) {
+            outputOpts.push('-b:v', '8000k', ...this.getEncoderOptions(encoder, 'fast'));
+        } else {
+            outputOpts.push('-preset', 'ultrafast', '-crf', '23');
+        }
+
+        editorLog(`[Still] ${path.basename(imagePath)}: ${motion} (${Math.round(zoom * 100)}%), ${duration.toFixed(2)}s`);
+
+        return new Promise((resolve, reject) => {
+            ffmpeg()
+                .input(imagePath)
+                .inputOptions(['-loop', '1', '-framerate', '30'])
+                .complexFilter(filters.join(';'))
+                .outputOptions(outputOpts)
+                .on('end', () => resolve(outputPath))
+                .on('error', (err) => {
+                    console.error('[ffmpeg] Error rendering still image:', err);
+                    reject(err);
+                })
+                .save(outputPath);
+        });
+    }
+
+    /**
+     * Scene cuts of a clip (seconds), from ffmpeg's scene-change score
+     * @param {number} threshold - 0-1, lower finds more cuts
+     */
+    async detectSceneCuts(videoPath, threshold = 0.3) {
+        const key = `${videoPath}|${threshold}`;
+        if (this.sceneCutCache.has(key)) return this.sceneCutCache.get(key);
+
+        const cuts = await new Promise((resolve, reject) => {
+            const found = [];
+            ffmpeg(videoPath)
+                .noAudio()
+                .videoFilters(`select='gt(scene,${threshold})',showinfo`)
+                .format('null')
+                .output('-')
+                .on('stderr', (line) => {
+                    const match = line.includes('showinfo') && line.match(/pts_time:\s*([\d.]+)/);
+                    if (match) found.push(parseFloat(match[1]));
+                })
+                .on('end', () => resolve(found))
+                .on('error', reject)
+                .run();
+        });
+
+        editorLog(`[Scenes] ${path.basename(videoPath)}: ${cuts.length} cut(s) at threshold ${threshold}`);
+        this.sceneCutCache.set(key, cuts);
+        return cuts;
+    }
+
+    /**
+     * Plan a segment made of several non-repeating shots (services/timeline/shotAssembly.js)
+     * @param {Array} sources - { path, preferredStart } per clip, chosen clip first
+     * @param {Object} options - { duration, words, segmentStart, settings }
+     * @returns {Promise<Array|null>} Pieces with the clip path, or null when the footage runs out
+     */
+    async planMultiShot(sources, options) {
+        const settings = options.settings || loadAssemblySettings();
+        const scanned = [];
+        for (const source of sources) {
+            const duration = await this.getMediaDuration(source.path);
+            const cuts = await this.detectSceneCuts(source.path, settings.sceneThreshold);
+            scanned.push({ ...source, duration, scenes: scenesFromCuts(cuts, duration) });
+        }
+
+        const plan = planShotSequence({
+            duration: options.duration,
+            boundaries: sentenceBoundaries(options.words, options.segmentStart),
+            sources: scanned,
+            settings
+        });
+        return plan ? plan.map(piece => ({ ...piece, path: scanned[piece.source].path })) : null;
+    }
+
+    /**
+     * Trim each planned piece and join them into one segment clip
+     */
+    async renderMultiShot(plan, outputPath, options = {}) {
+        const piecePaths = [];
+        const stemPaths = [];
+        try {
+            for (const [i, piece] of plan.entries()) {
+                const piecePath = path.join(this.tempDir, `shot_${Date.now()}_${i}.mp4`);
+                await this.trimAndPrepareClip(piece.path, piecePath, {
+                    ...options,
+                    startOffset: piece.start,
+                    duration: piece.duration
+                });
+                piecePaths.push(piecePath);
+                stemPaths.push(natSoundPathFor(piecePath));
+            }
+            await this.mergeVideos(piecePaths, outputPath);
+            editorLog(`[Scenes] Assembled ${plan.length} shots into ${path.basename(outputPath)}`);
+
+            // Nat sound only when every shot has some, so it stays in sync with the picture
+            if (options.natSound) {
+                const outputStem = natSoundPathFor(outputPath);
+                try { fs.unlinkSync(outputStem); } catch (e) { /* none yet */ }
+                if (stemPaths.every(stemPath => fs.existsSync(stemPath))) {
+                    try {
+                        await this.mergeVideos(stemPaths, outputStem);
+                    } catch (e) {
+                        editorLog(`[Scenes] Nat sound not kept: ${e.message}`);
+                    }
+                }
+            }
+            return outputPath;
+        } finally {
+            for (const piecePath of [...piecePaths, ...stemPaths]) {
+                try { fs.unlinkSync(piecePath); } catch (e) { /* already gone */ }
+            }
+        }
+    }
+
+    /**
+     * Interest per column for frames sampled across a clip (services/reframe.js)
+     * @returns {Promise<Float32Array[]>} One entry per sample, SAMPLE_FPS apart
+     */
+    async sampleClipInterest(videoPath) {
+        if (this.interestCache.has(videoPath)) return this.interestCache.get(videoPath);
+
+        const frames = await new Promise((resolve, reject) => {
+            const chunks = [];
+            const stream = ffmpeg(videoPath)
+                .noAudio()
+                .videoFilters(`fps=${SAMPLE_FPS},scale=${SAMPLE_WIDTH}:${SAMPLE_HEIGHT}`)
+                .outputOptions(['-pix_fmt', 'rgb24'])
+                .format('rawvideo')
+                .on('error', reject)
+                .pipe();
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+        });
+
+        const frameSize = SAMPLE_WIDTH * SAMPLE_HEIGHT * 3;
+        const interest = [];
+        let previous = null;
+        for (let offset = 0; offset + frameSize <= frames.length; offset += frameSize) {
+            const frame = frames.subarray(offset, offset + frameSize);
+            interest.push(columnInterest(frame, previous));
+            previous = frame;
+        }
+        this.interestCache.set(videoPath, interest);
+        return interest;
+    }
+
+    /**
+     * Crop a 16:9 timeline clip to a vertical or square profile
+     * @param {Object} options - { aspect, reframe: 'center' | 'tracked', width, height }
+     */
+    async reframeClip(inputPath, outputPath, { aspect, reframe = 'center', width, height }) {
+        await this.ensureEncodersReady();
+
+        let cropPath = [];
+        if (reframe === 'tracked') {
+            try {
+                const fraction = windowFraction(aspect);
+                const interest = await this.sampleClipInterest(inputPath);
+                cropPath = planCropPath(interest.map(columns => focusCenter(columns, fraction)));
+            } catch (e) {
+                editorLog(`[Reframe] Tracking failed for ${path.basename(inputPath)} (${e.message}), using centre crop`);
+            }
+        }
+        const videoFilter = cropFilter(aspect, { width, height }, cropPath);
+        editorLog(`[Reframe] ${path.basename(inputPath)} -> ${aspect} ${width}x${height}, ${cropPath.length > 0 ? `${cropPath.length} keyframes` : 'centre'}`);
+
+        const encoder = this.getBestEncoder('h264');
+        const isHardwareEncoder = encoder !== 'libx264';
+        const outputOpts = [
+            '-vf', videoFilter,
+            '-r', '30',
+            '-c:v', encoder,
+            '-pix_fmt', 'yuv420p',
+            '-video_track_timescale', '30000',
+            '-an'
+        ];
+        if (isHardwareEncoder) {
+            outputOpts.push('-b:v', '8000k', ...this.getEncoderOptions(encoder, 'fast'));
+        } else {
+            outputOpts.push('-preset', 'ultrafast', '-crf', '20');
+        }
+
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath)
+                .outputOptions(outputOpts)
+                .on('end', () => {
+                    this.currentExportCommand = null;
+                    resolve(outputPath);
+                })
+                .on('error', (err) => {
+                    this.currentExportCommand = null;
+                    reject(err);
+                });
+            // Cancelling the export stops the crop too
+            this.currentExportCommand = command;
+            command.save(outputPath);
+        });
+    }
+
+    /**
+     * Reframe every timeline clip for an export profile. Crops are kept in the
+     * temp folder by clip, profile and size, so later variants and re-exports reuse them.
+     * @returns {Promise<Array|null>} Timeline clips pointing at the crops, null when cancelled
+     */
+    async reframeTimeline(clips, { aspect, reframe, width, height }, onProgress = () => { }) {
+        const crypto = await import('crypto');
+        const reframed = [];
+        for (const [i, clip] of clips.entries()) {
+            const source = clip.processedVideo || clip.videoPath;
+            if (!source) {
+                reframed.push(clip);
+                continue;
+            }
+            onProgress({ stage: 'reframing', percent: (i / clips.length) * 100, currentClip: i + 1, totalClips: clips.length });
+
+            const stats = fs.statSync(source);
+            const key = crypto.createHash('md5').update(`${source}|${stats.mtimeMs}|${aspect}|${reframe}|${width}x${height}`).digest('hex').substring(0, 16);
+            const outputPath = path.join(this.tempDir, `reframed_${key}.mp4`);
+            if (!fs.existsSync(outputPath)) {
+                try {
+                    await this.reframeClip(source, `${outputPath}.part.mp4`, { aspect, reframe, width, height });
+                    fs.renameSync(`${outputPath}.part.mp4`, outputPath);
+                } catch (e) {
+                    if (this.exportCancelled) return null;
+                    throw e;
+                }
+            }
+            if (this.exportCancelled) return null;
+            reframed.push({ ...clip, processedVideo: outputPath });
+        }
+        onProgress({ stage: 'reframing', percent: 100, currentClip: clips.length, totalClips: clips.length });
+        return reframed;
+    }
+
     async generateThumbnail(videoPath, imagePath) {
         return new Promise((resolve, reject) => {
             ffmpeg(videoPath)
@@ -1002,8 +1449,8 @@ class VideoEditorEngine {
             }
 
             // Preview filter with logo (720p, logo scaled proportionally)
-            const previewLogoHeight = 67; // ~100px scaled to 720p
-            const previewLogoPadding = 14; // ~20px scaled to 720p
+            const previewLogoHeight = Math.round(720 * this.brand.logo.height); // ~67px by default
+            const previewLogoPadding = Math.round(720 * this.brand.logo.margin); // ~14px by default
 
             const outputOptions = [
                 '-c:v', 'libx264',
@@ -1018,7 +1465,7 @@ class VideoEditorEngine {
                 const filterComplex = [
                     `[0:v]scale=1280:720[scaled]`,
                     `movie='${ffmpegLogoPath}',format=rgba,scale=-1:${previewLogoHeight}[logo]`,
-                    `[scaled][logo]overlay=W-w-${previewLogoPadding}:${previewLogoPadding}:format=auto[out]`
+                    `[scaled][logo]overlay=${this.getLogoOverlayPosition(previewLogoPadding)}:format=auto[out]`
                 ].join(';');
                 outputOptions.unshift('-filter_complex', filterComplex, '-map', '[out]');
             } else {
@@ -1037,6 +1484,61 @@ class VideoEditorEngine {
         });
     }
 
+    /**
+     * First loudness pass: play the export's audio mix through loudnorm and
+     * read back what it measured (services/audioMix.js)
+     * @param {Object} options - { narrationPath, musicPath, musicVolume, natSound (planNatSound), settings, targetId, duration }
+     * @returns {Promise<Object|null>} parseLoudnormStats, null for silence
+     */
+    async measureMixLoudness({ narrationPath = null, musicPath = null, musicVolume = 1, natSound = [], settings, targetId, duration }) {
+        const command = ffmpeg();
+        let nextInputIndex = 0;
+        let narrationIndex = -1;
+        let musicIndex = -1;
+        if (narrationPath) {
+            command.input(narrationPath);
+            narrationIndex = nextInputIndex++;
+        }
+        if (musicPath) {
+            command.input(musicPath).inputOptions(['-stream_loop', '-1']);
+            musicIndex = nextInputIndex++;
+        }
+        const stems = natSound.map(stem => {
+            command.input(stem.path);
+            return { ...stem, inputIndex: nextInputIndex++ };
+        });
+        const graph = mixFilter({
+            narrationIndex,
+            musicIndex,
+            musicVolume,
+            settings,
+            loudness: loudnormFilter(targetId),
+            natSound: stems
+        });
+        if (!graph) return null;
+
+        const stderr = [];
+        await new Promise((resolve, reject) => {
+            command
+                .outputOptions(['-filter_complex', graph, '-map', '[aout]', '-t', `${duration}`])
+                .format('null')
+                .output('-')
+                .on('stderr', (line) => stderr.push(line))
+                .on('end', () => {
+                    this.currentExportCommand = null;
+                    resolve();
+                })
+                .on('error', (err) => {
+                    this.currentExportCommand = null;
+                    reject(err);
+                });
+            // Cancelling the export stops the measurement too
+            this.currentExportCommand = command;
+            command.run();
+        });
+        return parseLoudnormStats(stderr.join('\n'));
+    }
+
     /**
      * PASO 6: EXPORTAR VIDEO FINAL (alta calidad)
      * NOW WITH GPU ACCELERATION - automatically uses best available encoder
@@ -1060,14 +1562,18 @@ class VideoEditorEngine {
             filePath, // Use correct dest path
             segments = [], // Segment data for lower thirds (headline, duration, startTime, mandatoryCredit)
             enableLowerThirds = false, // Enable lower third overlays
-            enableMandatoryCredits = false // Enable mandatory credit overlays (top-left)
+            enableMandatoryCredits = false, // Enable mandatory credit overlays (top-left)
+            captions = null, // { sidecar, burnIn, formats, rules, style } - cues from segment.words
+            loudnessTarget = null, // youtube | broadcast | off (default: Settings > Audio mix)
+            aspect = DEFAULT_ASPECT, // 16:9 | 9:16 | 1:1 (services/reframe.js)
+            reframe = 'center' // How 9:16 and 1:1 crop the clips: 'center' or 'tracked'
         } = options;
 
-        // Map Resolution
-        let width = 1920;
-        let height = 1080;
-        if (resolution === '720p') { width = 1280; height = 720; }
-        if (resolution === '480p') { width = 854; height = 480; }
+        // Map Resolution (the short side, for vertical and square too)
+        const profile = resolveAspect(aspect);
+        const reframing = profile.id !== DEFAULT_ASPECT;
+        const { width, height } = outputSize(profile.id, resolution);
+        const safeArea = safeAreaPixels(profile.id, { width, height });
 
         // Convert bitrate from kbps to string for FFmpeg (e.g., "8000k")
         // Handle both new format (number) and legacy format (string 'high'/'medium'/'low')
@@ -1094,8 +1600,8 @@ class VideoEditorEngine {
         // Ensure not overwriting if name not unique? Date.now() handles it usually.
         // options.fileName comes from modal but might just be base name.
         const fileName = (options.fileName && options.fileName !== 'video_export')
-            ? `${options.fileName}.${format}`
-            : `${this.projectName}_FINAL_${Date.now()}.${format}`;
+            ? `${options.fileName}${profile.suffix}.${format}`
+            : `${this.projectName}_FINAL_${Date.now()}${profile.suffix}.${format}`;
 
         const finalPath = path.join(targetDir, fileName);
 
@@ -1108,7 +1614,7 @@ class VideoEditorEngine {
         const encoderType = isHardwareEncoder ? 'GPU' : 'CPU';
         const gpuName = gpuInfo.detected ? gpuInfo.detected.name : 'Unknown';
 
-        ExportLogger.info('CONFIG', `Resolution: ${width}x${height} (${resolution})`);
+        ExportLogger.info('CONFIG', `Resolution: ${width}x${height} (${resolution}, ${profile.id}${reframing ? `, ${reframe} crop` : ''})`);
         ExportLogger.info('CONFIG', `FPS: ${fps}, Codec: ${codec}, Bitrate: ${videoBitrate}`);
         ExportLogger.info('CONFIG', `Lower Thirds: ${enableLowerThirds ? 'ON' : 'OFF'}, Mandatory Credits: ${enableMandatoryCredits ? 'ON' : 'OFF'}`);
         ExportLogger.logEncoder(vCodec, isHardwareEncoder);
@@ -1131,69 +1637,61 @@ class VideoEditorEngine {
 
         onProgress({ stage: 'preparing', percent: 0 });
 
-        const sortedClips = [...this.timeline].sort((a, b) => a.index - b.index);
+        // Everything that plays comes from the multi-track model: V1 is the
+        // concat list, V2+ are overlaid, A1-A3 are mixed
+        const model = this.getTimelineModel();
+        const clipsByIndex = new Map(this.timeline.map(clip => [clip.index, clip]));
+        let sortedClips = trackItems(model, 'V1')
+            .filter(item => item.source)
+            .map(item => ({ ...clipsByIndex.get(item.segmentIndex), index: item.segmentIndex, processedVideo: item.source, duration: item.duration, transition: item.transition }));
+        const natSound = planNatSound(trackItems(model, 'A2'), loadAudioMixSettings());
+        const overlayItems = trackItems(model, 'overlay').filter(item => {
+            if (fs.existsSync(item.source)) return true;
+            exportLog(`⚠️ ${item.trackId} item missing on disk, skipped: ${item.source}`);
+            return false;
+        });
+        const narrationPath = trackItems(model, 'A1')[0]?.source || null;
+        const musicItem = trackItems(model, 'A3')[0] || null;
+        if (overlayItems.length > 0) {
+            ExportLogger.info('TIMELINE', `Overlay tracks: ${overlayItems.length} item(s) on ${[...new Set(overlayItems.map(item => item.trackId))].join(', ')}`);
+        }
+
+        // Vertical and square: crop every clip to the profile before the concat
+        if (reframing) {
+            ExportLogger.startPhase('REFRAME');
+            this.exportCancelled = false;
+            try {
+                sortedClips = await this.reframeTimeline(sortedClips, { aspect: profile.id, reframe, width, height }, onProgress);
+            } catch (error) {
+                ExportLogger.error('REFRAME', `Reframing failed: ${error.message}`, error);
+                ExportLogger.endSession(false);
+                onProgress({ stage: 'error', error: error.message });
+                throw error;
+            }
+            if (!sortedClips) {
+                ExportLogger.info('SESSION', 'Export cancelled by user');
+                ExportLogger.endSession(false);
+                onProgress({ stage: 'cancelled', percent: 0 });
+                return null;
+            }
+            ExportLogger.endPhase('REFRAME');
+        }
 
         ExportLogger.info('TIMELINE', `Clips: ${sortedClips.length}`);
 
         // Initialize pre-rendered segments variables
-        // The actual check happens after initialization (see below)
         let usePreRenderedSegments = false;
         let preRenderedClipList = [];
 
-        // Prepare list with robust path handling
-        const listPath = path.join(this.tempDir, 'final_list.txt');
-
-        // Helper to safely format paths for ffmpeg concat demuxer
-        // 1. Convert backslashes to forward slashes
-        // 2. Escape single quotes (which enclose the path)
-        // Use preRenderedClipList if available (contains pre-rendered segments with overlays)
-        const clipsToUse = preRenderedClipList.length > 0 ? preRenderedClipList : sortedClips;
-        const listContent = clipsToUse.map(c => {
-            if (!c.processedVideo && !c.videoPath) return null;
-            let p = c.processedVideo || c.videoPath;
-            // Ensure absolute path
-            if (!path.isAbsolute(p)) p = path.resolve(p);
-
-            // Windows: Convert \ to /
-            let safePath = p.replace(/\\/g, '/');
-
-            // Escape single quotes for FFmpeg concat file: ' becomes '\''
-            safePath = safePath.replace(/'/g, "'\\''");
-
-            return `file '${safePath}'`;
-        }).filter(Boolean).join('\n');
-
-        // ============ TIMELINE VALIDATION & LOGGING ============
-        exportLog('========== EXPORT STARTED ==========');
-        exportLog(`Resolution: ${resolution}, FPS: ${fps}, Codec: ${codec}, Bitrate: ${videoBitrate}`);
-        exportLog(`Output: ${finalPath}`);
-
-        // Log timeline details
-        timelineLog('========== TIMELINE CLIPS ==========');
-        let totalExpectedDuration = 0;
-        clipsToUse.forEach((clip, i) => {
-            const actualDur = clip.duration || 0;
-            const expectedDur = clip.expectedDuration || actualDur;
-            totalExpectedDuration += actualDur;
-            const preRenderFlag = clip.isPreRendered ? ' [PRE-RENDERED]' : '';
-            timelineLog(`Clip ${i}: idx=${clip.index}, duration=${actualDur.toFixed(2)}s (expected: ${expectedDur.toFixed(2)}s), file=${path.basename(clip.processedVideo || 'N/A')}${preRenderFlag}`);
-            ExportLogger.info('TIMELINE', `Clip ${i}: ${actualDur.toFixed(2)}s - ${path.basename(clip.processedVideo || 'N/A')}${preRenderFlag}`);
-            ExportLogger.logFile(`Clip ${i}`, clip.processedVideo || clip.videoPath);
-        });
-        timelineLog(`Total timeline duration: ${totalExpectedDuration.toFixed(2)}s`);
-        ExportLogger.info('TIMELINE', `Total duration: ${totalExpectedDuration.toFixed(2)}s`);
-
-        exportLog(`Concat list: ${sortedClips.length} clips, total duration: ${totalExpectedDuration.toFixed(2)}s`);
-
-        ExportLogger.endPhase('INITIALIZATION');
-        
         // ============ PRE-RENDERED SEGMENTS CHECK ============
         // CRITICAL FIX: Properly validate pre-rendered segments match current videos
         // Previously, this only checked segment index, causing wrong videos to be used
         try {
             const cacheDir = path.join(os.homedir(), 'ClickStudio', 'Temp', 'prerendered-segments');
             
-            if (fs.existsSync(cacheDir)) {
+            // Pre-rendered segments are 16:9 with the overlays baked in, so
+            // B-roll on an overlay track would cover the lower thirds
+            if (!reframing && overlayItems.length === 0 && fs.existsSync(cacheDir)) {
                 const files = fs.readdirSync(cacheDir);
                 let foundPreRendered = 0;
                 
@@ -1268,6 +1766,64 @@ class VideoEditorEngine {
         }
         // ============ END PRE-RENDERED SEGMENTS CHECK ============
 
+        // Prepare list with robust path handling
+        const listPath = path.join(this.tempDir, 'final_list.txt');
+
+        // Helper to safely format paths for ffmpeg concat demuxer
+        // 1. Convert backslashes to forward slashes
+        // 2. Escape single quotes (which enclose the path)
+        // Pre-rendered segments only when every segment has one: they carry their
+        // overlays, which the other clips get in the filter graph below
+        const clipsToUse = usePreRenderedSegments ? preRenderedClipList : sortedClips;
+        const concatList = (clips) => clips.map(c => {
+            if (!c.processedVideo && !c.videoPath) return null;
+            let p = c.processedVideo || c.videoPath;
+            // Ensure absolute path
+            if (!path.isAbsolute(p)) p = path.resolve(p);
+
+            // Windows: Convert \ to /
+            let safePath = p.replace(/\\/g, '/');
+
+            // Escape single quotes for FFmpeg concat file: ' becomes '\''
+            safePath = safePath.replace(/'/g, "'\\''");
+
+            return `file '${safePath}'`;
+        }).filter(Boolean).join('\n');
+
+        // Transitions split the list into runs joined by xfade; hard cuts stay
+        // in a run's list (services/timeline/transitions.js)
+        const runs = planRuns(clipsToUse);
+        const runLists = runs.map(run => concatList(run.clips));
+        const listContent = runLists.join('\n');
+
+        // ============ TIMELINE VALIDATION & LOGGING ============
+        exportLog('========== EXPORT STARTED ==========');
+        exportLog(`Resolution: ${resolution}, FPS: ${fps}, Codec: ${codec}, Bitrate: ${videoBitrate}`);
+        exportLog(`Output: ${finalPath}`);
+
+        // Log timeline details
+        timelineLog('========== TIMELINE CLIPS ==========');
+        let totalExpectedDuration = 0;
+        clipsToUse.forEach((clip, i) => {
+            const actualDur = clip.duration || 0;
+            const expectedDur = clip.expectedDuration || actualDur;
+            totalExpectedDuration += actualDur;
+            const preRenderFlag = clip.isPreRendered ? ' [PRE-RENDERED]' : '';
+            timelineLog(`Clip ${i}: idx=${clip.index}, duration=${actualDur.toFixed(2)}s (expected: ${expectedDur.toFixed(2)}s), file=${path.basename(clip.processedVideo || 'N/A')}${preRenderFlag}`);
+            ExportLogger.info('TIMELINE', `Clip ${i}: ${actualDur.toFixed(2)}s - ${path.basename(clip.processedVideo || 'N/A')}${preRenderFlag}`);
+            ExportLogger.logFile(`Clip ${i}`, clip.processedVideo || clip.videoPath);
+        });
+        timelineLog(`Total timeline duration: ${totalExpectedDuration.toFixed(2)}s`);
+        ExportLogger.info('TIMELINE', `Total duration: ${totalExpectedDuration.toFixed(2)}s`);
+
+        exportLog(`Concat list: ${sortedClips.length} clips, total duration: ${totalExpectedDuration.toFixed(2)}s`);
+        runs.slice(1).forEach(run => {
+            timelineLog(`Transition into clip idx=${run.clips[0].index}: ${run.transition.type} ${run.transition.duration}s`);
+        });
+        if (runs.length > 1) ExportLogger.info('TIMELINE', `Transitions: ${runs.length - 1}`);
+
+        ExportLogger.endPhase('INITIALIZATION');
+
         // Validate that we have clips to export
         if (!listContent || listContent.trim().length === 0) {
             const error = new Error('No video clips available for export. Please ensure videos have been downloaded for all segments.');
@@ -1278,7 +1834,11 @@ class VideoEditorEngine {
             throw error;
         }
 
-        fs.writeFileSync(listPath, listContent, 'utf8');
+        const runListPaths = runLists.map((content, r) => {
+            const runListPath = r === 0 ? listPath : path.join(this.tempDir, `final_list_${r}.txt`);
+            fs.writeFileSync(runListPath, content, 'utf8');
+            return runListPath;
+        });
 
         // Reset cancellation state
         this.exportCancelled = false;
@@ -1291,6 +1851,9 @@ class VideoEditorEngine {
         const OVERLAY_DURATION_SECONDS = 3;
         exportLog(`Overlay duration: ${OVERLAY_DURATION_SECONDS}s per segment`);
 
+        // Vertical and square overlays are laid out for the profile's safe area (null = 16:9)
+        const frame = overlayFrame(profile.id, { width, height });
+
         const lowerThirdOverlays = []; // { path, startTime, endTime }
         const mandatoryCreditOverlays = []; // { path, startTime, endTime }
 
@@ -1486,6 +2049,7 @@ class VideoEditorEngine {
                             text: task.text,
                             durationInSeconds: OVERLAY_DURATION_SECONDS,
                             segmentId: task.segmentIndex,
+                            frame,
                             onProgress: onRenderProgress
                         });
                     } else {
@@ -1493,6 +2057,7 @@ class VideoEditorEngine {
                             headline: task.text,
                             durationInSeconds: OVERLAY_DURATION_SECONDS,
                             segmentId: task.segmentIndex,
+                            frame,
                             onProgress: onRenderProgress
                         });
                     }
@@ -1625,13 +2190,72 @@ class VideoEditorEngine {
         }
         // ============ END OVERLAYS GENERATION ============
 
+        // ============ CAPTIONS ============
+        let captionCues = [];
+        let captionAssPath = null;
+        if (captions && (captions.sidecar || captions.burnIn)) {
+            captionCues = buildCaptionCues(segments, captions.rules);
+            exportLog(`Captions: ${captionCues.length} cues (sidecar: ${!!captions.sidecar}, burn-in: ${!!captions.burnIn})`);
+
+            if (captionCues.length === 0) {
+                exportLog('Captions skipped - segments carry no word timings');
+            } else if (captions.burnIn) {
+                captionAssPath = path.join(this.tempDir, `captions_${Date.now()}.ass`);
+                fs.writeFileSync(captionAssPath, toAss(captionCues, captions.style, { width, height, safeArea }), 'utf8');
+                ExportLogger.logFile('Captions', captionAssPath);
+            }
+        }
+
+        // ============ LOUDNESS (first pass) ============
+        const audioMix = loadAudioMixSettings();
+        const loudnessId = loudnessTarget || audioMix.loudnessTarget;
+        let loudness = null; // loudnorm for the encode, null = levels as mixed
+        const mixMusicPath = musicItem?.source || null;
+        const hasMixMusic = !!mixMusicPath && fs.existsSync(mixMusicPath);
+        if (loudnormFilter(loudnessId) && (narrationPath || hasMixMusic || natSound.length > 0)) {
+            ExportLogger.startPhase('LOUDNESS');
+            onProgress({ stage: 'measuring_loudness', percent: 0 });
+            const mixDuration = sortedClips.reduce((acc, clip) => acc + (clip.duration || 0), 0);
+            try {
+                const measured = await this.measureMixLoudness({
+                    narrationPath,
+                    musicPath: hasMixMusic ? mixMusicPath : null,
+                    musicVolume: musicItem?.level ?? 1,
+                    natSound,
+                    settings: audioMix,
+                    targetId: loudnessId,
+                    duration: mixDuration
+                });
+                if (measured) {
+                    ExportLogger.info('LOUDNESS', `Measured mix: ${measured.inputI} LUFS integrated, ${measured.inputTp} dBTP true peak, LRA ${measured.inputLra} LU`);
+                    loudness = loudnormFilter(loudnessId, measured);
+                } else {
+                    ExportLogger.warn('LOUDNESS', 'Mix is silent or could not be measured, normalising in one pass');
+                    loudness = loudnormFilter(loudnessId);
+                }
+            } catch (error) {
+                if (this.exportCancelled) {
+                    ExportLogger.info('SESSION', 'Export cancelled by user');
+                    ExportLogger.endSession(false);
+                    onProgress({ stage: 'cancelled', percent: 0 });
+                    return null;
+                }
+                ExportLogger.warn('LOUDNESS', `Measurement failed (${error.message}), normalising in one pass`);
+                loudness = loudnormFilter(loudnessId);
+            }
+            ExportLogger.endPhase('LOUDNESS');
+        }
+
         ExportLogger.startPhase('FFMPEG_ENCODE');
         exportLog('========== STARTING FFMPEG ENCODE ==========');
 
         return new Promise((resolve, reject) => {
-            let command = ffmpeg()
-                .input(listPath)
-                .inputOptions(['-f', 'concat', '-safe', '0', '-auto_convert', '1']);
+            // One concat input per run; the transitions join them in the filter graph
+            let command = ffmpeg();
+            runListPaths.forEach((runListPath, r) => {
+                command.input(runListPath).inputOptions(['-f', 'concat', '-safe', '0', '-auto_convert', '1']);
+                runs[r].inputIndex = r;
+            });
 
             // Store reference for cancellation
             this.currentExportCommand = command;
@@ -1643,12 +2267,12 @@ class VideoEditorEngine {
             console.log(`[Editor] Export - Logo available: ${hasLogo}${hasLogo ? ` at ${logoPath}` : ''}`);
 
             // Track input indices for proper mapping
-            let nextInputIndex = 1; // 0 is the video concat
+            let nextInputIndex = runs.length; // 0 is the video concat (one input per run)
 
             // Add narration audio if exists
             let narrationInputIndex = -1;
-            if (this.narrationAudio) {
-                command.input(this.narrationAudio.path);
+            if (narrationPath) {
+                command.input(narrationPath);
                 narrationInputIndex = nextInputIndex;
                 nextInputIndex++;
             }
@@ -1656,8 +2280,8 @@ class VideoEditorEngine {
             // Add background music if exists (with infinite loop)
             let musicInputIndex = -1;
             audioLog('========== ADDING BACKGROUND MUSIC TO FFMPEG ==========');
-            const backgroundMusicPath = this.getBackgroundMusicPath();
-            audioLog(`getBackgroundMusicPath() returned: ${backgroundMusicPath || 'NULL'}`);
+            const backgroundMusicPath = musicItem?.source || null;
+            audioLog(`Music track (A3): ${backgroundMusicPath || 'NULL'}`);
 
             if (backgroundMusicPath) {
                 // Verify file exists and has content before adding
@@ -1683,6 +2307,21 @@ class VideoEditorEngine {
                 audioLog('WARNING: No background music path available');
             }
 
+            // Nat sound stems, one input each
+            const natStems = natSound.map(stem => {
+                command.input(stem.path);
+                return { ...stem, inputIndex: nextInputIndex++ };
+            });
+            if (natStems.length > 0) {
+                audioLog(`Nat sound: ${natStems.length} stem(s) from input #${natStems[0].inputIndex}, ${natStems.filter(stem => stem.sot).length} SOT`);
+            }
+
+            // Overlay track items (B-roll): only the used stretch of each file is read
+            const overlayInputs = overlayItems.map(item => {
+                command.input(item.source).inputOptions(['-ss', `${item.inPoint}`, '-t', `${item.duration}`]);
+                return { ...item, inputIndex: nextInputIndex++ };
+            });
+
             // Audio input index (for backward compatibility)
             let audioInputIndex = narrationInputIndex;
 
@@ -1724,16 +2363,22 @@ class VideoEditorEngine {
             console.log(`[Editor] Mandatory credits: ${mandatoryCreditOverlays.length} overlays (${mandatoryCreditInputIndices.filter(x => x.index >= 0).length} as inputs)`);
 
             // Video filter with logo overlay using movie= (logo path is now safe)
-            // Scale logo to appropriate size (100px height for 1080p, proportionally scaled for other resolutions)
-            const logoHeight = Math.round(height * 0.093); // ~100px for 1080p
-            const logoPadding = Math.round(height * 0.019); // ~20px padding for 1080p
+            // Scale logo to the brand size (default ~100px height for 1080p, proportionally scaled for other resolutions)
+            // Sized from the short side so vertical exports get the same logo as 16:9
+            const logoHeight = Math.round(Math.min(width, height) * this.brand.logo.height);
+            const logoPadding = Math.round(Math.min(width, height) * this.brand.logo.margin); // ~20px padding for 1080p by default
 
             // Build filter_complex with logo and lower thirds
             let filterParts = [];
             let currentOutput = 'scaled';
 
             // Step 1: Scale input video
-            filterParts.push(`[0:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1[scaled]`);
+            let videoSource = '0:v';
+            if (runs.length > 1) {
+                filterParts.push(...joinRunsFilter(runs, { width, height, fps, output: 'joined' }));
+                videoSource = 'joined';
+            }
+            filterParts.push(`[${videoSource}]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1[scaled]`);
 
             // Step 1.5: Add vignette effect (subtle darkening at edges, appears BEHIND all overlays)
             // CRITICAL: Only apply vignette if NOT using pre-rendered segments
@@ -1753,6 +2398,17 @@ class VideoEditorEngine {
                 exportLog('Skipped vignette (using pre-rendered segments with vignette already applied)');
             }
 
+            // Step 1.75: Overlay tracks (V2+), lowest first so higher tracks cover it,
+            // under the logo, credits and lower thirds
+            overlayInputs.forEach((item, i) => {
+                const start = item.start.toFixed(3);
+                const end = (item.start + item.duration).toFixed(3);
+                filterParts.push(`[${item.inputIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1,fps=${fps},setpts=PTS-STARTPTS+${start}/TB[ov${i}src]`);
+                filterParts.push(`[${currentOutput}][ov${i}src]overlay=0:0:eof_action=pass:enable='between(t,${start},${end})'[ov${i}]`);
+                currentOutput = `ov${i}`;
+            });
+            if (overlayInputs.length > 0) exportLog(`Overlay tracks: ${overlayInputs.length} item(s) composited`);
+
             // Step 2: Apply logo (if exists)
             if (hasLogo) {
                 const ffmpegLogoPath = logoPath.replace(/\\/g, '/').replace(/:/g, '\\:');
@@ -1761,7 +2417,7 @@ class VideoEditorEngine {
                 // Use format=rgba to preserve PNG colors correctly (fixes orange tint issue)
                 // The colorspace issue happens because FFmpeg assumes rec601 for PNG, but PNG is sRGB
                 filterParts.push(`movie='${ffmpegLogoPath}',format=rgba,scale=-1:${logoHeight}[logo]`);
-                filterParts.push(`[${currentOutput}][logo]overlay=W-w-${logoPadding}:${logoPadding}:format=auto[withlogo]`);
+                filterParts.push(`[${currentOutput}][logo]overlay=${this.getLogoOverlayPosition(logoPadding, safeArea)}:format=auto[withlogo]`);
                 currentOutput = 'withlogo';
             }
 
@@ -1852,6 +2508,13 @@ class VideoEditorEngine {
                 }
             }
 
+            // Step 5: Burn in captions (libass, rendered on top of every overlay)
+            if (captionAssPath) {
+                const ffmpegAssPath = captionAssPath.replace(/\\/g, '/').replace(/:/g, '\\:');
+                filterParts.push(`[${currentOutput}]subtitles='${ffmpegAssPath}'[captioned]`);
+                currentOutput = 'captioned';
+            }
+
             // Ensure final output is named [out]
             if (currentOutput !== 'out') {
                 // If we only have scaled video (no logo, no lower thirds), modify the first filter
@@ -1883,6 +2546,11 @@ class VideoEditorEngine {
             audioLog(`Music input index: ${musicInputIndex}`);
             editorLog(`Audio mapping - narrationIdx: ${narrationInputIndex}, musicIdx: ${musicInputIndex}`);
 
+            audioLog(`Ducking: ${audioMix.ducking ? `${audioMix.duckThreshold} dB, ${audioMix.duckRatio}:1, release ${audioMix.duckRelease} ms` : 'off'}`);
+            audioLog(`Loudness: ${loudness ? `${loudnessId}` : 'off'}`);
+            const musicVolume = musicItem?.level ?? 1;
+            const mixOptions = { narrationIndex: narrationInputIndex, musicIndex: musicInputIndex, musicVolume, settings: audioMix, loudness, natSound: natStems };
+
             if (narrationInputIndex >= 0 && musicInputIndex >= 0) {
                 // Both narration and music - use amix with normalize=0 to preserve volumes
                 audioLog('MODE: Narration + Music (both available)');
@@ -1890,8 +2558,8 @@ class VideoEditorEngine {
                 let currentFilter = outputOptions[currentFilterIdx + 1];
 
                 // Use amix with normalize=0 to prevent volume reduction
-                // This mixes both audio streams at their original levels
-                const audioFilter = `[${narrationInputIndex}:a]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo[narr];[${musicInputIndex}:a]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo[bgm];[narr][bgm]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[aout]`;
+                // Music at the brand's bed volume, ducked under the narration (services/audioMix.js)
+                const audioFilter = mixFilter(mixOptions);
 
                 audioLog(`Audio filter: ${audioFilter}`);
 
@@ -1902,6 +2570,14 @@ class VideoEditorEngine {
                 audioLog('Output mapping: -map [aout] -shortest');
                 audioLog(`Full filter_complex length: ${outputOptions[currentFilterIdx + 1].length} chars`);
                 editorLog(`Audio: narration(${narrationInputIndex}) + music(${musicInputIndex}) mixed with amerge+pan`);
+            } else if (narrationInputIndex >= 0 && (loudness || natStems.length > 0)) {
+                // Only narration, normalised and/or with nat sound
+                audioLog('MODE: Narration only (no music)');
+                const currentFilterIdx = outputOptions.indexOf('-filter_complex');
+                outputOptions[currentFilterIdx + 1] += ';' + mixFilter({ ...mixOptions, musicIndex: -1 });
+                outputOptions.push('-map', '[aout]');
+                outputOptions.push('-shortest');
+                editorLog(`Audio: narration only${natStems.length > 0 ? ` with ${natStems.length} nat sound stem(s)` : ''}${loudness ? ', normalised' : ''}`);
             } else if (narrationInputIndex >= 0) {
                 // Only narration - exactly as before
                 audioLog('MODE: Narration only (no music)');
@@ -1909,18 +2585,26 @@ class VideoEditorEngine {
                 outputOptions.push('-shortest');
                 editorLog(`Audio: narration only`);
             } else if (musicInputIndex >= 0) {
-                // Only music (no narration) - use original volume
+                // Only music (no narration) - use the brand's bed volume
                 audioLog('MODE: Music only (no narration)');
                 const currentFilterIdx = outputOptions.indexOf('-filter_complex');
                 let currentFilter = outputOptions[currentFilterIdx + 1];
 
-                const audioFilter = `[${musicInputIndex}:a]volume=1.0[aout]`;
+                const audioFilter = mixFilter(mixOptions);
                 audioLog(`Audio filter: ${audioFilter}`);
 
                 outputOptions[currentFilterIdx + 1] = currentFilter + ';' + audioFilter;
                 outputOptions.push('-map', '[aout]');
                 outputOptions.push('-shortest');
-                editorLog(`Audio: music only at original volume`);
+                editorLog(`Audio: music only at volume ${musicVolume}`);
+            } else if (natStems.length > 0) {
+                // Only the footage's own sound
+                audioLog('MODE: Nat sound only (no narration, no music)');
+                const currentFilterIdx = outputOptions.indexOf('-filter_complex');
+                outputOptions[currentFilterIdx + 1] += ';' + mixFilter(mixOptions);
+                outputOptions.push('-map', '[aout]');
+                outputOptions.push('-shortest');
+                editorLog(`Audio: nat sound only`);
             } else {
                 audioLog('MODE: No audio sources available!');
                 outputOptions.push('-map', '0:a?'); // Optional audio from video (if present)
@@ -2034,17 +2718,40 @@ class VideoEditorEngine {
                         eta: eta
                     });
                 })
-                .on('end', () => {
+                .on('end', (stdout, stderr) => {
                     this.currentExportCommand = null;
                     ExportLogger.endPhase('FFMPEG_ENCODE');
 
                     if (!this.exportCancelled) {
                         ExportLogger.logFile('Final Output', finalPath);
+
+                        // Second loudness pass prints what it delivered
+                        if (loudness) {
+                            const result = parseLoudnormStats(stderr);
+                            if (result) {
+                                ExportLogger.info('LOUDNESS', `Output (${loudnessId}): ${result.outputI} LUFS integrated, ${result.outputTp} dBTP true peak, LRA ${result.outputLra} LU`);
+                            } else {
+                                ExportLogger.warn('LOUDNESS', 'No loudness stats in the encoder output');
+                            }
+                        }
+
+                        // Sidecar captions share the video's base name
+                        let captionFiles = [];
+                        if (captions?.sidecar && captionCues.length > 0) {
+                            try {
+                                captionFiles = writeCaptionSidecars(finalPath, captionCues, captions.formats || ['srt', 'vtt']);
+                                captionFiles.forEach(f => ExportLogger.logFile('Captions', f));
+                            } catch (e) {
+                                ExportLogger.error('CAPTIONS', `Failed to write sidecar captions: ${e.message}`, e);
+                            }
+                        }
+
                         const summary = ExportLogger.endSession(true, finalPath);
                         onProgress({
                             stage: 'complete',
                             percent: 100,
                             outputPath: finalPath,
+                            captionFiles,
                             exportSummary: summary
                         });
                         resolve(finalPath);
@@ -2071,6 +2778,36 @@ class VideoEditorEngine {
         });
     }
 
+    /**
+     * Export one file per aspect ratio in a single run (e.g. 16:9 for YouTube
+     * plus 9:16 for Shorts). Progress events carry the variant; "complete" is
+     * sent once, after the last one, with every output path.
+     * @param {Object} options - exportFinalVideo options plus aspects: ['16:9', '9:16', '1:1']
+     * @returns {Promise<string[]>} Output paths, empty when cancelled
+     */
+    async exportVariants(options = {}, onProgress = () => { }) {
+        const aspects = [...new Set(options.aspects && options.aspects.length > 0 ? options.aspects : [options.aspect || DEFAULT_ASPECT])]
+            .map(aspect => resolveAspect(aspect).id);
+        const outputPaths = [];
+
+        for (const [i, aspect] of aspects.entries()) {
+            const variant = { aspect, index: i + 1, total: aspects.length };
+            const isLast = i === aspects.length - 1;
+            const outputPath = await this.exportFinalVideo({ ...options, aspect }, (progress) => {
+                if (progress.stage === 'complete' && !isLast) {
+                    onProgress({ ...progress, stage: 'variant_complete', variant });
+                } else if (progress.stage === 'complete') {
+                    onProgress({ ...progress, variant, outputPaths: [...outputPaths, progress.outputPath] });
+                } else {
+                    onProgress({ ...progress, variant });
+                }
+            });
+            if (!outputPath) break;
+            outputPaths.push(outputPath);
+        }
+        return outputPaths;
+    }
+
     async getMediaDuration(filePath) {
         return new Promise((resolve, reject) => {
             ffmpeg.ffprobe(filePath, (err, metadata) => {
@@ -2080,6 +2817,26 @@ class VideoEditorEngine {
         });
     }
 
+    /**
+     * Whether a file has an audio stream (false when it can't be probed)
+     */
+    async hasAudioStream(filePath) {
+        return new Promise((resolve) => {
+            ffmpeg.ffprobe(filePath, (err, metadata) => {
+                resolve(!err && (metadata.streams || []).some(stream => stream.codec_type === 'audio'));
+            });
+        });
+    }
+
+    /**
+     * Nat sound stem of a prepared clip, or null when the clip has none
+     */
+    natSoundFor(clipPath) {
+        if (!clipPath) return null;
+        const stemPath = natSoundPathFor(clipPath);
+        return fs.existsSync(stemPath) ? stemPath : null;
+    }
+
     /**
      * Merge multiple video files into one (for Short Video logic)
      */
@@ -31,9 +31,29 @@ export interface GeminiSegmentResponse {
   }[];
 }
 
+export interface TranscriptWord {
+  text: string;
+  start: number;
+  end: number;
+  confidence: number;
+}
+
+export interface BoundaryConfidence {
+  score: number; // 0-1
+  level: 'high' | 'medium' | 'low';
+  reviewed?: boolean; // Cut was moved in the cut review (AudioTimeline) or marked OK in the editor
+}
+
 export interface AlignedSegment {
   title: string;
   text?: string;
+  directives?: {
+    credit: string | null;
+    sot: string | null;
+    duration: number | null;
+  };
   start_time: number;
   end_time: number;
+  words?: TranscriptWord[]; // Words spoken in this segment (ms)
+  startConfidence?: BoundaryConfidence; // How sure the aligner is about the cut at start_time
 }
\ No newline at end of file
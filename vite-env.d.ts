@@ -2,9 +2,167 @@
 
 // Type declarations for Electron API
 declare global {
+  interface TranscriptionProviderInfo {
+    id: string;
+    name: string;
+    offline: boolean;
+    available: boolean;
+    selected: boolean;
+    binaryPath?: string | null;
+    modelPath?: string | null;
+    modelsDir?: string;
+  }
+
+  interface TranscriptionSettingsResponse {
+    success: boolean;
+    error?: string;
+    settings?: { provider: string; alignment?: 'transcript' | 'forced'; whisper?: { binaryPath?: string; modelPath?: string; language?: string } };
+    providers: TranscriptionProviderInfo[];
+  }
+
+  // services/llm/index.js describe()
+  interface LlmSettingsResponse {
+    success: boolean;
+    error?: string;
+    settings?: {
+      provider: string;
+      tasks?: Record<string, { provider?: string; model?: string; temperature?: number }>;
+      openai?: { baseUrl?: string; model?: string; vision?: boolean };
+      cache?: { enabled?: boolean; ttlHours?: number; maxSizeMB?: number };
+    };
+    tasks: { id: string; name: string; provider: string; model: string; temperature: number | null }[];
+    providers: { id: string; name: string; offline: boolean; vision: boolean; available: boolean; selected: boolean; model?: string; baseUrl?: string }[];
+    cache?: { enabled: boolean; ttlHours: number; maxSizeMB: number; dir: string; entries: number; sizeMB: number };
+    removed?: number;
+  }
+
+  // services/jobs/jobQueue.js
+  type JobType = 'fetch' | 'prerender' | 'export';
+  type JobPriority = 'high' | 'normal' | 'low';
+  interface Job {
+    id: string;
+    type: JobType;
+    projectId: string;
+    projectName: string;
+    priority: JobPriority;
+    payload: Record<string, any>;
+    state: 'queued' | 'running' | 'paused' | 'completed' | 'failed' | 'cancelled';
+    progress: number;
+    message: string;
+    error: string | null;
+    result: Record<string, any> | null;
+    createdAt: number;
+    startedAt: number | null;
+    finishedAt: number | null;
+  }
+
+  interface JobsResponse {
+    success: boolean;
+    error?: string;
+    jobs: Job[];
+    held?: boolean;
+    job?: Job;
+  }
+
+  // services/credentials (key health only, never the keys)
+  type CredentialService = 'gemini' | 'assemblyai' | 'openai';
+
+  interface CredentialCheck {
+    status: 'valid' | 'invalid' | 'unverified' | 'missing';
+    message: string;
+    checkedAt?: number;
+  }
+
+  interface CredentialsResponse {
+    success: boolean;
+    error?: string;
+    activeProfile: string;
+    profiles: string[];
+    storage: 'keychain' | 'file';
+    services: {
+      id: CredentialService;
+      name: string;
+      env: string | null;
+      source: 'profile' | 'environment' | null;
+      locked: boolean;
+      hint: string | null;
+      storage: 'keychain' | 'file' | null;
+      check: CredentialCheck | null;
+    }[];
+    check?: CredentialCheck | null;
+  }
+
+  // services/api/localApi.js
+  interface LocalApiSettingsResponse {
+    success: boolean;
+    error?: string | null;
+    settings?: { enabled: boolean; port: number; token: string };
+    running?: boolean;
+    url?: string;
+  }
+
+  // services/timeline/shotAssembly.js
+  interface AssemblySettings {
+    enabled: boolean;
+    minSegmentDuration: number;
+    minShotDuration: number;
+    maxShotDuration: number;
+    sceneThreshold: number;
+  }
+
+  interface AssemblySettingsResponse {
+    success: boolean;
+    error?: string;
+    settings?: AssemblySettings;
+  }
+
+  // services/audioMix.js
+  type LoudnessTargetId = 'youtube' | 'broadcast';
+
+  interface AudioMixSettings {
+    ducking: boolean;
+    duckThreshold: number; // dBFS
+    duckRatio: number;
+    duckAttack: number;    // ms
+    duckRelease: number;   // ms
+    loudnessTarget: LoudnessTargetId | 'off';
+    natSoundLevel: number; // 0-1, clip sound under narration
+    natSoundFade: number;  // s, at each cut
+  }
+
+  interface AudioMixSettingsResponse {
+    success: boolean;
+    error?: string;
+    settings?: AudioMixSettings;
+    targets?: Record<LoudnessTargetId, { label: string; lufs: number; truePeak: number; lra: number }>;
+  }
+
+  // services/brandPresets.js (resolved: every section filled in)
+  interface BrandPreset {
+    id: string;
+    name: string;
+    fonts: { headline: string; credit: string };
+    colors: Record<string, string | string[]>;
+    lowerThird: { align: 'center' | 'left'; margin: number };
+    mandatoryCredit: { position: string; margin: number };
+    logo: { path: string | null; position: string; height: number; margin: number };
+    music: { path: string | null | false; volume: number };
+    animation: Record<string, number | boolean>;
+    export: { resolution: '1080p' | '720p' | '480p'; fps: 24 | 30 | 60; format: 'mp4' | 'fcpxml' | 'edl' | 'otio' };
+  }
+
+  interface BrandPresetsResponse {
+    success: boolean;
+    error?: string;
+    presets: BrandPreset[];
+    brandsDir?: string;
+    fonts?: string[];
+  }
+
   interface Window {
     electron?: {
       invoke: (channel: string, ...args: any[]) => Promise<any>;
+      getPathForFile?: (file: File) => string;
       on: (channel: string, func: (...args: any[]) => void) => () => void;
       removeAllListeners: (channel: string) => void;
       receive?: (channel: string, func: (...args: any[]) => void) => void;
@@ -16,6 +174,52 @@ declare global {
         set: (key: string, value: string) => Promise<void>;
         remove: (key: string) => Promise<void>;
       };
+      credentials?: {
+        describe: () => Promise<CredentialsResponse>;
+        save: (service: CredentialService, key: string, profile?: string) => Promise<CredentialsResponse>;
+        check: (service: CredentialService) => Promise<CredentialsResponse>;
+        remove: (service: CredentialService) => Promise<CredentialsResponse>;
+        createProfile: (profile: string) => Promise<CredentialsResponse>;
+        deleteProfile: (profile: string) => Promise<CredentialsResponse>;
+        useProfile: (profile: string) => Promise<CredentialsResponse>;
+      };
+      transcription?: {
+        getSettings: () => Promise<TranscriptionSettingsResponse>;
+        save: (settings: Record<string, any>) => Promise<TranscriptionSettingsResponse>;
+      };
+      llm?: {
+        getSettings: () => Promise<LlmSettingsResponse>;
+        save: (settings: Record<string, any>) => Promise<LlmSettingsResponse>;
+        clearCache: () => Promise<LlmSettingsResponse>;
+      };
+      jobs?: {
+        list: () => Promise<JobsResponse>;
+        add: (spec: { type: JobType; projectId: string; projectName?: string; priority?: JobPriority; payload?: Record<string, any> }) => Promise<JobsResponse>;
+        action: (id: string, action: 'pause' | 'resume' | 'cancel' | 'remove' | 'priority', priority?: JobPriority) => Promise<JobsResponse>;
+        clearFinished: () => Promise<JobsResponse>;
+        releaseEditor: (projectId?: string, projectName?: string) => Promise<JobsResponse>;
+        onUpdated: (callback: (data: { job: Job | null; jobs: Job[] }) => void) => () => void;
+      };
+      localApi?: {
+        getSettings: () => Promise<LocalApiSettingsResponse>;
+        save: (changes: { enabled?: boolean; port?: number }) => Promise<LocalApiSettingsResponse>;
+        regenerateToken: () => Promise<LocalApiSettingsResponse>;
+      };
+      assembly?: {
+        getSettings: () => Promise<AssemblySettingsResponse>;
+        save: (changes: Partial<AssemblySettings>) => Promise<AssemblySettingsResponse>;
+      };
+      audioMix?: {
+        getSettings: () => Promise<AudioMixSettingsResponse>;
+        save: (changes: Partial<AudioMixSettings>) => Promise<AudioMixSettingsResponse>;
+      };
+      brand?: {
+        list: () => Promise<BrandPresetsResponse>;
+        get: (id?: string | null) => Promise<{ success: boolean; preset?: BrandPreset; error?: string }>;
+        save: (preset: Partial<BrandPreset> & { name: string }) => Promise<{ success: boolean; preset?: BrandPreset; error?: string }>;
+        remove: (id: string) => Promise<{ success: boolean; error?: string }>;
+        openFolder: () => Promise<{ success: boolean; error?: string }>;
+      };
       segmentOverlays?: {
         videoAssigned: (segmentIndex: number, segmentData: any) => Promise<any>;
         batchUpdate: (segments: any[]) => Promise<any>;
@@ -0,0 +1,25 @@
+/// <reference lib="webworker" />
+
+/**
+ * Web Worker for forced alignment (services/script/forcedAligner.js)
+ * The narration analysis and DTW take seconds on long narrations; run here
+ * they leave the editor responsive.
+ */
+
+import { forceAlignScript } from '../services/script/forcedAligner.js';
+
+self.onmessage = (e: MessageEvent) => {
+    const { scriptText, channels, sampleRate, language } = e.data;
+
+    if (!channels || !channels.length) {
+        self.postMessage({ error: 'No channel data provided' });
+        return;
+    }
+
+    try {
+        const segments = forceAlignScript(scriptText, channels, sampleRate, { language });
+        self.postMessage({ segments });
+    } catch (err) {
+        self.postMessage({ error: (err as Error).message });
+    }
+};